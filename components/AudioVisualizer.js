@@ -2,125 +2,183 @@
 
 import { useEffect, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
+import { Settings2 } from 'lucide-react';
+import { useAudioEngine, useAudioEngineReady } from '../hooks/useAudioEngine';
+import { FFT_SIZES, MAX_SMOOTHING, getVisualizer, getVisualizers } from '../utils/visualizers';
 
-const AudioVisualizer = ({ audioElement, isPlaying }) => {
-  const canvasRef = useRef(null);
-  const animationIdRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
-  const dataArrayRef = useRef(null);
-  const [isInitialized, setIsInitialized] = useState(false);
+// Average draw time (ms) above which frames start being skipped
+const FRAME_BUDGET_MS = 4;
+const MAX_FRAME_SKIP = 3;
+const STATS_INTERVAL_MS = 1000;
 
-  useEffect(() => {
-    if (!audioElement || !canvasRef.current) return;
-
-    const initializeAudioContext = async () => {
-      try {
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-          analyserRef.current = audioContextRef.current.createAnalyser();
-          analyserRef.current.fftSize = 256;
-          
-          const bufferLength = analyserRef.current.frequencyBinCount;
-          dataArrayRef.current = new Uint8Array(bufferLength);
-
-          if (!sourceRef.current) {
-            sourceRef.current = audioContextRef.current.createMediaElementSource(audioElement);
-            sourceRef.current.connect(analyserRef.current);
-            analyserRef.current.connect(audioContextRef.current.destination);
-          }
-        }
-
-        if (audioContextRef.current.state === 'suspended') {
-          await audioContextRef.current.resume();
-        }
-
-        setIsInitialized(true);
-      } catch (error) {
-        console.error('Error initializing audio context:', error);
-      }
-    };
+// Fixed heights for the idle state (no animation while nothing plays)
+const IDLE_BARS = [18, 30, 24, 42, 34, 50, 38, 28, 46, 36, 22, 40, 32, 26, 44, 30, 20, 34, 26, 16];
 
-    initializeAudioContext();
-
-    return () => {
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
-    };
-  }, [audioElement]);
+/**
+ * Keeps the document's visibility in state so drawing stops in background tabs
+ * @returns {boolean} - true while the page is visible
+ */
+const usePageVisible = () => {
+  const [isVisible, setIsVisible] = useState(true);
 
   useEffect(() => {
-    if (!isInitialized || !isPlaying || !canvasRef.current || !analyserRef.current) {
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
-      return;
-    }
-
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const bufferLength = analyserRef.current.frequencyBinCount;
-
-    const draw = () => {
-      if (!analyserRef.current || !dataArrayRef.current) return;
-
-      analyserRef.current.getByteFrequencyData(dataArrayRef.current);
-
-      // Set canvas size
-      canvas.width = canvas.offsetWidth;
-      canvas.height = canvas.offsetHeight;
-
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const update = () => setIsVisible(!document.hidden);
+    update();
+    document.addEventListener('visibilitychange', update);
+    return () => document.removeEventListener('visibilitychange', update);
+  }, []);
 
-      const barWidth = (canvas.width / bufferLength) * 2.5;
-      let barHeight;
-      let x = 0;
+  return isVisible;
+};
 
-      // Create gradient
-      const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-      gradient.addColorStop(0, 'rgba(147, 51, 234, 0.8)');
-      gradient.addColorStop(0.5, 'rgba(79, 70, 229, 0.6)');
-      gradient.addColorStop(1, 'rgba(59, 130, 246, 0.4)');
+// Draws the shared engine's analyser straight onto a canvas using the selected
+// mode from the visualizer registry. Everything per frame happens outside
+// React; the loop only runs while playing and visible, and restarts with a
+// fresh renderer when the mode or FFT size changes. The average draw time is
+// published on the canvas as data-draw-ms.
+const AudioVisualizer = ({
+  isPlaying,
+  mode,
+  fftSize,
+  smoothing,
+  onModeChange,
+  onFftSizeChange,
+  onSmoothingChange
+}) => {
+  const engine = useAudioEngine();
+  const isInitialized = useAudioEngineReady();
+  const isVisible = usePageVisible();
+  const canvasRef = useRef(null);
+  const [showOptions, setShowOptions] = useState(false);
 
-      for (let i = 0; i < bufferLength; i++) {
-        barHeight = (dataArrayRef.current[i] / 255) * canvas.height * 0.8;
+  // Declared before the draw effect so renderers size their buffers to the
+  // new FFT size
+  useEffect(() => {
+    engine.setAnalyserOptions({ fftSize, smoothing });
+  }, [engine, isInitialized, fftSize, smoothing]);
 
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, canvas.height - barHeight, barWidth, barHeight);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const analyser = engine.getAnalyser();
+    if (!isInitialized || !isPlaying || !isVisible || !canvas || !analyser) return undefined;
 
-        x += barWidth + 1;
+    const visualizer = getVisualizer(mode);
+    const ctx = canvas.getContext('2d');
+    const renderer = visualizer.create({
+      ctx,
+      canvas,
+      analyser,
+      channels: visualizer.needsChannels ? engine.getChannelAnalysers() : null
+    });
+    let frameId = null;
+    let frame = 0;
+    let frameSkip = 0;
+    let averageDrawMs = 0;
+    let lastStatsAt = performance.now();
+
+    // Size the backing store once per layout change, not every frame
+    const resize = () => {
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.max(1, Math.round(canvas.offsetWidth * ratio));
+      canvas.height = Math.max(1, Math.round(canvas.offsetHeight * ratio));
+      renderer.resize?.();
+    };
+    resize();
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(canvas);
+
+    const draw = (now) => {
+      frameId = requestAnimationFrame(draw);
+      // Over budget: only draw every (frameSkip + 1)th frame
+      if (frame++ % (frameSkip + 1) !== 0) return;
+
+      const startedAt = performance.now();
+      renderer.draw();
+
+      averageDrawMs = averageDrawMs * 0.9 + (performance.now() - startedAt) * 0.1;
+      if (now - lastStatsAt >= STATS_INTERVAL_MS) {
+        lastStatsAt = now;
+        canvas.dataset.drawMs = averageDrawMs.toFixed(2);
+        frameSkip = averageDrawMs > FRAME_BUDGET_MS
+          ? Math.min(frameSkip + 1, MAX_FRAME_SKIP)
+          : Math.max(frameSkip - 1, 0);
       }
-
-      animationIdRef.current = requestAnimationFrame(draw);
     };
-
-    draw();
+    frameId = requestAnimationFrame(draw);
 
     return () => {
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
+      cancelAnimationFrame(frameId);
+      resizeObserver.disconnect();
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
     };
-  }, [isInitialized, isPlaying]);
+  }, [engine, isInitialized, isPlaying, isVisible, mode, fftSize]);
 
   return (
     <motion.div
-      className="relative w-full h-32 rounded-xl overflow-hidden"
+      className="group relative w-full h-32 rounded-xl overflow-hidden"
       initial={{ opacity: 0, scale: 0.95 }}
       animate={{ opacity: 1, scale: 1 }}
       transition={{ duration: 0.3 }}
     >
       <div className="absolute inset-0 bg-gradient-to-r from-purple-500/10 via-blue-500/10 to-indigo-500/10 backdrop-blur-sm border border-white/20 rounded-xl" />
-      
+
       <canvas
         ref={canvasRef}
         className="w-full h-full relative z-10"
         style={{ filter: 'drop-shadow(0 0 10px rgba(147, 51, 234, 0.3))' }}
       />
 
+      <div className="absolute top-2 right-2 z-30 flex items-center gap-1 text-xs opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        <select
+          value={mode}
+          onChange={(e) => onModeChange(e.target.value)}
+          className="bg-black/40 border border-white/20 rounded-lg px-2 py-0.5 text-white"
+          aria-label="Visualizer mode"
+        >
+          {getVisualizers().map(visualizer => (
+            <option key={visualizer.id} value={visualizer.id}>{visualizer.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowOptions(value => !value)}
+          className={`p-1 rounded-lg border border-white/20 transition-colors ${showOptions ? 'bg-white/30 text-white' : 'bg-black/40 text-white/70 hover:text-white'}`}
+          aria-label="Analyser settings"
+          aria-expanded={showOptions}
+        >
+          <Settings2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {showOptions && (
+        <div className="absolute top-9 right-2 z-30 flex flex-col gap-2 p-2 rounded-lg bg-black/60 backdrop-blur-md border border-white/20 text-xs text-white/80">
+          <label className="flex items-center justify-between gap-2">
+            <span>FFT size</span>
+            <select
+              value={fftSize}
+              onChange={(e) => onFftSizeChange(Number(e.target.value))}
+              className="bg-white/10 border border-white/20 rounded-lg px-2 py-0.5 text-white"
+            >
+              {FFT_SIZES.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            <span>Smoothing</span>
+            <input
+              type="range"
+              min="0"
+              max={MAX_SMOOTHING}
+              step="0.05"
+              value={smoothing}
+              onChange={(e) => onSmoothingChange(Number(e.target.value))}
+              className="w-20 accent-purple-500"
+            />
+            <span className="w-8 text-right tabular-nums">{smoothing.toFixed(2)}</span>
+          </label>
+        </div>
+      )}
+
       {!isPlaying && (
         <div className="absolute inset-0 flex items-center justify-center z-20">
           <div className="text-white/60 text-sm font-medium">
@@ -129,23 +187,14 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
         </div>
       )}
 
-      {/* Animated background bars when not playing */}
+      {/* Static background bars when not playing */}
       {!isPlaying && (
         <div className="absolute inset-0 flex items-end justify-center space-x-1 p-4 z-10">
-          {[...Array(20)].map((_, i) => (
-            <motion.div
+          {IDLE_BARS.map((height, i) => (
+            <div
               key={i}
-              className="bg-gradient-to-t from-purple-500/30 to-blue-500/30 w-2 rounded-full"
-              style={{ height: `${Math.random() * 40 + 10}%` }}
-              animate={{
-                height: [`${Math.random() * 40 + 10}%`, `${Math.random() * 60 + 20}%`],
-                opacity: [0.3, 0.6, 0.3],
-              }}
-              transition={{
-                duration: 2 + Math.random() * 2,
-                repeat: Infinity,
-                ease: "easeInOut",
-              }}
+              className="bg-gradient-to-t from-purple-500/30 to-blue-500/30 w-2 rounded-full opacity-50"
+              style={{ height: `${height}%` }}
             />
           ))}
         </div>
@@ -154,4 +203,4 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
   );
 };
 
-export default AudioVisualizer;
\ No newline at end of file
+export default AudioVisualizer;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Bookmark, BookmarkPlus, ChevronLeft, ChevronRight, ListOrdered, Trash2 } from 'lucide-react';
+import { usePlaybackTime } from '../hooks/usePlaybackTime';
+import { formatDuration } from '../utils/audioUtils';
+import { findChapterIndex } from '../utils/chapters';
+
+// Chapter list and bookmarks for the playing track. Click a chapter or a
+// bookmark to jump there; new bookmarks go at the playback position.
+const ChaptersPanel = ({ chapters, bookmarks, onSeek, onPreviousChapter, onNextChapter, onAddBookmark, onDeleteBookmark }) => {
+  const { currentTime } = usePlaybackTime();
+  const [bookmarkName, setBookmarkName] = useState('');
+  const activeIndex = findChapterIndex(chapters, currentTime);
+
+  const handleAddBookmark = (e) => {
+    e.preventDefault();
+    onAddBookmark(bookmarkName);
+    setBookmarkName('');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-white">
+          <ListOrdered size={18} />
+          <span className="font-semibold">Chapters</span>
+        </div>
+        {chapters.length > 0 && (
+          <div className="flex items-center gap-1">
+            <button
+              onClick={onPreviousChapter}
+              title="Previous chapter"
+              className="p-1 rounded-lg text-white/70 hover:text-white hover:bg-white/10"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <button
+              onClick={onNextChapter}
+              disabled={activeIndex >= chapters.length - 1}
+              title="Next chapter"
+              className="p-1 rounded-lg text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-40"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {chapters.length === 0 ? (
+        <p className="text-white/50 text-sm">This track has no chapters.</p>
+      ) : (
+        <ol className="space-y-1 max-h-56 overflow-y-auto">
+          {chapters.map((chapter, index) => (
+            <li key={`${chapter.start}-${index}`}>
+              <button
+                onClick={() => onSeek(chapter.start)}
+                className={`w-full flex items-center gap-3 px-2 py-1.5 rounded-lg text-left text-sm transition-colors ${
+                  index === activeIndex ? 'bg-white/20 text-white' : 'text-white/70 hover:bg-white/10 hover:text-white'
+                }`}
+              >
+                <span className="w-5 text-white/40 text-xs tabular-nums">{index + 1}</span>
+                <span className="flex-1 min-w-0 truncate">{chapter.title}</span>
+                <span className="text-white/50 text-xs tabular-nums">{formatDuration(chapter.start)}</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div>
+        <form onSubmit={handleAddBookmark} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={bookmarkName}
+            onChange={e => setBookmarkName(e.target.value)}
+            placeholder={`Bookmark at ${formatDuration(currentTime)}`}
+            className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-white/40"
+          />
+          <button
+            type="submit"
+            className="inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white text-xs"
+          >
+            <BookmarkPlus size={12} />
+            Add
+          </button>
+        </form>
+
+        {bookmarks.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {bookmarks.map(bookmark => (
+              <li key={bookmark.id} className="flex items-center gap-2 text-xs">
+                <button
+                  onClick={() => onSeek(bookmark.time)}
+                  title="Jump to bookmark"
+                  className="flex-1 min-w-0 flex items-center gap-2 px-2 py-1 rounded-lg text-left text-white/80 hover:bg-white/10"
+                >
+                  <Bookmark size={12} className="text-amber-300 shrink-0" />
+                  <span className="flex-1 truncate">{bookmark.name}</span>
+                  <span className="text-white/50 tabular-nums">{formatDuration(bookmark.time)}</span>
+                </button>
+                <button
+                  onClick={() => onDeleteBookmark(bookmark.id)}
+                  title="Delete bookmark"
+                  className="p-1 rounded-lg text-white/50 hover:text-red-300 hover:bg-white/10"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default ChaptersPanel;
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Command, defaultFilter } from 'cmdk';
+import { ChevronRight, ListMusic, ListPlus, Music, Play, Plus, Zap } from 'lucide-react';
+import ShortcutKeys from './ShortcutKeys';
+
+const itemClassName = 'flex items-center gap-3 px-3 py-2 rounded-xl text-sm text-white/80 cursor-pointer data-[selected=true]:bg-white/15 data-[selected=true]:text-white';
+const groupClassName = 'mb-2 [&_[cmdk-group-heading]]:px-3 [&_[cmdk-group-heading]]:py-1 [&_[cmdk-group-heading]]:text-xs [&_[cmdk-group-heading]]:text-white/40 [&_[cmdk-group-heading]]:font-semibold';
+
+// Items match on their keywords only; values are ids that shouldn't be searched
+const filterByKeywords = (value, search, keywords = []) => defaultFilter(keywords.join(' '), search);
+
+// Ctrl/Cmd+K palette: fuzzy search over player actions, tracks and playlists.
+// Choosing a track or playlist opens a second page with what to do with it.
+const CommandPalette = ({
+  open,
+  onOpenChange,
+  actions,
+  tracks,
+  playlists,
+  onPlayTrack,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onOpenPlaylist,
+  onPlayPlaylist
+}) => {
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(null);
+
+  const handleOpenChange = (isOpen) => {
+    setSearch('');
+    setPage(null);
+    onOpenChange(isOpen);
+  };
+
+  const run = (callback) => {
+    handleOpenChange(false);
+    callback();
+  };
+
+  const openPage = (nextPage) => {
+    setSearch('');
+    setPage(nextPage);
+  };
+
+  const handleKeyDown = (e) => {
+    // Backspace on an empty search steps back out of a track/playlist page
+    if (page && e.key === 'Backspace' && !search) {
+      e.preventDefault();
+      setPage(null);
+    }
+  };
+
+  const renderRoot = () => (
+    <>
+      <Command.Group heading="Actions" className={groupClassName}>
+        {actions.map(action => (
+          <Command.Item
+            key={action.id}
+            value={`action:${action.id}`}
+            keywords={[action.label]}
+            onSelect={() => run(action.run)}
+            className={itemClassName}
+          >
+            <Zap size={14} className="text-purple-300 shrink-0" />
+            <span className="flex-1">{action.label}</span>
+            {action.combos && <ShortcutKeys combos={action.combos} />}
+          </Command.Item>
+        ))}
+      </Command.Group>
+
+      {playlists.length > 0 && (
+        <Command.Group heading="Playlists" className={groupClassName}>
+          {playlists.map(playlist => (
+            <Command.Item
+              key={playlist.id}
+              value={`playlist:${playlist.id}`}
+              keywords={[playlist.name]}
+              onSelect={() => openPage({ type: 'playlist', playlist })}
+              className={itemClassName}
+            >
+              <ListMusic size={14} className="text-white/50 shrink-0" />
+              <span className="flex-1 truncate">{playlist.name}</span>
+              <ChevronRight size={14} className="text-white/30" />
+            </Command.Item>
+          ))}
+        </Command.Group>
+      )}
+
+      {/* Only search tracks once there's a query; large libraries stay fast */}
+      {search.trim() && (
+        <Command.Group heading="Tracks" className={groupClassName}>
+          {tracks.map(track => (
+            <Command.Item
+              key={track.id}
+              value={`track:${track.id}`}
+              keywords={[track.name, track.artist, track.album].filter(Boolean)}
+              onSelect={() => openPage({ type: 'track', track })}
+              className={itemClassName}
+            >
+              <Music size={14} className="text-white/50 shrink-0" />
+              <span className="flex-1 min-w-0 truncate">
+                {track.name}
+                {track.artist && <span className="text-white/40"> · {track.artist}</span>}
+              </span>
+              <ChevronRight size={14} className="text-white/30" />
+            </Command.Item>
+          ))}
+        </Command.Group>
+      )}
+    </>
+  );
+
+  const renderTrackPage = (track) => (
+    <Command.Group heading={track.name} className={groupClassName}>
+      <Command.Item value="play" keywords={['Play now']} onSelect={() => run(() => onPlayTrack(track))} className={itemClassName}>
+        <Play size={14} className="shrink-0" /> Play now
+      </Command.Item>
+      <Command.Item value="play-next" keywords={['Play next']} onSelect={() => run(() => onPlayNext(track))} className={itemClassName}>
+        <ListPlus size={14} className="shrink-0" /> Play next
+      </Command.Item>
+      <Command.Item value="queue" keywords={['Add to queue']} onSelect={() => run(() => onAddToQueue(track))} className={itemClassName}>
+        <ListMusic size={14} className="shrink-0" /> Add to queue
+      </Command.Item>
+      {playlists.map(playlist => (
+        <Command.Item
+          key={playlist.id}
+          value={`add:${playlist.id}`}
+          keywords={['Add to playlist', playlist.name]}
+          onSelect={() => run(() => onAddToPlaylist(playlist.id, [track.id]))}
+          className={itemClassName}
+        >
+          <Plus size={14} className="shrink-0" /> Add to “{playlist.name}”
+        </Command.Item>
+      ))}
+      <Command.Item value="add:new" keywords={['Add to new playlist']} onSelect={() => run(() => onAddToPlaylist(null, [track.id]))} className={itemClassName}>
+        <Plus size={14} className="shrink-0" /> Add to new playlist…
+      </Command.Item>
+    </Command.Group>
+  );
+
+  const renderPlaylistPage = (playlist) => (
+    <Command.Group heading={playlist.name} className={groupClassName}>
+      <Command.Item value="play" keywords={['Play playlist']} onSelect={() => run(() => onPlayPlaylist(playlist.id))} className={itemClassName}>
+        <Play size={14} className="shrink-0" /> Play
+      </Command.Item>
+      <Command.Item value="open" keywords={['Show playlist', 'Open']} onSelect={() => run(() => onOpenPlaylist(playlist.id))} className={itemClassName}>
+        <ListMusic size={14} className="shrink-0" /> Show in library
+      </Command.Item>
+    </Command.Group>
+  );
+
+  return (
+    <Command.Dialog
+      open={open}
+      onOpenChange={handleOpenChange}
+      label="Command palette"
+      filter={filterByKeywords}
+      loop
+      onKeyDown={handleKeyDown}
+      overlayClassName="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm"
+      contentClassName="fixed left-1/2 top-[15vh] z-50 w-[min(36rem,calc(100vw-2rem))] -translate-x-1/2 rounded-3xl border border-white/20 bg-indigo-950/80 backdrop-blur-xl shadow-2xl overflow-hidden text-white"
+    >
+      <Command.Input
+        value={search}
+        onValueChange={setSearch}
+        placeholder={page ? 'What should happen? (Backspace to go back)' : 'Search actions, playlists and tracks…'}
+        className="w-full bg-transparent border-b border-white/10 px-5 py-4 text-white placeholder-white/40 focus:outline-none"
+      />
+      <Command.List className="max-h-[50vh] overflow-y-auto p-2">
+        <Command.Empty className="py-6 text-center text-sm text-white/50">No matches</Command.Empty>
+        {!page && renderRoot()}
+        {page?.type === 'track' && renderTrackPage(page.track)}
+        {page?.type === 'playlist' && renderPlaylistPage(page.playlist)}
+      </Command.List>
+    </Command.Dialog>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Music } from 'lucide-react';
+
+// Embedded album art, falling back to the gradient music tile
+const CoverArt = ({ src, alt = '', className = 'w-12 h-12 rounded-xl', iconSize = 24, children }) => {
+  return (
+    <div className={`relative overflow-hidden flex-shrink-0 bg-gradient-to-br from-purple-400 to-pink-400 flex items-center justify-center ${className}`}>
+      {src ? (
+        // eslint-disable-next-line @next/next/no-img-element
+        <img src={src} alt={alt} className="absolute inset-0 w-full h-full object-cover" />
+      ) : (
+        !children && <Music className="text-white" size={iconSize} />
+      )}
+      {children && (
+        <div className={`relative flex items-center justify-center ${src ? 'w-full h-full bg-black/40' : ''}`}>
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoverArt;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { SlidersHorizontal, Save, Trash2 } from 'lucide-react';
+import { EQ_FREQUENCIES, EQ_MAX_GAIN } from '../utils/equalizer';
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`
+);
+
+const formatDb = (db) => `${db > 0 ? '+' : ''}${db}`;
+
+// Vertical range input (writing-mode works across current browsers)
+const BandSlider = ({ label, value, disabled, onChange }) => (
+  <div className="flex flex-col items-center space-y-1">
+    <span className="text-[10px] text-white/60 w-7 text-center">{formatDb(value)}</span>
+    <input
+      type="range"
+      min={-EQ_MAX_GAIN}
+      max={EQ_MAX_GAIN}
+      step="0.5"
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      onDoubleClick={() => onChange(0)}
+      title="Double-click to reset"
+      className="h-24 w-4 accent-purple-400 disabled:opacity-40"
+      style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+    />
+    <span className="text-[10px] text-white/50">{label}</span>
+  </div>
+);
+
+const Equalizer = ({
+  enabled,
+  scope,
+  settings,
+  builtInPresets,
+  userPresets,
+  hasTrack,
+  onToggle,
+  onScopeChange,
+  onBandChange,
+  onPreampChange,
+  onPresetSelect,
+  onPresetSave,
+  onPresetDelete,
+  onResetTrack
+}) => {
+  const selectedUserPreset = userPresets.find(preset => preset.id === settings.presetId);
+
+  const handleSave = () => {
+    const name = window.prompt('Preset name', selectedUserPreset?.name || 'My Preset');
+    if (name !== null) onPresetSave(name);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-white">
+          <SlidersHorizontal size={18} />
+          <span className="font-semibold">Equalizer</span>
+        </div>
+        <label className="flex items-center space-x-2 text-xs text-white/70">
+          <span>{enabled ? 'On' : 'Off'}</span>
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onToggle(e.target.checked)}
+            className="accent-purple-400"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center space-x-2 text-sm">
+        <select
+          value={settings.presetId || ''}
+          onChange={(e) => onPresetSelect(e.target.value)}
+          className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+        >
+          {!settings.presetId && <option value="">Custom</option>}
+          <optgroup label="Presets">
+            {builtInPresets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="My presets">
+              {userPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button
+          onClick={handleSave}
+          title="Save as preset"
+          className="p-1 rounded-full text-white/60 hover:text-white hover:bg-white/10"
+        >
+          <Save size={14} />
+        </button>
+        {selectedUserPreset && (
+          <button
+            onClick={() => onPresetDelete(selectedUserPreset.id)}
+            title="Delete preset"
+            className="p-1 rounded-full text-white/60 hover:text-red-400 hover:bg-white/10"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-end justify-between">
+        <BandSlider label="Pre" value={settings.preamp} disabled={!enabled} onChange={onPreampChange} />
+        <div className="w-px h-24 bg-white/10 self-center" />
+        {EQ_FREQUENCIES.map((frequency, index) => (
+          <BandSlider
+            key={frequency}
+            label={formatFrequency(frequency)}
+            value={settings.gains[index]}
+            disabled={!enabled}
+            onChange={(db) => onBandChange(index, db)}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        <label className="flex items-center space-x-2 text-white/80">
+          <span>Remember</span>
+          <select
+            value={scope}
+            onChange={(e) => onScopeChange(e.target.value)}
+            className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+          >
+            <option value="global">For all tracks</option>
+            <option value="track">Per track</option>
+          </select>
+        </label>
+        {scope === 'track' && hasTrack && settings.isTrackOverride && (
+          <button
+            onClick={onResetTrack}
+            className="text-xs text-white/70 hover:text-white underline"
+          >
+            Use global EQ for this track
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default Equalizer;
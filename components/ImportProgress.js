@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, CheckCircle2, ChevronDown, ChevronUp, Loader2, X } from 'lucide-react';
+
+const STATUS_LABELS = {
+  scanning: 'Scanning folders…',
+  importing: 'Importing',
+  cancelling: 'Cancelling…',
+  cancelled: 'Import cancelled',
+  done: 'Import finished',
+  failed: 'Import failed'
+};
+
+// Progress and summary of a bulk import job (see useImportJob)
+const ImportProgress = ({ job, onCancel, onDismiss }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const isRunning = ['scanning', 'importing', 'cancelling'].includes(job.status);
+  const percent = job.total > 0 ? (job.done / job.total) * 100 : 0;
+  const hasDetails = job.errors.length > 0 || job.duplicates.length > 0;
+
+  const summary = [
+    `${job.added} added`,
+    job.lyrics > 0 && `lyrics for ${job.lyrics} ${job.lyrics === 1 ? 'song' : 'songs'}`,
+    job.cueTracks > 0 && `split into ${job.cueTracks} tracks by cue sheets`,
+    job.duplicates.length > 0 && `${job.duplicates.length} already in library`,
+    job.errors.length > 0 && `${job.errors.length} failed`,
+    job.ignored > 0 && `${job.ignored} non-audio ${job.ignored === 1 ? 'file' : 'files'} ignored`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 text-sm"
+    >
+      <div className="flex items-center gap-2 text-white">
+        {isRunning && <Loader2 size={16} className="animate-spin text-purple-300" />}
+        {job.status === 'done' && job.errors.length === 0 && <CheckCircle2 size={16} className="text-green-400" />}
+        {(job.status === 'failed' || (!isRunning && job.errors.length > 0)) && <AlertCircle size={16} className="text-red-400" />}
+        <span className="font-medium">{STATUS_LABELS[job.status]}</span>
+        {job.status === 'importing' && (
+          <span className="text-white/60 tabular-nums">{Math.min(job.done + 1, job.total)} of {job.total}</span>
+        )}
+        <span className="ml-auto">
+          {isRunning ? (
+            <button
+              onClick={onCancel}
+              disabled={job.status === 'cancelling'}
+              className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white/80 disabled:opacity-40"
+            >
+              Cancel
+            </button>
+          ) : (
+            <button onClick={onDismiss} className="p-1 rounded-full text-white/60 hover:text-white" aria-label="Dismiss">
+              <X size={16} />
+            </button>
+          )}
+        </span>
+      </div>
+
+      {isRunning && (
+        <>
+          <div className="w-full bg-white/20 rounded-full h-1.5 mt-3">
+            <div
+              className="bg-gradient-to-r from-purple-400 to-pink-400 h-1.5 rounded-full transition-all duration-300"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          {job.current && <p className="text-white/50 text-xs mt-2 truncate" title={job.current}>{job.current}</p>}
+        </>
+      )}
+
+      {!isRunning && (
+        <div className="flex items-center justify-between mt-2 text-white/60 text-xs">
+          <span>{summary}</span>
+          {hasDetails && (
+            <button onClick={() => setShowDetails(prev => !prev)} className="flex items-center gap-1 hover:text-white">
+              Details {showDetails ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+            </button>
+          )}
+        </div>
+      )}
+
+      {!isRunning && showDetails && (
+        <ul className="mt-2 max-h-40 overflow-y-auto space-y-1 text-xs">
+          {job.errors.map(({ path, error }, index) => (
+            <li key={`error-${index}`} className="text-red-300">
+              {path ? <span className="text-white/70">{path}: </span> : null}{error}
+            </li>
+          ))}
+          {job.duplicates.map((path, index) => (
+            <li key={`duplicate-${index}`} className="text-white/50">
+              {path}: already in your library
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default ImportProgress;
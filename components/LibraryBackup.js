@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { AlertCircle, ArchiveRestore, CheckCircle2, Download, Loader2, X } from 'lucide-react';
+import { BACKUP_FILE_TYPES } from '../utils/libraryBackup';
+import { formatFileSize } from '../utils/audioUtils';
+
+const STATUS_LABELS = {
+  packing: 'Packing backup',
+  reading: 'Checking backup…',
+  restoring: 'Restoring',
+  cancelling: 'Cancelling…',
+  cancelled: 'Cancelled',
+  failed: 'Failed'
+};
+
+const describeResult = (job) => {
+  if (job.kind === 'backup') return `Backup saved (${formatFileSize(job.result.size)})`;
+  const { added, merged, failed, cancelled, mode } = job.result;
+  return [
+    `${mode === 'replace' ? 'Library replaced' : 'Backup merged'}${cancelled ? ' (stopped early)' : ''}`,
+    `${added} ${added === 1 ? 'track' : 'tracks'} restored`,
+    merged > 0 && `${merged} already in library`,
+    failed.length > 0 && `${failed.length} failed`
+  ].filter(Boolean).join(' · ');
+};
+
+// Backup and restore of the whole library as one archive (see useLibraryBackup)
+const LibraryBackup = ({ job, isRunning, trackCount, onBackup, onRestore, onCancel, onDismiss }) => {
+  const fileInputRef = useRef(null);
+  const [mode, setMode] = useState('merge');
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (mode === 'replace' && !window.confirm('Replace your whole library with this backup? Tracks, playlists and settings not in the backup will be lost.')) {
+      return;
+    }
+    onRestore(file, mode);
+  };
+
+  const percent = job?.total > 0 ? (job.done / job.total) * 100 : 0;
+  const failures = job?.status === 'done' && job.kind === 'restore' ? job.result.failed : [];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 space-y-3 text-sm"
+    >
+      <div className="flex items-center space-x-2 text-white">
+        <ArchiveRestore size={18} />
+        <span className="font-semibold">Backup</span>
+      </div>
+
+      <p className="text-white/60 text-xs">
+        One file with your audio, artwork, tags, play counts, listening history, playlists and settings.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onBackup}
+          disabled={isRunning || trackCount === 0}
+          className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white/20 hover:bg-white/30 border border-white/30 text-white disabled:opacity-50"
+        >
+          <Download size={14} />
+          Back up library
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={BACKUP_FILE_TYPES}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isRunning}
+          className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 border border-white/20 text-white/90 disabled:opacity-50"
+        >
+          <ArchiveRestore size={14} />
+          Restore…
+        </button>
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          disabled={isRunning}
+          className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs"
+          aria-label="Restore mode"
+        >
+          <option value="merge">Merge into library</option>
+          <option value="replace">Replace library</option>
+        </select>
+      </div>
+
+      {job && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-white">
+            {isRunning && <Loader2 size={14} className="animate-spin text-purple-300" />}
+            {job.status === 'done' && failures.length === 0 && <CheckCircle2 size={14} className="text-green-400" />}
+            {(job.status === 'failed' || failures.length > 0) && <AlertCircle size={14} className="text-red-400" />}
+            <span className="min-w-0 break-words">
+              {job.status === 'done' ? describeResult(job) : STATUS_LABELS[job.status]}
+            </span>
+            {(job.status === 'packing' || job.status === 'restoring') && job.total > 0 && (
+              <span className="text-white/60 tabular-nums">{Math.min(job.done + 1, job.total)} of {job.total}</span>
+            )}
+            <span className="ml-auto">
+              {isRunning ? (
+                <button
+                  onClick={onCancel}
+                  disabled={job.status === 'cancelling'}
+                  className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white/80 disabled:opacity-40"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <button onClick={onDismiss} className="p-1 rounded-full text-white/60 hover:text-white" aria-label="Dismiss">
+                  <X size={14} />
+                </button>
+              )}
+            </span>
+          </div>
+
+          {isRunning && job.total > 0 && (
+            <div className="w-full bg-white/20 rounded-full h-1.5">
+              <div
+                className="bg-gradient-to-r from-purple-400 to-pink-400 h-1.5 rounded-full transition-all"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+          )}
+
+          {job.error && <p className="text-red-300 text-xs break-words">{job.error}</p>}
+
+          {failures.length > 0 && (
+            <ul className="max-h-24 overflow-y-auto text-xs text-white/60 space-y-0.5">
+              {failures.map((failure, index) => (
+                <li key={index} className="truncate">{failure.name}: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default LibraryBackup;
@@ -0,0 +1,294 @@
+import React, { useState, useMemo, useEffect, useDeferredValue } from 'react';
+import { Search, X, ArrowUp, ArrowDown, ChevronLeft, ChevronRight, Play } from 'lucide-react';
+import CoverArt from './CoverArt';
+import { SongRowContent, songRowClass } from './SongList';
+import { TRACK_DRAG_TYPE } from './PlaylistSidebar';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { createSearchIndex, searchTracks } from '../utils/librarySearch';
+import {
+  LIBRARY_TABS,
+  SORT_FIELDS,
+  groupTracks,
+  sortTracks,
+  viewListId
+} from '../utils/libraryViews';
+import { LIBRARY_LIST_ID } from '../utils/playlists';
+import { formatDuration } from '../utils/audioUtils';
+import { getSkipRate } from '../utils/listeningHistory';
+
+// Fixed row pitch (row plus gap) so the list can be windowed
+const SONG_ROW_HEIGHT = 72;
+const GROUP_ROW_HEIGHT = 64;
+const ROW_GAP = 8;
+
+const formatTrackDetail = (track, sortField) => {
+  if (sortField === 'addedAt') return track.addedAt ? new Date(track.addedAt).toLocaleDateString() : '';
+  if (sortField === 'playCount') {
+    const skipRate = getSkipRate(track);
+    const plays = `${track.playCount || 0} ${track.playCount === 1 ? 'play' : 'plays'}`;
+    return skipRate ? `${plays} · ${Math.round(skipRate * 100)}% skipped` : plays;
+  }
+  if (sortField === 'lastPlayedAt') return track.lastPlayedAt ? new Date(track.lastPlayedAt).toLocaleDateString() : 'Never';
+  return track.duration ? formatDuration(track.duration) : '';
+};
+
+const formatGroupDetail = (group) => {
+  const parts = [];
+  if (group.detail) parts.push(group.detail);
+  parts.push(`${group.tracks.length} ${group.tracks.length === 1 ? 'song' : 'songs'}`);
+  if (group.duration > 0) parts.push(`${Math.round(group.duration / 60)} min`);
+  return parts.join(' · ');
+};
+
+// Scroll container that only mounts the rows in view. Changing resetKey
+// (a new search or sort) scrolls back to the top.
+const VirtualRows = ({ items, rowHeight, resetKey, getKey, renderRow }) => {
+  const { containerRef, onScroll, start, end, totalHeight, scrollToTop } = useVirtualList({
+    count: items.length,
+    rowHeight
+  });
+
+  useEffect(() => {
+    scrollToTop();
+  }, [resetKey, scrollToTop]);
+
+  return (
+    <div ref={containerRef} onScroll={onScroll} className="max-h-80 overflow-y-auto">
+      <div className="relative" style={{ height: Math.max(totalHeight - ROW_GAP, 0) }}>
+        {items.slice(start, end).map((item, offset) => {
+          const index = start + offset;
+          return (
+            <div
+              key={getKey(item)}
+              className="absolute inset-x-0"
+              style={{ top: index * rowHeight, height: rowHeight - ROW_GAP }}
+            >
+              {renderRow(item, index)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The library as Songs, Albums, Artists and Genres, with instant fuzzy
+ * search across all fields and sortable song columns
+ * @param {Function} onPlay - (track, trackIds, listId) plays a track with the
+ *   list it was picked from as the queue
+ */
+const LibraryBrowser = ({
+  tracks,
+  currentSongId,
+  isPlaying,
+  playlists,
+  onPlay,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onRemove
+}) => {
+  const [tab, setTab] = useState('songs');
+  const [query, setQuery] = useState('');
+  // No field: library order, or best match first while searching
+  const [sort, setSort] = useState({ field: null, direction: 'asc' });
+  const [openGroupKey, setOpenGroupKey] = useState(null);
+  const deferredQuery = useDeferredValue(query);
+
+  const searchIndex = useMemo(() => createSearchIndex(tracks), [tracks]);
+  const matches = useMemo(() => searchTracks(searchIndex, deferredQuery), [searchIndex, deferredQuery]);
+  const sortedMatches = useMemo(
+    () => (sort.field ? sortTracks(matches, sort.field, sort.direction) : matches),
+    [matches, sort]
+  );
+  const groups = useMemo(() => groupTracks(matches, tab), [matches, tab]);
+  // A search can hide the open group; show the filtered groups instead
+  const openGroup = tab === 'songs' ? null : groups.find(group => group.key === openGroupKey) || null;
+
+  const changeTab = (id) => {
+    setTab(id);
+    setOpenGroupKey(null);
+  };
+
+  const toggleSort = (field) => {
+    setSort((prev) => {
+      if (prev.field !== field) return { field, direction: 'asc' };
+      if (prev.direction === 'asc') return { field, direction: 'desc' };
+      return { field: null, direction: 'asc' };
+    });
+  };
+
+  // Playing a row queues the list it's shown in (trackIds, as listId)
+  const renderSongRow = (track, index, trackIds, listId) => (
+    <div
+      onClick={() => onPlay(track, trackIds, listId)}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData(TRACK_DRAG_TYPE, JSON.stringify([track.id]));
+        e.dataTransfer.effectAllowed = 'copy';
+      }}
+      className={`h-full ${songRowClass(currentSongId === track.id)}`}
+    >
+      <SongRowContent
+        entry={{ key: track.id, track }}
+        index={index}
+        isCurrent={currentSongId === track.id}
+        isPlaying={isPlaying}
+        playlists={playlists}
+        removeLabel="Remove from library"
+        detail={formatTrackDetail(track, sort.field)}
+        onPlayNext={onPlayNext}
+        onAddToQueue={onAddToQueue}
+        onAddToPlaylist={onAddToPlaylist}
+        onRemove={onRemove}
+      />
+    </div>
+  );
+
+  const renderGroupRow = (group) => (
+    <button
+      onClick={() => setOpenGroupKey(group.key)}
+      className="w-full h-full flex items-center gap-3 px-3 rounded-xl border bg-white/10 border-white/20 hover:bg-white/15 text-left transition-colors"
+    >
+      <CoverArt src={group.artworkUrl} className="w-10 h-10 rounded-lg" iconSize={18} />
+      <div className="flex-1 min-w-0">
+        <p className="text-white truncate">{group.name}</p>
+        <p className="text-white/50 text-xs truncate">{formatGroupDetail(group)}</p>
+      </div>
+      <ChevronRight className="text-white/40" size={16} />
+    </button>
+  );
+
+  const songsListId = deferredQuery.trim() || sort.field ? viewListId('songs') : LIBRARY_LIST_ID;
+  const resetKey = `${tab}|${openGroupKey}|${deferredQuery}|${sort.field}|${sort.direction}`;
+  const emptyMessage = deferredQuery.trim() ? 'No matches.' : 'Nothing here yet.';
+
+  let content;
+  if (tab === 'songs') {
+    const sortedIds = sortedMatches.map(track => track.id);
+    content = (
+      <>
+        <div className="flex flex-wrap gap-1 mb-2">
+          {SORT_FIELDS.map(field => (
+            <button
+              key={field.id}
+              onClick={() => toggleSort(field.id)}
+              aria-pressed={sort.field === field.id}
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-lg text-xs transition-colors ${
+                sort.field === field.id ? 'bg-white/25 text-white' : 'text-white/50 hover:text-white hover:bg-white/10'
+              }`}
+            >
+              {field.label}
+              {sort.field === field.id && (sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+            </button>
+          ))}
+        </div>
+        <VirtualRows
+          items={sortedMatches}
+          rowHeight={SONG_ROW_HEIGHT}
+          resetKey={resetKey}
+          getKey={track => track.id}
+          renderRow={(track, index) => renderSongRow(track, index, sortedIds, songsListId)}
+        />
+      </>
+    );
+  } else if (openGroup) {
+    const listId = viewListId(`${tab}:${openGroup.key}`);
+    const groupIds = openGroup.tracks.map(track => track.id);
+    content = (
+      <>
+        <div className="flex items-center gap-2 mb-2">
+          <button
+            onClick={() => setOpenGroupKey(null)}
+            className="p-1 rounded-lg text-white/60 hover:text-white hover:bg-white/10"
+            aria-label="Back"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <div className="flex-1 min-w-0">
+            <p className="text-white text-sm font-semibold truncate">{openGroup.name}</p>
+            <p className="text-white/50 text-xs truncate">{formatGroupDetail(openGroup)}</p>
+          </div>
+          <button
+            onClick={() => onPlay(openGroup.tracks[0], groupIds, listId)}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded-lg bg-purple-500/60 hover:bg-purple-500/80 text-white text-xs"
+          >
+            <Play size={12} />
+            Play all
+          </button>
+        </div>
+        <VirtualRows
+          items={openGroup.tracks}
+          rowHeight={SONG_ROW_HEIGHT}
+          resetKey={resetKey}
+          getKey={track => track.id}
+          renderRow={(track, index) => renderSongRow(track, index, groupIds, listId)}
+        />
+      </>
+    );
+  } else {
+    content = (
+      <VirtualRows
+        items={groups}
+        rowHeight={GROUP_ROW_HEIGHT}
+        resetKey={resetKey}
+        getKey={group => group.key}
+        renderRow={renderGroupRow}
+      />
+    );
+  }
+
+  const isEmpty = tab === 'songs' || openGroup ? matches.length === 0 : groups.length === 0;
+
+  return (
+    <div>
+      <div className="flex items-center gap-1 mb-2" role="tablist">
+        {LIBRARY_TABS.map(item => (
+          <button
+            key={item.id}
+            role="tab"
+            aria-selected={tab === item.id}
+            onClick={() => changeTab(item.id)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+              tab === item.id ? 'bg-white/25 text-white' : 'text-white/60 hover:text-white hover:bg-white/10'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+        <span className="ml-auto text-white/40 text-xs tabular-nums">
+          {matches.length === tracks.length ? tracks.length : `${matches.length} of ${tracks.length}`}
+        </span>
+      </div>
+
+      <div className="relative mb-2">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-white/40" size={14} />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+          placeholder="Search title, artist, album, genre…"
+          aria-label="Search library"
+          className="w-full pl-8 pr-8 py-1.5 rounded-xl bg-white/10 border border-white/20 text-white text-sm placeholder-white/40 focus:outline-none focus:border-purple-400/60"
+        />
+        {query && (
+          <button
+            onClick={() => setQuery('')}
+            className="absolute right-2 top-1/2 -translate-y-1/2 p-0.5 rounded-full text-white/40 hover:text-white"
+            aria-label="Clear search"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {isEmpty ? (
+        <p className="text-white/50 text-sm py-4 text-center">{emptyMessage}</p>
+      ) : content}
+    </div>
+  );
+};
+
+export default LibraryBrowser;
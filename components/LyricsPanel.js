@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FileText, MicVocal, Minus, Plus, RotateCcw } from 'lucide-react';
+import { usePlaybackTime } from '../hooks/usePlaybackTime';
+import {
+  LYRICS_FILE_EXTENSION,
+  LYRICS_OFFSET_STEP,
+  clampLyricsOffset,
+  findLyricsLine
+} from '../utils/lyrics';
+
+// Auto-scroll stays off for a while after the user scrolls the lyrics
+const MANUAL_SCROLL_PAUSE = 4000;
+
+const SOURCE_LABELS = {
+  lrc: '.lrc file',
+  sylt: 'Synced tag',
+  tag: 'Embedded tag'
+};
+
+// Lyrics for the playing track. Synced lyrics follow playback karaoke-style
+// (the current line fills as it's sung) and a click on a line seeks to it;
+// the offset shifts every line for files that are slightly out of time.
+const LyricsPanel = ({ track, onSeek, onOffsetChange, onLoadFile }) => {
+  const { currentTime } = usePlaybackTime();
+  const fileInputRef = useRef(null);
+  const containerRef = useRef(null);
+  const lineRefs = useRef([]);
+  const manualScrollUntilRef = useRef(0);
+  const [loadError, setLoadError] = useState('');
+
+  const lyrics = track.lyrics;
+  const lines = lyrics?.lines || [];
+  const offset = track.lyricsOffset || 0;
+  const synced = !!lyrics?.synced;
+  const activeIndex = synced ? findLyricsLine(lines, currentTime - offset) : -1;
+
+  const active = lines[activeIndex];
+  const nextTime = lines[activeIndex + 1]?.time;
+  const lineProgress = active && Number.isFinite(nextTime) && nextTime > active.time
+    ? Math.min(Math.max((currentTime - offset - active.time) / (nextTime - active.time), 0), 1)
+    : 1;
+
+  useEffect(() => {
+    setLoadError('');
+    containerRef.current?.scrollTo({ top: 0 });
+  }, [track.id]);
+
+  // Keep the current line in the middle of the panel (scrolling only the
+  // panel, not the page)
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = lineRefs.current[activeIndex];
+    if (!container || !line || Date.now() < manualScrollUntilRef.current) return;
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.offsetHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [activeIndex]);
+
+  // Wheel, touch and scrollbar drags are the user's; scroll events alone
+  // can't tell them apart from the smooth auto-scroll
+  const handleUserScroll = () => {
+    manualScrollUntilRef.current = Date.now() + MANUAL_SCROLL_PAUSE;
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setLoadError('');
+    try {
+      await onLoadFile(file);
+    } catch (error) {
+      setLoadError(error.message || 'Could not read these lyrics');
+    }
+  };
+
+  const changeOffset = delta => onOffsetChange(clampLyricsOffset(offset + delta));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2 text-white">
+          <MicVocal size={18} />
+          <span className="font-semibold">Lyrics</span>
+          {lyrics && (
+            <span className="text-white/40 text-xs">
+              {SOURCE_LABELS[lyrics.source] || 'Lyrics'}{synced ? '' : ' · not synced'}
+            </span>
+          )}
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={`.${LYRICS_FILE_EXTENSION},text/plain`}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          title={`Load an .${LYRICS_FILE_EXTENSION} file for this song`}
+          className="inline-flex items-center gap-1 text-xs text-white/70 hover:text-white"
+        >
+          <FileText size={14} />
+          {lyrics ? 'Replace' : 'Load .lrc'}
+        </button>
+      </div>
+
+      {loadError && <p className="text-red-300 text-xs mb-2">{loadError}</p>}
+
+      {lines.length === 0 ? (
+        <p className="text-white/50 text-sm">
+          No lyrics for this song. Load an .lrc file, or import one next to the song with the same name.
+        </p>
+      ) : (
+        <div
+          ref={containerRef}
+          onWheel={handleUserScroll}
+          onTouchMove={handleUserScroll}
+          onPointerDown={e => e.target === e.currentTarget && handleUserScroll()}
+          className="relative max-h-56 overflow-y-auto space-y-1 pr-1 text-center"
+        >
+          {lines.map((line, index) => {
+            const isActive = index === activeIndex;
+            const isPast = synced && index < activeIndex;
+            const content = line.text || '♪';
+            return synced ? (
+              <button
+                key={index}
+                ref={element => { lineRefs.current[index] = element; }}
+                onClick={() => onSeek(line.time + offset)}
+                className={`block w-full px-2 py-1 rounded-lg transition-colors hover:bg-white/10 ${
+                  isActive ? 'text-lg font-semibold' : isPast ? 'text-white/40 text-sm' : 'text-white/70 text-sm'
+                }`}
+              >
+                {isActive ? (
+                  <span
+                    className="bg-clip-text text-transparent transition-[background-size] duration-300 ease-linear"
+                    style={{
+                      backgroundImage: 'linear-gradient(to right, #f0abfc, #f0abfc), linear-gradient(to right, #ffffff, #ffffff)',
+                      backgroundSize: `${lineProgress * 100}% 100%, 100% 100%`,
+                      backgroundRepeat: 'no-repeat'
+                    }}
+                  >
+                    {content}
+                  </span>
+                ) : content}
+              </button>
+            ) : (
+              <p key={index} className="text-white/80 text-sm min-h-[1.25rem]">{line.text}</p>
+            );
+          })}
+        </div>
+      )}
+
+      {synced && (
+        <div className="flex items-center justify-center gap-2 mt-3 text-xs text-white/60">
+          <span>Timing</span>
+          <button
+            onClick={() => changeOffset(-LYRICS_OFFSET_STEP)}
+            title="Show lyrics earlier"
+            className="p-1 rounded-full hover:bg-white/10 hover:text-white"
+          >
+            <Minus size={12} />
+          </button>
+          <span className="w-12 text-center tabular-nums">
+            {offset > 0 ? '+' : ''}{offset.toFixed(1)}s
+          </span>
+          <button
+            onClick={() => changeOffset(LYRICS_OFFSET_STEP)}
+            title="Show lyrics later"
+            className="p-1 rounded-full hover:bg-white/10 hover:text-white"
+          >
+            <Plus size={12} />
+          </button>
+          {offset !== 0 && (
+            <button
+              onClick={() => onOffsetChange(0)}
+              title="Reset timing"
+              className="p-1 rounded-full hover:bg-white/10 hover:text-white"
+            >
+              <RotateCcw size={12} />
+            </button>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default LyricsPanel;
@@ -1,239 +0,0 @@
-'use client';
-
-import React, { useState, useRef, useEffect } from 'react';
-import { motion } from 'framer-motion';
-import { Play, Pause, Volume2, VolumeX, SkipBack, SkipForward } from 'lucide-react';
-import { Button } from './ui/button';
-import { Card } from './ui/card';
-
-const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const audioRef = useRef(null);
-  const progressRef = useRef(null);
-
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const updateTime = () => setCurrentTime(audio.currentTime);
-    const updateDuration = () => setDuration(audio.duration);
-    const handleEnded = () => {
-      setIsPlaying(false);
-      handleNext();
-    };
-
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
-
-    return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
-    };
-  }, [currentTrack]);
-
-  useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = isMuted ? 0 : volume;
-    }
-  }, [volume, isMuted]);
-
-  const togglePlayPause = () => {
-    if (!audioRef.current || !currentTrack) return;
-
-    if (isPlaying) {
-      audioRef.current.pause();
-    } else {
-      audioRef.current.play();
-    }
-    setIsPlaying(!isPlaying);
-  };
-
-  const handleProgressClick = (e) => {
-    if (!audioRef.current || !progressRef.current) return;
-
-    const rect = progressRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const newTime = (clickX / rect.width) * duration;
-    
-    audioRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
-  };
-
-  const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value);
-    setVolume(newVolume);
-    setIsMuted(newVolume === 0);
-  };
-
-  const toggleMute = () => {
-    setIsMuted(!isMuted);
-  };
-
-  const handleNext = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const nextIndex = (currentIndex + 1) % playlist.length;
-    onTrackChange(playlist[nextIndex]);
-  };
-
-  const handlePrevious = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const prevIndex = currentIndex === 0 ? playlist.length - 1 : currentIndex - 1;
-    onTrackChange(playlist[prevIndex]);
-  };
-
-  const formatTime = (time) => {
-    if (isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
-
-  if (!currentTrack) {
-    return (
-      <Card className="p-6 bg-white/10 backdrop-blur-md border border-white/20">
-        <div className="text-center text-white/60">
-          Upload a track to start playing music
-        </div>
-      </Card>
-    );
-  }
-
-  return (
-    <Card className="p-6 bg-white/10 backdrop-blur-md border border-white/20">
-      <audio
-        ref={audioRef}
-        src={currentTrack.url}
-        preload="metadata"
-      />
-      
-      {/* Track Info */}
-      <div className="mb-6 text-center">
-        <h3 className="text-xl font-semibold text-white mb-1">
-          {currentTrack.name}
-        </h3>
-        <p className="text-white/60 text-sm">
-          {currentTrack.artist || 'Unknown Artist'}
-        </p>
-      </div>
-
-      {/* Progress Bar */}
-      <div className="mb-4">
-        <div
-          ref={progressRef}
-          className="w-full h-2 bg-white/20 rounded-full cursor-pointer overflow-hidden"
-          onClick={handleProgressClick}
-        >
-          <motion.div
-            className="h-full bg-gradient-to-r from-purple-400 to-pink-400"
-            initial={{ width: 0 }}
-            animate={{ width: `${(currentTime / duration) * 100 || 0}%` }}
-            transition={{ duration: 0.1 }}
-          />
-        </div>
-        <div className="flex justify-between text-xs text-white/60 mt-1">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(duration)}</span>
-        </div>
-      </div>
-
-      {/* Controls */}
-      <div className="flex items-center justify-center gap-4 mb-4">
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={handlePrevious}
-          className="text-white hover:text-purple-300 hover:bg-white/10"
-          disabled={!playlist || playlist.length <= 1}
-        >
-          <SkipBack className="w-5 h-5" />
-        </Button>
-
-        <Button
-          variant="ghost"
-          size="lg"
-          onClick={togglePlayPause}
-          className="text-white hover:text-purple-300 hover:bg-white/10 w-12 h-12 rounded-full"
-        >
-          {isPlaying ? (
-            <Pause className="w-6 h-6" />
-          ) : (
-            <Play className="w-6 h-6 ml-0.5" />
-          )}
-        </Button>
-
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={handleNext}
-          className="text-white hover:text-purple-300 hover:bg-white/10"
-          disabled={!playlist || playlist.length <= 1}
-        >
-          <SkipForward className="w-5 h-5" />
-        </Button>
-      </div>
-
-      {/* Volume Control */}
-      <div className="flex items-center gap-3">
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={toggleMute}
-          className="text-white hover:text-purple-300 hover:bg-white/10 p-2"
-        >
-          {isMuted ? (
-            <VolumeX className="w-4 h-4" />
-          ) : (
-            <Volume2 className="w-4 h-4" />
-          )}
-        </Button>
-        
-        <div className="flex-1 relative">
-          <input
-            type="range"
-            min="0"
-            max="1"
-            step="0.01"
-            value={isMuted ? 0 : volume}
-            onChange={handleVolumeChange}
-            className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
-          />
-        </div>
-      </div>
-
-      <style jsx>{`
-        .slider::-webkit-slider-thumb {
-          appearance: none;
-          width: 16px;
-          height: 16px;
-          border-radius: 50%;
-          background: linear-gradient(45deg, #a855f7, #ec4899);
-          cursor: pointer;
-          border: 2px solid white;
-          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
-        }
-        
-        .slider::-moz-range-thumb {
-          width: 16px;
-          height: 16px;
-          border-radius: 50%;
-          background: linear-gradient(45deg, #a855f7, #ec4899);
-          cursor: pointer;
-          border: 2px solid white;
-          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
-        }
-      `}</style>
-    </Card>
-  );
-};
-
-export default MusicPlayer;
\ No newline at end of file
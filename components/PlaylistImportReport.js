@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronRight, X } from 'lucide-react';
+
+const describeEntry = ({ entry }) => {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return entry.location;
+};
+
+const ReportRow = ({ report }) => {
+  const [showUnmatched, setShowUnmatched] = useState(false);
+
+  if (report.error) {
+    return (
+      <div className="flex items-start gap-2 text-xs">
+        <AlertTriangle className="text-red-300 flex-shrink-0" size={14} />
+        <span className="text-red-200 min-w-0 break-words">{report.fileName}: {report.error}</span>
+      </div>
+    );
+  }
+
+  const complete = report.unmatched.length === 0;
+  return (
+    <div className="text-xs">
+      <div className="flex items-start gap-2">
+        {complete ? (
+          <CheckCircle2 className="text-green-300 flex-shrink-0" size={14} />
+        ) : (
+          <AlertTriangle className="text-yellow-300 flex-shrink-0" size={14} />
+        )}
+        <div className="flex-1 min-w-0">
+          <p className="text-white truncate">{report.name || report.fileName}</p>
+          <p className="text-white/50">
+            {report.matched} of {report.total} matched
+            {report.matched === 0 && ' · not created'}
+          </p>
+        </div>
+      </div>
+      {!complete && (
+        <>
+          <button
+            onClick={() => setShowUnmatched(value => !value)}
+            className="flex items-center gap-1 mt-1 ml-5 text-white/50 hover:text-white"
+          >
+            {showUnmatched ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+            {report.unmatched.length} not in your library
+          </button>
+          {showUnmatched && (
+            <ul className="mt-1 ml-5 max-h-32 overflow-y-auto space-y-0.5 text-white/60">
+              {report.unmatched.map(item => (
+                <li key={item.index} className="truncate" title={item.entry.location}>
+                  {item.index + 1}. {describeEntry(item)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// What happened to each imported playlist file, including the entries that
+// couldn't be found in the library
+const PlaylistImportReport = ({ reports, onDismiss }) => {
+  return (
+    <div className="p-3 rounded-xl bg-white/10 border border-white/20 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs uppercase tracking-wider text-white/50">Playlist import</span>
+        <button
+          onClick={onDismiss}
+          className="p-0.5 rounded-full text-white/40 hover:text-white"
+          aria-label="Dismiss import report"
+        >
+          <X size={12} />
+        </button>
+      </div>
+      {reports.map((report, index) => (
+        <ReportRow key={`${index}:${report.fileName}`} report={report} />
+      ))}
+    </div>
+  );
+};
+
+export default PlaylistImportReport;
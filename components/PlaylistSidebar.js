@@ -0,0 +1,291 @@
+import React, { useState, useRef } from 'react';
+import { motion, Reorder, useDragControls } from 'framer-motion';
+import {
+  Library,
+  Clock,
+  ListMusic,
+  Plus,
+  Pencil,
+  Trash2,
+  GripVertical,
+  Check,
+  X,
+  Download,
+  FileUp
+} from 'lucide-react';
+import PlaylistImportReport from './PlaylistImportReport';
+import { LIBRARY_LIST_ID, RECENTLY_ADDED_ID } from '../utils/playlists';
+import { PLAYLIST_FILE_TYPES, PLAYLIST_FORMATS } from '../utils/playlistFormats';
+
+export const TRACK_DRAG_TYPE = 'application/x-music-player-tracks';
+
+/**
+ * Reads dragged track ids from a drop event
+ * @param {DragEvent} e - The drop event
+ * @returns {Array<string>} - Track ids (empty if the drag wasn't ours)
+ */
+export const readDraggedTrackIds = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(TRACK_DRAG_TYPE) || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+const listButtonClass = (active) => `w-full flex items-center space-x-3 px-3 py-2 rounded-xl text-left transition-all duration-300 ${
+  active ? 'bg-white/20 text-white' : 'text-white/70 hover:bg-white/10 hover:text-white'
+}`;
+
+const PlaylistRow = ({ playlist, active, onSelect, onRename, onDelete, onExport, onDropTracks }) => {
+  const dragControls = useDragControls();
+  const [isEditing, setIsEditing] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [name, setName] = useState(playlist.name);
+  const [isDropTarget, setIsDropTarget] = useState(false);
+
+  const submitRename = () => {
+    if (name.trim()) onRename(playlist.id, name);
+    setIsEditing(false);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(TRACK_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDropTarget(false);
+    const trackIds = readDraggedTrackIds(e);
+    if (trackIds.length > 0) onDropTracks(playlist.id, trackIds);
+  };
+
+  return (
+    <Reorder.Item value={playlist.id} dragListener={false} dragControls={dragControls}>
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDropTarget(false)}
+        onDrop={handleDrop}
+        className={`group flex items-center rounded-xl ${isDropTarget ? 'ring-2 ring-purple-400 bg-purple-500/20' : ''}`}
+      >
+        <span
+          onPointerDown={(e) => dragControls.start(e)}
+          className="px-1 text-white/30 hover:text-white/70 cursor-grab touch-none"
+          title="Drag to reorder"
+        >
+          <GripVertical size={14} />
+        </span>
+
+        {isEditing ? (
+          <div className="flex-1 flex items-center space-x-1 py-1">
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitRename();
+                if (e.key === 'Escape') setIsEditing(false);
+              }}
+              className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white"
+            />
+            <button onClick={submitRename} className="p-1 text-green-400" title="Save">
+              <Check size={14} />
+            </button>
+            <button onClick={() => setIsEditing(false)} className="p-1 text-white/60" title="Cancel">
+              <X size={14} />
+            </button>
+          </div>
+        ) : (
+          <>
+            <button onClick={() => onSelect(playlist.id)} className={listButtonClass(active)}>
+              <ListMusic size={16} />
+              <span className="flex-1 truncate">{playlist.name}</span>
+              <span className="text-xs text-white/40">{playlist.trackIds.length}</span>
+            </button>
+            <div className={`${showExport ? 'flex' : 'hidden group-hover:flex'} relative items-center`}>
+              <button
+                onClick={() => setShowExport(value => !value)}
+                className="p-1 text-white/40 hover:text-white"
+                title="Export playlist"
+                aria-expanded={showExport}
+              >
+                <Download size={12} />
+              </button>
+              {showExport && (
+                <div className="absolute right-0 top-full z-20 mt-1 w-28 p-1 rounded-xl bg-indigo-950/95 border border-white/20 shadow-2xl">
+                  {PLAYLIST_FORMATS.map(format => (
+                    <button
+                      key={format.id}
+                      onClick={() => {
+                        onExport(playlist, format.id);
+                        setShowExport(false);
+                      }}
+                      className="w-full text-left px-2 py-1 rounded-lg text-sm text-white/80 hover:bg-white/10"
+                    >
+                      .{format.extension}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                onClick={() => {
+                  setName(playlist.name);
+                  setIsEditing(true);
+                }}
+                className="p-1 text-white/40 hover:text-white"
+                title="Rename"
+              >
+                <Pencil size={12} />
+              </button>
+              <button
+                onClick={() => onDelete(playlist)}
+                className="p-1 text-white/40 hover:text-red-400"
+                title="Delete playlist"
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Reorder.Item>
+  );
+};
+
+const PlaylistSidebar = ({
+  playlists,
+  activeListId,
+  libraryCount,
+  recentCount,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onReorder,
+  onDropTracks,
+  onImport,
+  onExport,
+  importReports,
+  onDismissImportReports
+}) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState('');
+  const importInputRef = useRef(null);
+
+  const handleImportChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length > 0) onImport(files);
+  };
+
+  const submitCreate = () => {
+    onCreate(newName || 'New Playlist');
+    setNewName('');
+    setIsCreating(false);
+  };
+
+  return (
+    <motion.aside
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      transition={{ duration: 0.6 }}
+      className="backdrop-blur-xl bg-white/10 rounded-3xl border border-white/20 shadow-2xl p-4 space-y-4 md:w-64 md:self-start"
+    >
+      <div className="space-y-1">
+        <button onClick={() => onSelect(LIBRARY_LIST_ID)} className={listButtonClass(activeListId === LIBRARY_LIST_ID)}>
+          <Library size={16} />
+          <span className="flex-1">Library</span>
+          <span className="text-xs text-white/40">{libraryCount}</span>
+        </button>
+        <button onClick={() => onSelect(RECENTLY_ADDED_ID)} className={listButtonClass(activeListId === RECENTLY_ADDED_ID)}>
+          <Clock size={16} />
+          <span className="flex-1">Recently Added</span>
+          <span className="text-xs text-white/40">{recentCount}</span>
+        </button>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between px-1 mb-2">
+          <span className="text-xs uppercase tracking-wider text-white/50">Playlists</span>
+          <div className="flex items-center">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept={PLAYLIST_FILE_TYPES}
+              multiple
+              onChange={handleImportChange}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="p-1 rounded-full text-white/60 hover:text-white hover:bg-white/10"
+              title="Import playlists (M3U, M3U8, PLS, XSPF)"
+            >
+              <FileUp size={14} />
+            </button>
+            <button
+              onClick={() => setIsCreating(true)}
+              className="p-1 rounded-full text-white/60 hover:text-white hover:bg-white/10"
+              title="New playlist"
+            >
+              <Plus size={14} />
+            </button>
+          </div>
+        </div>
+
+        {isCreating && (
+          <div className="flex items-center space-x-1 mb-2">
+            <input
+              autoFocus
+              value={newName}
+              placeholder="Playlist name"
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitCreate();
+                if (e.key === 'Escape') setIsCreating(false);
+              }}
+              className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-sm text-white placeholder-white/40"
+            />
+            <button onClick={submitCreate} className="p-1 text-green-400" title="Create">
+              <Check size={14} />
+            </button>
+          </div>
+        )}
+
+        {playlists.length === 0 && !isCreating ? (
+          <p className="px-1 text-white/40 text-sm">
+            Create a playlist, then drag songs onto it.
+          </p>
+        ) : (
+          <Reorder.Group
+            axis="y"
+            values={playlists.map(playlist => playlist.id)}
+            onReorder={onReorder}
+            className="space-y-1"
+          >
+            {playlists.map(playlist => (
+              <PlaylistRow
+                key={playlist.id}
+                playlist={playlist}
+                active={activeListId === playlist.id}
+                onSelect={onSelect}
+                onRename={onRename}
+                onDelete={onDelete}
+                onExport={onExport}
+                onDropTracks={onDropTracks}
+              />
+            ))}
+          </Reorder.Group>
+        )}
+      </div>
+
+      {importReports.length > 0 && (
+        <PlaylistImportReport reports={importReports} onDismiss={onDismissImportReports} />
+      )}
+    </motion.aside>
+  );
+};
+
+export default PlaylistSidebar;
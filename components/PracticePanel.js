@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Guitar, Minus, Plus, RotateCcw, Save, Trash2, X } from 'lucide-react';
+import { formatDuration } from '../utils/audioUtils';
+import {
+  MAX_PITCH_SHIFT,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  PLAYBACK_RATE_STEP,
+  clampPitchShift,
+  clampPlaybackRate,
+  formatPlaybackRate
+} from '../utils/practice';
+
+const formatMarker = time => (time === null ? '–' : formatDuration(time));
+
+// Speed, pitch and A-B loop controls for learning along with a track. The
+// loop can also be dragged out on the seek bar with Shift held.
+const PracticePanel = ({
+  playbackRate,
+  preservePitch,
+  pitchShift,
+  pitchShiftSupported,
+  markers,
+  loop,
+  savedLoops,
+  onPlaybackRateChange,
+  onPreservePitchChange,
+  onPitchShiftChange,
+  onSetStart,
+  onSetEnd,
+  onClearLoop,
+  onSaveLoop,
+  onApplyLoop,
+  onDeleteLoop
+}) => {
+  const [loopName, setLoopName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSaveLoop(loopName);
+    setLoopName('');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 space-y-4"
+    >
+      <div className="flex items-center space-x-2 text-white">
+        <Guitar size={18} />
+        <span className="font-semibold">Practice</span>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between text-xs text-white/60 mb-1">
+          <span>Speed</span>
+          <span className="flex items-center gap-2">
+            <span className="text-white tabular-nums">{formatPlaybackRate(playbackRate)}</span>
+            {playbackRate !== 1 && (
+              <button
+                onClick={() => onPlaybackRateChange(1)}
+                title="Normal speed"
+                className="text-white/60 hover:text-white"
+              >
+                <RotateCcw size={12} />
+              </button>
+            )}
+          </span>
+        </div>
+        <input
+          type="range"
+          min={MIN_PLAYBACK_RATE}
+          max={MAX_PLAYBACK_RATE}
+          step={PLAYBACK_RATE_STEP}
+          value={playbackRate}
+          onChange={e => onPlaybackRateChange(clampPlaybackRate(e.target.value))}
+          aria-label="Playback speed"
+          className="w-full accent-purple-400"
+        />
+        <label className="flex items-center gap-2 mt-1 text-xs text-white/70">
+          <input
+            type="checkbox"
+            checked={preservePitch}
+            onChange={e => onPreservePitchChange(e.target.checked)}
+            className="accent-purple-400"
+          />
+          Keep pitch when changing speed
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-white/60">
+        <span title={pitchShiftSupported ? undefined : 'Not supported in this browser'}>Pitch</span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onPitchShiftChange(clampPitchShift(pitchShift - 1))}
+            disabled={!pitchShiftSupported || pitchShift <= -MAX_PITCH_SHIFT}
+            title="Down a semitone"
+            className="p-1 rounded-lg text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-40"
+          >
+            <Minus size={14} />
+          </button>
+          <span className="w-20 text-center text-white tabular-nums">
+            {pitchShift > 0 ? '+' : ''}{pitchShift} {Math.abs(pitchShift) === 1 ? 'semitone' : 'semitones'}
+          </span>
+          <button
+            onClick={() => onPitchShiftChange(clampPitchShift(pitchShift + 1))}
+            disabled={!pitchShiftSupported || pitchShift >= MAX_PITCH_SHIFT}
+            title="Up a semitone"
+            className="p-1 rounded-lg text-white/70 hover:text-white hover:bg-white/10 disabled:opacity-40"
+          >
+            <Plus size={14} />
+          </button>
+          {pitchShift !== 0 && (
+            <button
+              onClick={() => onPitchShiftChange(0)}
+              title="Original pitch"
+              className="p-1 text-white/60 hover:text-white"
+            >
+              <RotateCcw size={12} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center gap-2 text-xs">
+          <span className="text-white/60 mr-auto">A-B loop</span>
+          <button
+            onClick={onSetStart}
+            className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white tabular-nums"
+          >
+            A {formatMarker(markers.start)}
+          </button>
+          <button
+            onClick={onSetEnd}
+            className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white tabular-nums"
+          >
+            B {formatMarker(markers.end)}
+          </button>
+          <button
+            onClick={onClearLoop}
+            disabled={markers.start === null && markers.end === null}
+            title="Clear loop"
+            className="p-1 rounded-lg text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-40"
+          >
+            <X size={14} />
+          </button>
+        </div>
+        <p className="text-white/40 text-xs mt-1">
+          {loop
+            ? `Looping ${formatDuration(loop.start)}–${formatDuration(loop.end)}`
+            : 'Set A and B while playing, or Shift-drag on the waveform.'}
+        </p>
+
+        {loop && (
+          <form onSubmit={handleSave} className="flex items-center gap-2 mt-2">
+            <input
+              type="text"
+              value={loopName}
+              onChange={e => setLoopName(e.target.value)}
+              placeholder="Name this loop"
+              className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-white/40"
+            />
+            <button
+              type="submit"
+              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white text-xs"
+            >
+              <Save size={12} />
+              Save
+            </button>
+          </form>
+        )}
+
+        {savedLoops.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {savedLoops.map(saved => (
+              <li key={saved.id} className="flex items-center gap-2 text-xs">
+                <button
+                  onClick={() => onApplyLoop(saved)}
+                  title="Loop this section"
+                  className={`flex-1 min-w-0 flex items-center justify-between px-2 py-1 rounded-lg text-left transition-colors ${
+                    loop && loop.start === saved.start && loop.end === saved.end
+                      ? 'bg-white/20 text-white'
+                      : 'text-white/80 hover:bg-white/10'
+                  }`}
+                >
+                  <span className="truncate">{saved.name}</span>
+                  <span className="text-white/50 tabular-nums ml-2">
+                    {formatDuration(saved.start)}–{formatDuration(saved.end)}
+                  </span>
+                </button>
+                <button
+                  onClick={() => onDeleteLoop(saved.id)}
+                  title="Delete loop"
+                  className="p-1 rounded-lg text-white/50 hover:text-red-300 hover:bg-white/10"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default PracticePanel;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { ListMusic, X } from 'lucide-react';
+import CoverArt from './CoverArt';
+
+const QueuePanel = ({ tracks, onRemove, onClear }) => {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2 text-white">
+          <ListMusic size={18} />
+          <span className="font-semibold">Up Next</span>
+        </div>
+        {tracks.length > 0 && (
+          <button
+            onClick={onClear}
+            className="text-xs text-white/70 hover:text-white underline"
+          >
+            Clear queue
+          </button>
+        )}
+      </div>
+
+      {tracks.length === 0 ? (
+        <p className="text-white/50 text-sm">
+          Nothing queued. The current list keeps playing in order.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-48 overflow-y-auto">
+          {tracks.map((track, index) => (
+            <div
+              key={`${track.id}-${index}`}
+              className="flex items-center space-x-3 p-2 rounded-xl bg-white/10 border border-white/10"
+            >
+              <CoverArt src={track.artworkUrl} className="w-8 h-8 rounded-lg" iconSize={14} />
+              <div className="flex-1 min-w-0">
+                <p className="text-white text-sm truncate">{track.name}</p>
+                {track.artist && (
+                  <p className="text-white/50 text-xs truncate">{track.artist}</p>
+                )}
+              </div>
+              <button
+                onClick={() => onRemove(index)}
+                title="Remove from queue"
+                className="p-1 rounded-full text-white/40 hover:text-red-400 hover:bg-white/10"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default QueuePanel;
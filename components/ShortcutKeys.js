@@ -0,0 +1,29 @@
+import React from 'react';
+import { formatCombo } from '../utils/shortcuts';
+
+// Key caps for one or more combos, e.g. "Space / K"
+const ShortcutKeys = ({ combos, className = '' }) => {
+  if (!combos || combos.length === 0) {
+    return <span className={`text-white/30 text-xs ${className}`}>Not set</span>;
+  }
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${className}`}>
+      {combos.map((combo, index) => (
+        <React.Fragment key={combo}>
+          {index > 0 && <span className="text-white/30 text-xs">/</span>}
+          {formatCombo(combo).map((part, partIndex) => (
+            <kbd
+              key={partIndex}
+              className="min-w-[1.5rem] px-1.5 py-0.5 rounded-md bg-white/10 border border-white/20 text-white/80 text-xs font-sans text-center"
+            >
+              {part}
+            </kbd>
+          ))}
+        </React.Fragment>
+      ))}
+    </span>
+  );
+};
+
+export default ShortcutKeys;
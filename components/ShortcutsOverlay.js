@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { Keyboard, RotateCcw, X } from 'lucide-react';
+import ShortcutKeys from './ShortcutKeys';
+import { SHORTCUT_ACTIONS, eventToCombo } from '../utils/shortcuts';
+
+const GROUPS = [...new Set(SHORTCUT_ACTIONS.map(action => action.group))];
+
+// Help overlay listing every shortcut. Clicking a row's keys records a new
+// combo: Escape cancels, Backspace leaves the action unbound.
+const ShortcutsOverlay = ({ open, onOpenChange, bindings, overrides, onBind, onClear, onReset }) => {
+  const [recordingId, setRecordingId] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const handleOpenChange = (isOpen) => {
+    setRecordingId(null);
+    setNotice('');
+    onOpenChange(isOpen);
+  };
+
+  const handleRecordKeyDown = (event, action) => {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.key === 'Escape') {
+      setRecordingId(null);
+      return;
+    }
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+      onClear(action.id);
+      setNotice(`${action.label} has no shortcut now.`);
+      setRecordingId(null);
+      return;
+    }
+
+    const combo = eventToCombo(event);
+    if (!combo) return;
+    const replacedAction = onBind(action.id, combo);
+    setNotice(replacedAction ? `Moved from "${replacedAction.label}", which has no shortcut for it now.` : '');
+    setRecordingId(null);
+  };
+
+  return (
+    <Dialog.Root open={open} onOpenChange={handleOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 z-50 w-[min(32rem,calc(100vw-2rem))] max-h-[85vh] -translate-x-1/2 -translate-y-1/2 overflow-y-auto rounded-3xl border border-white/20 bg-indigo-950/80 backdrop-blur-xl p-6 text-white shadow-2xl focus:outline-none">
+          <div className="flex items-center justify-between mb-1">
+            <Dialog.Title className="flex items-center gap-2 text-lg font-semibold">
+              <Keyboard size={18} />
+              Keyboard shortcuts
+            </Dialog.Title>
+            <Dialog.Close className="p-1 rounded-full text-white/60 hover:text-white hover:bg-white/10" aria-label="Close">
+              <X size={18} />
+            </Dialog.Close>
+          </div>
+          <Dialog.Description className="text-white/50 text-xs mb-4">
+            Click a shortcut, then press the new keys. Backspace removes it, Escape cancels.
+          </Dialog.Description>
+
+          {notice && <p className="text-purple-200 text-xs mb-3">{notice}</p>}
+
+          {GROUPS.map(group => (
+            <section key={group} className="mb-4">
+              <h3 className="text-white/60 text-xs font-semibold uppercase tracking-wide mb-1">{group}</h3>
+              <ul className="divide-y divide-white/5">
+                {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => (
+                  <li key={action.id} className="flex items-center justify-between gap-3 py-1.5 text-sm">
+                    <span className="text-white/90">{action.label}</span>
+                    <span className="flex items-center gap-1">
+                      <button
+                        onClick={() => setRecordingId(action.id)}
+                        onKeyDown={recordingId === action.id ? (e) => handleRecordKeyDown(e, action) : undefined}
+                        onBlur={() => setRecordingId(id => (id === action.id ? null : id))}
+                        className={`px-1.5 py-1 rounded-lg border transition-colors ${
+                          recordingId === action.id
+                            ? 'border-purple-400 bg-purple-500/20'
+                            : 'border-transparent hover:border-white/20'
+                        }`}
+                        title="Change shortcut"
+                      >
+                        {recordingId === action.id
+                          ? <span className="text-purple-200 text-xs px-1">Press keys…</span>
+                          : <ShortcutKeys combos={bindings[action.id]} />}
+                      </button>
+                      <button
+                        onClick={() => onReset(action.id)}
+                        disabled={!overrides[action.id]}
+                        className="p-1 rounded-full text-white/40 hover:text-white disabled:invisible"
+                        title="Restore default"
+                      >
+                        <RotateCcw size={12} />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          <button
+            onClick={() => {
+              onReset();
+              setNotice('All shortcuts restored to their defaults.');
+            }}
+            disabled={Object.keys(overrides).length === 0}
+            className="text-xs text-white/60 hover:text-white disabled:opacity-40"
+          >
+            Restore all defaults
+          </button>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+};
+
+export default ShortcutsOverlay;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Moon, X } from 'lucide-react';
+import { useSleepTimerRemaining } from '../hooks/useSleepTimer';
+import {
+  MAX_SLEEP_TIMER_MINUTES,
+  SLEEP_TIMER_EXTEND_MINUTES,
+  SLEEP_TIMER_PRESETS,
+  clampSleepMinutes,
+  describeSleepTimer
+} from '../utils/sleepTimer';
+
+// Sleep timer row for the now-playing card: pick a length or "end of
+// track/queue", then see the time left with buttons to extend or cancel
+const SleepTimer = ({ timer, subscribeRemaining, lastMinutes, onStart, onExtend, onCancel }) => {
+  const [customMinutes, setCustomMinutes] = useState(null);
+  const remaining = useSleepTimerRemaining(subscribeRemaining);
+
+  const handleSelect = (e) => {
+    const { value } = e.target;
+    if (value === 'custom') {
+      setCustomMinutes(lastMinutes);
+    } else if (value === 'track' || value === 'queue') {
+      onStart(value);
+    } else if (value) {
+      onStart('duration', Number(value));
+    }
+  };
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    onStart('duration', clampSleepMinutes(customMinutes));
+    setCustomMinutes(null);
+  };
+
+  if (timer) {
+    return (
+      <div className="flex items-center space-x-2 mt-3 text-xs text-white/60">
+        <Moon className="text-purple-300" size={16} />
+        <span className="text-white/80 tabular-nums" aria-live="polite">
+          {describeSleepTimer(timer, remaining)}
+        </span>
+        <button
+          onClick={() => onExtend(SLEEP_TIMER_EXTEND_MINUTES)}
+          title={`Add ${SLEEP_TIMER_EXTEND_MINUTES} minutes`}
+          className="ml-auto px-2 py-0.5 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white"
+        >
+          +{SLEEP_TIMER_EXTEND_MINUTES} min
+        </button>
+        <button
+          onClick={onCancel}
+          title="Cancel sleep timer"
+          className="p-1 rounded-lg text-white/60 hover:text-white hover:bg-white/10"
+        >
+          <X size={14} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center space-x-2 mt-3 text-xs text-white/60">
+      <Moon className="text-white" size={16} />
+      <span>Sleep timer</span>
+      {customMinutes === null ? (
+        <select
+          value=""
+          onChange={handleSelect}
+          className="bg-white/10 border border-white/20 rounded-lg px-2 py-0.5 text-white"
+        >
+          <option value="">Off</option>
+          {SLEEP_TIMER_PRESETS.map(minutes => (
+            <option key={minutes} value={minutes}>{minutes} min</option>
+          ))}
+          <option value="custom">Custom…</option>
+          <option value="track">End of track</option>
+          <option value="queue">End of queue</option>
+        </select>
+      ) : (
+        <form onSubmit={handleCustomSubmit} className="flex items-center space-x-2">
+          <input
+            type="number"
+            min="1"
+            max={MAX_SLEEP_TIMER_MINUTES}
+            value={customMinutes}
+            onChange={e => setCustomMinutes(e.target.value)}
+            aria-label="Minutes"
+            autoFocus
+            className="w-16 bg-white/10 border border-white/20 rounded-lg px-2 py-0.5 text-white"
+          />
+          <span>min</span>
+          <button
+            type="submit"
+            className="px-2 py-0.5 rounded-lg bg-white/10 hover:bg-white/20 border border-white/20 text-white"
+          >
+            Start
+          </button>
+          <button
+            type="button"
+            onClick={() => setCustomMinutes(null)}
+            className="text-white/60 hover:text-white underline"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SleepTimer;
@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { motion, Reorder, useDragControls } from 'framer-motion';
+import { Play, Pause, X, ListStart, ListEnd, ListPlus, GripVertical } from 'lucide-react';
+import CoverArt from './CoverArt';
+import { TRACK_DRAG_TYPE } from './PlaylistSidebar';
+
+const actionButtonClass = 'p-1 rounded-full text-white/40 hover:text-white hover:bg-white/10';
+
+export const SongRowContent = ({
+  entry,
+  index,
+  isCurrent,
+  isPlaying,
+  playlists,
+  removeLabel,
+  dragHandle,
+  detail,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onRemove
+}) => {
+  const { track } = entry;
+  const [showMenu, setShowMenu] = useState(false);
+
+  return (
+    <div className="flex items-center space-x-3">
+      {dragHandle}
+      <CoverArt src={track.artworkUrl} className="w-8 h-8 rounded-lg">
+        {isCurrent && isPlaying ? (
+          <Pause className="text-white" size={14} />
+        ) : (
+          <Play className="text-white" size={14} />
+        )}
+      </CoverArt>
+      <div className="flex-1 min-w-0">
+        <p className="text-white truncate">{track.name}</p>
+        {track.artist && (
+          <p className="text-white/50 text-xs truncate">{track.artist}</p>
+        )}
+      </div>
+      {detail && (
+        <span className="text-white/40 text-xs tabular-nums whitespace-nowrap">{detail}</span>
+      )}
+      <button
+        onClick={(e) => onPlayNext(e, track)}
+        title="Play next"
+        className={actionButtonClass}
+      >
+        <ListStart size={14} />
+      </button>
+      <button
+        onClick={(e) => onAddToQueue(e, track)}
+        title="Add to queue"
+        className={actionButtonClass}
+      >
+        <ListEnd size={14} />
+      </button>
+      <div className="relative">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setShowMenu(prev => !prev);
+          }}
+          title="Add to playlist"
+          className={actionButtonClass}
+        >
+          <ListPlus size={14} />
+        </button>
+        {showMenu && (
+          <div
+            onClick={(e) => e.stopPropagation()}
+            className="absolute right-0 z-20 mt-1 w-44 p-1 rounded-xl bg-indigo-950/95 border border-white/20 shadow-2xl"
+          >
+            {playlists.length === 0 && (
+              <p className="px-2 py-1 text-xs text-white/50">No playlists yet</p>
+            )}
+            {playlists.map(playlist => (
+              <button
+                key={playlist.id}
+                onClick={() => {
+                  onAddToPlaylist(playlist.id, [track.id]);
+                  setShowMenu(false);
+                }}
+                className="w-full text-left px-2 py-1 rounded-lg text-sm text-white/80 hover:bg-white/10 truncate"
+              >
+                {playlist.name}
+              </button>
+            ))}
+            <button
+              onClick={() => {
+                onAddToPlaylist(null, [track.id]);
+                setShowMenu(false);
+              }}
+              className="w-full text-left px-2 py-1 rounded-lg text-sm text-purple-300 hover:bg-white/10"
+            >
+              New playlist…
+            </button>
+          </div>
+        )}
+      </div>
+      <button
+        onClick={(e) => onRemove(e, track, index)}
+        title={removeLabel}
+        className="p-1 rounded-full text-white/40 hover:text-red-400 hover:bg-white/10"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export const songRowClass = (isCurrent) => `p-3 rounded-xl border cursor-pointer transition-colors duration-300 ${
+  isCurrent
+    ? 'bg-white/20 border-purple-400/50'
+    : 'bg-white/10 border-white/20 hover:bg-white/15'
+}`;
+
+const ReorderableSongRow = ({ entry, onPlay, ...props }) => {
+  const dragControls = useDragControls();
+
+  return (
+    <Reorder.Item
+      value={entry.key}
+      dragListener={false}
+      dragControls={dragControls}
+      onClick={() => onPlay(entry.track)}
+      className={songRowClass(props.isCurrent)}
+    >
+      <SongRowContent
+        entry={entry}
+        {...props}
+        dragHandle={(
+          <span
+            onPointerDown={(e) => dragControls.start(e)}
+            onClick={(e) => e.stopPropagation()}
+            className="text-white/30 hover:text-white/70 cursor-grab touch-none"
+            title="Drag to reorder"
+          >
+            <GripVertical size={14} />
+          </span>
+        )}
+      />
+    </Reorder.Item>
+  );
+};
+
+/**
+ * Song list for the library, smart lists and playlists
+ * @param {Array} entries - [{ key, track }]; keys stay unique even when a
+ *   playlist holds the same track twice
+ * @param {boolean} reorderable - Enables drag-to-reorder (playlists only)
+ */
+const SongList = ({
+  entries,
+  currentSongId,
+  isPlaying,
+  playlists,
+  reorderable = false,
+  removeLabel = 'Remove from library',
+  onPlay,
+  onReorder,
+  onPlayNext,
+  onAddToQueue,
+  onAddToPlaylist,
+  onRemove
+}) => {
+  const rowProps = (entry, index) => ({
+    index,
+    isCurrent: currentSongId === entry.track.id,
+    isPlaying,
+    playlists,
+    removeLabel,
+    onPlayNext,
+    onAddToQueue,
+    onAddToPlaylist,
+    onRemove
+  });
+
+  if (reorderable) {
+    return (
+      <Reorder.Group
+        axis="y"
+        values={entries.map(entry => entry.key)}
+        onReorder={onReorder}
+        className="space-y-2 max-h-60 overflow-y-auto"
+      >
+        {entries.map((entry, index) => (
+          <ReorderableSongRow key={entry.key} entry={entry} onPlay={onPlay} {...rowProps(entry, index)} />
+        ))}
+      </Reorder.Group>
+    );
+  }
+
+  return (
+    <div className="space-y-2 max-h-60 overflow-y-auto">
+      {entries.map((entry, index) => (
+        <motion.div
+          key={entry.key}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => onPlay(entry.track)}
+          className={songRowClass(currentSongId === entry.track.id)}
+        >
+          {/* Plain div: motion components reserve onDragStart for their own gestures */}
+          <div
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(TRACK_DRAG_TYPE, JSON.stringify([entry.track.id]));
+              e.dataTransfer.effectAllowed = 'copy';
+            }}
+          >
+            <SongRowContent entry={entry} {...rowProps(entry, index)} />
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  );
+};
+
+export default SongList;
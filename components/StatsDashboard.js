@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { BarChart3, Download, Trash2, X } from 'lucide-react';
+import { Bar, BarChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import {
+  EXPORT_FORMATS,
+  STATS_RANGES,
+  exportListens,
+  filterListens,
+  getDailyListening,
+  getHourlyHeatmap,
+  getTopEntries,
+  summarizeListens
+} from '../utils/listeningHistory';
+import { downloadFile } from '../utils/fileDownload';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const TOP_LIMIT = 5;
+const TOP_LISTS = [
+  { id: 'tracks', label: 'Top tracks' },
+  { id: 'artists', label: 'Top artists' },
+  { id: 'albums', label: 'Top albums' }
+];
+
+const formatListeningTime = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+const SummaryCard = ({ label, value }) => (
+  <div className="rounded-2xl bg-white/10 border border-white/10 px-3 py-2">
+    <p className="text-white/50 text-xs">{label}</p>
+    <p className="text-white text-lg font-semibold tabular-nums">{value}</p>
+  </div>
+);
+
+// Listening statistics from the history log (see useListeningHistory), for a
+// chosen period, with exports for ListenBrainz and Last.fm
+const StatsDashboard = ({ open, onOpenChange, loadHistory, revision, onClearHistory }) => {
+  const [listens, setListens] = useState([]);
+  const [rangeId, setRangeId] = useState('30d');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    loadHistory()
+      .then((entries) => {
+        if (!cancelled) setListens(entries);
+      })
+      .catch((loadError) => {
+        console.error('Error loading listening history:', loadError);
+        if (!cancelled) setNotice('Could not load the listening history');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, revision, loadHistory]);
+
+  const stats = useMemo(() => {
+    const inRange = filterListens(listens, rangeId);
+    return {
+      summary: summarizeListens(inRange),
+      daily: getDailyListening(inRange, rangeId),
+      heatmap: getHourlyHeatmap(inRange),
+      top: Object.fromEntries(TOP_LISTS.map(list => [list.id, getTopEntries(inRange, list.id, TOP_LIMIT)]))
+    };
+  }, [listens, rangeId]);
+
+  const heatmapMax = Math.max(...stats.heatmap.flat(), 0);
+  const { summary } = stats;
+  const skipRate = summary.plays + summary.skips > 0 ? summary.skips / (summary.plays + summary.skips) : 0;
+
+  const handleOpenChange = (isOpen) => {
+    setNotice('');
+    onOpenChange(isOpen);
+  };
+
+  const handleExport = (formatId) => {
+    const { text, count, omitted } = exportListens(listens, formatId);
+    if (count === 0) {
+      setNotice('Nothing to export yet: only plays of songs with an artist can be exported.');
+      return;
+    }
+    downloadFile(text, `listening-history-${formatId}.json`, 'application/json');
+    setNotice(`Exported ${count} ${count === 1 ? 'play' : 'plays'}${omitted > 0 ? ` (${omitted} without an artist left out)` : ''}.`);
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete your whole listening history? Play counts on your songs are kept.')) return;
+    try {
+      await onClearHistory();
+      setNotice('Listening history deleted.');
+    } catch (clearError) {
+      console.error('Error clearing listening history:', clearError);
+      setNotice('Could not delete the listening history');
+    }
+  };
+
+  return (
+    <Dialog.Root open={open} onOpenChange={handleOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/50 backdrop-blur-sm" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 z-50 w-[min(56rem,calc(100vw-2rem))] max-h-[90vh] -translate-x-1/2 -translate-y-1/2 overflow-y-auto rounded-3xl border border-white/20 bg-indigo-950/80 backdrop-blur-xl p-6 text-white shadow-2xl focus:outline-none">
+          <div className="flex items-center justify-between gap-3 mb-1">
+            <Dialog.Title className="flex items-center gap-2 text-lg font-semibold">
+              <BarChart3 size={18} />
+              Listening stats
+            </Dialog.Title>
+            <div className="flex items-center gap-1">
+              {STATS_RANGES.map(range => (
+                <button
+                  key={range.id}
+                  onClick={() => setRangeId(range.id)}
+                  className={`px-2.5 py-1 rounded-lg text-xs transition-colors ${
+                    rangeId === range.id ? 'bg-white/25 text-white' : 'text-white/60 hover:text-white hover:bg-white/10'
+                  }`}
+                >
+                  {range.label}
+                </button>
+              ))}
+              <Dialog.Close className="ml-2 p-1 rounded-full text-white/60 hover:text-white hover:bg-white/10" aria-label="Close">
+                <X size={18} />
+              </Dialog.Close>
+            </div>
+          </div>
+          <Dialog.Description className="text-white/50 text-xs mb-4">
+            A song counts as played once you&apos;ve heard half of it or four minutes; moving on sooner is a skip.
+          </Dialog.Description>
+
+          {notice && <p className="text-purple-200 text-xs mb-3">{notice}</p>}
+
+          {listens.length === 0 ? (
+            <p className="text-white/50 text-sm py-8 text-center">Nothing listened to yet. Play some music and check back.</p>
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <SummaryCard label="Plays" value={summary.plays} />
+                <SummaryCard label="Listening time" value={formatListeningTime(summary.seconds)} />
+                <SummaryCard label="Skipped" value={`${summary.skips} (${formatPercent(skipRate)})`} />
+                <SummaryCard label="Songs · artists" value={`${summary.tracks} · ${summary.artists}`} />
+              </div>
+
+              <section>
+                <h3 className="text-white/60 text-xs font-semibold uppercase tracking-wide mb-2">Minutes per day</h3>
+                <div className="h-40">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={stats.daily} margin={{ top: 4, right: 4, bottom: 0, left: -24 }}>
+                      <XAxis dataKey="label" tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 10 }} tickLine={false} axisLine={false} minTickGap={16} />
+                      <YAxis tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 10 }} tickLine={false} axisLine={false} allowDecimals={false} />
+                      <Tooltip
+                        cursor={{ fill: 'rgba(255,255,255,0.08)' }}
+                        contentStyle={{ background: 'rgba(30,27,75,0.95)', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 12, fontSize: 12 }}
+                        labelStyle={{ color: 'rgba(255,255,255,0.7)' }}
+                        formatter={value => [`${value} min`, 'Listened']}
+                      />
+                      <Bar dataKey="minutes" fill="#c084fc" radius={[4, 4, 0, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </section>
+
+              <section>
+                <h3 className="text-white/60 text-xs font-semibold uppercase tracking-wide mb-2">When you listen</h3>
+                <div className="overflow-x-auto">
+                  <div className="grid gap-0.5 min-w-[32rem]" style={{ gridTemplateColumns: '2.5rem repeat(24, minmax(0, 1fr))' }}>
+                    <span />
+                    {Array.from({ length: 24 }, (_, hour) => (
+                      <span key={hour} className="text-[10px] text-white/40 text-center">{hour % 6 === 0 ? hour : ''}</span>
+                    ))}
+                    {stats.heatmap.map((row, day) => (
+                      <React.Fragment key={WEEKDAYS[day]}>
+                        <span className="text-[10px] text-white/50 leading-5">{WEEKDAYS[day]}</span>
+                        {row.map((minutes, hour) => (
+                          <span
+                            key={hour}
+                            title={`${WEEKDAYS[day]} ${hour}:00 · ${minutes} min`}
+                            className="h-5 rounded-sm bg-purple-400"
+                            style={{ opacity: heatmapMax > 0 && minutes > 0 ? 0.15 + 0.85 * (minutes / heatmapMax) : 0.06 }}
+                          />
+                        ))}
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+              </section>
+
+              <div className="grid gap-4 md:grid-cols-3">
+                {TOP_LISTS.map(list => (
+                  <section key={list.id}>
+                    <h3 className="text-white/60 text-xs font-semibold uppercase tracking-wide mb-2">{list.label}</h3>
+                    {stats.top[list.id].length === 0 ? (
+                      <p className="text-white/40 text-xs">No plays in this period.</p>
+                    ) : (
+                      <ol className="space-y-1.5">
+                        {stats.top[list.id].map((entry, index) => (
+                          <li key={entry.key} className="flex items-start gap-2 text-sm">
+                            <span className="w-4 text-white/40 tabular-nums">{index + 1}</span>
+                            <div className="flex-1 min-w-0">
+                              <p className="text-white truncate" title={entry.name}>{entry.name}</p>
+                              <p className="text-white/50 text-xs truncate">
+                                {[
+                                  entry.detail,
+                                  `${entry.plays} ${entry.plays === 1 ? 'play' : 'plays'}`,
+                                  list.id === 'tracks' && entry.skips > 0 && `${formatPercent(entry.skips / (entry.plays + entry.skips))} skipped`,
+                                  list.id === 'tracks' && `last ${new Date(entry.lastPlayedAt).toLocaleDateString()}`
+                                ].filter(Boolean).join(' · ')}
+                              </p>
+                            </div>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </section>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 mt-6 pt-4 border-t border-white/10">
+            {EXPORT_FORMATS.map(format => (
+              <button
+                key={format.id}
+                onClick={() => handleExport(format.id)}
+                disabled={listens.length === 0}
+                className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-white/10 hover:bg-white/20 border border-white/20 text-white/90 text-xs disabled:opacity-40"
+              >
+                <Download size={14} />
+                {format.label}
+              </button>
+            ))}
+            <button
+              onClick={handleClear}
+              disabled={listens.length === 0}
+              className="ml-auto inline-flex items-center gap-2 px-3 py-1.5 rounded-xl text-red-300 hover:bg-red-500/20 text-xs disabled:opacity-40"
+            >
+              <Trash2 size={14} />
+              Delete history
+            </button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { HardDrive, ShieldCheck, Trash2 } from 'lucide-react';
+import { formatFileSize } from '../utils/audioUtils';
+import { DEFAULT_STORAGE_POLICY } from '../utils/audioStore';
+
+const LIMIT_OPTIONS = [250, 500, 1024, 2048, 5120].map(mb => mb * 1024 * 1024);
+
+const StorageManager = ({
+  storageInfo,
+  trackCount,
+  policy,
+  lastEvicted = [],
+  onPolicyChange,
+  onPersist,
+  onClearLibrary
+}) => {
+  const currentPolicy = { ...DEFAULT_STORAGE_POLICY, ...policy };
+  const usage = storageInfo?.usage || 0;
+  const quota = storageInfo?.quota || 0;
+  const libraryBytes = storageInfo?.libraryBytes || 0;
+  const usedPercent = quota > 0 ? Math.min((usage / quota) * 100, 100) : 0;
+
+  const updatePolicy = (changes) => {
+    onPolicyChange({ ...currentPolicy, ...changes });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-black/20 rounded-2xl p-4 border border-white/10 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-white">
+          <HardDrive size={18} />
+          <span className="font-semibold">Storage</span>
+        </div>
+        {storageInfo?.persisted ? (
+          <span className="flex items-center space-x-1 text-xs text-green-400">
+            <ShieldCheck size={14} />
+            <span>Persistent</span>
+          </span>
+        ) : (
+          <button
+            onClick={onPersist}
+            className="text-xs text-white/70 hover:text-white underline"
+          >
+            Keep data persistent
+          </button>
+        )}
+      </div>
+
+      <div>
+        <div className="w-full bg-white/20 rounded-full h-2">
+          <div
+            className="bg-gradient-to-r from-purple-400 to-pink-400 h-2 rounded-full"
+            style={{ width: `${usedPercent}%` }}
+          />
+        </div>
+        <p className="text-white/60 text-xs mt-2">
+          {trackCount} tracks · {formatFileSize(libraryBytes)} of audio
+          {quota > 0 && ` · ${formatFileSize(usage)} used of ${formatFileSize(quota)} available`}
+        </p>
+      </div>
+
+      <div className="space-y-2 text-sm">
+        <label className="flex items-center justify-between text-white/80">
+          <span>When space runs low</span>
+          <select
+            value={currentPolicy.mode}
+            onChange={(e) => updatePolicy({ mode: e.target.value })}
+            className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+          >
+            <option value="manual">Never delete tracks</option>
+            <option value="limit">Limit library size</option>
+          </select>
+        </label>
+
+        {currentPolicy.mode === 'limit' && (
+          <>
+            <label className="flex items-center justify-between text-white/80">
+              <span>Maximum size</span>
+              <select
+                value={currentPolicy.maxBytes}
+                onChange={(e) => updatePolicy({ maxBytes: Number(e.target.value) })}
+                className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+              >
+                {LIMIT_OPTIONS.map(bytes => (
+                  <option key={bytes} value={bytes}>{formatFileSize(bytes)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center justify-between text-white/80">
+              <span>Remove first</span>
+              <select
+                value={currentPolicy.strategy}
+                onChange={(e) => updatePolicy({ strategy: e.target.value })}
+                className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
+              >
+                <option value="least-recently-played">Least recently played</option>
+                <option value="oldest-added">Oldest uploads</option>
+              </select>
+            </label>
+          </>
+        )}
+      </div>
+
+      {lastEvicted.length > 0 && (
+        <p className="text-yellow-300/80 text-xs">
+          Removed {lastEvicted.length} track{lastEvicted.length === 1 ? '' : 's'} to stay under the limit:{' '}
+          {lastEvicted.map(track => track.name).join(', ')}
+        </p>
+      )}
+
+      <button
+        onClick={onClearLibrary}
+        className="flex items-center space-x-2 text-sm text-red-400 hover:text-red-300"
+      >
+        <Trash2 size={14} />
+        <span>Clear library</span>
+      </button>
+    </motion.div>
+  );
+};
+
+export default StorageManager;
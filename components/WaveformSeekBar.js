@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { usePlaybackTime } from '../hooks/usePlaybackTime';
+import { peaksToPath, WAVEFORM_COLUMNS } from '../utils/waveform';
+import { findChapterIndex } from '../utils/chapters';
+
+const SMALL_STEP = 5;
+const LARGE_STEP = 30;
+
+// Stand-in outline while the waveform is computed, or if it can't be
+const FLAT_PEAKS = {
+  min: new Int8Array(WAVEFORM_COLUMNS).fill(-12),
+  max: new Int8Array(WAVEFORM_COLUMNS).fill(12)
+};
+
+const formatTime = (time) => {
+  if (!Number.isFinite(time)) return '0:00';
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Buffered ranges of the playing track, kept up to date from the engine
+const useBufferedRanges = () => {
+  const engine = useAudioEngine();
+  const [ranges, setRanges] = useState(() => engine.getPlayer()?.getBuffered() || []);
+
+  useEffect(() => engine.on('progress', setRanges), [engine]);
+
+  return ranges;
+};
+
+// Waveform scrubber with elapsed/total time. Drag or click to seek, hover for
+// a time preview, and arrow/Page/Home/End keys to step when focused. With
+// onLoopSelect, Shift-drag marks an A-B loop; loop holds its markers
+// ({ start, end }, either may be null) to shade it. Chapters show as ticks
+// and bookmarks as markers.
+const WaveformSeekBar = ({ peaks, isAnalyzing, onSeek, loop = null, onLoopSelect, chapters = [], bookmarks = [] }) => {
+  const { currentTime, duration } = usePlaybackTime();
+  const buffered = useBufferedRanges();
+  const barRef = useRef(null);
+  const [hoverTime, setHoverTime] = useState(null);
+  const [dragTime, setDragTime] = useState(null);
+  const [loopDrag, setLoopDrag] = useState(null);
+
+  const path = useMemo(() => peaksToPath(peaks || FLAT_PEAKS), [peaks]);
+  const columns = (peaks || FLAT_PEAKS).max.length;
+  const hasDuration = duration > 0 && Number.isFinite(duration);
+
+  const shownTime = dragTime ?? currentTime;
+  const toPercent = time => (hasDuration ? Math.min(Math.max(time / duration, 0), 1) * 100 : 0);
+  const playedPercent = toPercent(shownTime);
+
+  const timeAt = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect();
+    return Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1) * duration;
+  };
+
+  const handlePointerDown = (e) => {
+    if (!hasDuration || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const time = timeAt(e.clientX);
+    if (e.shiftKey && onLoopSelect) {
+      setLoopDrag({ start: time, end: time });
+    } else {
+      setDragTime(time);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!hasDuration) return;
+    const time = timeAt(e.clientX);
+    setHoverTime(time);
+    if (dragTime !== null) setDragTime(time);
+    if (loopDrag) setLoopDrag(prev => ({ ...prev, end: time }));
+  };
+
+  const handlePointerUp = (e) => {
+    if (loopDrag) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+      onLoopSelect(loopDrag.start, timeAt(e.clientX));
+      setLoopDrag(null);
+      return;
+    }
+    if (dragTime === null) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    onSeek(timeAt(e.clientX));
+    setDragTime(null);
+  };
+
+  const handlePointerCancel = () => {
+    setDragTime(null);
+    setLoopDrag(null);
+  };
+
+  const shownLoop = loopDrag
+    ? { start: Math.min(loopDrag.start, loopDrag.end), end: Math.max(loopDrag.start, loopDrag.end) }
+    : loop;
+  const currentChapter = chapters[findChapterIndex(chapters, shownTime)];
+  const hoverChapter = hoverTime !== null ? chapters[findChapterIndex(chapters, hoverTime)] : null;
+
+  const loopMarkers = [shownLoop?.start, shownLoop?.end].filter(time => time !== null && time !== undefined);
+
+  const handleKeyDown = (e) => {
+    if (!hasDuration) return;
+    const targets = {
+      ArrowLeft: currentTime - SMALL_STEP,
+      ArrowDown: currentTime - SMALL_STEP,
+      ArrowRight: currentTime + SMALL_STEP,
+      ArrowUp: currentTime + SMALL_STEP,
+      PageDown: currentTime - LARGE_STEP,
+      PageUp: currentTime + LARGE_STEP,
+      Home: 0,
+      End: duration
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onSeek(Math.min(Math.max(targets[e.key], 0), duration));
+  };
+
+  return (
+    <div className="mb-4">
+      <div
+        ref={barRef}
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={hasDuration ? Math.floor(duration) : 0}
+        aria-valuenow={Math.floor(shownTime)}
+        aria-valuetext={`${formatTime(shownTime)} of ${formatTime(duration)}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onPointerLeave={() => setHoverTime(null)}
+        onKeyDown={handleKeyDown}
+        className="relative h-12 cursor-pointer select-none touch-none rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-400/70"
+      >
+        {buffered.map(([start, end]) => (
+          <div
+            key={start}
+            className="absolute inset-y-0 bg-white/5 rounded"
+            style={{ left: `${toPercent(start)}%`, width: `${toPercent(end) - toPercent(start)}%` }}
+          />
+        ))}
+
+        <svg
+          viewBox={`0 0 ${columns} 100`}
+          preserveAspectRatio="none"
+          className={`absolute inset-0 w-full h-full fill-white/25 ${isAnalyzing ? 'animate-pulse' : ''}`}
+          aria-hidden="true"
+        >
+          <path d={path} />
+        </svg>
+
+        <svg
+          viewBox={`0 0 ${columns} 100`}
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full"
+          style={{ clipPath: `inset(0 ${100 - playedPercent}% 0 0)` }}
+          aria-hidden="true"
+        >
+          <defs>
+            <linearGradient id="waveform-played" x1="0" x2="1" y1="0" y2="0">
+              <stop offset="0%" stopColor="#c084fc" />
+              <stop offset="100%" stopColor="#f472b6" />
+            </linearGradient>
+          </defs>
+          <path d={path} fill="url(#waveform-played)" />
+        </svg>
+
+        {hasDuration && loopMarkers.length === 2 && (
+          <div
+            className="absolute inset-y-0 bg-purple-400/20 pointer-events-none"
+            style={{ left: `${toPercent(shownLoop.start)}%`, width: `${toPercent(shownLoop.end) - toPercent(shownLoop.start)}%` }}
+          />
+        )}
+        {hasDuration && loopMarkers.map((time, index) => (
+          <div
+            key={index}
+            className="absolute inset-y-0 w-px bg-purple-300 pointer-events-none"
+            style={{ left: `${toPercent(time)}%` }}
+          />
+        ))}
+
+        {hasDuration && chapters.filter(chapter => chapter.start > 0).map(chapter => (
+          <React.Fragment key={chapter.start}>
+            <div
+              className="absolute top-0 h-2 w-px bg-white/70 pointer-events-none"
+              style={{ left: `${toPercent(chapter.start)}%` }}
+            />
+            <div
+              className="absolute bottom-0 h-2 w-px bg-white/70 pointer-events-none"
+              style={{ left: `${toPercent(chapter.start)}%` }}
+            />
+          </React.Fragment>
+        ))}
+        {hasDuration && bookmarks.map(bookmark => (
+          <div
+            key={bookmark.id}
+            title={bookmark.name}
+            className="absolute -top-1 w-2 h-2 -ml-1 rotate-45 bg-amber-300 pointer-events-none"
+            style={{ left: `${toPercent(bookmark.time)}%` }}
+          />
+        ))}
+
+        <div
+          className="absolute inset-y-0 w-0.5 -ml-px bg-white/90 rounded-full pointer-events-none"
+          style={{ left: `${playedPercent}%` }}
+        />
+
+        {hoverTime !== null && (
+          <>
+            <div
+              className="absolute inset-y-0 w-px bg-white/50 pointer-events-none"
+              style={{ left: `${toPercent(hoverTime)}%` }}
+            />
+            <div
+              className="absolute -top-6 -translate-x-1/2 whitespace-nowrap px-1.5 py-0.5 rounded bg-black/70 text-white text-xs tabular-nums pointer-events-none"
+              style={{ left: `${toPercent(hoverTime)}%` }}
+            >
+              {formatTime(hoverTime)}{hoverChapter ? ` · ${hoverChapter.title}` : ''}
+            </div>
+          </>
+        )}
+      </div>
+      <div className="flex justify-between text-xs text-white/60 mt-1 tabular-nums">
+        <span>{formatTime(shownTime)}</span>
+        {currentChapter && <span className="truncate mx-3 text-white/70">{currentChapter.title}</span>}
+        <span>{formatTime(duration)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default WaveformSeekBar;
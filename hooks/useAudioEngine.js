@@ -0,0 +1,39 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { createAudioEngine } from '../utils/audioEngine';
+
+const AudioEngineContext = createContext(null);
+
+// Holds the one audio engine for the whole app (mounted in _app)
+export const AudioEngineProvider = ({ children }) => {
+  const [engine] = useState(() => createAudioEngine());
+
+  return (
+    <AudioEngineContext.Provider value={engine}>
+      {children}
+    </AudioEngineContext.Provider>
+  );
+};
+
+export const useAudioEngine = () => {
+  const engine = useContext(AudioEngineContext);
+  if (!engine) {
+    throw new Error('useAudioEngine must be used inside an AudioEngineProvider');
+  }
+  return engine;
+};
+
+// Re-renders once the engine has built its graph (after the first user gesture)
+export const useAudioEngineReady = () => {
+  const engine = useAudioEngine();
+  const [isReady, setIsReady] = useState(engine.isStarted());
+
+  useEffect(() => {
+    if (engine.isStarted()) {
+      setIsReady(true);
+      return undefined;
+    }
+    return engine.on('ready', () => setIsReady(true));
+  }, [engine]);
+
+  return isReady;
+};
@@ -0,0 +1,55 @@
+import { useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { addBookmark, getNextChapterStart, getPreviousChapterStart } from '../utils/chapters';
+
+const NO_ITEMS = [];
+
+// Chapter navigation and bookmarks for the playing track. Chapters come from
+// its tags; bookmarks are saved on its record.
+export const useChapters = (track, updateTrack) => {
+  const engine = useAudioEngine();
+  const trackId = track?.id ?? null;
+  const chapters = track?.chapters || NO_ITEMS;
+  const bookmarks = track?.bookmarks || NO_ITEMS;
+
+  const seekTo = useCallback((time) => {
+    if (time !== null) engine.getPlayer()?.seek(time);
+  }, [engine]);
+
+  const getTime = useCallback(() => engine.getPlayer()?.getCurrentTime() ?? null, [engine]);
+
+  const nextChapter = useCallback(() => {
+    const time = getTime();
+    if (time !== null) seekTo(getNextChapterStart(chapters, time));
+  }, [chapters, getTime, seekTo]);
+
+  const previousChapter = useCallback(() => {
+    const time = getTime();
+    if (time !== null) seekTo(getPreviousChapterStart(chapters, time));
+  }, [chapters, getTime, seekTo]);
+
+  /**
+   * Bookmarks the playback position
+   * @param {string} [name] - Name for it (defaults to "Bookmark n")
+   */
+  const addBookmarkHere = useCallback((name) => {
+    const time = getTime();
+    if (!trackId || time === null) return;
+    updateTrack(trackId, { bookmarks: addBookmark(bookmarks, time, name) });
+  }, [trackId, bookmarks, getTime, updateTrack]);
+
+  const deleteBookmark = useCallback((bookmarkId) => {
+    if (!trackId) return;
+    updateTrack(trackId, { bookmarks: bookmarks.filter(bookmark => bookmark.id !== bookmarkId) });
+  }, [trackId, bookmarks, updateTrack]);
+
+  return {
+    chapters,
+    bookmarks,
+    seekTo,
+    nextChapter,
+    previousChapter,
+    addBookmark: addBookmarkHere,
+    deleteBookmark
+  };
+};
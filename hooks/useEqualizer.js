@@ -0,0 +1,80 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  BUILT_IN_PRESETS,
+  createEqState,
+  resolveEqSettings,
+  updateEqSettings,
+  clearTrackEq,
+  findEqPreset,
+  saveEqPreset,
+  deleteEqPreset,
+  normalizeEqSettings
+} from '../utils/equalizer';
+
+// Equalizer settings persisted in localStorage, resolved for the current track
+export const useEqualizer = (trackId = null) => {
+  const [storedState, setStoredState] = useLocalStorage('equalizer', createEqState());
+  const state = { ...createEqState(), ...storedState };
+  const settings = resolveEqSettings(state, trackId);
+
+  const setEnabled = useCallback((enabled) => {
+    setStoredState(prev => ({ ...prev, enabled }));
+  }, [setStoredState]);
+
+  const setScope = useCallback((scope) => {
+    setStoredState(prev => ({ ...prev, scope }));
+  }, [setStoredState]);
+
+  const setBandGain = useCallback((index, db) => {
+    setStoredState((prev) => {
+      const gains = [...resolveEqSettings(prev, trackId).gains];
+      gains[index] = db;
+      return updateEqSettings(prev, trackId, { gains, presetId: null });
+    });
+  }, [setStoredState, trackId]);
+
+  const setPreamp = useCallback((db) => {
+    setStoredState(prev => updateEqSettings(prev, trackId, { preamp: db, presetId: null }));
+  }, [setStoredState, trackId]);
+
+  const applyPreset = useCallback((presetId) => {
+    setStoredState((prev) => {
+      const preset = findEqPreset(prev, presetId);
+      if (!preset) return prev;
+      return updateEqSettings(prev, trackId, { ...normalizeEqSettings(preset), presetId });
+    });
+  }, [setStoredState, trackId]);
+
+  const savePreset = useCallback((name) => {
+    setStoredState((prev) => {
+      const { state: next, preset } = saveEqPreset(prev, name, resolveEqSettings(prev, trackId));
+      return updateEqSettings(next, trackId, { presetId: preset.id });
+    });
+  }, [setStoredState, trackId]);
+
+  const deletePreset = useCallback((presetId) => {
+    setStoredState(prev => deleteEqPreset(prev, presetId));
+  }, [setStoredState]);
+
+  // Forget the current track's own curve so it follows the global one again
+  const resetTrack = useCallback(() => {
+    if (trackId) setStoredState(prev => clearTrackEq(prev, trackId));
+  }, [setStoredState, trackId]);
+
+  return {
+    enabled: state.enabled,
+    scope: state.scope,
+    settings,
+    builtInPresets: BUILT_IN_PRESETS,
+    userPresets: state.userPresets,
+    setEnabled,
+    setScope,
+    setBandGain,
+    setPreamp,
+    applyPreset,
+    savePreset,
+    deletePreset,
+    resetTrack
+  };
+};
@@ -0,0 +1,101 @@
+import { useState, useRef, useCallback } from 'react';
+import { isAudioCandidate } from '../utils/folderImport';
+import { isLyricsFile } from '../utils/lyrics';
+import { isCueFile } from '../utils/cueSheet';
+
+const RUNNING_STATUSES = ['scanning', 'importing', 'cancelling'];
+
+// Runs one bulk import at a time: scan (walk dropped folders), then import
+// file by file with progress, until done or cancelled. Only the summary is
+// kept afterwards: counts plus the paths of duplicates and failures.
+// .lrc files found alongside are attached once the audio is in, then .cue
+// sheets split single-file albums into their tracks.
+export const useImportJob = (addFiles, attachLyricsFiles, attachCueSheets) => {
+  const [job, setJob] = useState(null);
+  const controllerRef = useRef(null);
+
+  /**
+   * Starts an import
+   * @param {Function} collect - (signal) => Promise of { file, path } entries
+   */
+  const start = useCallback(async (collect) => {
+    if (controllerRef.current) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJob({
+      status: 'scanning',
+      done: 0,
+      total: 0,
+      current: null,
+      added: 0,
+      lyrics: 0,
+      cueTracks: 0,
+      ignored: 0,
+      duplicates: [],
+      errors: []
+    });
+
+    try {
+      const found = await collect(controller.signal);
+      const lyricsFiles = found.filter(({ file }) => isLyricsFile(file));
+      const cueFiles = found.filter(({ file }) => isCueFile(file));
+      const audioFiles = found.filter(({ file }) => isAudioCandidate(file));
+      setJob(prev => ({
+        ...prev,
+        status: controller.signal.aborted ? 'cancelling' : 'importing',
+        total: audioFiles.length,
+        ignored: found.length - audioFiles.length - lyricsFiles.length - cueFiles.length
+      }));
+
+      const result = await addFiles(audioFiles, {
+        signal: controller.signal,
+        onProgress: ({ done, total, path }) => setJob(prev => ({ ...prev, done, total, current: path }))
+      });
+      const lyricsResult = lyricsFiles.length > 0 && !result.cancelled
+        ? await attachLyricsFiles(lyricsFiles)
+        : { attached: 0, unmatched: [] };
+      const cueResult = cueFiles.length > 0 && !result.cancelled
+        ? await attachCueSheets(cueFiles)
+        : { split: 0, unmatched: [] };
+      setJob(prev => ({
+        ...prev,
+        status: result.cancelled ? 'cancelled' : 'done',
+        current: null,
+        added: result.added.length,
+        lyrics: lyricsResult.attached,
+        cueTracks: cueResult.split,
+        duplicates: result.duplicates.map(({ path }) => path),
+        errors: [...result.rejected, ...lyricsResult.unmatched, ...cueResult.unmatched].map(({ path, error }) => ({ path, error }))
+      }));
+    } catch (importError) {
+      console.error('Import failed:', importError);
+      setJob(prev => ({
+        ...prev,
+        status: 'failed',
+        current: null,
+        errors: [...prev.errors, { path: null, error: importError.message || 'Import failed' }]
+      }));
+    } finally {
+      controllerRef.current = null;
+    }
+  }, [addFiles, attachLyricsFiles, attachCueSheets]);
+
+  // Stops after the file being imported
+  const cancel = useCallback(() => {
+    if (!controllerRef.current) return;
+    controllerRef.current.abort();
+    setJob(prev => (prev ? { ...prev, status: 'cancelling' } : prev));
+  }, []);
+
+  const dismiss = useCallback(() => {
+    if (!controllerRef.current) setJob(null);
+  }, []);
+
+  return {
+    job,
+    isRunning: !!job && RUNNING_STATUSES.includes(job.status),
+    start,
+    cancel,
+    dismiss
+  };
+};
@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import {
+  eventToCombo,
+  findShortcutAction,
+  isEditableTarget,
+  isMacPlatform
+} from '../utils/shortcuts';
+
+// Runs handlers[actionId] when a bound combo is pressed anywhere on the page.
+// Keys typed into fields are left alone, except Mod combos such as Mod+K.
+export const useKeyboardShortcuts = (bindings, handlers, { enabled = true } = {}) => {
+  // Read at key time so the listener is only attached once
+  const stateRef = useRef({ bindings, handlers, enabled });
+  stateRef.current = { bindings, handlers, enabled };
+
+  useEffect(() => {
+    const isMac = isMacPlatform();
+
+    const handleKeyDown = (event) => {
+      const { bindings: current, handlers: actions, enabled: isEnabled } = stateRef.current;
+      if (!isEnabled || event.defaultPrevented || event.isComposing) return;
+
+      const combo = eventToCombo(event, isMac);
+      const action = combo && findShortcutAction(current, combo);
+      if (!action || !actions[action.id]) return;
+      if (isEditableTarget(event.target) && !combo.startsWith('Mod+')) return;
+
+      event.preventDefault();
+      if (event.repeat && !action.repeatable) return;
+      actions[action.id]();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
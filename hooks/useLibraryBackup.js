@@ -0,0 +1,100 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  createLibraryBackup,
+  getBackupFileName,
+  readLibraryBackup,
+  restoreLibraryBackup
+} from '../utils/libraryBackup';
+import { downloadFile } from '../utils/fileDownload';
+
+const RUNNING_STATUSES = ['packing', 'reading', 'restoring', 'cancelling'];
+// The restore summary survives the reload that follows a restore
+const RESTORE_RESULT_KEY = 'libraryRestoreResult';
+
+// Backs the library up to one archive, or restores one. The page reloads
+// after a restore so every hook starts again from what was written.
+export const useLibraryBackup = () => {
+  const [job, setJob] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    try {
+      const saved = window.sessionStorage.getItem(RESTORE_RESULT_KEY);
+      if (!saved) return;
+      window.sessionStorage.removeItem(RESTORE_RESULT_KEY);
+      setJob({ kind: 'restore', status: 'done', done: 0, total: 0, current: null, error: null, result: JSON.parse(saved) });
+    } catch (error) {
+      console.error('Error reading restore result:', error);
+    }
+  }, []);
+
+  const run = useCallback(async (kind, status, work) => {
+    if (controllerRef.current) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJob({ kind, status, done: 0, total: 0, current: null, error: null, result: null });
+
+    const onProgress = ({ done, total, name = null }) => {
+      setJob(prev => ({ ...prev, done, total, current: name }));
+    };
+
+    try {
+      await work(controller.signal, onProgress);
+    } catch (jobError) {
+      const cancelled = jobError.name === 'AbortError';
+      if (!cancelled) console.error(`Library ${kind} failed:`, jobError);
+      setJob(prev => ({
+        ...prev,
+        status: cancelled ? 'cancelled' : 'failed',
+        current: null,
+        error: cancelled ? null : jobError.message || `The ${kind} failed`
+      }));
+    } finally {
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const backup = useCallback(() => run('backup', 'packing', async (signal, onProgress) => {
+    const archive = await createLibraryBackup({ signal, onProgress });
+    downloadFile(archive, getBackupFileName());
+    setJob(prev => ({ ...prev, status: 'done', current: null, result: { size: archive.size } }));
+  }), [run]);
+
+  /**
+   * Restores a backup archive
+   * @param {File} file - The archive
+   * @param {string} mode - 'merge' or 'replace'
+   * @param {Function} [beforeWrite] - Runs once the archive checks out, just
+   *   before storage is touched (e.g. to stop playback)
+   */
+  const restore = useCallback((file, mode, beforeWrite) => run('restore', 'reading', async (signal, onProgress) => {
+    const archive = await readLibraryBackup(file);
+    if (signal.aborted) throw new DOMException('Restore cancelled', 'AbortError');
+
+    beforeWrite?.();
+    setJob(prev => ({ ...prev, status: 'restoring', total: archive.tracks.length }));
+    const result = await restoreLibraryBackup(archive, { mode, signal, onProgress });
+    window.sessionStorage.setItem(RESTORE_RESULT_KEY, JSON.stringify({ ...result, mode }));
+    window.location.reload();
+  }), [run]);
+
+  // Backups stop straight away; restores after the track being written
+  const cancel = useCallback(() => {
+    if (!controllerRef.current) return;
+    controllerRef.current.abort();
+    setJob(prev => (prev ? { ...prev, status: 'cancelling' } : prev));
+  }, []);
+
+  const dismiss = useCallback(() => {
+    if (!controllerRef.current) setJob(null);
+  }, []);
+
+  return {
+    job,
+    isRunning: !!job && RUNNING_STATUSES.includes(job.status),
+    backup,
+    restore,
+    cancel,
+    dismiss
+  };
+};
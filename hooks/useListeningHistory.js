@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { addListen, updateListen, getAllListens, clearListens } from '../utils/audioStore';
+import {
+  MAX_LISTEN_STEP,
+  MIN_SKIP_SECONDS,
+  createListen,
+  getPlayThreshold
+} from '../utils/listeningHistory';
+
+// Logs what's actually listened to. Each playthrough of a track is a
+// session adding up the seconds heard (seeks don't count). It's logged as a
+// play as soon as it passes the threshold, so closing the tab doesn't lose
+// it, and the entry gets the final listening time when the session ends.
+// Sessions that end below the threshold are logged as skips. onPlay and
+// onSkip get the track id, for the counts kept on each track.
+export const useListeningHistory = ({ onPlay, onSkip }) => {
+  const engine = useAudioEngine();
+  const sessionRef = useRef(null);
+  const callbacksRef = useRef({ onPlay, onSkip });
+  callbacksRef.current = { onPlay, onSkip };
+  // Bumped whenever the stored history changes, so views can reload it
+  const [revision, setRevision] = useState(0);
+
+  const record = useCallback(async (listen) => {
+    try {
+      const id = await addListen(listen);
+      setRevision(prev => prev + 1);
+      return id;
+    } catch (recordError) {
+      console.error('Error saving listening history:', recordError);
+      return null;
+    }
+  }, []);
+
+  const finishSession = useCallback(async () => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (!session) return;
+
+    if (session.counted) {
+      const id = await session.entryId;
+      if (id === null) return;
+      try {
+        await updateListen(id, { listened: Math.round(session.listened) });
+        setRevision(prev => prev + 1);
+      } catch (updateError) {
+        console.error('Error saving listening history:', updateError);
+      }
+      return;
+    }
+
+    if (session.listened < MIN_SKIP_SECONDS) return;
+    record(createListen(session.track, { type: 'skip', playedAt: session.playedAt, listened: session.listened }));
+    callbacksRef.current.onSkip(session.track.id);
+  }, [record]);
+
+  /**
+   * Starts a new playthrough, closing the previous one
+   * @param {Object} track - The track about to play
+   */
+  const begin = useCallback((track) => {
+    finishSession();
+    sessionRef.current = { track, playedAt: Date.now(), listened: 0, lastTime: null, counted: false, entryId: null };
+  }, [finishSession]);
+
+  useEffect(() => engine.on('timeupdate', (time) => {
+    const player = engine.getPlayer();
+    const playing = player?.getCurrentTrack();
+    if (!playing) return;
+    // A track resumed from the last session plays without begin()
+    if (!sessionRef.current || sessionRef.current.track.id !== playing.id) begin(playing);
+
+    const session = sessionRef.current;
+    const step = session.lastTime === null ? 0 : time - session.lastTime;
+    session.lastTime = time;
+    if (step <= 0 || step > MAX_LISTEN_STEP) return;
+    session.listened += step;
+
+    if (!session.counted && session.listened >= getPlayThreshold(player.getDuration() || session.track.duration)) {
+      session.counted = true;
+      session.entryId = record(createListen(session.track, {
+        type: 'play',
+        playedAt: session.playedAt,
+        listened: session.listened
+      }));
+      callbacksRef.current.onPlay(session.track.id);
+    }
+  }), [engine, begin, record]);
+
+  const loadHistory = useCallback(() => getAllListens(), []);
+
+  const clearHistory = useCallback(async () => {
+    await clearListens();
+    setRevision(prev => prev + 1);
+  }, []);
+
+  return { begin, revision, loadHistory, clearHistory };
+};
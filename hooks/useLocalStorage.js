@@ -1,4 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_STORAGE_POLICY } from '../utils/audioStore';
+import { normalizeRepeatMode } from '../utils/playQueue';
+import { clampCrossfade } from '../utils/deckPlayer';
+import { NORMALIZATION_MODES } from '../utils/loudness';
+import {
+  DEFAULT_FFT_SIZE,
+  DEFAULT_SMOOTHING,
+  DEFAULT_VISUALIZER_MODE,
+  isVisualizerMode,
+  normalizeAnalyserOptions
+} from '../utils/visualizers';
+import { normalizeShortcutOverrides } from '../utils/shortcuts';
+import { clampPitchShift, clampPlaybackRate } from '../utils/practice';
+import { clampSleepMinutes } from '../utils/sleepTimer';
 
 export const useLocalStorage = (key, initialValue) => {
   // State to store our value
@@ -20,21 +34,23 @@ export const useLocalStorage = (key, initialValue) => {
 
   // Return a wrapped version of useState's setter function that ...
   // ... persists the new value to localStorage.
-  const setValue = (value) => {
-    try {
-      // Allow value to be a function so we have the same API as useState
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      // Save state
-      setStoredValue(valueToStore);
-      // Save to local storage
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(key, JSON.stringify(valueToStore));
+  const setValue = useCallback((value) => {
+    setStoredValue(prev => {
+      try {
+        // Allow value to be a function so we have the same API as useState
+        const valueToStore = value instanceof Function ? value(prev) : value;
+        // Save to local storage
+        if (typeof window !== 'undefined') {
+          window.localStorage.setItem(key, JSON.stringify(valueToStore));
+        }
+        return valueToStore;
+      } catch (error) {
+        // A more advanced implementation would handle the error case
+        console.log(error);
+        return prev;
       }
-    } catch (error) {
-      // A more advanced implementation would handle the error case
-      console.log(error);
-    }
-  };
+    });
+  }, [key]);
 
   // Listen for changes to localStorage
   useEffect(() => {
@@ -58,32 +74,63 @@ export const useLocalStorage = (key, initialValue) => {
 };
 
 // Additional utility functions for music player specific localStorage operations
-export const useMusicLibrary = () => {
-  const [library, setLibrary] = useLocalStorage('musicLibrary', []);
-
-  const addTrack = (track) => {
-    setLibrary(prev => [...prev, { ...track, id: Date.now() }]);
-  };
-
-  const removeTrack = (id) => {
-    setLibrary(prev => prev.filter(track => track.id !== id));
-  };
-
-  const clearLibrary = () => {
-    setLibrary([]);
-  };
-
-  return { library, addTrack, removeTrack, clearLibrary };
+export const DEFAULT_PLAYER_SETTINGS = {
+  volume: 0.7,
+  muted: false,
+  repeat: 'off',
+  shuffle: false,
+  // Seconds of equal-power overlap between tracks; 0 is gapless
+  crossfade: 0,
+  // Loudness normalization: 'off', 'track' or 'album' gain
+  normalization: 'off',
+  // Practice tools: speed (0.5-2x), whether it keeps the pitch, and a
+  // separate pitch shift in semitones
+  playbackRate: 1,
+  preservePitch: true,
+  pitchShift: 0,
+  // Last sleep timer length picked, reused when it's started from the keyboard
+  sleepTimerMinutes: 30,
+  visualizerEnabled: true,
+  // Registered mode id, plus the analyser's FFT size and smoothing (0-0.95)
+  visualizerMode: DEFAULT_VISUALIZER_MODE,
+  visualizerFftSize: DEFAULT_FFT_SIZE,
+  visualizerSmoothing: DEFAULT_SMOOTHING,
+  theme: 'default',
+  // Rebound keyboard shortcuts only: { actionId: [combo] }
+  shortcuts: {},
+  storagePolicy: DEFAULT_STORAGE_POLICY
 };
 
 export const usePlayerSettings = () => {
-  const [settings, setSettings] = useLocalStorage('playerSettings', {
-    volume: 0.7,
-    repeat: false,
-    shuffle: false,
-    visualizerEnabled: true,
-    theme: 'default'
+  const [storedSettings, setSettings] = useLocalStorage('playerSettings', DEFAULT_PLAYER_SETTINGS);
+  const analyserOptions = normalizeAnalyserOptions({
+    fftSize: storedSettings.visualizerFftSize,
+    smoothing: storedSettings.visualizerSmoothing
   });
+  // Settings saved by older versions won't have newer keys
+  const settings = {
+    ...DEFAULT_PLAYER_SETTINGS,
+    ...storedSettings,
+    volume: Number.isFinite(storedSettings.volume)
+      ? Math.min(Math.max(storedSettings.volume, 0), 1)
+      : DEFAULT_PLAYER_SETTINGS.volume,
+    muted: storedSettings.muted === true,
+    repeat: normalizeRepeatMode(storedSettings.repeat),
+    crossfade: clampCrossfade(storedSettings.crossfade ?? DEFAULT_PLAYER_SETTINGS.crossfade),
+    normalization: NORMALIZATION_MODES.includes(storedSettings.normalization)
+      ? storedSettings.normalization
+      : DEFAULT_PLAYER_SETTINGS.normalization,
+    playbackRate: clampPlaybackRate(storedSettings.playbackRate ?? DEFAULT_PLAYER_SETTINGS.playbackRate),
+    preservePitch: storedSettings.preservePitch !== false,
+    pitchShift: clampPitchShift(storedSettings.pitchShift ?? DEFAULT_PLAYER_SETTINGS.pitchShift),
+    sleepTimerMinutes: clampSleepMinutes(storedSettings.sleepTimerMinutes ?? DEFAULT_PLAYER_SETTINGS.sleepTimerMinutes),
+    visualizerMode: isVisualizerMode(storedSettings.visualizerMode)
+      ? storedSettings.visualizerMode
+      : DEFAULT_PLAYER_SETTINGS.visualizerMode,
+    visualizerFftSize: analyserOptions.fftSize,
+    visualizerSmoothing: analyserOptions.smoothing,
+    shortcuts: normalizeShortcutOverrides(storedSettings.shortcuts)
+  };
 
   const updateSetting = (key, value) => {
     setSettings(prev => ({ ...prev, [key]: value }));
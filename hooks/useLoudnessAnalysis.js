@@ -0,0 +1,59 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAudioId, getTrackBlob } from '../utils/audioStore';
+import {
+  analyzeLoudness,
+  isLoudnessAnalysisSupported,
+  MAX_ANALYSIS_DURATION
+} from '../utils/loudnessAnalyzer';
+
+// Tracks with ReplayGain tags don't need measuring; anything else is measured
+// once, including failures, so a broken file isn't retried on every load
+const needsAnalysis = (track) => {
+  return !Number.isFinite(track.replayGain?.trackGain) && !track.loudness;
+};
+
+// Measures loudness for new (and older, unmeasured) tracks one at a time in
+// the background, saving the result on the track record
+export const useLoudnessAnalysis = ({ library, hasLoaded, updateTrack }) => {
+  const [analyzingId, setAnalyzingId] = useState(null);
+  const libraryRef = useRef(library);
+  libraryRef.current = library;
+
+  const pendingIds = library.filter(needsAnalysis).map(track => track.id);
+  const pendingKey = pendingIds.join('|');
+
+  useEffect(() => {
+    if (!hasLoaded || !pendingKey || analyzingId || !isLoudnessAnalysisSupported()) return;
+
+    const track = libraryRef.current.find(needsAnalysis);
+    if (!track) return;
+    setAnalyzingId(track.id);
+
+    const measure = async () => {
+      // A cue sheet track still means decoding its whole file
+      if ((track.cue?.fileDuration ?? track.duration) > MAX_ANALYSIS_DURATION) {
+        return { integrated: null, peak: null, skipped: true };
+      }
+      try {
+        const blob = await getTrackBlob(getAudioId(track));
+        if (!blob) throw new Error('Audio data missing');
+        return await analyzeLoudness(blob, track.cue);
+      } catch (analysisError) {
+        console.warn(`Could not measure loudness of "${track.name}":`, analysisError);
+        return { integrated: null, peak: null, failed: true };
+      }
+    };
+
+    measure().then((loudness) => {
+      if (libraryRef.current.some(item => item.id === track.id)) {
+        updateTrack(track.id, { loudness: { ...loudness, analyzedAt: Date.now() } });
+      }
+      setAnalyzingId(null);
+    });
+  }, [hasLoaded, pendingKey, analyzingId, updateTrack]);
+
+  return {
+    analyzingId,
+    pendingCount: pendingIds.length
+  };
+};
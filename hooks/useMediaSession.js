@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+
+const DEFAULT_SEEK_OFFSET = 10;
+const ACTIONS = ['play', 'pause', 'stop', 'previoustrack', 'nexttrack', 'seekto', 'seekforward', 'seekbackward'];
+
+const isMediaSessionSupported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+/**
+ * Publishes a track's tags to the OS media controls
+ * @param {Object|null} track - Library track
+ * @returns {MediaMetadata|null} - Metadata, or null without a track
+ */
+const toMediaMetadata = (track) => {
+  if (!track) return null;
+  return new window.MediaMetadata({
+    title: track.name,
+    artist: track.artist || '',
+    album: track.album || '',
+    artwork: track.artworkUrl
+      ? [{ src: track.artworkUrl, ...(track.artwork?.type ? { type: track.artwork.type } : {}) }]
+      : []
+  });
+};
+
+// Connects hardware media keys, lock screens and OS overlays to the player.
+// handlers: { play, pause, stop, previous, next, seekTo(time), seekBy(seconds) },
+// the same functions the on-page controls call. playbackRate keeps the OS
+// scrubber moving at the right speed.
+export const useMediaSession = ({ track, isPlaying, playbackRate = 1, handlers }) => {
+  const engine = useAudioEngine();
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!isMediaSessionSupported()) return;
+    navigator.mediaSession.metadata = toMediaMetadata(track);
+  }, [track]);
+
+  useEffect(() => {
+    if (!isMediaSessionSupported()) return;
+    navigator.mediaSession.playbackState = track ? (isPlaying ? 'playing' : 'paused') : 'none';
+  }, [track, isPlaying]);
+
+  useEffect(() => {
+    if (!isMediaSessionSupported()) return undefined;
+
+    const actions = {
+      play: () => handlersRef.current.play(),
+      pause: () => handlersRef.current.pause(),
+      stop: () => handlersRef.current.stop(),
+      previoustrack: () => handlersRef.current.previous(),
+      nexttrack: () => handlersRef.current.next(),
+      seekto: ({ seekTime }) => handlersRef.current.seekTo(seekTime),
+      seekforward: ({ seekOffset }) => handlersRef.current.seekBy(seekOffset || DEFAULT_SEEK_OFFSET),
+      seekbackward: ({ seekOffset }) => handlersRef.current.seekBy(-(seekOffset || DEFAULT_SEEK_OFFSET))
+    };
+
+    // Browsers throw for actions they don't know
+    const setHandler = (action, handler) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // Unsupported action; nothing to register
+      }
+    };
+
+    ACTIONS.forEach(action => setHandler(action, actions[action]));
+    return () => ACTIONS.forEach(action => setHandler(action, null));
+  }, []);
+
+  // Keep the OS scrubber in step with the deck player
+  useEffect(() => {
+    if (!isMediaSessionSupported() || !navigator.mediaSession.setPositionState) return undefined;
+
+    const updatePosition = () => {
+      const player = engine.getPlayer();
+      const duration = player?.getDuration();
+      try {
+        if (!player || !Number.isFinite(duration) || duration <= 0) {
+          navigator.mediaSession.setPositionState();
+          return;
+        }
+        navigator.mediaSession.setPositionState({
+          duration,
+          position: Math.min(Math.max(player.getCurrentTime(), 0), duration),
+          playbackRate
+        });
+      } catch (error) {
+        console.warn('Could not update media position:', error);
+      }
+    };
+
+    updatePosition();
+    const unsubscribers = [
+      engine.on('timeupdate', updatePosition),
+      engine.on('durationchange', updatePosition)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [engine, track, isPlaying, playbackRate]);
+};
@@ -0,0 +1,399 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  isAudioStoreAvailable,
+  generateTrackId,
+  saveTrack,
+  getAllTracks,
+  getTrackBlob,
+  getAudioId,
+  splitTrack,
+  updateTrack as updateStoredTrack,
+  deleteTrack,
+  clearAudioStore,
+  getStorageEstimate,
+  requestPersistentStorage,
+  selectTracksForEviction,
+  isQuotaExceededError
+} from '../utils/audioStore';
+import { extractAudioMetadata, clearLegacyAudioData } from '../utils/audioUtils';
+import { validateAudioFile } from '../utils/audioFormats';
+import { hashFileContents } from '../utils/folderImport';
+import { findSidecarTrack, readLyricsFile } from '../utils/lyrics';
+import {
+  createCueTracks,
+  findCueAudioTrack,
+  getStoredFileSize,
+  groupCueTracksByFile,
+  readCueFile
+} from '../utils/cueSheet';
+
+// Adds runtime object URLs for the audio and any embedded artwork
+const withObjectUrls = (record, blob) => ({
+  ...record,
+  url: URL.createObjectURL(blob),
+  artworkUrl: record.artwork ? URL.createObjectURL(record.artwork) : null
+});
+
+const revokeObjectUrls = (track) => {
+  if (track.url) URL.revokeObjectURL(track.url);
+  if (track.artworkUrl) URL.revokeObjectURL(track.artworkUrl);
+};
+
+// Library of uploaded tracks, persisted in IndexedDB with playable blob URLs
+export const useMusicLibrary = ({ storagePolicy, protectedIds = [] } = {}) => {
+  const [library, setLibrary] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Only true once the stored library was read successfully, so callers don't
+  // prune playlists or queues against an empty list after a failed load
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [lastEvicted, setLastEvicted] = useState([]);
+  const [error, setError] = useState('');
+
+  // Latest values for async callbacks that outlive a render
+  const libraryRef = useRef([]);
+  const policyRef = useRef(storagePolicy);
+  const protectedRef = useRef(protectedIds);
+  libraryRef.current = library;
+  policyRef.current = storagePolicy;
+  protectedRef.current = protectedIds;
+
+  const refreshStorageInfo = useCallback(async (tracks = libraryRef.current) => {
+    setStorageInfo(await getStorageEstimate(tracks));
+  }, []);
+
+  // Rehydrate the library from IndexedDB on mount
+  useEffect(() => {
+    if (!isAudioStoreAvailable()) {
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    let loaded = [];
+
+    const loadLibrary = async () => {
+      try {
+        clearLegacyAudioData();
+        const records = await getAllTracks();
+        const tracks = [];
+        // Parts of a cue sheet album share one blob
+        const blobs = new Map();
+        for (const record of records) {
+          const audioId = getAudioId(record);
+          if (!blobs.has(audioId)) blobs.set(audioId, await getTrackBlob(audioId));
+          const blob = blobs.get(audioId);
+          if (!blob) continue;
+          tracks.push(withObjectUrls(record, blob));
+        }
+        if (cancelled) {
+          tracks.forEach(revokeObjectUrls);
+          return;
+        }
+        loaded = tracks;
+        setLibrary(tracks);
+        setHasLoaded(true);
+        refreshStorageInfo(tracks);
+      } catch (loadError) {
+        console.error('Error loading music library:', loadError);
+        if (!cancelled) setError('Could not load your saved library');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadLibrary();
+
+    return () => {
+      cancelled = true;
+      loaded.forEach(revokeObjectUrls);
+    };
+  }, [refreshStorageInfo]);
+
+  const evictTracks = useCallback(async (tracks) => {
+    for (const track of tracks) {
+      await deleteTrack(track.id);
+      revokeObjectUrls(track);
+    }
+    const evictedIds = tracks.map(track => track.id);
+    setLibrary(prev => prev.filter(track => !evictedIds.includes(track.id)));
+    libraryRef.current = libraryRef.current.filter(track => !evictedIds.includes(track.id));
+  }, []);
+
+  // Content hash of a stored track, computed and saved the first time it's needed
+  const getContentHash = useCallback(async (track) => {
+    if (track.contentHash) return track.contentHash;
+    const blob = await getTrackBlob(getAudioId(track));
+    if (!blob) return null;
+    const contentHash = await hashFileContents(blob);
+    if (!contentHash) return null;
+    setLibrary(prev => prev.map(item => (item.id === track.id ? { ...item, contentHash } : item)));
+    libraryRef.current = libraryRef.current.map(item => (item.id === track.id ? { ...item, contentHash } : item));
+    await updateStoredTrack(track.id, { contentHash });
+    return contentHash;
+  }, []);
+
+  /**
+   * Imports audio files one at a time, skipping any whose contents are
+   * already in the library
+   * @param {Array} files - File objects, or { file, path } from folderImport
+   * @param {Object} [options] - { signal } stops before the next file;
+   *   { onProgress } gets { done, total, path } as files are processed
+   * @returns {Promise<Object>} - { added, duplicates, rejected, cancelled } where
+   *   duplicates and rejected hold { file, path, ... } entries
+   */
+  const addFiles = useCallback(async (files, { signal, onProgress } = {}) => {
+    setError('');
+    const items = files.map(item => (item instanceof File ? { file: item, path: item.name } : item));
+    const evicted = [];
+    const added = [];
+    const duplicates = [];
+    const rejected = [];
+    let done = 0;
+
+    for (const { file, path } of items) {
+      if (signal?.aborted) break;
+      onProgress?.({ done, total: items.length, path });
+      done += 1;
+
+      const validation = await validateAudioFile(file);
+      if (!validation.valid) {
+        rejected.push({ file, path, error: validation.error });
+        continue;
+      }
+
+      try {
+        // Only tracks of the same size can hold the same bytes. Without a
+        // hash (no crypto.subtle) duplicates can't be told apart, so the
+        // file is imported anyway.
+        const contentHash = await hashFileContents(file);
+        let existing = null;
+        const sameSize = contentHash ? libraryRef.current.filter(item => getStoredFileSize(item) === file.size) : [];
+        for (const track of sameSize) {
+          if (await getContentHash(track) === contentHash) {
+            existing = track;
+            break;
+          }
+        }
+        if (existing) {
+          duplicates.push({ file, path, track: existing });
+          continue;
+        }
+
+        const metadata = await extractAudioMetadata(file, validation.format);
+        const record = {
+          ...metadata,
+          id: generateTrackId(),
+          fileName: file.name,
+          // Folder structure it was imported with, for matching playlist paths
+          relativePath: path || file.name,
+          contentHash,
+          addedAt: Date.now(),
+          lastPlayedAt: null,
+          playCount: 0,
+          skipCount: 0
+        };
+
+        const toEvict = selectTracksForEviction(
+          libraryRef.current,
+          policyRef.current,
+          file.size,
+          protectedRef.current
+        );
+        if (toEvict.length > 0) {
+          await evictTracks(toEvict);
+          evicted.push(...toEvict);
+        }
+
+        await saveTrack(record, file);
+        const track = withObjectUrls(record, file);
+        libraryRef.current = [...libraryRef.current, track];
+        setLibrary(prev => [...prev, track]);
+        added.push(track);
+      } catch (saveError) {
+        console.error('Error saving track:', saveError);
+        rejected.push({
+          file,
+          path,
+          error: isQuotaExceededError(saveError)
+            ? 'Not enough storage space. Free up space or set a library size limit.'
+            : 'Could not save the file'
+        });
+      }
+    }
+
+    const cancelled = done < items.length;
+    onProgress?.({ done, total: items.length, path: null });
+    setLastEvicted(evicted);
+    refreshStorageInfo();
+    return { added, duplicates, rejected, cancelled };
+  }, [evictTracks, getContentHash, refreshStorageInfo]);
+
+  const updateTrack = useCallback(async (id, changes) => {
+    setLibrary(prev => prev.map(track => (track.id === id ? { ...track, ...changes } : track)));
+    try {
+      await updateStoredTrack(id, changes);
+    } catch (updateError) {
+      console.error('Error updating track:', updateError);
+    }
+  }, []);
+
+  /**
+   * Attaches .lrc files to the tracks they sit next to (same path and name)
+   * @param {Array} files - { file, path } entries
+   * @returns {Promise<Object>} - { attached, unmatched } where unmatched holds
+   *   { file, path, error } entries
+   */
+  const attachLyricsFiles = useCallback(async (files) => {
+    let attached = 0;
+    const unmatched = [];
+    for (const { file, path } of files) {
+      const track = findSidecarTrack(path || file.name, libraryRef.current);
+      if (!track) {
+        unmatched.push({ file, path, error: 'No song with the same name for these lyrics' });
+        continue;
+      }
+      try {
+        const lyrics = await readLyricsFile(file);
+        if (!lyrics) throw new Error('empty');
+        await updateTrack(track.id, { lyrics });
+        attached += 1;
+      } catch {
+        unmatched.push({ file, path, error: 'Could not read these lyrics' });
+      }
+    }
+    return { attached, unmatched };
+  }, [updateTrack]);
+
+  /**
+   * Splits single-file albums into their tracks using the .cue sheets
+   * imported alongside them
+   * @param {Array} files - { file, path } entries
+   * @returns {Promise<Object>} - { split, unmatched } where split counts the
+   *   tracks created and unmatched holds { file, path, error } entries
+   */
+  const attachCueSheets = useCallback(async (files) => {
+    let split = 0;
+    const unmatched = [];
+    for (const { file, path } of files) {
+      let sheet;
+      try {
+        sheet = await readCueFile(file);
+      } catch {
+        unmatched.push({ file, path, error: 'Could not read this cue sheet' });
+        continue;
+      }
+
+      // A sheet with one track per file has nothing to split
+      const albums = groupCueTracksByFile(sheet).filter(group => group.tracks.length > 1);
+      if (albums.length === 0) {
+        unmatched.push({ file, path, error: 'This cue sheet has no single-file album to split' });
+        continue;
+      }
+
+      for (const album of albums) {
+        const whole = findCueAudioTrack(path || file.name, album.file, libraryRef.current);
+        if (!whole) {
+          unmatched.push({ file, path, error: `No audio file matching "${album.file}" for this cue sheet` });
+          continue;
+        }
+        // Imported again along with its sheet; the audio was a duplicate
+        if (whole.cue) continue;
+        const records = createCueTracks(whole, sheet, album.tracks, generateTrackId);
+        if (records.length === 0) {
+          unmatched.push({ file, path, error: 'The cue sheet times don\'t fit its audio file' });
+          continue;
+        }
+
+        try {
+          const blob = await getTrackBlob(whole.id);
+          if (!blob) throw new Error('Audio data missing');
+          await splitTrack(whole.id, records);
+          const tracks = records.map(record => withObjectUrls(record, blob));
+          const replace = list => list.flatMap(item => (item.id === whole.id ? tracks : [item]));
+          libraryRef.current = replace(libraryRef.current);
+          setLibrary(replace);
+          revokeObjectUrls(whole);
+          split += tracks.length;
+        } catch (splitError) {
+          console.error('Error splitting album:', splitError);
+          unmatched.push({ file, path, error: 'Could not split the album into tracks' });
+        }
+      }
+    }
+    return { split, unmatched };
+  }, []);
+
+  const markPlayed = useCallback((id) => {
+    const track = libraryRef.current.find(item => item.id === id);
+    return updateTrack(id, { lastPlayedAt: Date.now(), playCount: (track?.playCount || 0) + 1 });
+  }, [updateTrack]);
+
+  const markSkipped = useCallback((id) => {
+    const track = libraryRef.current.find(item => item.id === id);
+    if (!track) return Promise.resolve();
+    return updateTrack(id, { skipCount: (track.skipCount || 0) + 1 });
+  }, [updateTrack]);
+
+  const removeTrack = useCallback(async (id) => {
+    const track = libraryRef.current.find(item => item.id === id);
+    if (!track) return;
+    try {
+      await evictTracks([track]);
+      refreshStorageInfo();
+    } catch (removeError) {
+      console.error('Error removing track:', removeError);
+      setError(`Could not remove "${track.name}"`);
+    }
+  }, [evictTracks, refreshStorageInfo]);
+
+  const clearLibrary = useCallback(async () => {
+    try {
+      await clearAudioStore();
+      libraryRef.current.forEach(revokeObjectUrls);
+      libraryRef.current = [];
+      setLibrary([]);
+      refreshStorageInfo([]);
+    } catch (clearError) {
+      console.error('Error clearing library:', clearError);
+      setError('Could not clear the library');
+    }
+  }, [refreshStorageInfo]);
+
+  // Apply a newly tightened policy straight away rather than on the next upload
+  const applyStoragePolicy = useCallback(async (policy) => {
+    const toEvict = selectTracksForEviction(libraryRef.current, policy, 0, protectedRef.current);
+    if (toEvict.length > 0) {
+      await evictTracks(toEvict);
+      setLastEvicted(toEvict);
+    }
+    refreshStorageInfo();
+    return toEvict;
+  }, [evictTracks, refreshStorageInfo]);
+
+  const persistStorage = useCallback(async () => {
+    const persisted = await requestPersistentStorage();
+    refreshStorageInfo();
+    return persisted;
+  }, [refreshStorageInfo]);
+
+  return {
+    library,
+    isLoading,
+    hasLoaded,
+    error,
+    storageInfo,
+    lastEvicted,
+    addFiles,
+    updateTrack,
+    attachLyricsFiles,
+    attachCueSheets,
+    markPlayed,
+    markSkipped,
+    removeTrack,
+    clearLibrary,
+    applyStoragePolicy,
+    persistStorage,
+    refreshStorageInfo
+  };
+};
@@ -0,0 +1,106 @@
+import { useRef, useCallback, useEffect } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  createQueueState,
+  startFromSource,
+  playNext as queuePlayNext,
+  addToQueue as queueAddToQueue,
+  removeFromQueue as queueRemoveFromQueue,
+  clearQueue as queueClearQueue,
+  resetShuffle,
+  syncQueue,
+  advanceQueue,
+  needsShuffleRefill,
+  refillShuffleBag,
+  peekNextTrack,
+  rewindQueue
+} from '../utils/playQueue';
+
+// Persistent play queue driven by the player's shuffle/repeat settings
+export const usePlayQueue = ({ shuffle = false, repeat = 'off' } = {}) => {
+  const [storedQueue, setStoredQueue] = useLocalStorage('playQueue', createQueueState());
+  const queue = { ...createQueueState(), ...storedQueue };
+
+  // Next/previous need the updated state synchronously to return a track id
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+
+  const commit = useCallback((nextQueue) => {
+    queueRef.current = nextQueue;
+    setStoredQueue(nextQueue);
+  }, [setStoredQueue]);
+
+  const start = useCallback((trackId, sourceIds, sourceListId) => {
+    commit(startFromSource(queueRef.current, trackId, sourceIds, sourceListId));
+  }, [commit]);
+
+  const playNext = useCallback((trackId) => {
+    commit(queuePlayNext(queueRef.current, trackId));
+  }, [commit]);
+
+  const addToQueue = useCallback((trackId) => {
+    commit(queueAddToQueue(queueRef.current, trackId));
+  }, [commit]);
+
+  const removeFromQueue = useCallback((index) => {
+    commit(queueRemoveFromQueue(queueRef.current, index));
+  }, [commit]);
+
+  const clearQueue = useCallback(() => {
+    commit(queueClearQueue(queueRef.current));
+  }, [commit]);
+
+  const reshuffle = useCallback(() => {
+    commit(resetShuffle(queueRef.current));
+  }, [commit]);
+
+  const sync = useCallback((libraryIds, sourceIds) => {
+    commit(syncQueue(queueRef.current, libraryIds, sourceIds));
+  }, [commit]);
+
+  /**
+   * Moves to the next track
+   * @param {Object} [options] - { auto } true when the current track ended by itself
+   * @returns {string|null} - Id of the track to play, or null at the end of the queue
+   */
+  const next = useCallback(({ auto = false } = {}) => {
+    const { state, nextId } = advanceQueue(queueRef.current, { shuffle, repeat, auto });
+    commit(state);
+    return nextId;
+  }, [commit, shuffle, repeat]);
+
+  // A repeating shuffle whose cycle ran out (shuffle or repeat just switched
+  // on, or its last tracks were deleted) draws the next one straight away, so
+  // the upcoming track below is the one next() will really pick
+  const needsRefill = needsShuffleRefill(queue, { shuffle, repeat });
+  useEffect(() => {
+    if (needsRefill) commit(refillShuffleBag(queueRef.current, { shuffle, repeat }));
+  }, [needsRefill, shuffle, repeat, commit]);
+
+  // What plays when the current track ends by itself, so it can be pre-buffered
+  const upcomingId = peekNextTrack(queue, { shuffle, repeat, auto: true });
+
+  /**
+   * Moves back through the play history
+   * @returns {string|null} - Id of the track to play, or null if there's no history
+   */
+  const previous = useCallback(() => {
+    const { state, previousId } = rewindQueue(queueRef.current);
+    commit(state);
+    return previousId;
+  }, [commit]);
+
+  return {
+    queue,
+    upcomingId,
+    start,
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    clearQueue,
+    reshuffle,
+    sync,
+    next,
+    previous
+  };
+};
@@ -0,0 +1,97 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { useAudioEngine } from './useAudioEngine';
+import {
+  SESSION_SAVE_INTERVAL,
+  isLongFormTrack,
+  normalizeSession,
+  toResumePosition
+} from '../utils/session';
+
+// Only write a track's resume position when it moved at least this far
+const RESUME_SAVE_STEP = 5;
+
+// Snapshots the playing track and position (every few seconds while playing,
+// on pause, before switching tracks and when the page is hidden) so the page
+// can pick up where it left off. Long tracks also keep their own position on
+// the track record. The queue, shuffle/repeat, volume and EQ persist through
+// their own hooks.
+export const usePlaybackSession = ({ isPlaying, updateTrack }) => {
+  const engine = useAudioEngine();
+  const [storedSession, setStoredSession] = useLocalStorage('playbackSession', null);
+  // What was saved before this page load, for restoring
+  const restoredRef = useRef(normalizeSession(storedSession));
+  // Last resume position written per track id
+  const savedPositionsRef = useRef(new Map());
+
+  const saveTrackPosition = useCallback((track, position) => {
+    if (!isLongFormTrack(track)) return;
+    const resumePosition = toResumePosition(position, track.duration);
+    const lastSaved = savedPositionsRef.current.has(track.id)
+      ? savedPositionsRef.current.get(track.id)
+      : track.resumePosition ?? null;
+    if (resumePosition === lastSaved) return;
+    if (resumePosition !== null && lastSaved !== null && Math.abs(resumePosition - lastSaved) < RESUME_SAVE_STEP) return;
+
+    savedPositionsRef.current.set(track.id, resumePosition);
+    updateTrack(track.id, { resumePosition });
+  }, [updateTrack]);
+
+  /**
+   * Records the current track and position now
+   */
+  const saveNow = useCallback(() => {
+    const player = engine.getPlayer();
+    const track = player?.getCurrentTrack();
+    if (!track) return;
+    const position = player.getCurrentTime();
+    setStoredSession({ trackId: track.id, position, savedAt: Date.now() });
+    saveTrackPosition(track, position);
+  }, [engine, setStoredSession, saveTrackPosition]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(saveNow, SESSION_SAVE_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      // Also runs on pause, catching the exact spot
+      saveNow();
+    };
+  }, [isPlaying, saveNow]);
+
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    };
+    document.addEventListener('visibilitychange', handleHide);
+    window.addEventListener('pagehide', saveNow);
+    return () => {
+      document.removeEventListener('visibilitychange', handleHide);
+      window.removeEventListener('pagehide', saveNow);
+    };
+  }, [saveNow]);
+
+  // A long track that plays to the end starts over next time
+  useEffect(() => {
+    let currentTrack = engine.getPlayer()?.getCurrentTrack() || null;
+    const finish = (track) => {
+      if (track) saveTrackPosition(track, Infinity);
+    };
+    const unsubscribers = [
+      engine.on('ended', () => finish(engine.getPlayer()?.getCurrentTrack())),
+      engine.on('trackchange', (track) => {
+        finish(currentTrack);
+        currentTrack = track;
+      }),
+      engine.on('durationchange', () => {
+        currentTrack = engine.getPlayer()?.getCurrentTrack() || null;
+      })
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [engine, saveTrackPosition]);
+
+  return {
+    restoredSession: restoredRef.current,
+    saveNow
+  };
+};
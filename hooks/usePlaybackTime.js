@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+
+// Position and duration of the deck player. Kept out of the page so only the
+// components that show the time re-render on every timeupdate.
+export const usePlaybackTime = () => {
+  const engine = useAudioEngine();
+  const [currentTime, setCurrentTime] = useState(() => engine.getPlayer()?.getCurrentTime() || 0);
+  const [duration, setDuration] = useState(() => engine.getPlayer()?.getDuration() || 0);
+
+  useEffect(() => {
+    const unsubscribers = [
+      engine.on('timeupdate', setCurrentTime),
+      engine.on('durationchange', setDuration)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [engine]);
+
+  return { currentTime, duration };
+};
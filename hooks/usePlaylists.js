@@ -0,0 +1,77 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  createPlaylist as createPlaylistEntry,
+  renamePlaylist as renamePlaylistEntry,
+  deletePlaylist as deletePlaylistEntry,
+  reorderPlaylists as reorderPlaylistEntries,
+  addTracksToPlaylist,
+  removeTrackAt,
+  setPlaylistTracks,
+  pruneMissingTracks
+} from '../utils/playlists';
+
+// User playlists persisted in localStorage
+export const usePlaylists = () => {
+  const [playlists, setPlaylists] = useLocalStorage('playlists', []);
+
+  const createPlaylist = useCallback((name, trackIds = []) => {
+    const { playlist } = createPlaylistEntry(playlists, name, trackIds);
+    setPlaylists(prev => [...prev, playlist]);
+    return playlist;
+  }, [playlists, setPlaylists]);
+
+  // Creates several playlists at once (from imported files) with unique names
+  const importPlaylists = useCallback((items) => {
+    let next = playlists;
+    const created = items.map(({ name, trackIds }) => {
+      const result = createPlaylistEntry(next, name, trackIds);
+      next = result.playlists;
+      return result.playlist;
+    });
+    setPlaylists(prev => [...prev, ...created]);
+    return created;
+  }, [playlists, setPlaylists]);
+
+  const renamePlaylist = useCallback((id, name) => {
+    setPlaylists(prev => renamePlaylistEntry(prev, id, name));
+  }, [setPlaylists]);
+
+  const deletePlaylist = useCallback((id) => {
+    setPlaylists(prev => deletePlaylistEntry(prev, id));
+  }, [setPlaylists]);
+
+  const reorderPlaylists = useCallback((orderedIds) => {
+    setPlaylists(prev => reorderPlaylistEntries(prev, orderedIds));
+  }, [setPlaylists]);
+
+  const addTracks = useCallback((id, trackIds, options) => {
+    setPlaylists(prev => addTracksToPlaylist(prev, id, trackIds, options));
+  }, [setPlaylists]);
+
+  const removeTrack = useCallback((id, index) => {
+    setPlaylists(prev => removeTrackAt(prev, id, index));
+  }, [setPlaylists]);
+
+  const reorderTracks = useCallback((id, trackIds) => {
+    setPlaylists(prev => setPlaylistTracks(prev, id, trackIds));
+  }, [setPlaylists]);
+
+  // Called when tracks leave the library so no playlist points at them
+  const pruneTracks = useCallback((libraryIds) => {
+    setPlaylists(prev => pruneMissingTracks(prev, libraryIds));
+  }, [setPlaylists]);
+
+  return {
+    playlists,
+    createPlaylist,
+    importPlaylists,
+    renamePlaylist,
+    deletePlaylist,
+    reorderPlaylists,
+    addTracks,
+    removeTrack,
+    reorderTracks,
+    pruneTracks
+  };
+};
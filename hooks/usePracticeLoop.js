@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { addSavedLoop, normalizeLoop } from '../utils/practice';
+
+const NO_MARKERS = { start: null, end: null };
+
+// A-B loop for the playing track. The markers are set one at a time (or
+// together by dragging on the seek bar) and the deck player loops between
+// them once both are in place. Loops can be saved on the track by name and
+// brought back later. Changing tracks clears the markers.
+export const usePracticeLoop = (track, updateTrack) => {
+  const engine = useAudioEngine();
+  const [markers, setMarkers] = useState(NO_MARKERS);
+  const trackId = track?.id ?? null;
+  const savedLoops = track?.loops;
+
+  useEffect(() => {
+    setMarkers(NO_MARKERS);
+  }, [trackId]);
+
+  const loop = markers.start !== null && markers.end !== null ? normalizeLoop(markers.start, markers.end) : null;
+  const loopStart = loop?.start;
+  const loopEnd = loop?.end;
+
+  useEffect(() => {
+    engine.setLoop(trackId !== null && loopStart !== undefined ? { trackId, start: loopStart, end: loopEnd } : null);
+  }, [engine, trackId, loopStart, loopEnd]);
+
+  useEffect(() => () => engine.setLoop(null), [engine]);
+
+  const getPosition = useCallback(() => {
+    const player = engine.getPlayer();
+    return player ? { time: player.getCurrentTime(), duration: player.getDuration() } : null;
+  }, [engine]);
+
+  /**
+   * Sets the loop to a range, e.g. one dragged out on the seek bar
+   * @param {number} start - A marker in seconds
+   * @param {number} end - B marker in seconds
+   * @returns {boolean} - false if the range is too short to loop
+   */
+  const setRange = useCallback((start, end) => {
+    const range = normalizeLoop(start, end, getPosition()?.duration);
+    if (range) setMarkers(range);
+    return !!range;
+  }, [getPosition]);
+
+  // Puts A at the playback position; a B before it is dropped
+  const setStart = useCallback(() => {
+    const position = getPosition();
+    if (!trackId || !position) return;
+    setMarkers(prev => ({
+      start: position.time,
+      end: prev.end !== null && prev.end > position.time ? prev.end : null
+    }));
+  }, [trackId, getPosition]);
+
+  // Puts B at the playback position, starting the loop if A is set
+  const setEnd = useCallback(() => {
+    const position = getPosition();
+    if (!trackId || !position) return;
+    setMarkers((prev) => {
+      if (prev.start === null) return { start: null, end: position.time };
+      return normalizeLoop(prev.start, position.time, position.duration) || prev;
+    });
+  }, [trackId, getPosition]);
+
+  const clear = useCallback(() => setMarkers(NO_MARKERS), []);
+
+  /**
+   * Saves the current loop on the track
+   * @param {string} name - Name for it (defaults to "Loop n")
+   */
+  const saveLoop = useCallback((name) => {
+    if (!trackId || !loop) return;
+    updateTrack(trackId, { loops: addSavedLoop(savedLoops, loop, name) });
+  }, [trackId, loop, savedLoops, updateTrack]);
+
+  const deleteLoop = useCallback((loopId) => {
+    if (!trackId) return;
+    updateTrack(trackId, { loops: (savedLoops || []).filter(saved => saved.id !== loopId) });
+  }, [trackId, savedLoops, updateTrack]);
+
+  // Loops a saved range and jumps to its start
+  const applySaved = useCallback((saved) => {
+    setMarkers({ start: saved.start, end: saved.end });
+    engine.getPlayer()?.seek(saved.start);
+  }, [engine]);
+
+  return {
+    markers,
+    loop,
+    savedLoops: savedLoops || [],
+    setRange,
+    setStart,
+    setEnd,
+    clear,
+    saveLoop,
+    deleteLoop,
+    applySaved
+  };
+};
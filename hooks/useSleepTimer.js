@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import {
+  createSleepTimer,
+  extendSleepTimer,
+  getSleepFadeLevel,
+  getTimedRemaining
+} from '../utils/sleepTimer';
+
+const TICK_MS = 1000;
+// How quickly the output comes back up when a timer is cancelled or extended
+const RESTORE_SECONDS = 0.5;
+
+// Runs the sleep timer. It checks the time left once a second and turns the
+// engine's fader down over the final minute, then calls onExpire to stop.
+// getRemaining(mode) gives the seconds left for 'track' and 'queue' timers,
+// which depend on playback (null if unknown, e.g. nothing loaded). The time
+// left goes to subscribers (see useSleepTimerRemaining) rather than into
+// state, so only the countdown re-renders each second, not the page.
+export const useSleepTimer = ({ getRemaining, onExpire }) => {
+  const engine = useAudioEngine();
+  const [timer, setTimer] = useState(null);
+  const remainingRef = useRef(null);
+  const listenersRef = useRef(new Set());
+  const callbacksRef = useRef({ getRemaining, onExpire });
+  callbacksRef.current = { getRemaining, onExpire };
+
+  const publish = useCallback((left) => {
+    remainingRef.current = left;
+    listenersRef.current.forEach(listener => listener(left));
+  }, []);
+
+  /**
+   * Follows the seconds left on the timer
+   * @param {Function} listener - Called with the seconds left (null when no
+   *   timer runs or it's unknown), straight away and then on every tick
+   * @returns {Function} - Unsubscribe
+   */
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    listener(remainingRef.current);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const measure = useCallback((current) => {
+    return current.mode === 'duration' ? getTimedRemaining(current) : callbacksRef.current.getRemaining(current.mode);
+  }, []);
+
+  useEffect(() => {
+    if (!timer) {
+      publish(null);
+      engine.setFadeLevel(1, RESTORE_SECONDS);
+      return undefined;
+    }
+
+    const tick = () => {
+      const left = measure(timer);
+      publish(left);
+      engine.setFadeLevel(getSleepFadeLevel(left), TICK_MS / 1000);
+      if (left !== null && left <= 0) {
+        setTimer(null);
+        callbacksRef.current.onExpire();
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, TICK_MS);
+    return () => clearInterval(interval);
+  }, [engine, timer, measure, publish]);
+
+  /**
+   * Starts (or replaces) the timer
+   * @param {string} mode - 'duration', 'track' or 'queue'
+   * @param {number} [minutes] - Length, for 'duration'
+   */
+  const start = useCallback((mode, minutes) => {
+    setTimer(createSleepTimer(mode, minutes));
+  }, []);
+
+  /**
+   * Adds time to the running timer, or starts one that long
+   * @param {number} minutes - Time to add
+   */
+  const extend = useCallback((minutes) => {
+    setTimer(current => (current
+      ? extendSleepTimer(minutes, measure(current))
+      : createSleepTimer('duration', minutes)));
+    engine.setFadeLevel(1, RESTORE_SECONDS);
+  }, [engine, measure]);
+
+  const cancel = useCallback(() => setTimer(null), []);
+
+  return { timer, subscribe, start, extend, cancel };
+};
+
+/**
+ * Seconds left on the sleep timer, for the component that shows them
+ * @param {Function} subscribe - From useSleepTimer
+ * @returns {number|null} - Seconds left, or null
+ */
+export const useSleepTimerRemaining = (subscribe) => {
+  const [remaining, setRemaining] = useState(null);
+  useEffect(() => subscribe(setRemaining), [subscribe]);
+  return remaining;
+};
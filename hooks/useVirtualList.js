@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Rows rendered above and below the visible window so fast scrolling
+// doesn't flash empty space
+const DEFAULT_OVERSCAN = 6;
+
+// Windowed rendering for long lists of fixed-height rows: only the rows in
+// view (plus a few either side) are mounted, inside a spacer as tall as the
+// whole list. Attach containerRef and onScroll to the scrolling element.
+export const useVirtualList = ({ count, rowHeight, overscan = DEFAULT_OVERSCAN }) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const update = () => setViewportHeight(container.clientHeight);
+    update();
+    const resizeObserver = new ResizeObserver(update);
+    resizeObserver.observe(container);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const scrollToIndex = useCallback((index) => {
+    const container = containerRef.current;
+    if (!container) return;
+    const top = index * rowHeight;
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (top + rowHeight > container.scrollTop + container.clientHeight) {
+      container.scrollTop = top + rowHeight - container.clientHeight;
+    }
+  }, [rowHeight]);
+
+  const scrollToTop = useCallback(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    totalHeight: count * rowHeight,
+    scrollToIndex,
+    scrollToTop
+  };
+};
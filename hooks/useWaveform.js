@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAudioId, getTrackBlob } from '../utils/audioStore';
+import { hasWaveform } from '../utils/waveform';
+import {
+  analyzeWaveform,
+  isWaveformAnalysisSupported,
+  MAX_WAVEFORM_DURATION
+} from '../utils/waveformAnalyzer';
+
+// Seek bar peaks for a track. Computed the first time the track is shown and
+// saved on its record, including failures, so each file is decoded only once.
+export const useWaveform = (track, updateTrack) => {
+  const [analyzingId, setAnalyzingId] = useState(null);
+  const trackRef = useRef(track);
+  trackRef.current = track;
+
+  const trackId = track?.id || null;
+  const needsAnalysis = !!track && !track.waveform;
+
+  useEffect(() => {
+    if (!trackId || !needsAnalysis || !isWaveformAnalysisSupported()) return;
+
+    const current = trackRef.current;
+    setAnalyzingId(trackId);
+
+    const analyze = async () => {
+      // A cue sheet track still means decoding its whole file
+      if ((current.cue?.fileDuration ?? current.duration) > MAX_WAVEFORM_DURATION) {
+        return { min: null, max: null, skipped: true };
+      }
+      try {
+        const blob = await getTrackBlob(getAudioId(current)) || await fetch(current.url).then(response => response.blob());
+        return await analyzeWaveform(blob, current.cue);
+      } catch (analysisError) {
+        console.warn(`Could not draw the waveform of "${current.name}":`, analysisError);
+        return { min: null, max: null, failed: true };
+      }
+    };
+
+    // Saved even if another track is showing by then
+    analyze().then((waveform) => {
+      updateTrack(trackId, { waveform: { ...waveform, analyzedAt: Date.now() } });
+      setAnalyzingId(id => (id === trackId ? null : id));
+    });
+  }, [trackId, needsAnalysis, updateTrack]);
+
+  return {
+    peaks: hasWaveform(track) ? track.waveform : null,
+    isAnalyzing: !!trackId && analyzingId === trackId
+  };
+};
@@ -8,7 +8,7 @@ const nextConfig = {
   webpack: (config, { isServer }) => {
     // Audio file handling
     config.module.rules.push({
-      test: /\.(mp3|wav|ogg|m4a)$/,
+      test: /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/,
       type: 'asset/resource',
       generator: {
         filename: 'static/media/[name].[hash][ext]'
@@ -1,4 +1,5 @@
 import { useEffect } from 'react';
+import { AudioEngineProvider } from '../hooks/useAudioEngine';
 import '../styles/globals.css';
 
 function MyApp({ Component, pageProps }) {
@@ -8,7 +9,11 @@ function MyApp({ Component, pageProps }) {
     document.documentElement.classList.toggle('dark', theme === 'dark');
   }, []);
 
-  return <Component {...pageProps} />;
+  return (
+    <AudioEngineProvider>
+      <Component {...pageProps} />
+    </AudioEngineProvider>
+  );
 }
 
 export default MyApp;
\ No newline at end of file
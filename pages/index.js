@@ -1,155 +1,703 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { Upload, Play, Pause, Volume2, Music } from 'lucide-react';
+import {
+  Upload,
+  Play,
+  Pause,
+  Volume2,
+  VolumeX,
+  Music,
+  HardDrive,
+  SkipBack,
+  SkipForward,
+  Shuffle,
+  Repeat,
+  Repeat1,
+  ListMusic,
+  Blend,
+  SlidersHorizontal,
+  Gauge,
+  Keyboard,
+  MicVocal,
+  BarChart3,
+  Guitar,
+  ListOrdered
+} from 'lucide-react';
+import StorageManager from '../components/StorageManager';
+import CoverArt from '../components/CoverArt';
+import QueuePanel from '../components/QueuePanel';
+import PlaylistSidebar from '../components/PlaylistSidebar';
+import SongList from '../components/SongList';
+import LibraryBrowser from '../components/LibraryBrowser';
+import Equalizer from '../components/Equalizer';
+import AudioVisualizer from '../components/AudioVisualizer';
+import WaveformSeekBar from '../components/WaveformSeekBar';
+import ShortcutsOverlay from '../components/ShortcutsOverlay';
+import CommandPalette from '../components/CommandPalette';
+import StatsDashboard from '../components/StatsDashboard';
+import FileUpload from '../components/FileUpload';
+import ImportProgress from '../components/ImportProgress';
+import LibraryBackup from '../components/LibraryBackup';
+import LyricsPanel from '../components/LyricsPanel';
+import PracticePanel from '../components/PracticePanel';
+import SleepTimer from '../components/SleepTimer';
+import ChaptersPanel from '../components/ChaptersPanel';
+import { useMusicLibrary } from '../hooks/useMusicLibrary';
+import { usePlayerSettings } from '../hooks/useLocalStorage';
+import { usePlayQueue } from '../hooks/usePlayQueue';
+import { usePlaylists } from '../hooks/usePlaylists';
+import { useEqualizer } from '../hooks/useEqualizer';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { useLoudnessAnalysis } from '../hooks/useLoudnessAnalysis';
+import { useWaveform } from '../hooks/useWaveform';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { useMediaSession } from '../hooks/useMediaSession';
+import { usePlaybackSession } from '../hooks/usePlaybackSession';
+import { useImportJob } from '../hooks/useImportJob';
+import { useLibraryBackup } from '../hooks/useLibraryBackup';
+import { useListeningHistory } from '../hooks/useListeningHistory';
+import { usePracticeLoop } from '../hooks/usePracticeLoop';
+import { useSleepTimer } from '../hooks/useSleepTimer';
+import { useChapters } from '../hooks/useChapters';
+import { getRemainingQueueIds, nextRepeatMode } from '../utils/playQueue';
+import { MAX_CROSSFADE } from '../utils/deckPlayer';
+import { resolveNormalizationDb } from '../utils/loudness';
+import { dbToGain } from '../utils/equalizer';
+import { getResumePosition } from '../utils/session';
+import { isViewListId } from '../utils/libraryViews';
+import { matchPlaylistEntries, parsePlaylistFile, serializePlaylist } from '../utils/playlistFormats';
+import { downloadFile, toFileName } from '../utils/fileDownload';
+import { formatDuration } from '../utils/audioUtils';
+import { readLyricsFile } from '../utils/lyrics';
+import { PLAYBACK_RATE_STEP, clampPlaybackRate } from '../utils/practice';
+import { isPitchShiftSupported } from '../utils/audioEngine';
+import { SLEEP_TIMER_EXTEND_MINUTES } from '../utils/sleepTimer';
+import {
+  SHORTCUT_ACTIONS,
+  bindShortcut,
+  clearShortcut,
+  resetShortcut,
+  resolveShortcuts
+} from '../utils/shortcuts';
+import {
+  LIBRARY_LIST_ID,
+  RECENTLY_ADDED_ID,
+  findDuplicateTracks,
+  getRecentlyAddedIds,
+  resolveListTrackIds
+} from '../utils/playlists';
+
+// Restart the current track instead of going back if we're this far in
+const PREVIOUS_RESTART_THRESHOLD = 3;
+const VOLUME_STEP = 0.1;
 
 export default function Home() {
   const [currentSong, setCurrentSong] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [duration, setDuration] = useState(0);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [songs, setSongs] = useState([]);
-  const [audioData, setAudioData] = useState(new Uint8Array(0));
+  // Position a long track was resumed from, for the "start over" link
+  const [resumedFrom, setResumedFrom] = useState(null);
+  const [showStorage, setShowStorage] = useState(false);
+  const [showQueue, setShowQueue] = useState(false);
+  const [showEqualizer, setShowEqualizer] = useState(false);
+  const [showLyrics, setShowLyrics] = useState(false);
+  const [showPractice, setShowPractice] = useState(false);
+  const [showChapters, setShowChapters] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [activeListId, setActiveListId] = useState(LIBRARY_LIST_ID);
+  const [playlistImportReports, setPlaylistImportReports] = useState([]);
   
-  const audioRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const dataArrayRef = useRef(null);
-  const sourceRef = useRef(null);
-  const animationIdRef = useRef(null);
-  const fileInputRef = useRef(null);
+  const playerEventsRef = useRef({});
+
+  const engine = useAudioEngine();
+  const { settings, updateSetting } = usePlayerSettings();
+  const { volume, muted: isMuted } = settings;
+  const {
+    library: songs,
+    hasLoaded: hasLibraryLoaded,
+    error: libraryError,
+    storageInfo,
+    lastEvicted,
+    addFiles,
+    updateTrack,
+    attachLyricsFiles,
+    attachCueSheets,
+    markPlayed,
+    markSkipped,
+    removeTrack,
+    clearLibrary,
+    applyStoragePolicy,
+    persistStorage
+  } = useMusicLibrary({
+    storagePolicy: settings.storagePolicy,
+    protectedIds: currentSong ? [currentSong.id] : []
+  });
+  const sleepTimer = useSleepTimer({
+    getRemaining: mode => playerEventsRef.current.getSleepRemaining(mode),
+    onExpire: () => playerEventsRef.current.onSleep()
+  });
+  const {
+    queue,
+    start: startQueue,
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    clearQueue,
+    reshuffle,
+    sync: syncQueue,
+    upcomingId,
+    next: nextInQueue,
+    previous: previousInQueue
+  } = usePlayQueue({
+    shuffle: settings.shuffle,
+    // An end-of-queue sleep timer has to see the queue end
+    repeat: sleepTimer.timer?.mode === 'queue' ? 'off' : settings.repeat
+  });
+  const {
+    playlists,
+    createPlaylist,
+    importPlaylists,
+    renamePlaylist,
+    deletePlaylist,
+    reorderPlaylists,
+    addTracks: addTracksToPlaylist,
+    removeTrack: removeTrackFromPlaylist,
+    reorderTracks: reorderPlaylistTracks,
+    pruneTracks: prunePlaylistTracks
+  } = usePlaylists();
+  const equalizer = useEqualizer(currentSong?.id || null);
+  const loudnessAnalysis = useLoudnessAnalysis({ library: songs, hasLoaded: hasLibraryLoaded, updateTrack });
+  const playbackSession = usePlaybackSession({ isPlaying, updateTrack });
+  const importJob = useImportJob(addFiles, attachLyricsFiles, attachCueSheets);
+  const libraryBackup = useLibraryBackup();
+  const listeningHistory = useListeningHistory({ onPlay: markPlayed, onSkip: markSkipped });
+
+  const songIds = songs.map(song => song.id);
+  const songIdsKey = songIds.join('|');
+  const songsById = new Map(songs.map(song => [song.id, song]));
+  // currentSong can be a stale copy; waveforms and lyrics land on the library record
+  const currentTrack = currentSong ? songsById.get(currentSong.id) || currentSong : null;
+  const waveform = useWaveform(currentTrack, updateTrack);
+  const practiceLoop = usePracticeLoop(currentTrack, updateTrack);
+  const chapterNav = useChapters(currentTrack, updateTrack);
+  const upNextTracks = queue.upNext
+    .map(id => songsById.get(id))
+    .filter(Boolean);
+
+  const activePlaylist = playlists.find(playlist => playlist.id === activeListId) || null;
+  const activeTrackIds = resolveListTrackIds(activeListId, songs, playlists);
+  // Keys stay unique when a playlist holds the same track more than once
+  const activeEntries = activeTrackIds.map((id, index) => ({
+    key: activePlaylist ? `${id}#${index}` : id,
+    track: songsById.get(id)
+  }));
+
+  // Keep playlists free of tracks that have left the library
+  useEffect(() => {
+    if (!hasLibraryLoaded) return;
+    prunePlaylistTracks(songIdsKey ? songIdsKey.split('|') : []);
+  }, [songIdsKey, hasLibraryLoaded, prunePlaylistTracks]);
+
+  // Drop deleted tracks from the queue and follow edits to the list it plays
+  // from. Browser views (a search, an album) keep the order they started with.
+  const followsSourceList = !isViewListId(queue.sourceListId);
+  const queueSourceKey = hasLibraryLoaded && followsSourceList
+    ? resolveListTrackIds(queue.sourceListId || LIBRARY_LIST_ID, songs, playlists).join('|')
+    : null;
+  useEffect(() => {
+    if (!hasLibraryLoaded) return;
+    const ids = songIdsKey ? songIdsKey.split('|') : [];
+    const sourceIds = queueSourceKey === null ? null : queueSourceKey ? queueSourceKey.split('|') : [];
+    syncQueue(ids, sourceIds);
+  }, [hasLibraryLoaded, songIdsKey, queueSourceKey, syncQueue]);
 
+  // Fall back to the library if the open playlist is deleted
   useEffect(() => {
-    const savedSongs = localStorage.getItem('musicPlayerSongs');
-    if (savedSongs) {
-      setSongs(JSON.parse(savedSongs));
+    if (activeListId !== LIBRARY_LIST_ID && activeListId !== RECENTLY_ADDED_ID && !activePlaylist) {
+      setActiveListId(LIBRARY_LIST_ID);
     }
+  }, [activeListId, activePlaylist]);
+
+  const handleRemoveSong = (event, song, index) => {
+    event.stopPropagation();
+    if (activePlaylist) {
+      removeTrackFromPlaylist(activePlaylist.id, index);
+      return;
+    }
+    if (currentSong?.id === song.id) {
+      pauseSong();
+      setCurrentSong(null);
+    }
+    removeTrack(song.id);
+  };
+
+  const handlePolicyChange = (policy) => {
+    updateSetting('storagePolicy', policy);
+    applyStoragePolicy(policy);
+  };
+
+  // Storage is about to be rewritten and the page reloaded; stop first
+  const handleRestoreBackup = (file, mode) => {
+    libraryBackup.restore(file, mode, () => {
+      pauseSong();
+      setCurrentSong(null);
+    });
+  };
+
+  const handleClearLibrary = () => {
+    if (!window.confirm('Remove every track from your library? This cannot be undone.')) return;
+    pauseSong();
+    setCurrentSong(null);
+    clearLibrary();
+  };
+
+  // Builds/resumes the shared graph; must run inside a user gesture
+  const initializeAudioContext = () => engine.start();
+
+  useEffect(() => {
+    const unsubscribers = [
+      engine.on('ended', () => playerEventsRef.current.onEnded()),
+      engine.on('trackchange', track => playerEventsRef.current.onTrackChange(track))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [engine]);
+
+  useEffect(() => {
+    engine.setVolume(isMuted ? 0 : volume);
+  }, [engine, volume, isMuted]);
+
+  useEffect(() => {
+    engine.setCrossfade(settings.crossfade);
+  }, [engine, settings.crossfade]);
+
+  useEffect(() => {
+    engine.setPlaybackRate(settings.playbackRate, settings.preservePitch);
+  }, [engine, settings.playbackRate, settings.preservePitch]);
+
+  useEffect(() => {
+    engine.setPitchShift(settings.pitchShift);
+  }, [engine, settings.pitchShift]);
+
+  // equalizerKey captures everything setEqualizer() reads; the settings object
+  // itself is new on every render
+  const equalizerRef = useRef(equalizer);
+  equalizerRef.current = equalizer;
+  const equalizerKey = JSON.stringify([equalizer.enabled, equalizer.settings.preamp, equalizer.settings.gains]);
+  useEffect(() => {
+    const { settings: equalizerSettings, enabled } = equalizerRef.current;
+    engine.setEqualizer(equalizerSettings, enabled);
+  }, [engine, equalizerKey]);
+
+  // Deck tracks can be stale copies, so gains are looked up on the live library
+  const normalizationRef = useRef({});
+  normalizationRef.current = { songs, songsById, mode: settings.normalization };
+  const resolveTrackGainDb = useCallback((track) => {
+    const { songs: library, songsById: byId, mode } = normalizationRef.current;
+    return resolveNormalizationDb(byId.get(track.id) || track, library, mode);
   }, []);
+  const currentGainDb = currentSong ? resolveTrackGainDb(currentSong) : 0;
 
   useEffect(() => {
-    if (songs.length > 0) {
-      localStorage.setItem('musicPlayerSongs', JSON.stringify(songs));
+    engine.setGainResolver(track => dbToGain(resolveTrackGainDb(track)));
+  }, [engine, resolveTrackGainDb]);
+
+  // Re-apply when the mode changes or a measurement for the current track lands
+  useEffect(() => {
+    engine.getPlayer()?.refreshTrackGains();
+  }, [engine, settings.normalization, currentGainDb]);
+
+  // Keep the idle deck loaded with whatever the queue will play next (nothing
+  // if a sleep timer stops after this track, so it ends instead of moving on)
+  const upcomingTrack = upcomingId && sleepTimer.timer?.mode !== 'track'
+    ? songsById.get(upcomingId) || null
+    : null;
+  // upcomingKey covers the track's identity; the object itself changes every render
+  const upcomingKey = upcomingTrack ? `${upcomingTrack.id}|${upcomingTrack.url}` : null;
+  const upcomingTrackRef = useRef(upcomingTrack);
+  upcomingTrackRef.current = upcomingTrack;
+  const currentSongId = currentSong?.id ?? null;
+  useEffect(() => {
+    engine.getPlayer()?.preload(upcomingTrackRef.current);
+  }, [engine, upcomingKey, currentSongId]);
+
+  // Put the last session's track back, paused where it was. Runs once, as
+  // soon as the library is available, with the values of that render.
+  const hasRestoredRef = useRef(false);
+  const restoreRef = useRef(null);
+  restoreRef.current = { restoredSession: playbackSession.restoredSession, songsById, currentSong };
+  useEffect(() => {
+    if (!hasLibraryLoaded || hasRestoredRef.current) return;
+    hasRestoredRef.current = true;
+    const { restoredSession, songsById: byId, currentSong: playing } = restoreRef.current;
+    const track = restoredSession && byId.get(restoredSession.trackId);
+    if (!track || playing) return;
+    setCurrentSong(track);
+    setResumedFrom(restoredSession.position > 0 ? restoredSession.position : null);
+    // The context stays suspended until the first play
+    engine.start()?.load(track, { startAt: restoredSession.position, autoplay: false });
+  }, [engine, hasLibraryLoaded]);
+
+  // Loads and plays a track without touching the queue. Long tracks pick up
+  // from their saved position.
+  const startTrack = (song) => {
+    playbackSession.saveNow();
+    const track = songsById.get(song.id) || song;
+    const startAt = getResumePosition(track);
+    setCurrentSong(track);
+    setResumedFrom(startAt > 0 ? startAt : null);
+    listeningHistory.begin(track);
+    const player = initializeAudioContext();
+    if (!player) return;
+    player.load(track, { startAt });
+    setIsPlaying(true);
+  };
+
+  const startOver = () => {
+    engine.getPlayer()?.seek(0);
+    setResumedFrom(null);
+  };
+
+  const playSong = (song) => {
+    if (currentSong?.id === song.id) {
+      if (isPlaying) {
+        pauseSong();
+      } else {
+        resumeSong();
+      }
+      return;
     }
-  }, [songs]);
-
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files);
-    const mp3Files = files.filter(file => file.type === 'audio/mpeg');
-    
-    mp3Files.forEach(file => {
-      const url = URL.createObjectURL(file);
-      const newSong = {
-        id: Date.now() + Math.random(),
-        name: file.name.replace('.mp3', ''),
-        url: url,
-        file: file
-      };
-      setSongs(prev => [...prev, newSong]);
-    });
+
+    startQueue(song.id, activeTrackIds, activeListId);
+    startTrack(song);
   };
 
-  const initializeAudioContext = () => {
-    if (!audioContextRef.current && audioRef.current) {
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-      analyserRef.current = audioContextRef.current.createAnalyser();
-      analyserRef.current.fftSize = 256;
-      
-      sourceRef.current = audioContextRef.current.createMediaElementSource(audioRef.current);
-      sourceRef.current.connect(analyserRef.current);
-      analyserRef.current.connect(audioContextRef.current.destination);
-      
-      dataArrayRef.current = new Uint8Array(analyserRef.current.frequencyBinCount);
+  // Plays from a list the library browser built (sorted, searched, an album...)
+  const playFromView = (song, trackIds, listId) => {
+    if (currentSong?.id === song.id) {
+      playSong(song);
+      return;
     }
+    startQueue(song.id, trackIds, listId);
+    startTrack(song);
   };
 
-  const updateAudioData = () => {
-    if (analyserRef.current && dataArrayRef.current) {
-      analyserRef.current.getByteFrequencyData(dataArrayRef.current);
-      setAudioData(new Uint8Array(dataArrayRef.current));
-      animationIdRef.useRef = requestAnimationFrame(updateAudioData);
+  const resumeSong = () => {
+    if (!currentSong) return;
+    const player = initializeAudioContext();
+    if (!player) return;
+    // After a reload the decks are empty even though a song is selected
+    if (player.getCurrentTrack()?.id === currentSong.id) {
+      player.play();
+    } else {
+      player.load(currentSong);
     }
+    setIsPlaying(true);
   };
 
-  const playSong = (song) => {
-    if (currentSong?.id === song.id && isPlaying) {
+  const playTrackById = (id) => {
+    const track = songs.find(song => song.id === id);
+    if (track) startTrack(track);
+    return !!track;
+  };
+
+  const handleNext = ({ auto = false } = {}) => {
+    const nextId = nextInQueue({ auto });
+    if (!nextId || !playTrackById(nextId)) {
       pauseSong();
+    }
+  };
+
+  const handlePrevious = () => {
+    const player = engine.getPlayer();
+    if (player && player.getCurrentTime() > PREVIOUS_RESTART_THRESHOLD) {
+      player.seek(0);
       return;
     }
-    
-    setCurrentSong(song);
-    if (audioRef.current) {
-      audioRef.current.src = song.url;
-      audioRef.current.play();
-      setIsPlaying(true);
-      
-      initializeAudioContext();
-      updateAudioData();
+    const previousId = previousInQueue();
+    if (!previousId || !playTrackById(previousId)) {
+      player?.seek(0);
     }
   };
 
-  const pauseSong = () => {
-    if (audioRef.current) {
-      audioRef.current.pause();
-      setIsPlaying(false);
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
+  // The buffered deck has already started; bring the queue along with it
+  const handleDeckTrackChange = (track) => {
+    const nextId = nextInQueue({ auto: true });
+    if (nextId === track.id) {
+      const current = songsById.get(track.id) || track;
+      setCurrentSong(current);
+      setResumedFrom(null);
+      listeningHistory.begin(current);
+      return;
+    }
+    // The queue changed its mind (e.g. a reshuffled bag): play what it chose
+    if (!nextId || !playTrackById(nextId)) pauseSong();
+  };
+
+  // Seconds of playback left for an end-of-track or end-of-queue sleep timer
+  const getSleepRemaining = (mode) => {
+    const player = engine.getPlayer();
+    const duration = player?.getDuration();
+    if (!player?.getCurrentTrack() || !Number.isFinite(duration) || duration <= 0) return null;
+    let seconds = Math.max(duration - player.getCurrentTime(), 0);
+    if (mode === 'queue') {
+      seconds += getRemainingQueueIds(queue, { shuffle: settings.shuffle })
+        .reduce((total, id) => total + (songsById.get(id)?.duration || 0), 0);
+    }
+    return seconds / settings.playbackRate;
+  };
+
+  const stopForSleep = () => {
+    pauseSong();
+    sleepTimer.cancel();
+  };
+
+  const handleStartSleepTimer = (mode, minutes) => {
+    if (mode === 'duration') updateSetting('sleepTimerMinutes', minutes);
+    sleepTimer.start(mode, minutes);
+  };
+
+  playerEventsRef.current = {
+    onEnded: () => (sleepTimer.timer?.mode === 'track' ? stopForSleep() : handleNext({ auto: true })),
+    onTrackChange: handleDeckTrackChange,
+    getSleepRemaining,
+    onSleep: () => pauseSong()
+  };
+
+  const queueNext = (song) => {
+    if (!currentSong) {
+      playSong(song);
+      return;
+    }
+    playNext(song.id);
+  };
+
+  const queueLast = (song) => {
+    if (!currentSong) {
+      playSong(song);
+      return;
+    }
+    addToQueue(song.id);
+  };
+
+  const handlePlayNext = (event, song) => {
+    event.stopPropagation();
+    queueNext(song);
+  };
+
+  const handleAddToQueue = (event, song) => {
+    event.stopPropagation();
+    queueLast(song);
+  };
+
+  // Search results can come from outside the open list; play those from the library
+  const playSearchResult = (song) => {
+    if (activeTrackIds.includes(song.id)) {
+      playSong(song);
+      return;
     }
+    startQueue(song.id, songIds, LIBRARY_LIST_ID);
+    startTrack(song);
   };
 
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setCurrentTime(audioRef.current.currentTime);
+  const playPlaylist = (playlistId) => {
+    const ids = resolveListTrackIds(playlistId, songs, playlists);
+    const track = songsById.get(ids[0]);
+    if (!track) return;
+    setActiveListId(playlistId);
+    startQueue(track.id, ids, playlistId);
+    startTrack(track);
+  };
+
+  const handleAddToPlaylist = (playlistId, trackIds) => {
+    if (!playlistId) {
+      const name = window.prompt('Playlist name', 'New Playlist');
+      if (name !== null) createPlaylist(name, trackIds);
+      return;
+    }
+
+    const playlist = playlists.find(item => item.id === playlistId);
+    const duplicates = findDuplicateTracks(playlist, trackIds);
+    let allowDuplicates = false;
+    if (duplicates.length > 0) {
+      const names = duplicates.map(id => songsById.get(id)?.name).filter(Boolean).join(', ');
+      allowDuplicates = window.confirm(`${names} ${duplicates.length === 1 ? 'is' : 'are'} already in "${playlist.name}". Add again?`);
+      if (!allowDuplicates && duplicates.length === trackIds.length) return;
     }
+    addTracksToPlaylist(playlistId, trackIds, { allowDuplicates });
+  };
+
+  const handleDeletePlaylist = (playlist) => {
+    if (!window.confirm(`Delete the playlist "${playlist.name}"? The songs stay in your library.`)) return;
+    deletePlaylist(playlist.id);
   };
 
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setDuration(audioRef.current.duration);
+  // Each file becomes a playlist of the entries found in the library; the
+  // report lists the ones that weren't
+  const handleImportPlaylists = async (files) => {
+    const reports = [];
+    const imported = [];
+    for (const file of files) {
+      try {
+        const parsed = parsePlaylistFile(file.name, await file.text());
+        const { trackIds, unmatched } = matchPlaylistEntries(parsed.entries, songs);
+        reports.push({
+          fileName: file.name,
+          name: parsed.name,
+          total: parsed.entries.length,
+          matched: trackIds.length,
+          unmatched
+        });
+        if (trackIds.length > 0) imported.push({ name: parsed.name, trackIds });
+      } catch (importError) {
+        reports.push({ fileName: file.name, error: importError.message || 'Could not read this playlist' });
+      }
     }
+    const created = importPlaylists(imported);
+    if (created.length === 1) setActiveListId(created[0].id);
+    setPlaylistImportReports(reports);
+  };
+
+  const handleExportPlaylist = (playlist, formatId) => {
+    const tracks = resolveListTrackIds(playlist.id, songs, playlists).map(id => songsById.get(id));
+    const { text, extension, mimeType } = serializePlaylist(formatId, playlist.name, tracks);
+    downloadFile(text, `${toFileName(playlist.name)}.${extension}`, mimeType);
+  };
+
+  const handleLoadLyrics = async (file) => {
+    const lyrics = await readLyricsFile(file);
+    if (!lyrics) throw new Error('That file has no lyrics');
+    await updateTrack(currentTrack.id, { lyrics });
+  };
+
+  const handleReorderPlaylistTracks = (keys) => {
+    if (!activePlaylist) return;
+    reorderPlaylistTracks(activePlaylist.id, keys.map(key => key.split('#')[0]));
+  };
+
+  const toggleShuffle = () => {
+    const shuffle = !settings.shuffle;
+    updateSetting('shuffle', shuffle);
+    if (shuffle) reshuffle();
+  };
+
+  const cycleRepeat = () => {
+    updateSetting('repeat', nextRepeatMode(settings.repeat));
+  };
+
+  const pauseSong = () => {
+    engine.getPlayer()?.pause();
+    setIsPlaying(false);
   };
 
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value);
-    setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
+    updateSetting('volume', newVolume);
+    updateSetting('muted', false);
+  };
+
+  const changeVolume = (delta) => {
+    updateSetting('volume', Math.round(Math.min(Math.max(volume + delta, 0), 1) * 10) / 10);
+    updateSetting('muted', false);
+  };
+
+  const changePlaybackRate = (delta) => {
+    updateSetting('playbackRate', clampPlaybackRate(settings.playbackRate + delta));
+  };
+
+  const seekBy = (seconds) => {
+    const player = engine.getPlayer();
+    if (!currentSong || !player) return;
+    player.seek(player.getCurrentTime() + seconds);
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      pauseSong();
+    } else if (currentSong) {
+      resumeSong();
+    } else if (activeEntries.length > 0) {
+      playSong(activeEntries[0].track);
     }
   };
 
-  const formatTime = (time) => {
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
-
-  const Visualizer = () => {
-    const bars = Array.from({ length: 32 }, (_, i) => {
-      const height = audioData[i] ? (audioData[i] / 255) * 100 : 0;
-      return (
-        <motion.div
-          key={i}
-          className="bg-gradient-to-t from-purple-400 to-pink-400 rounded-full"
-          style={{
-            height: `${Math.max(height, 4)}%`,
-            width: '6px',
-          }}
-          animate={{
-            height: `${Math.max(height, 4)}%`,
-          }}
-          transition={{
-            duration: 0.1,
-            ease: 'easeOut',
-          }}
-        />
-      );
-    });
+  // Keyboard shortcuts (and the palette's action list) run these by action id
+  const shortcutHandlers = {
+    togglePlay,
+    next: () => currentSong && handleNext(),
+    previous: () => currentSong && handlePrevious(),
+    seekBack: () => seekBy(-5),
+    seekForward: () => seekBy(5),
+    seekBackLong: () => seekBy(-10),
+    seekForwardLong: () => seekBy(10),
+    restart: () => currentSong && engine.getPlayer()?.seek(0),
+    volumeUp: () => changeVolume(VOLUME_STEP),
+    volumeDown: () => changeVolume(-VOLUME_STEP),
+    mute: () => updateSetting('muted', !isMuted),
+    shuffle: toggleShuffle,
+    repeat: cycleRepeat,
+    sleepTimer: () => (sleepTimer.timer ? sleepTimer.cancel() : sleepTimer.start('duration', settings.sleepTimerMinutes)),
+    extendSleepTimer: () => sleepTimer.extend(SLEEP_TIMER_EXTEND_MINUTES),
+    toggleVisualizer: () => updateSetting('visualizerEnabled', !settings.visualizerEnabled),
+    toggleQueue: () => setShowQueue(prev => !prev),
+    toggleEqualizer: () => setShowEqualizer(prev => !prev),
+    toggleLyrics: () => setShowLyrics(prev => !prev),
+    toggleChapters: () => setShowChapters(prev => !prev),
+    previousChapter: chapterNav.previousChapter,
+    nextChapter: chapterNav.nextChapter,
+    addBookmark: () => chapterNav.addBookmark(),
+    speedDown: () => changePlaybackRate(-PLAYBACK_RATE_STEP),
+    speedUp: () => changePlaybackRate(PLAYBACK_RATE_STEP),
+    setLoopStart: practiceLoop.setStart,
+    setLoopEnd: practiceLoop.setEnd,
+    clearLoop: practiceLoop.clear,
+    commandPalette: () => setShowPalette(prev => !prev),
+    showShortcuts: () => setShowShortcuts(true)
+  };
+
+  const shortcutBindings = resolveShortcuts(settings.shortcuts);
+  useKeyboardShortcuts(shortcutBindings, shortcutHandlers, { enabled: !showShortcuts && !showPalette && !showStats });
+
+  useMediaSession({
+    track: currentSong,
+    isPlaying,
+    playbackRate: settings.playbackRate,
+    handlers: {
+      play: () => !isPlaying && togglePlay(),
+      pause: pauseSong,
+      stop: () => {
+        pauseSong();
+        engine.getPlayer()?.seek(0);
+      },
+      previous: shortcutHandlers.previous,
+      next: shortcutHandlers.next,
+      seekTo: time => currentSong && engine.getPlayer()?.seek(time),
+      seekBy
+    }
+  });
+
+  const paletteActions = [
+    ...SHORTCUT_ACTIONS
+      .filter(action => action.id !== 'commandPalette')
+      .map(action => ({
+        id: action.id,
+        label: action.label,
+        combos: shortcutBindings[action.id],
+        run: shortcutHandlers[action.id]
+      })),
+    { id: 'import', label: 'Import music', run: () => setShowImport(true) },
+    { id: 'clearQueue', label: 'Clear queue', run: clearQueue },
+    { id: 'toggleStorage', label: 'Show / hide storage', run: () => setShowStorage(prev => !prev) },
+    { id: 'backup', label: 'Back up library', run: libraryBackup.backup },
+    { id: 'stats', label: 'Listening stats', run: () => setShowStats(true) },
+    { id: 'togglePractice', label: 'Show / hide practice tools', run: () => setShowPractice(prev => !prev) }
+  ];
 
-    return (
-      <div className="flex items-end justify-center space-x-1 h-32">
-        {bars}
-      </div>
-    );
+  const handleBindShortcut = (actionId, combo) => {
+    const { overrides, replacedAction } = bindShortcut(settings.shortcuts, actionId, combo);
+    updateSetting('shortcuts', overrides);
+    return replacedAction;
   };
 
   return (
@@ -158,45 +706,204 @@ export default function Home() {
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.6 }}
-        className="w-full max-w-md mx-auto"
+        className="w-full max-w-4xl mx-auto flex flex-col md:flex-row gap-6 md:items-start"
       >
-        <div className="backdrop-blur-xl bg-white/10 rounded-3xl border border-white/20 shadow-2xl p-8">
+        <PlaylistSidebar
+          playlists={playlists}
+          activeListId={activeListId}
+          libraryCount={songs.length}
+          recentCount={getRecentlyAddedIds(songs).length}
+          onSelect={setActiveListId}
+          onCreate={createPlaylist}
+          onRename={renamePlaylist}
+          onDelete={handleDeletePlaylist}
+          onReorder={reorderPlaylists}
+          onDropTracks={handleAddToPlaylist}
+          onImport={handleImportPlaylists}
+          onExport={handleExportPlaylist}
+          importReports={playlistImportReports}
+          onDismissImportReports={() => setPlaylistImportReports([])}
+        />
+
+        <div className="flex-1 min-w-0 max-w-md w-full mx-auto backdrop-blur-xl bg-white/10 rounded-3xl border border-white/20 shadow-2xl p-8">
           <div className="text-center mb-8">
             <h1 className="text-3xl font-bold text-white mb-2">Music Player</h1>
-            <p className="text-white/70">Upload and play your MP3 files</p>
+            <p className="text-white/70">Upload and play your music files</p>
           </div>
 
           <div className="space-y-6">
             {/* Upload Section */}
             <div className="text-center">
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept=".mp3"
-                multiple
-                onChange={handleFileUpload}
-                className="hidden"
-              />
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                onClick={() => fileInputRef.current?.click()}
-                className="inline-flex items-center space-x-2 px-6 py-3 bg-white/20 hover:bg-white/30 rounded-2xl border border-white/30 text-white transition-all duration-300"
+                onClick={() => setShowImport(prev => !prev)}
+                className={`inline-flex items-center space-x-2 px-6 py-3 rounded-2xl border text-white transition-all duration-300 ${
+                  showImport ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
               >
                 <Upload size={20} />
-                <span>Upload MP3 Files</span>
+                <span>Upload Music</span>
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowStorage(prev => !prev)}
+                title="Storage"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showStorage ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <HardDrive size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowQueue(prev => !prev)}
+                title="Queue"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showQueue ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <ListMusic size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowEqualizer(prev => !prev)}
+                title="Equalizer"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showEqualizer ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <SlidersHorizontal size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowLyrics(prev => !prev)}
+                title="Lyrics"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showLyrics ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <MicVocal size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowPractice(prev => !prev)}
+                title="Practice"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showPractice ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <Guitar size={20} />
               </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowChapters(prev => !prev)}
+                title="Chapters and bookmarks"
+                className={`inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 ${
+                  showChapters ? 'bg-white/30 border-white/40' : 'bg-white/20 hover:bg-white/30 border-white/30'
+                }`}
+              >
+                <ListOrdered size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowStats(true)}
+                title="Listening stats"
+                className="inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 bg-white/20 hover:bg-white/30 border-white/30"
+              >
+                <BarChart3 size={20} />
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowShortcuts(true)}
+                title="Keyboard shortcuts"
+                className="inline-flex items-center p-3 ml-2 rounded-2xl border text-white transition-all duration-300 bg-white/20 hover:bg-white/30 border-white/30"
+              >
+                <Keyboard size={20} />
+              </motion.button>
+              {libraryError && (
+                <p className="text-red-400 text-sm mt-3 whitespace-pre-line">{libraryError}</p>
+              )}
             </div>
 
+            {(showImport || (hasLibraryLoaded && songs.length === 0)) && (
+              <FileUpload onImport={importJob.start} disabled={importJob.isRunning} />
+            )}
+
+            {importJob.job && (
+              <ImportProgress job={importJob.job} onCancel={importJob.cancel} onDismiss={importJob.dismiss} />
+            )}
+
+            {showStorage && (
+              <StorageManager
+                storageInfo={storageInfo}
+                trackCount={songs.length}
+                policy={settings.storagePolicy}
+                lastEvicted={lastEvicted}
+                onPolicyChange={handlePolicyChange}
+                onPersist={persistStorage}
+                onClearLibrary={handleClearLibrary}
+              />
+            )}
+
+            {(showStorage || libraryBackup.job) && (
+              <LibraryBackup
+                job={libraryBackup.job}
+                isRunning={libraryBackup.isRunning}
+                trackCount={songs.length}
+                onBackup={libraryBackup.backup}
+                onRestore={handleRestoreBackup}
+                onCancel={libraryBackup.cancel}
+                onDismiss={libraryBackup.dismiss}
+              />
+            )}
+
+            {showQueue && (
+              <QueuePanel
+                tracks={upNextTracks}
+                onRemove={removeFromQueue}
+                onClear={clearQueue}
+              />
+            )}
+
+            {showEqualizer && (
+              <Equalizer
+                enabled={equalizer.enabled}
+                scope={equalizer.scope}
+                settings={equalizer.settings}
+                builtInPresets={equalizer.builtInPresets}
+                userPresets={equalizer.userPresets}
+                hasTrack={!!currentSong}
+                onToggle={equalizer.setEnabled}
+                onScopeChange={equalizer.setScope}
+                onBandChange={equalizer.setBandGain}
+                onPreampChange={equalizer.setPreamp}
+                onPresetSelect={equalizer.applyPreset}
+                onPresetSave={equalizer.savePreset}
+                onPresetDelete={equalizer.deletePreset}
+                onResetTrack={equalizer.resetTrack}
+              />
+            )}
+
             {/* Visualizer */}
-            {isPlaying && (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="bg-black/20 rounded-2xl p-4 border border-white/10"
-              >
-                <Visualizer />
-              </motion.div>
+            {currentSong && settings.visualizerEnabled && (
+              <AudioVisualizer
+                isPlaying={isPlaying}
+                mode={settings.visualizerMode}
+                fftSize={settings.visualizerFftSize}
+                smoothing={settings.visualizerSmoothing}
+                onModeChange={mode => updateSetting('visualizerMode', mode)}
+                onFftSizeChange={size => updateSetting('visualizerFftSize', size)}
+                onSmoothingChange={value => updateSetting('visualizerSmoothing', value)}
+              />
             )}
 
             {/* Current Song Display */}
@@ -207,100 +914,275 @@ export default function Home() {
                 className="bg-black/20 rounded-2xl p-4 border border-white/10"
               >
                 <div className="flex items-center space-x-3 mb-4">
-                  <div className="w-12 h-12 bg-gradient-to-br from-purple-400 to-pink-400 rounded-xl flex items-center justify-center">
-                    <Music className="text-white" size={24} />
-                  </div>
-                  <div className="flex-1">
+                  <CoverArt src={currentSong.artworkUrl} alt={currentSong.album || currentSong.name} />
+                  <div className="flex-1 min-w-0">
                     <h3 className="text-white font-semibold truncate">{currentSong.name}</h3>
-                    <p className="text-white/60 text-sm">
-                      {formatTime(currentTime)} / {formatTime(duration)}
-                    </p>
+                    {(currentSong.artist || currentSong.album) && (
+                      <p className="text-white/70 text-sm truncate">
+                        {[currentSong.artist, currentSong.album].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
                   </div>
                 </div>
 
-                {/* Progress Bar */}
-                <div className="w-full bg-white/20 rounded-full h-2 mb-4">
-                  <div
-                    className="bg-gradient-to-r from-purple-400 to-pink-400 h-2 rounded-full transition-all duration-300"
-                    style={{ width: `${(currentTime / duration) * 100 || 0}%` }}
-                  />
-                </div>
+                {resumedFrom !== null && (
+                  <p className="text-xs text-white/60 -mt-2 mb-3">
+                    Resumed at {formatDuration(resumedFrom)} ·{' '}
+                    <button onClick={startOver} className="underline hover:text-white">Start over</button>
+                  </p>
+                )}
+
+                <WaveformSeekBar
+                  peaks={waveform.peaks}
+                  isAnalyzing={waveform.isAnalyzing}
+                  onSeek={time => engine.getPlayer()?.seek(time)}
+                  loop={practiceLoop.markers}
+                  onLoopSelect={practiceLoop.setRange}
+                  chapters={chapterNav.chapters}
+                  bookmarks={chapterNav.bookmarks}
+                />
 
                 {/* Controls */}
-                <div className="flex items-center justify-between">
+                <div className="flex items-center justify-center space-x-3 mb-4">
+                  <button
+                    onClick={toggleShuffle}
+                    title={settings.shuffle ? 'Shuffle on' : 'Shuffle off'}
+                    className={`p-2 rounded-full transition-colors ${
+                      settings.shuffle ? 'text-purple-300 bg-white/10' : 'text-white/50 hover:text-white'
+                    }`}
+                  >
+                    <Shuffle size={16} />
+                  </button>
+                  <button
+                    onClick={handlePrevious}
+                    title="Previous"
+                    className="p-2 rounded-full text-white hover:bg-white/10"
+                  >
+                    <SkipBack size={20} />
+                  </button>
                   <motion.button
                     whileHover={{ scale: 1.1 }}
                     whileTap={{ scale: 0.9 }}
-                    onClick={() => isPlaying ? pauseSong() : playSong(currentSong)}
+                    onClick={() => isPlaying ? pauseSong() : resumeSong()}
                     className="w-12 h-12 bg-white/20 hover:bg-white/30 rounded-full flex items-center justify-center text-white transition-all duration-300"
                   >
                     {isPlaying ? <Pause size={20} /> : <Play size={20} />}
                   </motion.button>
+                  <button
+                    onClick={() => handleNext()}
+                    title="Next"
+                    className="p-2 rounded-full text-white hover:bg-white/10"
+                  >
+                    <SkipForward size={20} />
+                  </button>
+                  <button
+                    onClick={cycleRepeat}
+                    title={`Repeat ${settings.repeat}`}
+                    className={`p-2 rounded-full transition-colors ${
+                      settings.repeat !== 'off' ? 'text-purple-300 bg-white/10' : 'text-white/50 hover:text-white'
+                    }`}
+                  >
+                    {settings.repeat === 'one' ? <Repeat1 size={16} /> : <Repeat size={16} />}
+                  </button>
+                </div>
 
-                  <div className="flex items-center space-x-2 flex-1 ml-4">
-                    <Volume2 className="text-white" size={16} />
+                <div className="flex items-center space-x-4">
+                  <div className="flex items-center space-x-2 flex-1">
+                    <button
+                      onClick={() => updateSetting('muted', !isMuted)}
+                      title={isMuted ? 'Unmute' : 'Mute'}
+                      className="text-white hover:text-purple-200"
+                    >
+                      {isMuted ? <VolumeX size={16} /> : <Volume2 size={16} />}
+                    </button>
                     <input
                       type="range"
                       min="0"
                       max="1"
                       step="0.1"
-                      value={volume}
+                      value={isMuted ? 0 : volume}
                       onChange={handleVolumeChange}
                       className="flex-1 accent-purple-400"
                     />
                   </div>
+                  <div
+                    className="flex items-center space-x-2 flex-1"
+                    title="Crossfade between tracks (consecutive album tracks always play gapless)"
+                  >
+                    <Blend className="text-white" size={16} />
+                    <input
+                      type="range"
+                      min="0"
+                      max={MAX_CROSSFADE}
+                      step="1"
+                      value={settings.crossfade}
+                      onChange={(e) => updateSetting('crossfade', parseFloat(e.target.value))}
+                      className="flex-1 accent-purple-400"
+                    />
+                    <span className="text-white/60 text-xs w-8 text-right">
+                      {settings.crossfade > 0 ? `${settings.crossfade}s` : 'Off'}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-2 mt-3 text-xs text-white/60">
+                  <Gauge className="text-white" size={16} />
+                  <span>Volume leveling</span>
+                  <select
+                    value={settings.normalization}
+                    onChange={(e) => updateSetting('normalization', e.target.value)}
+                    className="bg-white/10 border border-white/20 rounded-lg px-2 py-0.5 text-white"
+                  >
+                    <option value="off">Off</option>
+                    <option value="track">Track gain</option>
+                    <option value="album">Album gain</option>
+                  </select>
+                  {settings.normalization !== 'off' && (
+                    <span title="Gain applied to this track (lowered if needed to avoid clipping)">
+                      {currentGainDb > 0 ? '+' : ''}{currentGainDb.toFixed(1)} dB
+                    </span>
+                  )}
+                  {loudnessAnalysis.pendingCount > 0 && (
+                    <span className="ml-auto">Measuring {loudnessAnalysis.pendingCount}…</span>
+                  )}
                 </div>
+
+                <SleepTimer
+                  timer={sleepTimer.timer}
+                  subscribeRemaining={sleepTimer.subscribe}
+                  lastMinutes={settings.sleepTimerMinutes}
+                  onStart={handleStartSleepTimer}
+                  onExtend={sleepTimer.extend}
+                  onCancel={sleepTimer.cancel}
+                />
               </motion.div>
             )}
 
+            {currentTrack && showChapters && (
+              <ChaptersPanel
+                chapters={chapterNav.chapters}
+                bookmarks={chapterNav.bookmarks}
+                onSeek={chapterNav.seekTo}
+                onPreviousChapter={chapterNav.previousChapter}
+                onNextChapter={chapterNav.nextChapter}
+                onAddBookmark={chapterNav.addBookmark}
+                onDeleteBookmark={chapterNav.deleteBookmark}
+              />
+            )}
+
+            {currentTrack && showPractice && (
+              <PracticePanel
+                playbackRate={settings.playbackRate}
+                preservePitch={settings.preservePitch}
+                pitchShift={settings.pitchShift}
+                pitchShiftSupported={isPitchShiftSupported()}
+                markers={practiceLoop.markers}
+                loop={practiceLoop.loop}
+                savedLoops={practiceLoop.savedLoops}
+                onPlaybackRateChange={rate => updateSetting('playbackRate', rate)}
+                onPreservePitchChange={value => updateSetting('preservePitch', value)}
+                onPitchShiftChange={semitones => updateSetting('pitchShift', semitones)}
+                onSetStart={practiceLoop.setStart}
+                onSetEnd={practiceLoop.setEnd}
+                onClearLoop={practiceLoop.clear}
+                onSaveLoop={practiceLoop.saveLoop}
+                onApplyLoop={practiceLoop.applySaved}
+                onDeleteLoop={practiceLoop.deleteLoop}
+              />
+            )}
+
+            {currentTrack && showLyrics && (
+              <LyricsPanel
+                track={currentTrack}
+                onSeek={time => engine.getPlayer()?.seek(time)}
+                onOffsetChange={lyricsOffset => updateTrack(currentTrack.id, { lyricsOffset })}
+                onLoadFile={handleLoadLyrics}
+              />
+            )}
+
             {/* Song List */}
-            {songs.length > 0 && (
-              <div className="space-y-2 max-h-60 overflow-y-auto">
-                {songs.map((song) => (
-                  <motion.div
-                    key={song.id}
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                    onClick={() => playSong(song)}
-                    className={`p-3 rounded-xl border cursor-pointer transition-all duration-300 ${
-                      currentSong?.id === song.id
-                        ? 'bg-white/20 border-purple-400/50'
-                        : 'bg-white/10 border-white/20 hover:bg-white/15'
-                    }`}
-                  >
-                    <div className="flex items-center space-x-3">
-                      <div className="w-8 h-8 bg-gradient-to-br from-purple-400 to-pink-400 rounded-lg flex items-center justify-center">
-                        {currentSong?.id === song.id && isPlaying ? (
-                          <Pause className="text-white" size={14} />
-                        ) : (
-                          <Play className="text-white" size={14} />
-                        )}
-                      </div>
-                      <span className="text-white truncate">{song.name}</span>
-                    </div>
-                  </motion.div>
-                ))}
+            {songs.length > 0 && activeListId === LIBRARY_LIST_ID && (
+              <LibraryBrowser
+                tracks={songs}
+                currentSongId={currentSong?.id}
+                isPlaying={isPlaying}
+                playlists={playlists}
+                onPlay={playFromView}
+                onPlayNext={handlePlayNext}
+                onAddToQueue={handleAddToQueue}
+                onAddToPlaylist={handleAddToPlaylist}
+                onRemove={handleRemoveSong}
+              />
+            )}
+            {songs.length > 0 && activeListId !== LIBRARY_LIST_ID && (
+              <div>
+                <h2 className="text-white/80 text-sm font-semibold mb-2">
+                  {activePlaylist ? activePlaylist.name : 'Recently Added'}
+                </h2>
+                {activeEntries.length > 0 ? (
+                  <SongList
+                    entries={activeEntries}
+                    currentSongId={currentSong?.id}
+                    isPlaying={isPlaying}
+                    playlists={playlists}
+                    reorderable={!!activePlaylist}
+                    removeLabel={activePlaylist ? 'Remove from playlist' : 'Remove from library'}
+                    onPlay={playSong}
+                    onReorder={handleReorderPlaylistTracks}
+                    onPlayNext={handlePlayNext}
+                    onAddToQueue={handleAddToQueue}
+                    onAddToPlaylist={handleAddToPlaylist}
+                    onRemove={handleRemoveSong}
+                  />
+                ) : (
+                  <p className="text-white/50 text-sm py-4 text-center">
+                    {activePlaylist ? 'Drag songs here from your library or use the + button on a song.' : 'Nothing added in the last 30 days.'}
+                  </p>
+                )}
               </div>
             )}
 
             {songs.length === 0 && (
-              <div className="text-center py-8">
+              <div className="text-center py-4">
                 <Music className="mx-auto text-white/40 mb-3" size={48} />
                 <p className="text-white/60">No songs uploaded yet</p>
-                <p className="text-white/40 text-sm mt-1">Upload some MP3 files to get started</p>
               </div>
             )}
           </div>
         </div>
-
-        {/* Hidden Audio Element */}
-        <audio
-          ref={audioRef}
-          onTimeUpdate={handleTimeUpdate}
-          onLoadedMetadata={handleLoadedMetadata}
-          onEnded={() => setIsPlaying(false)}
-        />
       </motion.div>
+
+      <ShortcutsOverlay
+        open={showShortcuts}
+        onOpenChange={setShowShortcuts}
+        bindings={shortcutBindings}
+        overrides={settings.shortcuts}
+        onBind={handleBindShortcut}
+        onClear={actionId => updateSetting('shortcuts', clearShortcut(settings.shortcuts, actionId))}
+        onReset={actionId => updateSetting('shortcuts', resetShortcut(settings.shortcuts, actionId))}
+      />
+
+      <StatsDashboard
+        open={showStats}
+        onOpenChange={setShowStats}
+        loadHistory={listeningHistory.loadHistory}
+        revision={listeningHistory.revision}
+        onClearHistory={listeningHistory.clearHistory}
+      />
+
+      <CommandPalette
+        open={showPalette}
+        onOpenChange={setShowPalette}
+        actions={paletteActions}
+        tracks={songs}
+        playlists={playlists}
+        onPlayTrack={playSearchResult}
+        onPlayNext={queueNext}
+        onAddToQueue={queueLast}
+        onAddToPlaylist={handleAddToPlaylist}
+        onOpenPlaylist={setActiveListId}
+        onPlayPlaylist={playPlaylist}
+      />
     </div>
   );
 }
\ No newline at end of file
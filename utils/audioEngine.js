@@ -0,0 +1,298 @@
+// The app's single Web Audio graph. One AudioContext, created on the first
+// user gesture, runs every source through the same effect and analyser chain:
+//
+//   deck player -> [pitch shifter] -\
+//                                     +-> equalizer -> analyser -> fader -> destination
+//   attached <audio> ----------------/          \
+//                                                +-> splitter -> left/right analysers
+//
+// The per-channel analysers (for stereo meters) are only built when asked for,
+// and the pitch shifter (an AudioWorklet) only while a shift is set. The
+// fader is the sleep timer's, kept apart from the user's volume.
+// A media element can only ever get one MediaElementSource, so components must
+// attach elements through the engine rather than building graphs of their own.
+import { createDeckPlayer } from './deckPlayer';
+import { createEqualizerChain } from './equalizer';
+import { semitonesToRatio } from './practice';
+
+const PLAYER_EVENTS = ['timeupdate', 'durationchange', 'progress', 'trackchange', 'ended', 'error'];
+
+/**
+ * Whether the browser has the Web Audio API
+ * @returns {boolean} - true if an AudioContext can be created
+ */
+export const isWebAudioSupported = () => {
+  return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+};
+
+/**
+ * Whether the pitch shifter can run (it needs AudioWorklet)
+ * @returns {boolean} - true if AudioWorkletNode exists
+ */
+export const isPitchShiftSupported = () => {
+  return isWebAudioSupported() && typeof window.AudioWorkletNode === 'function';
+};
+
+/**
+ * Creates the audio engine. Nothing touches Web Audio until start() is called.
+ * @returns {Object} - Engine API
+ */
+export const createAudioEngine = () => {
+  let context = null;
+  let analyser = null;
+  let fader = null;
+  let equalizer = null;
+  let player = null;
+  let channelAnalysers = null;
+  // Joins the deck player to the chain, directly or through the pitch shifter
+  let playerBus = null;
+  let pitchShifter = null;
+  let pitchShifterLoading = false;
+  const sources = new WeakMap();
+  const listeners = {};
+
+  // Settings made before start() are applied once the graph exists
+  let volume = 1;
+  let crossfade = 0;
+  let equalizerState = null;
+  let gainResolver = null;
+  let analyserOptions = { fftSize: 2048, smoothing: 0.8 };
+  let playbackRate = { rate: 1, preservePitch: true };
+  let pitchShift = 0;
+  let loop = null;
+  let fadeLevel = 1;
+
+  const emit = (event, payload) => {
+    (listeners[event] || []).forEach(handler => handler(payload));
+  };
+
+  // Bypasses the pitch shifter when there's no shift, so normal playback
+  // gets none of its latency or colouring
+  const routePlayer = () => {
+    playerBus.disconnect();
+    if (pitchShift !== 0 && pitchShifter) {
+      pitchShifter.parameters.get('pitchRatio').value = semitonesToRatio(pitchShift);
+      playerBus.connect(pitchShifter);
+    } else {
+      playerBus.connect(equalizer.input);
+    }
+  };
+
+  const loadPitchShifter = () => {
+    if (pitchShifterLoading || !context.audioWorklet) return;
+    pitchShifterLoading = true;
+    context.audioWorklet.addModule(new URL('../workers/pitchShifter.worklet.js', import.meta.url))
+      .then(() => {
+        // An explicit stereo input has the browser upmix mono sources to both
+        // channels, rather than the processor seeing only a left one
+        pitchShifter = new window.AudioWorkletNode(context, 'pitch-shifter', {
+          channelCount: 2,
+          channelCountMode: 'explicit',
+          outputChannelCount: [2]
+        });
+        pitchShifter.connect(equalizer.input);
+        routePlayer();
+      })
+      .catch((error) => {
+        pitchShifterLoading = false;
+        console.error('Could not load the pitch shifter:', error);
+      });
+  };
+
+  const buildGraph = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    context = new AudioContextClass();
+
+    analyser = context.createAnalyser();
+    analyser.fftSize = analyserOptions.fftSize;
+    analyser.smoothingTimeConstant = analyserOptions.smoothing;
+    fader = context.createGain();
+    fader.gain.value = fadeLevel;
+    analyser.connect(fader);
+    fader.connect(context.destination);
+
+    equalizer = createEqualizerChain(context);
+    equalizer.output.connect(analyser);
+    if (equalizerState) equalizer.apply(equalizerState.settings, equalizerState.enabled);
+
+    playerBus = context.createGain();
+    player = createDeckPlayer({
+      audioContext: context,
+      output: playerBus,
+      resolveGain: track => (gainResolver ? gainResolver(track) : 1)
+    });
+    player.setVolume(volume);
+    player.setCrossfade(crossfade);
+    player.setPlaybackRate(playbackRate.rate, playbackRate.preservePitch);
+    player.setLoop(loop);
+    routePlayer();
+    PLAYER_EVENTS.forEach(event => player.on(event, payload => emit(event, payload)));
+  };
+
+  /**
+   * Creates the graph on first use and resumes the context, which browsers
+   * keep suspended until a user gesture. Call it from click/key handlers;
+   * called earlier, the graph is built but stays silent until the next call
+   * from a gesture.
+   * @returns {Object|null} - The deck player, or null without Web Audio
+   */
+  const start = () => {
+    if (!isWebAudioSupported()) return null;
+    if (!context) {
+      buildGraph();
+      emit('ready');
+    }
+    if (context.state === 'suspended') {
+      context.resume().catch(error => console.error('Could not resume audio:', error));
+    }
+    return player;
+  };
+
+  /**
+   * Routes an <audio> element through the shared chain (once per element)
+   * @param {HTMLMediaElement} element - Element to attach
+   * @returns {MediaElementAudioSourceNode|null} - Its source node
+   */
+  const connectElement = (element) => {
+    if (!element || !start()) return null;
+    if (!sources.has(element)) {
+      const source = context.createMediaElementSource(element);
+      source.connect(equalizer.input);
+      sources.set(element, source);
+    }
+    return sources.get(element);
+  };
+
+  const setVolume = (value) => {
+    volume = value;
+    player?.setVolume(value);
+  };
+
+  const setCrossfade = (seconds) => {
+    crossfade = seconds;
+    player?.setCrossfade(seconds);
+  };
+
+  /**
+   * Sets the playback speed
+   * @param {number} rate - Speed multiplier
+   * @param {boolean} [preservePitch] - Keep the pitch when not at 1x
+   */
+  const setPlaybackRate = (rate, preservePitch = true) => {
+    playbackRate = { rate, preservePitch };
+    player?.setPlaybackRate(rate, preservePitch);
+  };
+
+  /**
+   * Shifts the deck player's pitch without changing its speed
+   * @param {number} semitones - Shift, 0 for none
+   */
+  const setPitchShift = (semitones) => {
+    pitchShift = semitones;
+    if (!context) return;
+    if (semitones !== 0) loadPitchShifter();
+    routePlayer();
+  };
+
+  /**
+   * Loops part of a track (see the deck player's setLoop)
+   * @param {Object|null} range - { trackId, start, end } or null
+   */
+  const setLoop = (range) => {
+    loop = range;
+    player?.setLoop(range);
+  };
+
+  /**
+   * Fades all output towards a level, independently of the volume
+   * @param {number} level - Gain from 0 to 1
+   * @param {number} [seconds] - Length of the linear ramp
+   */
+  const setFadeLevel = (level, seconds = 0) => {
+    fadeLevel = level;
+    if (!fader) return;
+    const now = context.currentTime;
+    fader.gain.cancelScheduledValues(now);
+    fader.gain.setValueAtTime(fader.gain.value, now);
+    fader.gain.linearRampToValueAtTime(level, now + seconds);
+  };
+
+  const setEqualizer = (settings, enabled = true) => {
+    equalizerState = { settings, enabled };
+    equalizer?.apply(settings, enabled);
+  };
+
+  /**
+   * Sets the main analyser's resolution and smoothing
+   * @param {Object} options - { fftSize, smoothing } (power of two, 0-1)
+   */
+  const setAnalyserOptions = ({ fftSize, smoothing }) => {
+    analyserOptions = { fftSize, smoothing };
+    if (!analyser) return;
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = smoothing;
+  };
+
+  /**
+   * Left and right analysers fed from the equalizer output, built on first
+   * call. Analysers process without being connected onward.
+   * @returns {Array|null} - [left, right] AnalyserNodes, or null before start()
+   */
+  const getChannelAnalysers = () => {
+    if (!context) return null;
+    if (!channelAnalysers) {
+      const splitter = context.createChannelSplitter(2);
+      equalizer.output.connect(splitter);
+      channelAnalysers = [0, 1].map((channel) => {
+        const channelAnalyser = context.createAnalyser();
+        channelAnalyser.fftSize = 2048;
+        splitter.connect(channelAnalyser, channel);
+        return channelAnalyser;
+      });
+    }
+    return channelAnalysers;
+  };
+
+  /**
+   * Sets how each deck track's normalization gain is worked out
+   * @param {Function|null} resolver - (track) => linear gain
+   */
+  const setGainResolver = (resolver) => {
+    gainResolver = resolver;
+    player?.refreshTrackGains();
+  };
+
+  /**
+   * Subscribes to engine events: ready (graph built) and the deck player's
+   * timeupdate, durationchange, progress, trackchange, ended and error
+   * @param {string} event - Event name
+   * @param {Function} handler - Listener
+   * @returns {Function} - Unsubscribe
+   */
+  const on = (event, handler) => {
+    listeners[event] = [...(listeners[event] || []), handler];
+    return () => {
+      listeners[event] = listeners[event].filter(item => item !== handler);
+    };
+  };
+
+  return {
+    start,
+    connectElement,
+    setVolume,
+    setCrossfade,
+    setPlaybackRate,
+    setPitchShift,
+    setLoop,
+    setFadeLevel,
+    setEqualizer,
+    setGainResolver,
+    setAnalyserOptions,
+    on,
+    isStarted: () => !!context,
+    getContext: () => context,
+    getAnalyser: () => analyser,
+    getChannelAnalysers,
+    getPlayer: () => player
+  };
+};
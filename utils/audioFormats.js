@@ -0,0 +1,127 @@
+// Audio container detection and upload validation
+
+import { readAscii, readSyncsafeInt, readFileBytes } from './tags/binary';
+
+export const MAX_AUDIO_FILE_SIZE = 500 * 1024 * 1024;
+
+const SNIFF_LENGTH = 64;
+
+export const AUDIO_FORMATS = {
+  mp3: { id: 'mp3', label: 'MP3', mimeType: 'audio/mpeg', extensions: ['mp3'] },
+  flac: { id: 'flac', label: 'FLAC', mimeType: 'audio/flac', extensions: ['flac'] },
+  wav: { id: 'wav', label: 'WAV', mimeType: 'audio/wav', extensions: ['wav', 'wave'] },
+  ogg: { id: 'ogg', label: 'Ogg Vorbis', mimeType: 'audio/ogg; codecs="vorbis"', extensions: ['ogg', 'oga'] },
+  opus: { id: 'opus', label: 'Opus', mimeType: 'audio/ogg; codecs="opus"', extensions: ['opus', 'ogg'] },
+  oggflac: { id: 'oggflac', label: 'Ogg FLAC', mimeType: 'audio/ogg; codecs="flac"', extensions: ['oga', 'ogg'] },
+  m4a: { id: 'm4a', label: 'M4A', mimeType: 'audio/mp4; codecs="mp4a.40.2"', extensions: ['m4a', 'm4b', 'mp4', 'aac'] },
+  aac: { id: 'aac', label: 'AAC', mimeType: 'audio/aac', extensions: ['aac'] },
+  webm: { id: 'webm', label: 'WebM', mimeType: 'audio/webm', extensions: ['webm', 'weba'] }
+};
+
+export const ACCEPTED_AUDIO_TYPES = [
+  'audio/*',
+  ...new Set(Object.values(AUDIO_FORMATS).flatMap(format => format.extensions.map(ext => `.${ext}`)))
+].join(',');
+
+export const SUPPORTED_FORMAT_LABEL = 'MP3, FLAC, WAV, OGG, Opus, M4A, AAC or WebM';
+
+/**
+ * Identifies a container from its leading bytes
+ * @param {Uint8Array} bytes - The first bytes of the file (after any ID3v2 tag)
+ * @returns {Object|null} - Entry from AUDIO_FORMATS or null
+ */
+export const detectFormatFromBytes = (bytes) => {
+  if (bytes.length < 4) return null;
+
+  const magic = readAscii(bytes, 0, 4);
+  if (magic === 'fLaC') return AUDIO_FORMATS.flac;
+  if (magic === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE') return AUDIO_FORMATS.wav;
+  if (magic === 'OggS') {
+    // The first packet starts after the 27-byte header and the segment table
+    const packetStart = 27 + bytes[26];
+    const packet = readAscii(bytes, packetStart, 8);
+    if (packet === 'OpusHead') return AUDIO_FORMATS.opus;
+    if (packet.slice(1, 5) === 'FLAC') return AUDIO_FORMATS.oggflac;
+    return AUDIO_FORMATS.ogg;
+  }
+  if (readAscii(bytes, 4, 4) === 'ftyp') return AUDIO_FORMATS.m4a;
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    return AUDIO_FORMATS.webm;
+  }
+
+  // MPEG frame sync: 11 set bits, then version and layer. AAC ADTS uses layer 00.
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+    const layer = (bytes[1] >> 1) & 0x03;
+    if (layer === 0 && (bytes[1] & 0xf6) === 0xf0) return AUDIO_FORMATS.aac;
+    if (layer !== 0) return AUDIO_FORMATS.mp3;
+  }
+
+  return null;
+};
+
+/**
+ * Sniffs a file's container from its magic bytes rather than trusting file.type
+ * @param {Blob} file - The file to inspect
+ * @returns {Promise<Object|null>} - Entry from AUDIO_FORMATS or null if unrecognised
+ */
+export const sniffAudioFormat = async (file) => {
+  let bytes = await readFileBytes(file, 0, SNIFF_LENGTH);
+
+  // ID3v2 tags can precede MP3, AAC and (unofficially) FLAC streams
+  if (readAscii(bytes, 0, 3) === 'ID3') {
+    const footer = bytes[5] & 0x10 ? 10 : 0;
+    const audioStart = 10 + readSyncsafeInt(bytes, 6) + footer;
+    bytes = await readFileBytes(file, audioStart, audioStart + SNIFF_LENGTH);
+    // Some encoders pad after the tag, so fall back to MP3 for a tagged file
+    return detectFormatFromBytes(bytes) || AUDIO_FORMATS.mp3;
+  }
+
+  return detectFormatFromBytes(bytes);
+};
+
+const playabilityCache = {};
+
+/**
+ * Checks whether the current browser can decode a format
+ * @param {Object} format - Entry from AUDIO_FORMATS
+ * @returns {boolean} - True if canPlayType isn't an outright "no"
+ */
+export const canPlayFormat = (format) => {
+  if (!format || typeof document === 'undefined') return false;
+  if (!(format.id in playabilityCache)) {
+    const audio = document.createElement('audio');
+    playabilityCache[format.id] = audio.canPlayType(format.mimeType) !== '';
+  }
+  return playabilityCache[format.id];
+};
+
+/**
+ * Validates an uploaded audio file by content, size and browser support
+ * @param {File} file - The file to validate
+ * @returns {Promise<Object>} - { valid, format, error }
+ */
+export const validateAudioFile = async (file) => {
+  if (!file) return { valid: false, format: null, error: 'No file selected' };
+
+  if (file.size > MAX_AUDIO_FILE_SIZE) {
+    return { valid: false, format: null, error: 'File is larger than 500MB' };
+  }
+
+  let format;
+  try {
+    format = await sniffAudioFormat(file);
+  } catch (error) {
+    console.error('Error reading file header:', error);
+    return { valid: false, format: null, error: 'File could not be read' };
+  }
+
+  if (!format) {
+    return { valid: false, format: null, error: `Not a supported audio file (${SUPPORTED_FORMAT_LABEL})` };
+  }
+
+  if (!canPlayFormat(format)) {
+    return { valid: false, format, error: `This browser can't play ${format.label} files` };
+  }
+
+  return { valid: true, format, error: '' };
+};
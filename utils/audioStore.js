@@ -0,0 +1,443 @@
+// IndexedDB-backed storage for uploaded audio files, their metadata and the
+// listening history
+
+import { getStoredFileSize } from './cueSheet';
+
+const DB_NAME = 'glassmorphic-music-player';
+const DB_VERSION = 3;
+
+export const TRACK_STORE = 'tracks';
+export const AUDIO_STORE = 'audio';
+export const HISTORY_STORE = 'history';
+// Tracks split from one file by a cue sheet, by the audio they share
+const CUE_AUDIO_INDEX = 'cueAudioId';
+
+export const DEFAULT_STORAGE_POLICY = {
+  mode: 'manual',
+  maxBytes: 1024 * 1024 * 1024,
+  strategy: 'least-recently-played'
+};
+
+let databasePromise = null;
+
+/**
+ * Checks whether IndexedDB can be used in the current environment
+ * @returns {boolean} - True if IndexedDB is available
+ */
+export const isAudioStoreAvailable = () => {
+  return typeof window !== 'undefined' && 'indexedDB' in window;
+};
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Opens (and upgrades if needed) the audio database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+export const openAudioDatabase = () => {
+  if (!isAudioStoreAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        let tracks;
+        if (!db.objectStoreNames.contains(TRACK_STORE)) {
+          tracks = db.createObjectStore(TRACK_STORE, { keyPath: 'id' });
+          tracks.createIndex('addedAt', 'addedAt');
+          tracks.createIndex('lastPlayedAt', 'lastPlayedAt');
+        } else {
+          tracks = request.transaction.objectStore(TRACK_STORE);
+        }
+        if (!tracks.indexNames.contains(CUE_AUDIO_INDEX)) {
+          tracks.createIndex(CUE_AUDIO_INDEX, 'cue.audioId');
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE);
+        }
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          history.createIndex('playedAt', 'playedAt');
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema; drop our handle so it can proceed
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Runs a callback inside a transaction and resolves once it commits
+ * @param {string[]} storeNames - Object stores to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the stores by name, may return a request
+ * @returns {Promise<any>} - The result of the returned request, if any
+ */
+const withStores = async (storeNames, mode, callback) => {
+  const db = await openAudioDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(
+      storeNames.map(name => [name, transaction.objectStore(name)])
+    );
+
+    let result;
+    const request = callback(stores);
+    if (request && 'onsuccess' in request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    } else {
+      result = request;
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+/**
+ * Generates a unique id for a stored track
+ * @returns {string} - Track id
+ */
+export const generateTrackId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Key a track's audio bytes are stored under. Tracks split from one file by
+ * a cue sheet share the whole file's audio.
+ * @param {Object} track - Track record
+ * @returns {string} - Audio key
+ */
+export const getAudioId = (track) => {
+  return track.cue?.audioId || track.id;
+};
+
+/**
+ * Stores a track record together with its audio bytes
+ * @param {Object} record - Track metadata (must include an id)
+ * @param {Blob|null} blob - The audio file, or null if it's already stored
+ *   (another part of the same cue sheet)
+ * @returns {Promise<Object>} - The stored record
+ */
+export const saveTrack = async (record, blob) => {
+  await withStores([TRACK_STORE, AUDIO_STORE], 'readwrite', (stores) => {
+    stores[TRACK_STORE].put(record);
+    if (blob) stores[AUDIO_STORE].put(blob, getAudioId(record));
+  });
+  return record;
+};
+
+/**
+ * Replaces a track record with the tracks split from it by a cue sheet,
+ * keeping its audio where it is for them to share
+ * @param {string} id - Id of the whole file's track
+ * @param {Array} records - The new tracks (cue.audioId set to id)
+ */
+export const splitTrack = async (id, records) => {
+  await withStores([TRACK_STORE], 'readwrite', (stores) => {
+    stores[TRACK_STORE].delete(id);
+    records.forEach(record => stores[TRACK_STORE].put(record));
+  });
+};
+
+/**
+ * Loads every stored track record, oldest first
+ * @returns {Promise<Array>} - Track records
+ */
+export const getAllTracks = async () => {
+  const records = await withStores([TRACK_STORE], 'readonly', (stores) =>
+    stores[TRACK_STORE].getAll()
+  );
+  return (records || []).sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+};
+
+/**
+ * Loads the audio bytes for a track
+ * @param {string} id - Track id
+ * @returns {Promise<Blob|null>} - The audio blob or null if missing
+ */
+export const getTrackBlob = async (id) => {
+  const blob = await withStores([AUDIO_STORE], 'readonly', (stores) =>
+    stores[AUDIO_STORE].get(id)
+  );
+  return blob || null;
+};
+
+/**
+ * Merges changes into a stored track record
+ * @param {string} id - Track id
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - The updated record or null if missing
+ */
+export const updateTrack = async (id, changes) => {
+  const db = await openAudioDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRACK_STORE], 'readwrite');
+    const store = transaction.objectStore(TRACK_STORE);
+    let updated = null;
+
+    promisifyRequest(store.get(id)).then((record) => {
+      if (!record) return;
+      updated = { ...record, ...changes, id };
+      store.put(updated);
+    }, reject);
+
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Removes a track record and its audio bytes, unless other parts of the
+ * same cue sheet still play from them
+ * @param {string} id - Track id
+ */
+export const deleteTrack = async (id) => {
+  const db = await openAudioDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRACK_STORE, AUDIO_STORE], 'readwrite');
+    const tracks = transaction.objectStore(TRACK_STORE);
+
+    promisifyRequest(tracks.get(id)).then((record) => {
+      tracks.delete(id);
+      if (!record?.cue) {
+        transaction.objectStore(AUDIO_STORE).delete(id);
+        return;
+      }
+      // Counted after the delete above, as requests run in order
+      const { audioId } = record.cue;
+      promisifyRequest(tracks.index(CUE_AUDIO_INDEX).count(audioId)).then((sharing) => {
+        if (sharing === 0) transaction.objectStore(AUDIO_STORE).delete(audioId);
+      }, reject);
+    }, reject);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Removes several track records and their audio bytes in one go. Parts of
+ * a cue sheet are expected to go together with every other part sharing
+ * their audio.
+ * @param {Array} records - Track records
+ */
+export const deleteTracksWithAudio = async (records) => {
+  await withStores([TRACK_STORE, AUDIO_STORE], 'readwrite', (stores) => {
+    records.forEach((record) => {
+      stores[TRACK_STORE].delete(record.id);
+      stores[AUDIO_STORE].delete(getAudioId(record));
+    });
+  });
+};
+
+/**
+ * Removes every stored track
+ */
+export const clearAudioStore = async () => {
+  await withStores([TRACK_STORE, AUDIO_STORE], 'readwrite', (stores) => {
+    stores[TRACK_STORE].clear();
+    stores[AUDIO_STORE].clear();
+  });
+};
+
+/**
+ * Adds one entry to the listening history
+ * @param {Object} listen - Entry from createListen (without an id)
+ * @returns {Promise<number>} - The new entry's id
+ */
+export const addListen = async (listen) => {
+  return withStores([HISTORY_STORE], 'readwrite', (stores) => stores[HISTORY_STORE].add(listen));
+};
+
+/**
+ * Merges changes into a listening history entry
+ * @param {number} id - Entry id
+ * @param {Object} changes - Fields to update
+ */
+export const updateListen = async (id, changes) => {
+  const db = await openAudioDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+
+    promisifyRequest(store.get(id)).then((listen) => {
+      if (listen) store.put({ ...listen, ...changes, id });
+    }, reject);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Appends several entries to the listening history
+ * @param {Array} listens - Entries from createListen (without ids)
+ */
+export const addListens = async (listens) => {
+  await withStores([HISTORY_STORE], 'readwrite', (stores) => {
+    listens.forEach(listen => stores[HISTORY_STORE].add(listen));
+  });
+};
+
+/**
+ * Loads the whole listening history, oldest first
+ * @returns {Promise<Array>} - History entries
+ */
+export const getAllListens = async () => {
+  const listens = await withStores([HISTORY_STORE], 'readonly', (stores) =>
+    stores[HISTORY_STORE].index('playedAt').getAll()
+  );
+  return listens || [];
+};
+
+/**
+ * Swaps the whole listening history for other entries, all at once
+ * @param {Array} listens - Entries from createListen (without ids)
+ */
+export const replaceListens = async (listens) => {
+  await withStores([HISTORY_STORE], 'readwrite', (stores) => {
+    stores[HISTORY_STORE].clear();
+    listens.forEach(listen => stores[HISTORY_STORE].add(listen));
+  });
+};
+
+/**
+ * Removes the whole listening history
+ */
+export const clearListens = async () => {
+  await withStores([HISTORY_STORE], 'readwrite', (stores) => {
+    stores[HISTORY_STORE].clear();
+  });
+};
+
+/**
+ * Reports how much storage the library and the origin are using
+ * @param {Array} tracks - Track records (used to total the library size)
+ * @returns {Promise<Object>} - { usage, quota, libraryBytes, persisted }
+ */
+export const getStorageEstimate = async (tracks = []) => {
+  const libraryBytes = tracks.reduce((total, track) => total + (track.size || 0), 0);
+  const info = { usage: libraryBytes, quota: 0, libraryBytes, persisted: false };
+
+  if (typeof navigator === 'undefined' || !navigator.storage) return info;
+
+  try {
+    if (navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      info.usage = usage || libraryBytes;
+      info.quota = quota || 0;
+    }
+    if (navigator.storage.persisted) {
+      info.persisted = await navigator.storage.persisted();
+    }
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+  }
+
+  return info;
+};
+
+/**
+ * Asks the browser not to evict our data under storage pressure
+ * @returns {Promise<boolean>} - True if storage is now persistent
+ */
+export const requestPersistentStorage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.error('Error requesting persistent storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Picks which tracks to remove so an incoming file fits the storage policy
+ * @param {Array} tracks - Current track records
+ * @param {Object} policy - Storage policy ({ mode, maxBytes, strategy })
+ * @param {number} incomingBytes - Size of the file about to be stored
+ * @param {Array<string>} protectedIds - Tracks that must never be evicted
+ * @returns {Array} - Track records to evict (empty if nothing needs to go)
+ */
+export const selectTracksForEviction = (tracks, policy, incomingBytes = 0, protectedIds = []) => {
+  const { mode, maxBytes, strategy } = { ...DEFAULT_STORAGE_POLICY, ...policy };
+  if (mode !== 'limit') return [];
+
+  // Parts of a cue sheet share one file, which is only freed once they've all
+  // gone, so tracks are weighed and evicted by the file they play from
+  const files = new Map();
+  tracks.forEach((track) => {
+    const audioId = getAudioId(track);
+    const file = files.get(audioId);
+    if (file) file.tracks.push(track);
+    else files.set(audioId, { size: getStoredFileSize(track) || 0, tracks: [track] });
+  });
+
+  const libraryBytes = [...files.values()].reduce((total, file) => total + file.size, 0);
+  let excess = libraryBytes + incomingBytes - maxBytes;
+  if (excess <= 0) return [];
+
+  const sortKey = strategy === 'oldest-added'
+    ? (track) => track.addedAt || 0
+    : (track) => track.lastPlayedAt || track.addedAt || 0;
+
+  // A file is only as old as its most recently added or played part
+  const candidates = [...files.values()]
+    .filter(file => file.tracks.every(track => !protectedIds.includes(track.id)))
+    .map(file => ({ ...file, key: Math.max(...file.tracks.map(sortKey)) }))
+    .sort((a, b) => a.key - b.key);
+
+  const evicted = [];
+  for (const file of candidates) {
+    if (excess <= 0) break;
+    evicted.push(...file.tracks);
+    excess -= file.size;
+  }
+
+  return evicted;
+};
+
+/**
+ * Checks whether an error came from running out of storage space
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} - True for quota errors
+ */
+export const isQuotaExceededError = (error) => {
+  return !!error && (error.name === 'QuotaExceededError' || error.code === 22);
+};
@@ -1,62 +1,42 @@
 // Audio utility functions for file handling and processing
 
-/**
- * Validates if the uploaded file is a valid MP3 file
- * @param {File} file - The file to validate
- * @returns {boolean} - True if valid MP3 file
- */
-export const isValidMP3File = (file) => {
-  if (!file) return false;
-  
-  // Check file type
-  const validTypes = ['audio/mp3', 'audio/mpeg', 'audio/mpeg3'];
-  if (!validTypes.includes(file.type)) return false;
-  
-  // Check file extension
-  const fileName = file.name.toLowerCase();
-  if (!fileName.endsWith('.mp3')) return false;
-  
-  // Check file size (max 50MB)
-  const maxSize = 50 * 1024 * 1024;
-  if (file.size > maxSize) return false;
-  
-  return true;
-};
+import { readTags } from './tags';
 
 /**
- * Converts file to base64 string for localStorage
- * @param {File} file - The file to convert
- * @returns {Promise<string>} - Base64 string
+ * Reads the duration of an audio file by loading its metadata
+ * @param {File} file - The audio file
+ * @returns {Promise<number>} - Duration in seconds (0 if unreadable)
  */
-export const fileToBase64 = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = (error) => reject(error);
+const readAudioDuration = (file) => {
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    const url = URL.createObjectURL(file);
+    
+    audio.addEventListener('loadedmetadata', () => {
+      URL.revokeObjectURL(url);
+      resolve(audio.duration);
+    });
+    
+    audio.addEventListener('error', () => {
+      URL.revokeObjectURL(url);
+      resolve(0);
+    });
+    
+    audio.src = url;
   });
 };
 
 /**
- * Creates an audio blob URL from base64 data
- * @param {string} base64Data - Base64 audio data
- * @returns {string} - Blob URL
+ * Reads embedded tags, ignoring files whose tags can't be parsed
+ * @param {File} file - The audio file
+ * @param {Object} format - Sniffed format from audioFormats
+ * @returns {Promise<Object|null>} - Tag fields or null
  */
-export const base64ToBlobUrl = (base64Data) => {
+const readEmbeddedTags = async (file, format) => {
   try {
-    const byteCharacters = atob(base64Data.split(',')[1]);
-    const byteNumbers = new Array(byteCharacters.length);
-    
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
-    }
-    
-    const byteArray = new Uint8Array(byteNumbers);
-    const blob = new Blob([byteArray], { type: 'audio/mp3' });
-    
-    return URL.createObjectURL(blob);
+    return await readTags(file, format);
   } catch (error) {
-    console.error('Error converting base64 to blob URL:', error);
+    console.error('Error reading tags:', error);
     return null;
   }
 };
@@ -64,39 +44,78 @@ export const base64ToBlobUrl = (base64Data) => {
 /**
  * Extracts metadata from audio file
  * @param {File} file - The audio file
+ * @param {Object} [format] - Sniffed format from audioFormats
  * @returns {Promise<Object>} - Audio metadata
  */
-export const extractAudioMetadata = (file) => {
-  return new Promise((resolve) => {
-    const audio = new Audio();
-    const url = URL.createObjectURL(file);
-    
-    audio.addEventListener('loadedmetadata', () => {
-      const metadata = {
-        name: file.name.replace('.mp3', ''),
-        duration: audio.duration,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified
-      };
-      
-      URL.revokeObjectURL(url);
-      resolve(metadata);
-    });
-    
-    audio.addEventListener('error', () => {
-      URL.revokeObjectURL(url);
-      resolve({
-        name: file.name.replace('.mp3', ''),
-        duration: 0,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified
-      });
-    });
-    
-    audio.src = url;
-  });
+export const extractAudioMetadata = async (file, format = null) => {
+  const [tags, duration] = await Promise.all([
+    readEmbeddedTags(file, format),
+    readAudioDuration(file)
+  ]);
+  const { picture, tagVersion, ...fields } = tags || {};
+
+  return {
+    name: fields.title || file.name.replace(/\.[^.]+$/, ''),
+    title: fields.title || null,
+    artist: fields.artist || null,
+    albumArtist: fields.albumArtist || null,
+    album: fields.album || null,
+    trackNumber: fields.trackNumber || null,
+    trackTotal: fields.trackTotal || null,
+    discNumber: fields.discNumber || null,
+    discTotal: fields.discTotal || null,
+    year: fields.year || null,
+    genre: fields.genre || null,
+    replayGain: fields.replayGain || null,
+    lyrics: fields.lyrics || null,
+    chapters: fields.chapters || [],
+    artwork: picture ? new Blob([picture.data], { type: picture.mimeType }) : null,
+    tagVersion: tagVersion || null,
+    format: format ? format.id : null,
+    duration,
+    size: file.size,
+    type: format ? format.mimeType : file.type,
+    lastModified: file.lastModified
+  };
+};
+
+/**
+ * Whether whole files can be decoded off the audio output
+ * @returns {boolean} - true if OfflineAudioContext is available
+ */
+export const isAudioDecodingSupported = () => {
+  return typeof window !== 'undefined' &&
+    !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+};
+
+/**
+ * Decodes an audio file to PCM
+ * @param {Blob} blob - Audio file
+ * @param {number} sampleRate - Rate to resample to
+ * @returns {Promise<AudioBuffer>} - Decoded audio
+ */
+export const decodeAudioBlob = async (blob, sampleRate) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  // decodeAudioData resamples to the context rate, which is all the context is for
+  const context = new OfflineContext(1, 1, sampleRate);
+  return context.decodeAudioData(await blob.arrayBuffer());
+};
+
+/**
+ * Channel data of a decoded file, or just part of it
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Object|null} [segment] - { start, end } in seconds (end null for the
+ *   rest of the file), e.g. a cue sheet track
+ * @returns {Array<Float32Array>} - One array per channel (views, not copies)
+ */
+export const getChannelData = (audioBuffer, segment = null) => {
+  const { sampleRate, length } = audioBuffer;
+  const from = segment ? Math.min(Math.floor((segment.start || 0) * sampleRate), length) : 0;
+  const to = Number.isFinite(segment?.end) ? Math.min(Math.ceil(segment.end * sampleRate), length) : length;
+  return Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, i) => audioBuffer.getChannelData(i).subarray(from, Math.max(to, from))
+  );
 };
 
 /**
@@ -129,121 +148,21 @@ export const formatFileSize = (bytes) => {
 };
 
 /**
- * Saves audio data to localStorage
- * @param {string} key - Storage key
- * @param {Object} audioData - Audio data to save
- */
-export const saveToLocalStorage = (key, audioData) => {
-  try {
-    const dataToSave = {
-      ...audioData,
-      timestamp: Date.now()
-    };
-    localStorage.setItem(key, JSON.stringify(dataToSave));
-  } catch (error) {
-    console.error('Error saving to localStorage:', error);
-    // Handle quota exceeded error
-    if (error.name === 'QuotaExceededError') {
-      clearOldAudioData();
-      // Try saving again after cleanup
-      try {
-        localStorage.setItem(key, JSON.stringify(audioData));
-      } catch (retryError) {
-        console.error('Failed to save after cleanup:', retryError);
-      }
-    }
-  }
-};
-
-/**
- * Loads audio data from localStorage
- * @param {string} key - Storage key
- * @returns {Object|null} - Audio data or null if not found
+ * Removes the pre-IndexedDB library entries from localStorage. They only held
+ * blob: URLs (dead after a reload) or base64 copies that no longer get read.
  */
-export const loadFromLocalStorage = (key) => {
+export const clearLegacyAudioData = () => {
   try {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : null;
-  } catch (error) {
-    console.error('Error loading from localStorage:', error);
-    return null;
-  }
-};
-
-/**
- * Removes audio data from localStorage
- * @param {string} key - Storage key
- */
-export const removeFromLocalStorage = (key) => {
-  try {
-    localStorage.removeItem(key);
-  } catch (error) {
-    console.error('Error removing from localStorage:', error);
-  }
-};
-
-/**
- * Gets all saved audio tracks from localStorage
- * @returns {Array} - Array of saved audio tracks
- */
-export const getAllSavedTracks = () => {
-  try {
-    const tracks = [];
+    const keysToRemove = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key && key.startsWith('audio_')) {
-        const data = loadFromLocalStorage(key);
-        if (data) {
-          tracks.push({ key, ...data });
-        }
+      if (key && (key === 'musicPlayerSongs' || key.startsWith('audio_'))) {
+        keysToRemove.push(key);
       }
     }
-    return tracks.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  } catch (error) {
-    console.error('Error getting saved tracks:', error);
-    return [];
-  }
-};
-
-/**
- * Clears old audio data to free up localStorage space
- */
-export const clearOldAudioData = () => {
-  try {
-    const tracks = getAllSavedTracks();
-    // Keep only the 5 most recent tracks
-    const tracksToRemove = tracks.slice(5);
-    
-    tracksToRemove.forEach(track => {
-      removeFromLocalStorage(track.key);
-    });
+    keysToRemove.forEach(key => localStorage.removeItem(key));
   } catch (error) {
-    console.error('Error clearing old audio data:', error);
-  }
-};
-
-/**
- * Generates a unique key for audio storage
- * @param {string} fileName - Original file name
- * @returns {string} - Unique storage key
- */
-export const generateAudioKey = (fileName) => {
-  const timestamp = Date.now();
-  const cleanName = fileName.replace(/[^a-zA-Z0-9]/g, '_');
-  return `audio_${cleanName}_${timestamp}`;
-};
-
-/**
- * Creates audio context for Web Audio API
- * @returns {AudioContext|null} - Audio context or null if not supported
- */
-export const createAudioContext = () => {
-  try {
-    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-    return new AudioContextClass();
-  } catch (error) {
-    console.error('Web Audio API not supported:', error);
-    return null;
+    console.error('Error clearing legacy audio data:', error);
   }
 };
 
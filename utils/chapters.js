@@ -0,0 +1,79 @@
+// Chapters and bookmarks for long-form audio (podcasts, audiobooks).
+// Chapters come from the file's tags as [{ start, end, title }] in seconds;
+// bookmarks are the user's own, kept on the track as [{ id, name, time }].
+
+// "Previous chapter" goes to the start of the current one if we're further in
+export const CHAPTER_RESTART_THRESHOLD = 3;
+
+/**
+ * Sorts chapters and fills in missing titles and ends
+ * @param {Array} chapters - [{ start, end, title }] in seconds
+ * @returns {Array} - Clean chapters in time order
+ */
+export const normalizeChapters = (chapters) => {
+  const valid = (chapters || [])
+    .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0)
+    .sort((a, b) => a.start - b.start);
+  return valid.map((chapter, index) => {
+    const nextStart = valid[index + 1]?.start ?? null;
+    const end = Number.isFinite(chapter.end) && chapter.end > chapter.start ? chapter.end : nextStart;
+    return {
+      start: chapter.start,
+      end: nextStart !== null && end !== null ? Math.min(end, nextStart) : end,
+      title: String(chapter.title || '').trim() || `Chapter ${index + 1}`
+    };
+  });
+};
+
+/**
+ * Finds the chapter playing at a time
+ * @param {Array} chapters - Chapters in time order
+ * @param {number} time - Position in seconds
+ * @returns {number} - Index, or -1 before the first chapter
+ */
+export const findChapterIndex = (chapters, time) => {
+  let index = -1;
+  for (let i = 0; i < chapters.length && chapters[i].start <= time; i++) index = i;
+  return index;
+};
+
+/**
+ * Where "next chapter" goes
+ * @param {Array} chapters - Chapters in time order
+ * @param {number} time - Position in seconds
+ * @returns {number|null} - Start of the next chapter, or null in the last
+ */
+export const getNextChapterStart = (chapters, time) => {
+  const next = chapters[findChapterIndex(chapters, time) + 1];
+  return next ? next.start : null;
+};
+
+/**
+ * Where "previous chapter" goes: the start of the current chapter, or of
+ * the one before if we're just past that
+ * @param {Array} chapters - Chapters in time order
+ * @param {number} time - Position in seconds
+ * @returns {number|null} - Start to seek to, or null before any chapter
+ */
+export const getPreviousChapterStart = (chapters, time) => {
+  const index = findChapterIndex(chapters, time);
+  if (index === -1) return null;
+  if (time - chapters[index].start > CHAPTER_RESTART_THRESHOLD || index === 0) return chapters[index].start;
+  return chapters[index - 1].start;
+};
+
+/**
+ * Adds a bookmark to a track's list, in time order
+ * @param {Array} bookmarks - The track's bookmarks
+ * @param {number} time - Position in seconds
+ * @param {string} name - Name given to it
+ * @returns {Array} - New list
+ */
+export const addBookmark = (bookmarks, time, name) => {
+  const bookmark = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: String(name || '').trim() || `Bookmark ${(bookmarks?.length || 0) + 1}`,
+    time
+  };
+  return [...(bookmarks || []), bookmark].sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,228 @@
+// CUE sheets for albums ripped to one audio file. Each TRACK in the sheet
+// becomes its own virtual track in the library: a record with
+//   cue: { audioId, start, end, fileSize, fileDuration }
+// pointing at the stored audio of the whole file, where start and end are
+// seconds into it (end is null for the last track, which runs to the end).
+import { findSidecarTrack } from './lyrics';
+import { parseReplayGain } from './tags/replayGain';
+
+export const CUE_FILE_EXTENSION = 'cue';
+
+// INDEX times are mm:ss:ff with 75 frames to the second (CD sectors)
+const CUE_FRAMES_PER_SECOND = 75;
+const CUE_TIME = /^(\d{1,3}):(\d{1,2}):(\d{1,2})$/;
+// Fields taken over from the whole file's record that don't apply to one
+// part of it, or are measured again per part
+const WHOLE_FILE_FIELDS = ['url', 'artworkUrl', 'waveform', 'loudness', 'lyrics', 'chapters', 'bookmarks', 'loops'];
+
+/**
+ * Whether a file is a .cue sheet
+ * @param {File} file - Any file
+ * @returns {boolean} - true for .cue files
+ */
+export const isCueFile = (file) => {
+  return (file.name.split('.').pop() || '').toLowerCase() === CUE_FILE_EXTENSION;
+};
+
+/**
+ * Converts a cue time to seconds
+ * @param {string} value - mm:ss:ff
+ * @returns {number|null} - Seconds, or null if it isn't a valid time
+ */
+export const parseCueTime = (value) => {
+  const match = CUE_TIME.exec(value || '');
+  if (!match || Number(match[3]) >= CUE_FRAMES_PER_SECOND) return null;
+  return Number(match[1]) * 60 + Number(match[2]) + Number(match[3]) / CUE_FRAMES_PER_SECOND;
+};
+
+// Splits a line into its command and arguments, keeping "quoted values" whole
+const tokenize = (line) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) tokens.push(match[1] ?? match[2]);
+  return tokens;
+};
+
+/**
+ * Parses the text of a cue sheet
+ * @param {string} text - Sheet contents
+ * @returns {Object} - { title, performer, genre, year, replayGain,
+ *   tracks: [{ number, file, title, performer, start, replayGain }] } with
+ *   start in seconds (INDEX 01) and tracks in sheet order
+ */
+export const parseCueSheet = (text) => {
+  const sheet = { title: null, performer: null, genre: null, year: null, replayGain: null, tracks: [] };
+  const albumRem = {};
+  let file = null;
+  let track = null;
+  let trackRem = {};
+
+  const finishTrack = () => {
+    if (track && track.start !== null) {
+      sheet.tracks.push({ ...track, replayGain: parseReplayGain(trackRem) });
+    }
+    track = null;
+    trackRem = {};
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line) => {
+    const [command, ...args] = tokenize(line.trim());
+    if (!command) return;
+
+    switch (command.toUpperCase()) {
+      case 'FILE':
+        finishTrack();
+        file = args[0] || null;
+        break;
+      case 'TRACK':
+        finishTrack();
+        if ((args[1] || '').toUpperCase() === 'AUDIO') {
+          track = { number: parseInt(args[0], 10) || null, file, title: null, performer: null, start: null };
+        }
+        break;
+      case 'INDEX':
+        if (track && Number(args[0]) === 1) track.start = parseCueTime(args[1]);
+        break;
+      case 'TITLE':
+      case 'PERFORMER': {
+        const field = command.toLowerCase();
+        if (track) track[field] = args[0] || null;
+        else if (!file) sheet[field] = args[0] || null;
+        break;
+      }
+      case 'REM': {
+        const name = (args[0] || '').toUpperCase();
+        const value = args.slice(1).join(' ');
+        if (track) trackRem[name] = value;
+        else if (name === 'GENRE') sheet.genre = value || null;
+        else if (name === 'DATE') sheet.year = parseInt(value, 10) || null;
+        else albumRem[name] = value;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  finishTrack();
+
+  sheet.replayGain = parseReplayGain(albumRem);
+  return sheet;
+};
+
+/**
+ * Reads a .cue file, which may be UTF-8 or (as older rippers wrote them)
+ * Windows-1252
+ * @param {File} file - Cue sheet
+ * @returns {Promise<Object>} - Parsed sheet (see parseCueSheet)
+ */
+export const readCueFile = async (file) => {
+  const bytes = await file.arrayBuffer();
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(bytes);
+  }
+  return parseCueSheet(text);
+};
+
+/**
+ * Groups a sheet's tracks by the audio file they're in
+ * @param {Object} sheet - From parseCueSheet
+ * @returns {Array} - [{ file, tracks }] in sheet order
+ */
+export const groupCueTracksByFile = (sheet) => {
+  const groups = [];
+  sheet.tracks.forEach((track) => {
+    const group = groups.find(item => item.file === track.file);
+    if (group) group.tracks.push(track);
+    else groups.push({ file: track.file, tracks: [track] });
+  });
+  return groups;
+};
+
+/**
+ * Finds the library track a sheet's FILE line refers to: the file it names
+ * next to the sheet, or failing that, the audio named like the sheet itself.
+ * Rippers often convert the audio afterwards, so the extension is ignored.
+ * If the album was split before, this is one of its parts.
+ * @param {string} cuePath - The .cue file's path as imported
+ * @param {string} fileName - File named in the sheet
+ * @param {Array} tracks - Library tracks
+ * @returns {Object|null} - The track, or null
+ */
+export const findCueAudioTrack = (cuePath, fileName, tracks) => {
+  const folder = cuePath.replace(/[^\\/]*$/, '');
+  const named = fileName ? findSidecarTrack(`${folder}${fileName.replace(/\\/g, '/')}`, tracks) : null;
+  return named || findSidecarTrack(cuePath, tracks);
+};
+
+// Track gain only comes from the sheet's track; gain tags on the file itself
+// measure the whole album
+const cueReplayGain = (cueTrack, sheet, record) => {
+  const file = record.replayGain || {};
+  const pick = (...values) => values.find(Number.isFinite) ?? null;
+  const replayGain = {
+    trackGain: pick(cueTrack.replayGain?.trackGain),
+    trackPeak: pick(cueTrack.replayGain?.trackPeak),
+    albumGain: pick(sheet.replayGain?.albumGain, file.albumGain, file.trackGain),
+    albumPeak: pick(sheet.replayGain?.albumPeak, file.albumPeak, file.trackPeak)
+  };
+  return replayGain.trackGain === null && replayGain.albumGain === null ? null : replayGain;
+};
+
+/**
+ * Builds the virtual track records for one audio file in a sheet
+ * @param {Object} record - The stored record of the whole file
+ * @param {Object} sheet - From parseCueSheet
+ * @param {Array} cueTracks - The sheet's tracks in that file
+ * @param {Function} generateId - Makes a new track id
+ * @returns {Array} - Track records, or an empty array if the times don't
+ *   fit the file (or its length is unknown)
+ */
+export const createCueTracks = (record, sheet, cueTracks, generateId) => {
+  const fileDuration = record.duration || 0;
+  const ordered = [...cueTracks].sort((a, b) => a.start - b.start);
+  if (ordered.length === 0 || !(fileDuration > ordered[ordered.length - 1].start)) return [];
+
+  const fields = { ...record };
+  WHOLE_FILE_FIELDS.forEach((field) => {
+    delete fields[field];
+  });
+
+  return ordered.map((cueTrack, index) => {
+    const start = cueTrack.start;
+    const end = ordered[index + 1]?.start ?? null;
+    const duration = (end ?? fileDuration) - start;
+    const title = cueTrack.title || `Track ${cueTrack.number || index + 1}`;
+    return {
+      ...fields,
+      id: generateId(),
+      name: title,
+      title,
+      artist: cueTrack.performer || sheet.performer || record.artist,
+      albumArtist: sheet.performer || record.albumArtist,
+      album: sheet.title || record.album,
+      trackNumber: cueTrack.number || index + 1,
+      trackTotal: ordered.length,
+      year: sheet.year || record.year,
+      genre: sheet.genre || record.genre,
+      replayGain: cueReplayGain(cueTrack, sheet, record),
+      chapters: [],
+      duration,
+      // Each part's share of the file, so storage totals still add up
+      size: Math.round(record.size * (duration / fileDuration)),
+      cue: { audioId: record.id, start, end, fileSize: record.size, fileDuration }
+    };
+  });
+};
+
+/**
+ * Size of the file a track plays from: the whole album for cue sheet parts
+ * @param {Object} track - Track record
+ * @returns {number} - Bytes
+ */
+export const getStoredFileSize = (track) => {
+  return track.cue?.fileSize ?? track.size;
+};
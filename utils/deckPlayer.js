@@ -0,0 +1,512 @@
+// Dual-deck playback on the Web Audio graph. Two media elements take turns:
+// while one plays, the other buffers the upcoming track so the switch is
+// either gapless or an equal-power crossfade.
+//
+//   deck A element -> source -> track gain -> deck gain --\
+//                                                          +-> master gain -> output
+//   deck B element -> source -> track gain -> deck gain --/
+//
+// Track gain holds per-track loudness normalization; deck gain does the fades.
+//
+// Tracks split from one file by a cue sheet play just their part of it. Every
+// time the player reports or takes is track time, offset from the element's
+// by where the part starts, and a part that ends before the file does is
+// stopped (or handed over to the next deck) at its end.
+
+export const MAX_CROSSFADE = 12;
+
+// How long before the transition point the precise timer gets armed
+// ("timeupdate" only fires every ~250ms)
+const SCHEDULE_AHEAD = 0.5;
+const CURVE_STEPS = 64;
+const HAVE_FUTURE_DATA = 3;
+// The jump back at the end of an A-B loop is faded this long (seconds) each
+// way so it doesn't click
+const LOOP_FADE = 0.01;
+// A loop running to the end of the track wraps this early (seconds), as an
+// element that has ended stops rather than seeking back
+const LOOP_END_MARGIN = 0.1;
+
+/**
+ * Builds an equal-power fade curve (constant loudness across the overlap)
+ * @param {boolean} fadeIn - true for the incoming deck, false for the outgoing one
+ * @returns {Float32Array} - Gain values from start to end of the fade
+ */
+const equalPowerCurve = (fadeIn) => {
+  return Float32Array.from({ length: CURVE_STEPS }, (_, i) => {
+    const position = (i / (CURVE_STEPS - 1)) * (Math.PI / 2);
+    return fadeIn ? Math.sin(position) : Math.cos(position);
+  });
+};
+
+/**
+ * Clamps a crossfade length to the supported range
+ * @param {number} seconds - Requested length
+ * @returns {number} - Length between 0 and MAX_CROSSFADE
+ */
+export const clampCrossfade = (seconds) => {
+  const value = Number(seconds);
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(Math.max(value, 0), MAX_CROSSFADE);
+};
+
+/**
+ * Whether two tracks run straight into each other on the same record, where
+ * a crossfade would smear a live set or a DJ mix
+ * @param {Object} current - Track ending
+ * @param {Object} next - Track starting
+ * @returns {boolean} - true if the pair should always be gapless
+ */
+export const isContinuousAlbumPair = (current, next) => {
+  if (!current?.album || current.album !== next?.album) return false;
+  if ((current.albumArtist || current.artist) !== (next.albumArtist || next.artist)) return false;
+  if ((current.discNumber || 1) !== (next.discNumber || 1)) return false;
+  return !!current.trackNumber && next.trackNumber === current.trackNumber + 1;
+};
+
+/**
+ * Creates the dual-deck player
+ * @param {Object} options - { audioContext, output, resolveGain } where output
+ *   is the node the decks feed and resolveGain(track) returns a linear gain
+ *   for the track (loudness normalization)
+ * @returns {Object} - Player API
+ */
+export const createDeckPlayer = ({ audioContext, output, resolveGain = () => 1 }) => {
+  const master = audioContext.createGain();
+  master.connect(output);
+
+  const listeners = {};
+  const emit = (event, payload) => {
+    (listeners[event] || []).forEach(handler => handler(payload));
+  };
+
+  let active = 0;
+  let crossfade = 0;
+  let transitionTimer = null;
+  // Set while the outgoing deck is still audible
+  let fadeOut = null;
+  // Preload requested while the standby deck was still fading out
+  let pendingPreload;
+  let playbackRate = 1;
+  let preservePitch = true;
+  // { trackId, start, end } while an A-B loop is set
+  let loop = null;
+  let loopTimer = null;
+
+  const applyPlaybackRate = (element) => {
+    // The default survives loading a new source; the rate itself doesn't
+    element.defaultPlaybackRate = playbackRate;
+    element.playbackRate = playbackRate;
+    element.preservesPitch = preservePitch;
+    element.mozPreservesPitch = preservePitch;
+    element.webkitPreservesPitch = preservePitch;
+  };
+
+  // Where the deck's track starts and ends in its file (seconds)
+  const getSegmentStart = deck => deck.track?.cue?.start || 0;
+  const getSegmentEnd = ({ track, element }) => {
+    const end = track?.cue?.end;
+    if (!Number.isFinite(end)) return element.duration;
+    return Number.isFinite(element.duration) ? Math.min(end, element.duration) : end;
+  };
+  // True for a cue sheet part with more of the file after it
+  const endsBeforeFile = deck => Number.isFinite(deck.track?.cue?.end);
+  const getTrackTime = deck => Math.max(deck.element.currentTime - getSegmentStart(deck), 0);
+  const getTrackDuration = deck => getSegmentEnd(deck) - getSegmentStart(deck);
+
+  const decks = [0, 1].map((index) => {
+    const element = new Audio();
+    element.preload = 'auto';
+    applyPlaybackRate(element);
+    const source = audioContext.createMediaElementSource(element);
+    const trim = audioContext.createGain();
+    const gain = audioContext.createGain();
+    source.connect(trim);
+    trim.connect(gain);
+    gain.connect(master);
+
+    const deck = { element, trim, gain, track: null };
+    const isActive = () => active === index;
+
+    element.addEventListener('timeupdate', () => {
+      if (!isActive()) return;
+      emit('timeupdate', getTrackTime(deck));
+      checkTransition();
+      checkLoop();
+    });
+    element.addEventListener('loadedmetadata', () => {
+      if (isActive()) emit('durationchange', getTrackDuration(deck));
+    });
+    element.addEventListener('progress', () => {
+      if (isActive()) emit('progress', getBuffered());
+    });
+    element.addEventListener('ended', () => {
+      if (!isActive()) return;
+      // The element beat the timer to it: switch now rather than reload
+      if (transitionTimer) {
+        cancelTransition();
+        if (standbyDeck().track) {
+          startTransition(0);
+          return;
+        }
+      }
+      emit('ended');
+    });
+    element.addEventListener('error', () => {
+      if (isActive() && deck.track) emit('error', deck.track);
+    });
+
+    return deck;
+  });
+
+  const activeDeck = () => decks[active];
+  const standbyDeck = () => decks[1 - active];
+
+  // Buffered ranges of the playing track as [start, end] pairs in seconds
+  function getBuffered() {
+    const deck = activeDeck();
+    const { buffered } = deck.element;
+    const offset = getSegmentStart(deck);
+    const duration = getTrackDuration(deck);
+    return Array.from({ length: buffered.length }, (_, i) => [
+      Math.max(buffered.start(i) - offset, 0),
+      Number.isFinite(duration) ? Math.min(buffered.end(i) - offset, duration) : buffered.end(i) - offset
+    ]).filter(([start, end]) => end > start);
+  }
+
+  const resetGain = (deck, value = 1) => {
+    deck.gain.gain.cancelScheduledValues(audioContext.currentTime);
+    deck.gain.gain.setValueAtTime(value, audioContext.currentTime);
+  };
+
+  const applyTrackGain = (deck) => {
+    const value = deck.track ? resolveGain(deck.track) : 1;
+    deck.trim.gain.setTargetAtTime(value, audioContext.currentTime, 0.05);
+  };
+
+  const unload = (deck) => {
+    deck.element.pause();
+    deck.element.removeAttribute('src');
+    deck.element.load();
+    deck.track = null;
+  };
+
+  const cancelTransition = () => {
+    if (transitionTimer) {
+      clearTimeout(transitionTimer);
+      transitionTimer = null;
+    }
+  };
+
+  const finishFadeOut = () => {
+    if (!fadeOut) return;
+    clearTimeout(fadeOut.timer);
+    const { deck } = fadeOut;
+    fadeOut = null;
+    deck.element.pause();
+    resetGain(deck);
+    deck.track = null;
+    if (pendingPreload !== undefined) {
+      const track = pendingPreload;
+      pendingPreload = undefined;
+      preload(track);
+    }
+  };
+
+  const fadeLengthFor = (current, next) => {
+    if (crossfade <= 0 || isContinuousAlbumPair(current, next)) return 0;
+    // Never fade across more than half of either track
+    const limits = [current.duration, next.duration, getTrackDuration(activeDeck())]
+      .filter(value => Number.isFinite(value) && value > 0)
+      .map(value => value / 2);
+    return Math.min(crossfade, ...limits);
+  };
+
+  const getLoopEnd = (deck) => {
+    const duration = getTrackDuration(deck);
+    return Number.isFinite(duration) ? Math.min(loop.end, duration - LOOP_END_MARGIN) : loop.end;
+  };
+
+  // True while the playing track has a loop set and hasn't passed its end
+  const isLooping = () => {
+    const deck = activeDeck();
+    return !!loop && deck.track?.id === loop.trackId && getTrackTime(deck) < getLoopEnd(deck);
+  };
+
+  const cancelLoopJump = () => {
+    if (!loopTimer) return;
+    clearTimeout(loopTimer);
+    loopTimer = null;
+    // It may have been cancelled halfway through the fade
+    resetGain(activeDeck());
+  };
+
+  const jumpToLoopStart = (deck) => {
+    const now = audioContext.currentTime;
+    deck.gain.gain.cancelScheduledValues(now);
+    deck.gain.gain.setValueAtTime(deck.gain.gain.value, now);
+    deck.gain.gain.linearRampToValueAtTime(0, now + LOOP_FADE);
+
+    loopTimer = setTimeout(() => {
+      loopTimer = null;
+      if (loop && deck === activeDeck() && deck.track?.id === loop.trackId) {
+        deck.element.currentTime = getSegmentStart(deck) + loop.start;
+      }
+      const at = audioContext.currentTime;
+      deck.gain.gain.cancelScheduledValues(at);
+      deck.gain.gain.setValueAtTime(0, at);
+      deck.gain.gain.linearRampToValueAtTime(1, at + LOOP_FADE);
+    }, LOOP_FADE * 1000);
+  };
+
+  // Like checkTransition: timeupdate is too coarse to find B, so a timer is
+  // armed for it once it's close
+  const checkLoop = () => {
+    if (loopTimer || fadeOut || !isLooping()) return;
+    const deck = activeDeck();
+    if (deck.element.paused) return;
+    const lead = (getLoopEnd(deck) - getTrackTime(deck)) / (deck.element.playbackRate || 1);
+    if (lead > SCHEDULE_AHEAD) return;
+    loopTimer = setTimeout(() => jumpToLoopStart(deck), Math.max(lead - LOOP_FADE, 0) * 1000);
+  };
+
+  // A cue sheet part reached its end with nothing buffered to take over:
+  // stop there as if the file had ended
+  const endSegment = () => {
+    transitionTimer = null;
+    activeDeck().element.pause();
+    emit('ended');
+  };
+
+  // Arms a timer for the exact transition point once it's close enough
+  const checkTransition = () => {
+    const current = activeDeck();
+    const next = standbyDeck();
+    if (transitionTimer || fadeOut || current.element.paused) return;
+    // A loop ending at the end of the track keeps it from moving on
+    if (isLooping()) return;
+
+    const end = getSegmentEnd(current);
+    if (!Number.isFinite(end)) return;
+    const { currentTime, playbackRate } = current.element;
+    const remaining = (end - currentTime) / (playbackRate || 1);
+
+    if (!next.track || next.element.readyState < HAVE_FUTURE_DATA) {
+      if (!endsBeforeFile(current) || remaining > SCHEDULE_AHEAD) return;
+      transitionTimer = setTimeout(endSegment, Math.max(remaining, 0) * 1000);
+      return;
+    }
+
+    const fade = fadeLengthFor(current.track, next.track);
+    const lead = remaining - fade;
+    if (lead > SCHEDULE_AHEAD) return;
+
+    transitionTimer = setTimeout(() => startTransition(fade), Math.max(lead, 0) * 1000);
+  };
+
+  function startTransition(fade) {
+    transitionTimer = null;
+    const outgoing = activeDeck();
+    const incoming = standbyDeck();
+    const now = audioContext.currentTime;
+
+    incoming.gain.gain.cancelScheduledValues(now);
+    if (fade > 0) {
+      incoming.gain.gain.setValueCurveAtTime(equalPowerCurve(true), now, fade);
+      outgoing.gain.gain.cancelScheduledValues(now);
+      outgoing.gain.gain.setValueCurveAtTime(equalPowerCurve(false), now, fade);
+    } else {
+      incoming.gain.gain.setValueAtTime(1, now);
+    }
+    incoming.element.play().catch(() => emit('error', incoming.track));
+
+    active = 1 - active;
+    // Whatever is left of the outgoing track (just a few ms when gapless)
+    const remaining = Math.max(getSegmentEnd(outgoing) - outgoing.element.currentTime, 0) /
+      (outgoing.element.playbackRate || 1);
+    // A cue sheet part would otherwise run on into the part after it
+    if (fade <= 0) {
+      outgoing.gain.gain.cancelScheduledValues(now);
+      outgoing.gain.gain.setValueAtTime(0, now + remaining);
+    }
+    fadeOut = {
+      deck: outgoing,
+      timer: setTimeout(finishFadeOut, (fade > 0 ? fade : remaining) * 1000 + 100)
+    };
+
+    emit('trackchange', incoming.track);
+    if (Number.isFinite(getTrackDuration(incoming))) {
+      emit('durationchange', getTrackDuration(incoming));
+    }
+    emit('progress', getBuffered());
+  }
+
+  /**
+   * Buffers the track that should follow the current one
+   * @param {Object|null} track - Library track (with url), or null for none
+   */
+  function preload(track) {
+    if (fadeOut) {
+      pendingPreload = track;
+      return;
+    }
+    const standby = standbyDeck();
+    if ((standby.track?.id || null) === (track?.id || null)) return;
+
+    cancelTransition();
+    if (!track) {
+      unload(standby);
+      return;
+    }
+    standby.track = track;
+    applyTrackGain(standby);
+    resetGain(standby, 0);
+    standby.element.src = track.url;
+    standby.element.load();
+    // Before metadata loads this sets the element's start position
+    standby.element.currentTime = getSegmentStart(standby);
+  }
+
+  /**
+   * Plays a track now, using the buffered deck if it already holds it
+   * @param {Object} track - Library track (with url)
+   * @param {Object} [options] - { startAt } seconds to start from and
+   *   { autoplay } false to leave it paused there (e.g. a restored session)
+   */
+  const load = (track, { startAt = 0, autoplay = true } = {}) => {
+    cancelTransition();
+    cancelLoopJump();
+    finishFadeOut();
+    pendingPreload = undefined;
+
+    if (standbyDeck().track?.id === track.id && standbyDeck().track.url === track.url) {
+      unload(activeDeck());
+      active = 1 - active;
+    } else {
+      const deck = activeDeck();
+      deck.track = track;
+      deck.element.src = track.url;
+      unload(standbyDeck());
+    }
+
+    const deck = activeDeck();
+    // Before metadata loads this sets the element's start position
+    deck.element.currentTime = getSegmentStart(deck) + Math.max(startAt, 0);
+    applyTrackGain(deck);
+    resetGain(deck);
+    if (Number.isFinite(getTrackDuration(deck))) emit('durationchange', getTrackDuration(deck));
+    emit('progress', getBuffered());
+    return autoplay ? play() : Promise.resolve();
+  };
+
+  const play = () => {
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const deck = activeDeck();
+    if (!deck.track) return Promise.resolve();
+    // Like an ended element, a part stopped at its end plays from the start
+    if (endsBeforeFile(deck) && deck.element.currentTime >= getSegmentEnd(deck)) {
+      deck.element.currentTime = getSegmentStart(deck);
+    }
+    return deck.element.play().catch((error) => {
+      if (error.name !== 'AbortError') emit('error', deck.track);
+    });
+  };
+
+  const pause = () => {
+    cancelTransition();
+    cancelLoopJump();
+    finishFadeOut();
+    activeDeck().element.pause();
+  };
+
+  const seek = (time) => {
+    cancelTransition();
+    cancelLoopJump();
+    const deck = activeDeck();
+    const duration = getTrackDuration(deck);
+    if (Number.isFinite(duration)) {
+      deck.element.currentTime = getSegmentStart(deck) + Math.min(Math.max(time, 0), duration);
+    }
+  };
+
+  const setVolume = (volume) => {
+    master.gain.setTargetAtTime(volume, audioContext.currentTime, 0.01);
+  };
+
+  // Re-reads track gains, e.g. after the normalization mode changes
+  const refreshTrackGains = () => {
+    decks.forEach(applyTrackGain);
+  };
+
+  const setCrossfade = (seconds) => {
+    crossfade = clampCrossfade(seconds);
+    cancelTransition();
+  };
+
+  /**
+   * Sets the speed of both decks
+   * @param {number} rate - Speed multiplier
+   * @param {boolean} [keepPitch] - Time-stretch rather than resample
+   */
+  const setPlaybackRate = (rate, keepPitch = true) => {
+    playbackRate = rate;
+    preservePitch = keepPitch;
+    decks.forEach(deck => applyPlaybackRate(deck.element));
+    // Timers armed at the old speed would fire at the wrong moment
+    cancelTransition();
+    cancelLoopJump();
+  };
+
+  /**
+   * Loops part of a track while it plays
+   * @param {Object|null} range - { trackId, start, end } in seconds, or null
+   *   to stop looping
+   */
+  const setLoop = (range) => {
+    loop = range;
+    cancelLoopJump();
+  };
+
+  /**
+   * Subscribes to player events: timeupdate, durationchange, progress
+   * (buffered ranges), trackchange (the buffered track took over), ended
+   * (nothing was buffered) and error
+   * @param {string} event - Event name
+   * @param {Function} handler - Listener
+   * @returns {Function} - Unsubscribe
+   */
+  const on = (event, handler) => {
+    listeners[event] = [...(listeners[event] || []), handler];
+    return () => {
+      listeners[event] = listeners[event].filter(item => item !== handler);
+    };
+  };
+
+  const destroy = () => {
+    cancelTransition();
+    cancelLoopJump();
+    finishFadeOut();
+    decks.forEach(unload);
+    master.disconnect();
+  };
+
+  return {
+    load,
+    preload,
+    play,
+    pause,
+    seek,
+    setVolume,
+    setCrossfade,
+    setPlaybackRate,
+    setLoop,
+    refreshTrackGains,
+    on,
+    destroy,
+    getCurrentTime: () => getTrackTime(activeDeck()),
+    getDuration: () => getTrackDuration(activeDeck()),
+    getBuffered,
+    getCurrentTrack: () => activeDeck().track,
+    isPaused: () => activeDeck().element.paused
+  };
+};
@@ -0,0 +1,192 @@
+// 10-band graphic equalizer: Web Audio filter chain plus pure helpers for the
+// persisted EQ state (global settings, per-track overrides and user presets).
+
+export const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_MAX_GAIN = 12;
+export const EQ_SCOPES = ['global', 'track'];
+
+// Octave-spaced bands, so each filter covers roughly one octave
+const BAND_Q = 1.41;
+
+const flatGains = () => EQ_FREQUENCIES.map(() => 0);
+
+export const BUILT_IN_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, gains: flatGains() },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -4, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { id: 'treble-boost', name: 'Treble Boost', preamp: -4, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  { id: 'vocal', name: 'Vocal', preamp: -2, gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { id: 'rock', name: 'Rock', preamp: -3, gains: [5, 3, 1, -1, -2, -1, 1, 3, 4, 5] },
+  { id: 'pop', name: 'Pop', preamp: -2, gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { id: 'jazz', name: 'Jazz', preamp: -2, gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  { id: 'classical', name: 'Classical', preamp: -2, gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  { id: 'electronic', name: 'Electronic', preamp: -4, gains: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5] },
+  { id: 'loudness', name: 'Loudness', preamp: -4, gains: [6, 4, 0, 0, -2, 0, -1, 0, 4, 2] }
+];
+
+/**
+ * Converts decibels to a linear gain factor
+ * @param {number} db - Gain in dB
+ * @returns {number} - Linear gain
+ */
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+const clampGain = (db) => {
+  const value = Number(db);
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(Math.max(value, -EQ_MAX_GAIN), EQ_MAX_GAIN);
+};
+
+/**
+ * Brings stored band settings into shape (right band count, values in range)
+ * @param {Object} [settings] - { preamp, gains, presetId }
+ * @returns {Object} - Normalized settings
+ */
+export const normalizeEqSettings = (settings = {}) => ({
+  preamp: clampGain(settings.preamp),
+  gains: EQ_FREQUENCIES.map((_, i) => clampGain(settings.gains?.[i])),
+  presetId: settings.presetId || null
+});
+
+/**
+ * Creates the default persisted EQ state
+ * @returns {Object} - EQ state
+ */
+export const createEqState = () => ({
+  enabled: true,
+  // 'global' applies one curve to everything; 'track' remembers one per track
+  scope: 'global',
+  global: normalizeEqSettings({ presetId: 'flat' }),
+  tracks: {},
+  userPresets: []
+});
+
+/**
+ * Works out which settings apply to a track
+ * @param {Object} state - EQ state
+ * @param {string|null} trackId - Current track
+ * @returns {Object} - { preamp, gains, presetId, isTrackOverride }
+ */
+export const resolveEqSettings = (state, trackId) => {
+  const override = state.scope === 'track' && trackId ? state.tracks[trackId] : null;
+  return {
+    ...normalizeEqSettings(override || state.global),
+    isTrackOverride: !!override
+  };
+};
+
+/**
+ * Applies changes to the settings in effect: the global curve, or the current
+ * track's own curve when EQ is remembered per track
+ * @param {Object} state - EQ state
+ * @param {string|null} trackId - Current track
+ * @param {Object} changes - Partial { preamp, gains, presetId }
+ * @returns {Object} - New EQ state
+ */
+export const updateEqSettings = (state, trackId, changes) => {
+  const { isTrackOverride, ...current } = resolveEqSettings(state, trackId);
+  const settings = normalizeEqSettings({ ...current, ...changes });
+
+  if (state.scope === 'track' && trackId) {
+    return { ...state, tracks: { ...state.tracks, [trackId]: settings } };
+  }
+  return { ...state, global: settings };
+};
+
+/**
+ * Drops a track's own curve so it falls back to the global one
+ * @param {Object} state - EQ state
+ * @param {string} trackId - Track id
+ * @returns {Object} - New EQ state
+ */
+export const clearTrackEq = (state, trackId) => {
+  if (!state.tracks[trackId]) return state;
+  const { [trackId]: removed, ...tracks } = state.tracks;
+  return { ...state, tracks };
+};
+
+/**
+ * Looks up a preset by id among built-in and user presets
+ * @param {Object} state - EQ state
+ * @param {string} presetId - Preset id
+ * @returns {Object|null} - The preset
+ */
+export const findEqPreset = (state, presetId) => {
+  return [...BUILT_IN_PRESETS, ...state.userPresets].find(preset => preset.id === presetId) || null;
+};
+
+/**
+ * Saves settings as a named user preset (overwriting one with the same name)
+ * @param {Object} state - EQ state
+ * @param {string} name - Preset name
+ * @param {Object} settings - { preamp, gains }
+ * @returns {Object} - { state, preset }
+ */
+export const saveEqPreset = (state, name, settings) => {
+  const trimmed = name.trim() || 'My Preset';
+  const existing = state.userPresets.find(preset => preset.name.toLowerCase() === trimmed.toLowerCase());
+  const { preamp, gains } = normalizeEqSettings(settings);
+  const preset = {
+    id: existing?.id || `eq-${Date.now().toString(36)}`,
+    name: trimmed,
+    preamp,
+    gains
+  };
+  const userPresets = existing
+    ? state.userPresets.map(item => (item.id === existing.id ? preset : item))
+    : [...state.userPresets, preset];
+  return { state: { ...state, userPresets }, preset };
+};
+
+/**
+ * Deletes a user preset; settings that used it keep their curve
+ * @param {Object} state - EQ state
+ * @param {string} presetId - Preset id
+ * @returns {Object} - New EQ state
+ */
+export const deleteEqPreset = (state, presetId) => ({
+  ...state,
+  userPresets: state.userPresets.filter(preset => preset.id !== presetId)
+});
+
+/**
+ * Builds the filter chain: input -> preamp -> 10 peaking filters -> output
+ * @param {AudioContext} audioContext - The audio context
+ * @returns {Object} - { input, output, apply(settings, enabled), disconnect }
+ */
+export const createEqualizerChain = (audioContext) => {
+  const preamp = audioContext.createGain();
+  const filters = EQ_FREQUENCIES.map((frequency) => {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'peaking';
+    filter.frequency.value = frequency;
+    filter.Q.value = BAND_Q;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  filters.reduce((previous, filter) => {
+    previous.connect(filter);
+    return filter;
+  }, preamp);
+
+  const apply = ({ preamp: preampDb, gains }, enabled = true) => {
+    const now = audioContext.currentTime;
+    // Short time constant avoids zipper noise while dragging sliders
+    preamp.gain.setTargetAtTime(enabled ? dbToGain(preampDb) : 1, now, 0.02);
+    filters.forEach((filter, i) => {
+      filter.gain.setTargetAtTime(enabled ? gains[i] : 0, now, 0.02);
+    });
+  };
+
+  const disconnect = () => {
+    preamp.disconnect();
+    filters.forEach(filter => filter.disconnect());
+  };
+
+  return {
+    input: preamp,
+    output: filters[filters.length - 1],
+    apply,
+    disconnect
+  };
+};
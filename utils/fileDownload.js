@@ -0,0 +1,29 @@
+/**
+ * Saves data as a file through a temporary download link
+ * @param {Blob|string} data - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} [type] - MIME type when data is a string
+ */
+export const downloadFile = (data, fileName, type = 'text/plain') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Makes a string safe to use as a file name
+ * @param {string} name - e.g. a playlist name
+ * @param {string} [fallback] - Used when nothing is left
+ * @returns {string} - File name without an extension
+ */
+export const toFileName = (name, fallback = 'playlist') => {
+  const cleaned = String(name || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return cleaned || fallback;
+};
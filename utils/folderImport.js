@@ -0,0 +1,146 @@
+// Collecting files for bulk import (dropped folders, folder pickers, plain
+// file lists) and hashing their contents for duplicate detection.
+
+import { AUDIO_FORMATS } from './audioFormats';
+
+const AUDIO_EXTENSIONS = new Set(Object.values(AUDIO_FORMATS).flatMap(format => format.extensions));
+
+// Files up to this size are hashed in full; larger ones by sampled chunks
+const FULL_HASH_LIMIT = 64 * 1024 * 1024;
+const SAMPLE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * File extension in lower case
+ * @param {string} name - File name
+ * @returns {string} - Extension without the dot ('' if none)
+ */
+export const getExtension = (name) => {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Whether a file looks like audio by name or type. Folders also hold cover
+ * images, cue sheets and text files, which are passed over silently rather
+ * than reported as failed imports.
+ * @param {File} file - Candidate file
+ * @returns {boolean} - true if it should be imported
+ */
+export const isAudioCandidate = (file) => {
+  if (file.name.startsWith('.')) return false;
+  return AUDIO_EXTENSIONS.has(getExtension(file.name)) || file.type.startsWith('audio/');
+};
+
+const readDirectoryEntries = (reader) => {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+};
+
+const entryToFile = (entry) => {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+};
+
+/**
+ * Recursively lists the files under a FileSystemEntry
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {Object} [options] - { signal } to stop walking
+ * @returns {Promise<Array>} - { file, path } for every file found
+ */
+const walkEntry = async (entry, { signal } = {}) => {
+  if (signal?.aborted) return [];
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+  }
+  if (!entry.isDirectory) return [];
+
+  const reader = entry.createReader();
+  const results = [];
+  // readEntries returns at most ~100 entries per call
+  for (let batch = await readDirectoryEntries(reader); batch.length > 0; batch = await readDirectoryEntries(reader)) {
+    for (const child of batch) {
+      results.push(...await walkEntry(child, { signal }));
+    }
+  }
+  return results;
+};
+
+/**
+ * Takes the dropped entries out of a drop event. This must run synchronously
+ * in the event handler; the browser empties the DataTransfer afterwards.
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Array} - FileSystemEntry objects, or File objects where entries aren't supported
+ */
+export const takeDroppedItems = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.length > 0 && entries.every(Boolean)) return entries;
+  return Array.from(dataTransfer.files || []);
+};
+
+/**
+ * Expands dropped items, walking into folders and nested folders
+ * @param {Array} items - From takeDroppedItems
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Array>} - { file, path } for every file found
+ */
+export const collectDroppedFiles = async (items, { signal } = {}) => {
+  const results = [];
+  for (const item of items) {
+    if (signal?.aborted) break;
+    if (item instanceof File) {
+      results.push({ file: item, path: item.name });
+    } else {
+      results.push(...await walkEntry(item, { signal }));
+    }
+  }
+  return results;
+};
+
+/**
+ * Wraps files from an <input type="file"> (with or without webkitdirectory)
+ * @param {FileList|Array<File>} files - Selected files
+ * @returns {Array} - { file, path } where path keeps the folder structure
+ */
+export const collectInputFiles = (files) => {
+  return Array.from(files).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+};
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Whether file contents can be hashed. crypto.subtle only exists in secure
+ * contexts, so not over plain http from a LAN address.
+ * @returns {boolean} - true if SHA-256 digests are available
+ */
+export const isContentHashingSupported = () => {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+};
+
+/**
+ * SHA-256 of a file's contents. Files over FULL_HASH_LIMIT are hashed from
+ * their size plus samples at the start, middle and end, which still tells
+ * apart any two real recordings without reading hundreds of MB.
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string|null>} - Hex digest, prefixed "sha256:" or
+ *   "sha256s:" (sampled), or null where hashing isn't supported
+ */
+export const hashFileContents = async (blob) => {
+  if (!isContentHashingSupported()) return null;
+
+  if (blob.size <= FULL_HASH_LIMIT) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return `sha256:${toHex(digest)}`;
+  }
+
+  const middle = Math.floor(blob.size / 2 - SAMPLE_SIZE / 2);
+  const parts = [
+    new TextEncoder().encode(String(blob.size)),
+    await blob.slice(0, SAMPLE_SIZE).arrayBuffer(),
+    await blob.slice(middle, middle + SAMPLE_SIZE).arrayBuffer(),
+    await blob.slice(blob.size - SAMPLE_SIZE).arrayBuffer()
+  ];
+  const digest = await crypto.subtle.digest('SHA-256', await new Blob(parts).arrayBuffer());
+  return `sha256s:${toHex(digest)}`;
+};
@@ -0,0 +1,473 @@
+// Whole-library backups: one ZIP archive holding every track's audio,
+// artwork and tags, the play stats stored on each track, the listening
+// history, playlists and settings. Restoring can replace the library or
+// merge into it.
+//
+// Layout:
+//   manifest.json        { format, version, createdAt, trackCount }
+//   library.json         { tracks: [record + { files: { audio, artwork } }] }
+//   history.json         { listens: [history entry without its id] } (version 2+)
+//   storage.json         { localStorage key: raw stored string }
+//   audio/<id>.<ext>     Audio bytes as imported (once for all the tracks a
+//                        cue sheet split from one file)
+//   artwork/<id>         Embedded cover art
+
+import {
+  addListens,
+  deleteTracksWithAudio,
+  generateTrackId,
+  getAllListens,
+  getAllTracks,
+  getAudioId,
+  getTrackBlob,
+  isQuotaExceededError,
+  replaceListens,
+  saveTrack,
+  updateTrack
+} from './audioStore';
+import { crc32, createZipArchive, readZipArchive } from './zipArchive';
+import { uniquePlaylistName } from './playlists';
+import { hashFileContents } from './folderImport';
+import { getStoredFileSize } from './cueSheet';
+
+export const BACKUP_FORMAT = 'glassmorphic-music-player-backup';
+export const BACKUP_VERSION = 2;
+export const BACKUP_FILE_TYPES = '.zip,application/zip';
+export const RESTORE_MODES = ['merge', 'replace'];
+
+// localStorage keys worth keeping. The queue and playback session point at
+// what was playing at the time and aren't carried over.
+const BACKUP_STORAGE_KEYS = ['playerSettings', 'playlists', 'equalizer', 'theme'];
+const TRANSIENT_STORAGE_KEYS = ['playQueue', 'playbackSession'];
+
+// Fields rebuilt after a restore rather than archived: runtime object URLs,
+// the artwork blob (archived as its own file) and cached waveform peaks
+const UNARCHIVED_FIELDS = ['url', 'artworkUrl', 'artwork', 'waveform'];
+
+// MIGRATIONS[n] upgrades a version n backup ({ manifest, tracks, history,
+// storage }) to version n + 1. Add one whenever the layout changes.
+const MIGRATIONS = {
+  // Version 2 added the listening history
+  1: backup => ({ ...backup, history: [] })
+};
+
+/**
+ * Suggested file name for a backup made now
+ * @param {Date} [date] - When the backup was made
+ * @returns {string} - File name
+ */
+export const getBackupFileName = (date = new Date()) => {
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+  return `music-library-${day}.zip`;
+};
+
+const extensionOf = (fileName) => {
+  const match = /\.([a-z0-9]{1,5})$/i.exec(fileName || '');
+  return match ? `.${match[1].toLowerCase()}` : '';
+};
+
+/**
+ * Packs the stored library and settings into a backup archive
+ * @param {Object} [options] - { signal } to cancel, { onProgress } gets
+ *   { done, total } in tracks
+ * @returns {Promise<Blob>} - The archive
+ */
+export const createLibraryBackup = async ({ signal, onProgress } = {}) => {
+  const records = await getAllTracks();
+  const files = [];
+  const tracks = [];
+  // Audio key -> archive path, for files shared by cue sheet tracks
+  const audioPaths = new Map();
+
+  for (let index = 0; index < records.length; index++) {
+    if (signal?.aborted) throw new DOMException('Backup cancelled', 'AbortError');
+    onProgress?.({ done: index, total: records.length });
+
+    const record = records[index];
+    const audioId = getAudioId(record);
+    let audio = audioPaths.get(audioId);
+    if (!audio) {
+      const blob = await getTrackBlob(audioId);
+      if (!blob) continue;
+      audio = `audio/${audioId}${extensionOf(record.fileName)}`;
+      audioPaths.set(audioId, audio);
+      files.push({ name: audio, data: blob });
+    }
+
+    const artwork = record.artwork ? `artwork/${record.id}` : null;
+    if (artwork) files.push({ name: artwork, data: record.artwork });
+
+    const fields = { ...record };
+    UNARCHIVED_FIELDS.forEach((field) => {
+      delete fields[field];
+    });
+    tracks.push({
+      ...fields,
+      artworkType: record.artwork?.type || null,
+      files: { audio, artwork }
+    });
+  }
+
+  const listens = (await getAllListens()).map(({ id, ...listen }) => listen);
+
+  const storage = {};
+  BACKUP_STORAGE_KEYS.forEach((key) => {
+    const value = window.localStorage.getItem(key);
+    if (value !== null) storage[key] = value;
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    trackCount: tracks.length
+  };
+
+  onProgress?.({ done: records.length, total: records.length });
+  return createZipArchive([
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    { name: 'library.json', data: JSON.stringify({ tracks }) },
+    { name: 'history.json', data: JSON.stringify({ listens }) },
+    { name: 'storage.json', data: JSON.stringify(storage) },
+    ...files
+  ], { signal });
+};
+
+const readJsonEntry = async (files, name) => {
+  const entry = files.get(name);
+  if (!entry) throw new Error(`The backup is missing ${name}`);
+  const bytes = new Uint8Array(await entry.blob.arrayBuffer());
+  if (crc32(bytes) !== entry.crc) throw new Error(`${name} is damaged`);
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (parseError) {
+    throw new Error(`${name} is not valid JSON`);
+  }
+};
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Brings an older backup up to the current version
+ * @param {Object} backup - { manifest, tracks, history, storage }
+ * @returns {Object} - The backup in the current layout
+ */
+export const migrateBackup = (backup) => {
+  let current = backup;
+  for (let version = backup.manifest.version; version < BACKUP_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`Backups from version ${version} can't be restored`);
+    current = migrate(current);
+    current = { ...current, manifest: { ...current.manifest, version: version + 1 } };
+  }
+  return current;
+};
+
+/**
+ * Checks a (migrated) backup is complete enough to restore
+ * @param {Object} backup - { manifest, tracks, history, storage }
+ * @param {Map} files - Archive contents from readZipArchive
+ * @returns {Array<string>} - Problems found (empty if it's fine)
+ */
+export const validateBackup = (backup, files) => {
+  const problems = [];
+  if (!Array.isArray(backup.tracks)) problems.push('The track list is missing');
+  if (!Array.isArray(backup.history)) problems.push('The listening history is missing');
+  if (!isPlainObject(backup.storage)) problems.push('The settings are missing');
+  if (problems.length > 0) return problems;
+
+  const ids = new Set();
+  backup.tracks.forEach((track, index) => {
+    const label = typeof track?.name === 'string' ? `"${track.name}"` : `Track ${index + 1}`;
+    if (!isPlainObject(track) || typeof track.id !== 'string' || !track.id) {
+      problems.push(`${label} has no id`);
+      return;
+    }
+    if (ids.has(track.id)) problems.push(`${label} appears twice`);
+    ids.add(track.id);
+    if (typeof track.name !== 'string') problems.push(`${label} has no name`);
+    if (!files.has(track.files?.audio)) problems.push(`${label} is missing its audio`);
+    if (track.files?.artwork && !files.has(track.files.artwork)) problems.push(`${label} is missing its artwork`);
+  });
+
+  Object.entries(backup.storage).forEach(([key, value]) => {
+    if (typeof value !== 'string') problems.push(`The saved "${key}" setting is invalid`);
+  });
+  return problems;
+};
+
+/**
+ * Opens a backup archive, upgrading older versions and validating it
+ * @param {Blob} file - The archive
+ * @returns {Promise<Object>} - { manifest, tracks, history, storage, files }
+ */
+export const readLibraryBackup = async (file) => {
+  const files = await readZipArchive(file);
+  const manifest = await readJsonEntry(files, 'manifest.json');
+  if (!isPlainObject(manifest) || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a music library backup');
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw new Error('The backup has no valid version');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the player');
+  }
+
+  const library = await readJsonEntry(files, 'library.json');
+  const history = manifest.version >= 2 ? await readJsonEntry(files, 'history.json') : null;
+  const storage = await readJsonEntry(files, 'storage.json');
+  const backup = migrateBackup({ manifest, tracks: library?.tracks, history: history?.listens, storage });
+
+  const problems = validateBackup(backup, files);
+  if (problems.length > 0) {
+    const more = problems.length > 3 ? ` (and ${problems.length - 3} more problems)` : '';
+    throw new Error(`The backup is incomplete: ${problems.slice(0, 3).join('; ')}${more}`);
+  }
+  return { ...backup, files };
+};
+
+const parseStored = (value, fallback) => {
+  try {
+    return value === null || value === undefined ? fallback : JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Adds the backup's playlists alongside the current ones, pointing at the
+// tracks they were merged into
+const mergePlaylists = (current, archived, idMap) => {
+  const merged = Array.isArray(current) ? [...current] : [];
+  const existingIds = new Set(merged.map(playlist => playlist.id));
+  (Array.isArray(archived) ? archived : []).forEach((playlist) => {
+    if (!isPlainObject(playlist) || existingIds.has(playlist.id)) return;
+    merged.push({
+      ...playlist,
+      name: uniquePlaylistName(merged, String(playlist.name || 'Restored Playlist')),
+      trackIds: (playlist.trackIds || []).map(id => idMap.get(id)).filter(Boolean)
+    });
+  });
+  return merged;
+};
+
+// Keeps the current equalizer, adding the backup's presets and per-track
+// curves that don't exist yet
+const mergeEqualizer = (current, archived, idMap) => {
+  if (!isPlainObject(archived)) return current;
+  if (!isPlainObject(current)) return archived;
+  const presetIds = new Set((current.userPresets || []).map(preset => preset.id));
+  const tracks = { ...current.tracks };
+  Object.entries(archived.tracks || {}).forEach(([id, settings]) => {
+    const newId = idMap.get(id);
+    if (newId && !tracks[newId]) tracks[newId] = settings;
+  });
+  return {
+    ...current,
+    tracks,
+    userPresets: [
+      ...(current.userPresets || []),
+      ...(archived.userPresets || []).filter(preset => !presetIds.has(preset.id))
+    ]
+  };
+};
+
+const isListen = listen => isPlainObject(listen) && typeof listen.trackId === 'string' &&
+  (listen.type === 'play' || listen.type === 'skip') && Number.isFinite(listen.playedAt);
+
+// The backup's history, pointed at the restored track ids. Merging skips
+// entries already logged (same track at the same moment).
+const prepareListens = async (archived, mode, idMap) => {
+  const existing = mode === 'replace' ? [] : await getAllListens();
+  const logged = new Set(existing.map(listen => `${listen.trackId}|${listen.playedAt}`));
+  return archived
+    .filter(isListen)
+    .map(({ id, ...listen }) => ({ ...listen, trackId: idMap.get(listen.trackId) || listen.trackId }))
+    .filter(listen => !logged.has(`${listen.trackId}|${listen.playedAt}`));
+};
+
+// The backup's playlists and per-track curves, pointed at the ids its
+// tracks were restored under (new ones where the old library used them)
+const remapStorage = (storage, idMap) => {
+  const mapId = id => idMap.get(id) || id;
+  const remapped = { ...storage };
+  const playlists = parseStored(storage.playlists, null);
+  if (Array.isArray(playlists)) {
+    remapped.playlists = JSON.stringify(playlists.map(playlist => (
+      isPlainObject(playlist) ? { ...playlist, trackIds: (playlist.trackIds || []).map(mapId) } : playlist
+    )));
+  }
+  const equalizer = parseStored(storage.equalizer, null);
+  if (isPlainObject(equalizer?.tracks)) {
+    remapped.equalizer = JSON.stringify({
+      ...equalizer,
+      tracks: Object.fromEntries(Object.entries(equalizer.tracks).map(([id, settings]) => [mapId(id), settings]))
+    });
+  }
+  return remapped;
+};
+
+// Whether an archived file still matches the checksum it was packed with
+const isIntact = async (entry) => {
+  return crc32(new Uint8Array(await entry.blob.arrayBuffer())) === entry.crc;
+};
+
+// A stored track with the same audio (and for cue sheet tracks, the same
+// part of it). Only same-sized files are hashed, and tracks stored before
+// hashes were kept get theirs saved along the way.
+const findStoredCopy = async (stored, archived, audioEntry) => {
+  const candidates = stored.filter(track => getStoredFileSize(track) === audioEntry.size &&
+    (track.cue?.start ?? null) === (archived.cue?.start ?? null));
+  if (candidates.length === 0) return null;
+
+  const hash = archived.contentHash || await hashFileContents(audioEntry.blob);
+  // Copies can't be recognized where hashing isn't supported
+  if (!hash) return null;
+  for (const track of candidates) {
+    if (!track.contentHash) {
+      const blob = await getTrackBlob(getAudioId(track));
+      if (!blob) continue;
+      track.contentHash = await hashFileContents(blob);
+      if (!track.contentHash) continue;
+      await updateTrack(track.id, { contentHash: track.contentHash });
+    }
+    if (track.contentHash === hash) return track;
+  }
+  return null;
+};
+
+/**
+ * Writes a backup into storage. 'replace' writes the backup's tracks next to
+ * the current library and only removes the old one once they're all in, so
+ * a damaged file, a full disk or cancelling leaves the library as it was.
+ * 'merge' skips tracks already present (by content hash), keeping their
+ * higher play and skip counts, and adds the backup's playlists and
+ * listening history next to the current ones.
+ * @param {Object} backup - From readLibraryBackup
+ * @param {Object} options - { mode, signal, onProgress } where onProgress
+ *   gets { done, total, name }
+ * @returns {Promise<Object>} - { added, merged, failed: [{ name, error }], cancelled }
+ */
+export const restoreLibraryBackup = async (backup, { mode = 'merge', signal, onProgress } = {}) => {
+  if (!RESTORE_MODES.includes(mode)) throw new Error(`Unknown restore mode: ${mode}`);
+  const replacing = mode === 'replace';
+
+  const existing = await getAllTracks();
+  const takenIds = new Set(existing.flatMap(track => [track.id, getAudioId(track)]));
+  // Backup track id -> id in the restored library
+  const idMap = new Map();
+  // Archive audio path -> audio key it was restored under
+  const restoredAudio = new Map();
+  // Records written so far, removed again if a replace doesn't go through
+  const written = [];
+  const failed = [];
+  let added = 0;
+  let merged = 0;
+  let done = 0;
+
+  for (const archived of backup.tracks) {
+    if (signal?.aborted || (replacing && failed.length > 0)) break;
+    onProgress?.({ done, total: backup.tracks.length, name: archived.name });
+    done += 1;
+
+    const duplicate = !replacing && await findStoredCopy(existing, archived, backup.files.get(archived.files.audio));
+    if (duplicate) {
+      idMap.set(archived.id, duplicate.id);
+      if (duplicate.cue) restoredAudio.set(archived.files.audio, getAudioId(duplicate));
+      await updateTrack(duplicate.id, {
+        playCount: Math.max(duplicate.playCount || 0, archived.playCount || 0),
+        skipCount: Math.max(duplicate.skipCount || 0, archived.skipCount || 0),
+        lastPlayedAt: Math.max(duplicate.lastPlayedAt || 0, archived.lastPlayedAt || 0) || null
+      });
+      merged += 1;
+      continue;
+    }
+
+    const { files: paths, artworkType, ...fields } = archived;
+    const id = takenIds.has(archived.id) ? generateTrackId() : archived.id;
+    const audioEntry = backup.files.get(paths.audio);
+    const artworkEntry = paths.artwork ? backup.files.get(paths.artwork) : null;
+    // Tracks from one cue sheet file share its audio, which is saved once
+    const sharedAudioId = restoredAudio.get(paths.audio);
+    const record = {
+      ...fields,
+      id,
+      artwork: artworkEntry ? new Blob([artworkEntry.blob], { type: artworkType || '' }) : null
+    };
+    if (fields.cue) {
+      const audioId = sharedAudioId || (takenIds.has(fields.cue.audioId) ? generateTrackId() : fields.cue.audioId);
+      record.cue = { ...fields.cue, audioId };
+    }
+    try {
+      if ((!sharedAudioId && !(await isIntact(audioEntry))) || (artworkEntry && !(await isIntact(artworkEntry)))) {
+        failed.push({ name: archived.name, error: 'The file is damaged in the backup' });
+        continue;
+      }
+      await saveTrack(record, sharedAudioId ? null : new Blob([audioEntry.blob], { type: fields.type || '' }));
+      written.push(record);
+      takenIds.add(id);
+      if (record.cue) {
+        takenIds.add(record.cue.audioId);
+        restoredAudio.set(paths.audio, record.cue.audioId);
+      }
+      idMap.set(archived.id, id);
+      added += 1;
+    } catch (saveError) {
+      console.error('Error restoring track:', saveError);
+      failed.push({
+        name: archived.name,
+        error: isQuotaExceededError(saveError) ? 'Not enough storage space' : 'Could not save the file'
+      });
+    }
+  }
+
+  const listens = await prepareListens(backup.history, mode, idMap);
+  if (replacing) {
+    // Nothing of the old library has been touched yet: on any problem, take
+    // back what was written and leave it as it was
+    let problem = null;
+    if (failed.length > 0) {
+      problem = new Error(`"${failed[0].name}" could not be restored (${failed[0].error}), so the library was left as it was`);
+    } else if (signal?.aborted) {
+      problem = new DOMException('Restore cancelled', 'AbortError');
+    } else {
+      try {
+        await replaceListens(listens);
+      } catch (historyError) {
+        problem = historyError;
+      }
+    }
+    if (problem) {
+      await deleteTracksWithAudio(written);
+      throw problem;
+    }
+    await deleteTracksWithAudio(existing);
+  } else if (listens.length > 0) {
+    await addListens(listens);
+  }
+
+  const { storage } = backup;
+  if (replacing) {
+    const restored = remapStorage(storage, idMap);
+    [...BACKUP_STORAGE_KEYS, ...TRANSIENT_STORAGE_KEYS].forEach(key => window.localStorage.removeItem(key));
+    Object.entries(restored)
+      .filter(([key]) => BACKUP_STORAGE_KEYS.includes(key))
+      .forEach(([key, value]) => window.localStorage.setItem(key, value));
+  } else {
+    const read = key => window.localStorage.getItem(key);
+    window.localStorage.setItem('playlists', JSON.stringify(
+      mergePlaylists(parseStored(read('playlists'), []), parseStored(storage.playlists, []), idMap)
+    ));
+    const equalizer = mergeEqualizer(parseStored(read('equalizer'), null), parseStored(storage.equalizer, null), idMap);
+    if (equalizer) window.localStorage.setItem('equalizer', JSON.stringify(equalizer));
+    // Settings only come from the backup if this browser has none of its own
+    ['playerSettings', 'theme'].forEach((key) => {
+      if (read(key) === null && typeof storage[key] === 'string') window.localStorage.setItem(key, storage[key]);
+    });
+  }
+
+  onProgress?.({ done, total: backup.tracks.length, name: null });
+  return { added, merged, failed, cancelled: done < backup.tracks.length };
+};
@@ -0,0 +1,93 @@
+// Instant fuzzy search over the library. Each track's fields are normalized
+// once into an index; every word of the query must match some field, either
+// as a substring or as a loose subsequence ("btls" finds "Beatles").
+
+// Weight of a match in each field
+const FIELD_WEIGHTS = {
+  name: 3,
+  artist: 2,
+  albumArtist: 1.5,
+  album: 2,
+  genre: 1,
+  year: 1,
+  fileName: 0.5
+};
+
+/**
+ * Lower-cases and strips accents so "Beyoncé" matches "beyonce"
+ * @param {*} value - Field value
+ * @returns {string} - Normalized text
+ */
+export const normalizeSearchText = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Scores how well one query word matches a piece of text
+ * @param {string} word - Normalized query word
+ * @param {string} text - Normalized field text
+ * @returns {number} - 0 for no match, higher for better (max 1)
+ */
+export const fuzzyScore = (word, text) => {
+  if (!word || !text) return 0;
+
+  const index = text.indexOf(word);
+  if (index !== -1) {
+    if (index === 0) return 1;
+    // Start of a word beats the middle of one
+    return /[\s\-_.(/&]/.test(text[index - 1]) ? 0.9 : 0.7;
+  }
+
+  // Subsequence: every character in order, penalized by the gaps between them
+  let position = -1;
+  let gaps = 0;
+  for (const char of word) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(0.1, 0.5 - gaps / (text.length * 2));
+};
+
+/**
+ * Precomputes normalized fields for each track
+ * @param {Array} tracks - Library tracks
+ * @returns {Array} - Index entries { track, fields }
+ */
+export const createSearchIndex = (tracks) => {
+  return tracks.map(track => ({
+    track,
+    fields: Object.keys(FIELD_WEIGHTS).map(field => [field, normalizeSearchText(track[field])])
+  }));
+};
+
+/**
+ * Finds tracks matching a query, best matches first
+ * @param {Array} index - From createSearchIndex
+ * @param {string} query - What the user typed
+ * @returns {Array} - Matching tracks (every track, in index order, for an empty query)
+ */
+export const searchTracks = (index, query) => {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return index.map(entry => entry.track);
+
+  const results = [];
+  index.forEach((entry, position) => {
+    let total = 0;
+    for (const word of words) {
+      let best = 0;
+      for (const [field, text] of entry.fields) {
+        best = Math.max(best, fuzzyScore(word, text) * FIELD_WEIGHTS[field]);
+      }
+      if (best === 0) return;
+      total += best;
+    }
+    results.push({ track: entry.track, score: total, position });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(result => result.track);
+};
@@ -0,0 +1,140 @@
+// Sorting and grouping for the library browser
+
+export const LIBRARY_TABS = [
+  { id: 'songs', label: 'Songs' },
+  { id: 'albums', label: 'Albums' },
+  { id: 'artists', label: 'Artists' },
+  { id: 'genres', label: 'Genres' }
+];
+
+export const SORT_FIELDS = [
+  { id: 'name', label: 'Title', type: 'text' },
+  { id: 'artist', label: 'Artist', type: 'text' },
+  { id: 'album', label: 'Album', type: 'text' },
+  { id: 'duration', label: 'Time', type: 'number' },
+  { id: 'addedAt', label: 'Added', type: 'number' },
+  { id: 'playCount', label: 'Plays', type: 'number' },
+  { id: 'lastPlayedAt', label: 'Last played', type: 'number' }
+];
+
+// Queue source ids for lists shown in the browser (a sorted or filtered view,
+// an album...). The queue keeps their order instead of following a stored list.
+const VIEW_LIST_PREFIX = 'view:';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Queue source id for a browser view
+ * @param {string} view - e.g. 'songs' or 'albums:<group key>'
+ * @returns {string} - List id
+ */
+export const viewListId = (view) => `${VIEW_LIST_PREFIX}${view}`;
+
+/**
+ * Whether a queue source id belongs to a browser view
+ * @param {string} listId - List id
+ * @returns {boolean} - true for browser views
+ */
+export const isViewListId = (listId) => typeof listId === 'string' && listId.startsWith(VIEW_LIST_PREFIX);
+
+const compareValues = (a, b, type) => {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  return type === 'number' ? a - b : collator.compare(String(a), String(b));
+};
+
+// Disc, then track number, then title: the order a record plays in
+const compareAlbumOrder = (a, b) => {
+  return compareValues(a.discNumber || 1, b.discNumber || 1, 'number') ||
+    compareValues(a.trackNumber, b.trackNumber, 'number') ||
+    compareValues(a.name, b.name, 'text');
+};
+
+/**
+ * Sorts tracks by a column. Empty values always go last.
+ * @param {Array} tracks - Tracks to sort
+ * @param {string} fieldId - One of SORT_FIELDS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} - Sorted copy
+ */
+export const sortTracks = (tracks, fieldId, direction = 'asc') => {
+  const field = SORT_FIELDS.find(item => item.id === fieldId) || SORT_FIELDS[0];
+  const sign = direction === 'desc' ? -1 : 1;
+  const value = track => (field.id === 'playCount' ? track.playCount || 0 : track[field.id]);
+
+  return tracks
+    .map((track, index) => ({ track, index }))
+    .sort((a, b) => {
+      const aValue = value(a.track);
+      const bValue = value(b.track);
+      const aEmpty = aValue === null || aValue === undefined || aValue === '';
+      const bEmpty = bValue === null || bValue === undefined || bValue === '';
+      if (aEmpty !== bEmpty) return aEmpty ? 1 : -1;
+      return sign * compareValues(aValue, bValue, field.type) ||
+        // Within one album or artist, keep record order
+        (field.id === 'album' || field.id === 'artist' ? compareAlbumOrder(a.track, b.track) : 0) ||
+        a.index - b.index;
+    })
+    .map(({ track }) => track);
+};
+
+const albumArtistOf = track => track.albumArtist || track.artist || null;
+
+const GROUPINGS = {
+  albums: {
+    key: track => `${albumArtistOf(track) || ''}\u0000${track.album || ''}`,
+    name: track => track.album || 'Unknown Album',
+    detail: track => albumArtistOf(track) || 'Unknown Artist',
+    order: compareAlbumOrder
+  },
+  artists: {
+    key: track => albumArtistOf(track) || '',
+    name: track => albumArtistOf(track) || 'Unknown Artist',
+    detail: () => null,
+    order: (a, b) => compareValues(a.year, b.year, 'number') ||
+      compareValues(a.album, b.album, 'text') ||
+      compareAlbumOrder(a, b)
+  },
+  genres: {
+    key: track => track.genre || '',
+    name: track => track.genre || 'Unknown Genre',
+    detail: () => null,
+    order: (a, b) => compareValues(albumArtistOf(a), albumArtistOf(b), 'text') ||
+      compareValues(a.album, b.album, 'text') ||
+      compareAlbumOrder(a, b)
+  }
+};
+
+/**
+ * Groups tracks into albums, artists or genres, sorted by name with the
+ * "Unknown" group last. Each group's tracks are in listening order.
+ * @param {Array} tracks - Tracks to group
+ * @param {string} tab - 'albums', 'artists' or 'genres'
+ * @returns {Array} - { key, name, detail, tracks, artworkUrl, duration }
+ */
+export const groupTracks = (tracks, tab) => {
+  const grouping = GROUPINGS[tab];
+  if (!grouping) return [];
+
+  const groups = new Map();
+  tracks.forEach((track) => {
+    const key = grouping.key(track);
+    if (!groups.has(key)) {
+      groups.set(key, { key, name: grouping.name(track), detail: grouping.detail(track), tracks: [] });
+    }
+    groups.get(key).tracks.push(track);
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      tracks: [...group.tracks].sort(grouping.order),
+      artworkUrl: group.tracks.find(track => track.artworkUrl)?.artworkUrl || null,
+      duration: group.tracks.reduce((total, track) => total + (track.duration || 0), 0)
+    }))
+    .sort((a, b) => {
+      if (!a.key !== !b.key) return a.key ? -1 : 1;
+      return collator.compare(a.name, b.name) || collator.compare(a.detail || '', b.detail || '');
+    });
+};
@@ -0,0 +1,279 @@
+// Listening history: one entry per time a track was played or skipped,
+// kept in IndexedDB (see audioStore), plus the statistics and scrobble
+// exports built from it. Entries carry a copy of the track's tags so they
+// still make sense after the track leaves the library.
+//
+// Entry: { id, trackId, type: 'play' | 'skip', playedAt, listened, duration,
+//          name, artist, album, albumArtist, trackNumber }
+
+// Same rule as Last.fm and ListenBrainz: a play counts once half the track,
+// or four minutes of it, has been heard
+export const PLAY_THRESHOLD_SECONDS = 240;
+export const PLAY_THRESHOLD_FRACTION = 0.5;
+// Moving on after less listening than this isn't counted as a skip either
+export const MIN_SKIP_SECONDS = 1;
+// Larger jumps between position updates are seeks, not listening
+export const MAX_LISTEN_STEP = 2;
+
+export const STATS_RANGES = [
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '365d', label: 'Year', days: 365 },
+  { id: 'all', label: 'All time', days: null }
+];
+
+export const EXPORT_FORMATS = [
+  { id: 'listenbrainz', label: 'ListenBrainz (JSON)' },
+  { id: 'lastfm', label: 'Last.fm scrobbles (JSON)' }
+];
+
+const PLAYER_NAME = 'Glassmorphic Music Player';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNKNOWN_ARTIST = 'Unknown Artist';
+const UNKNOWN_ALBUM = 'Unknown Album';
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const dayKey = (time) => {
+  const date = new Date(time);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+};
+
+/**
+ * How long a track has to be listened to before it counts as played
+ * @param {number} duration - Track length in seconds
+ * @returns {number} - Seconds
+ */
+export const getPlayThreshold = (duration) => {
+  if (!Number.isFinite(duration) || duration <= 0) return PLAY_THRESHOLD_SECONDS;
+  return Math.min(duration * PLAY_THRESHOLD_FRACTION, PLAY_THRESHOLD_SECONDS);
+};
+
+/**
+ * Builds a history entry for a track
+ * @param {Object} track - Library track
+ * @param {Object} details - { type, playedAt, listened } where playedAt is
+ *   when listening started (ms) and listened is in seconds
+ * @returns {Object} - History entry
+ */
+export const createListen = (track, { type, playedAt, listened }) => ({
+  trackId: track.id,
+  type,
+  playedAt,
+  listened: Math.round(listened),
+  duration: Number.isFinite(track.duration) ? Math.round(track.duration) : null,
+  name: track.title || track.name,
+  artist: track.artist || null,
+  album: track.album || null,
+  albumArtist: track.albumArtist || null,
+  trackNumber: track.trackNumber || null
+});
+
+/**
+ * Share of a track's plays that were skipped
+ * @param {Object} track - Library track with playCount and skipCount
+ * @returns {number|null} - 0 to 1, or null if it was never played
+ */
+export const getSkipRate = (track) => {
+  const plays = track.playCount || 0;
+  const skips = track.skipCount || 0;
+  return plays + skips > 0 ? skips / (plays + skips) : null;
+};
+
+/**
+ * Entries within one of STATS_RANGES
+ * @param {Array} listens - History entries
+ * @param {string} rangeId - Range id
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} - Entries in the range
+ */
+export const filterListens = (listens, rangeId, now = Date.now()) => {
+  const range = STATS_RANGES.find(item => item.id === rangeId);
+  if (!range || range.days === null) return listens;
+  const since = startOfDay(now) - (range.days - 1) * DAY_MS;
+  return listens.filter(listen => listen.playedAt >= since);
+};
+
+/**
+ * Headline numbers for a set of entries
+ * @param {Array} listens - History entries
+ * @returns {Object} - { plays, skips, seconds, tracks, artists }
+ */
+export const summarizeListens = (listens) => {
+  const plays = listens.filter(listen => listen.type === 'play');
+  return {
+    plays: plays.length,
+    skips: listens.length - plays.length,
+    seconds: listens.reduce((total, listen) => total + (listen.listened || 0), 0),
+    tracks: new Set(plays.map(listen => listen.trackId)).size,
+    artists: new Set(plays.map(listen => (listen.artist || UNKNOWN_ARTIST).toLowerCase())).size
+  };
+};
+
+const GROUPINGS = {
+  tracks: {
+    key: listen => listen.trackId,
+    describe: listen => ({ name: listen.name, detail: listen.artist || UNKNOWN_ARTIST })
+  },
+  artists: {
+    key: listen => (listen.artist || UNKNOWN_ARTIST).toLowerCase(),
+    describe: listen => ({ name: listen.artist || UNKNOWN_ARTIST, detail: null })
+  },
+  albums: {
+    key: listen => `${(listen.album || UNKNOWN_ALBUM).toLowerCase()}\u0000${(listen.albumArtist || listen.artist || '').toLowerCase()}`,
+    describe: listen => ({ name: listen.album || UNKNOWN_ALBUM, detail: listen.albumArtist || listen.artist || null })
+  }
+};
+
+/**
+ * Most played tracks, artists or albums
+ * @param {Array} listens - History entries
+ * @param {string} by - 'tracks', 'artists' or 'albums'
+ * @param {number} [limit] - How many to return
+ * @returns {Array} - { key, name, detail, plays, skips, seconds, lastPlayedAt },
+ *   most played first
+ */
+export const getTopEntries = (listens, by, limit = 10) => {
+  const grouping = GROUPINGS[by];
+  const groups = new Map();
+  listens.forEach((listen) => {
+    const key = grouping.key(listen);
+    let group = groups.get(key);
+    if (!group) {
+      group = { key, ...grouping.describe(listen), plays: 0, skips: 0, seconds: 0, lastPlayedAt: 0 };
+      groups.set(key, group);
+    }
+    if (listen.type === 'play') group.plays += 1;
+    else group.skips += 1;
+    group.seconds += listen.listened || 0;
+    // Later entries have the newer tags
+    if (listen.playedAt >= group.lastPlayedAt) {
+      Object.assign(group, grouping.describe(listen), { lastPlayedAt: listen.playedAt });
+    }
+  });
+  return [...groups.values()]
+    .filter(group => group.plays > 0)
+    .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds || b.lastPlayedAt - a.lastPlayedAt)
+    .slice(0, limit);
+};
+
+/**
+ * Minutes listened on each day of a range, including silent days
+ * @param {Array} listens - History entries (already filtered to the range)
+ * @param {string} rangeId - One of STATS_RANGES; 'all' starts at the first entry
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} - { date, label, minutes } oldest first
+ */
+export const getDailyListening = (listens, rangeId, now = Date.now()) => {
+  const range = STATS_RANGES.find(item => item.id === rangeId);
+  const today = startOfDay(now);
+  const first = listens.reduce((earliest, listen) => Math.min(earliest, listen.playedAt), today);
+  const days = range?.days ?? Math.max(Math.round((today - startOfDay(first)) / DAY_MS) + 1, 1);
+
+  const minutes = new Map();
+  listens.forEach((listen) => {
+    const key = dayKey(listen.playedAt);
+    minutes.set(key, (minutes.get(key) || 0) + (listen.listened || 0) / 60);
+  });
+
+  return Array.from({ length: days }, (_, index) => {
+    // Noon avoids stepping over a day when the clocks change
+    const date = new Date(today - (days - 1 - index) * DAY_MS + DAY_MS / 2);
+    const key = dayKey(date.getTime());
+    return {
+      date: key,
+      label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      minutes: Math.round((minutes.get(key) || 0) * 10) / 10
+    };
+  });
+};
+
+/**
+ * Minutes listened by weekday and hour, for the heatmap
+ * @param {Array} listens - History entries
+ * @returns {Array} - 7 rows (Monday first) of 24 hourly minute totals
+ */
+export const getHourlyHeatmap = (listens) => {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  listens.forEach((listen) => {
+    // Spread long listens over the hours they ran into
+    let time = listen.playedAt;
+    let remaining = listen.listened || 0;
+    while (remaining > 0) {
+      const date = new Date(time);
+      const untilNextHour = 3600 - (date.getMinutes() * 60 + date.getSeconds());
+      const seconds = Math.min(remaining, untilNextHour);
+      grid[(date.getDay() + 6) % 7][date.getHours()] += seconds / 60;
+      remaining -= seconds;
+      time += seconds * 1000;
+    }
+  });
+  return grid.map(row => row.map(value => Math.round(value * 10) / 10));
+};
+
+/**
+ * Converts plays to the ListenBrainz import format: the body of a
+ * submit-listens request with listen_type "import"
+ * @param {Array} listens - History entries
+ * @returns {Object} - { listen_type, payload }
+ */
+export const toListenBrainzListens = (listens) => ({
+  listen_type: 'import',
+  payload: listens
+    .filter(listen => listen.type === 'play' && listen.artist && listen.name)
+    .map(listen => ({
+      listened_at: Math.floor(listen.playedAt / 1000),
+      track_metadata: {
+        artist_name: listen.artist,
+        track_name: listen.name,
+        ...(listen.album ? { release_name: listen.album } : {}),
+        additional_info: {
+          ...(listen.duration ? { duration_ms: listen.duration * 1000 } : {}),
+          ...(listen.trackNumber ? { tracknumber: listen.trackNumber } : {}),
+          ...(listen.albumArtist ? { release_artist_name: listen.albumArtist } : {}),
+          media_player: PLAYER_NAME,
+          submission_client: PLAYER_NAME
+        }
+      }
+    }))
+});
+
+/**
+ * Converts plays to Last.fm scrobbles, with the field names of the
+ * track.scrobble API
+ * @param {Array} listens - History entries
+ * @returns {Array} - { artist, track, album, albumArtist, timestamp, duration, trackNumber }
+ */
+export const toLastFmScrobbles = (listens) => {
+  return listens
+    .filter(listen => listen.type === 'play' && listen.artist && listen.name)
+    .map(listen => ({
+      artist: listen.artist,
+      track: listen.name,
+      album: listen.album || undefined,
+      albumArtist: listen.albumArtist || undefined,
+      timestamp: Math.floor(listen.playedAt / 1000),
+      duration: listen.duration || undefined,
+      trackNumber: listen.trackNumber || undefined
+    }));
+};
+
+/**
+ * Serializes the history for another service. Plays without an artist are
+ * left out, as neither service accepts them.
+ * @param {Array} listens - History entries
+ * @param {string} formatId - One of EXPORT_FORMATS
+ * @returns {Object} - { text, count, omitted }
+ */
+export const exportListens = (listens, formatId) => {
+  const plays = listens.filter(listen => listen.type === 'play');
+  const data = formatId === 'lastfm' ? toLastFmScrobbles(listens) : toListenBrainzListens(listens);
+  const count = Array.isArray(data) ? data.length : data.payload.length;
+  return { text: JSON.stringify(data, null, 2), count, omitted: plays.length - count };
+};
@@ -0,0 +1,218 @@
+// Loudness measurement (ITU-R BS.1770 / EBU R128) and ReplayGain-style
+// normalization. Pure functions, so they run in the analysis worker too.
+import { dbToGain } from './equalizer';
+
+// ReplayGain 2.0 reference level
+export const REFERENCE_LUFS = -18;
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+const BLOCK_SECONDS = 0.4;
+const HOP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const MAX_BOOST_DB = 12;
+
+/**
+ * K-weighting filter coefficients for a sample rate (pre-filter shelf and
+ * RLB high-pass, as derived in libebur128)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array} - Two biquads as { b: [b0, b1, b2], a: [a1, a2] }
+ */
+const kWeightingFilters = (sampleRate) => {
+  const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b: [
+        (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+        2 * (shelfK * shelfK - vh) / shelfA0,
+        (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0
+      ],
+      a: [2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+    },
+    {
+      b: [1, -2, 1],
+      a: [2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+    }
+  ];
+};
+
+/**
+ * Per-channel weights: surround channels count 1.41x, the LFE not at all
+ * @param {number} channelCount - Number of channels
+ * @returns {Array<number>} - Weight per channel
+ */
+const channelWeights = (channelCount) => {
+  return Array.from({ length: channelCount }, (_, i) => {
+    if (channelCount < 5) return 1;
+    if (i === 3) return 0;
+    return i >= 4 ? 1.41 : 1;
+  });
+};
+
+const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Measures integrated loudness with 400ms blocks, 75% overlap and the
+ * absolute (-70 LUFS) and relative (-10 LU) gates
+ * @param {Array<Float32Array>} channels - PCM samples per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} - { integrated, peak } where integrated is in LUFS (null
+ *   for silence) and peak is the linear sample peak
+ */
+export const measureLoudness = (channels, sampleRate) => {
+  const hopSize = Math.round(sampleRate * HOP_SECONDS);
+  const hopsPerBlock = Math.round(BLOCK_SECONDS / HOP_SECONDS);
+  const length = channels.length > 0 ? channels[0].length : 0;
+  const hopCount = Math.floor(length / hopSize);
+  const weights = channelWeights(channels.length);
+  const [shelf, pass] = kWeightingFilters(sampleRate);
+
+  // Weighted sum of squares of the K-weighted signal for every 100ms hop
+  const hopEnergy = new Float64Array(hopCount);
+  let peak = 0;
+
+  channels.forEach((samples, channel) => {
+    const weight = weights[channel];
+    // Direct form I state for both stages
+    let x1 = 0; let x2 = 0; let y1 = 0; let y2 = 0;
+    let z1 = 0; let z2 = 0;
+
+    for (let i = 0; i < length; i++) {
+      const x = samples[i];
+      const abs = x < 0 ? -x : x;
+      if (abs > peak) peak = abs;
+      if (weight === 0) continue;
+
+      const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+      x2 = x1; x1 = x;
+      const z = pass.b[0] * y + pass.b[1] * y1 + pass.b[2] * y2 - pass.a[0] * z1 - pass.a[1] * z2;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+
+      const hop = Math.floor(i / hopSize);
+      if (hop < hopCount) hopEnergy[hop] += weight * z * z;
+    }
+  });
+
+  const blockSize = hopSize * hopsPerBlock;
+  const blocks = [];
+  for (let start = 0; start + hopsPerBlock <= hopCount; start++) {
+    let energy = 0;
+    for (let hop = start; hop < start + hopsPerBlock; hop++) energy += hopEnergy[hop];
+    blocks.push(energy / blockSize);
+  }
+
+  const gatedMean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const aboveAbsolute = blocks.filter(value => value > 0 && toLufs(value) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return { integrated: null, peak };
+
+  const relativeGate = toLufs(gatedMean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter(value => toLufs(value) > relativeGate);
+  return { integrated: toLufs(gatedMean(gated)), peak };
+};
+
+/**
+ * Combines per-track loudness into album loudness, weighting by duration.
+ * (Close to gating the whole album at once, without keeping every block.)
+ * @param {Array} tracks - [{ integrated, duration }]
+ * @returns {number|null} - Album loudness in LUFS
+ */
+export const combineLoudness = (tracks) => {
+  const usable = tracks.filter(track => Number.isFinite(track.integrated) && track.duration > 0);
+  if (usable.length === 0) return null;
+  const totalDuration = usable.reduce((sum, track) => sum + track.duration, 0);
+  const energy = usable.reduce((sum, track) => sum + track.duration * Math.pow(10, track.integrated / 10), 0);
+  return 10 * Math.log10(energy / totalDuration);
+};
+
+/**
+ * Track gain from ReplayGain tags, falling back to the measured loudness
+ * @param {Object} track - Library track
+ * @returns {Object|null} - { gain, peak } in dB / linear, or null if unknown
+ */
+export const getTrackGain = (track) => {
+  const tagged = track.replayGain;
+  if (tagged && Number.isFinite(tagged.trackGain)) {
+    return { gain: tagged.trackGain, peak: tagged.trackPeak || null };
+  }
+  const measured = track.loudness;
+  if (measured && Number.isFinite(measured.integrated)) {
+    return { gain: REFERENCE_LUFS - measured.integrated, peak: measured.peak || null };
+  }
+  return null;
+};
+
+const albumKey = (track) => {
+  if (!track.album) return null;
+  return `${(track.albumArtist || track.artist || '').toLowerCase()}|${track.album.toLowerCase()}`;
+};
+
+/**
+ * Album gain from ReplayGain tags, or computed from the gains of the album's tracks
+ * @param {Object} track - Library track
+ * @param {Array} library - Every library track
+ * @returns {Object|null} - { gain, peak }, or null if the album can't be worked out
+ */
+export const getAlbumGain = (track, library) => {
+  const tagged = track.replayGain;
+  if (tagged && Number.isFinite(tagged.albumGain)) {
+    return { gain: tagged.albumGain, peak: tagged.albumPeak || null };
+  }
+
+  const key = albumKey(track);
+  if (!key) return null;
+  const albumTracks = library.filter(item => albumKey(item) === key);
+  const albumGains = albumTracks.map(getTrackGain);
+  // Wait until every track has a gain, otherwise the result shifts as they finish
+  if (albumGains.some(info => info === null)) return null;
+
+  const integrated = combineLoudness(albumTracks.map((item, i) => ({
+    integrated: REFERENCE_LUFS - albumGains[i].gain,
+    duration: item.duration
+  })));
+  if (integrated === null) return null;
+  return {
+    gain: REFERENCE_LUFS - integrated,
+    peak: Math.max(...albumGains.map(info => info.peak || 0)) || null
+  };
+};
+
+/**
+ * Works out the playback gain for a track, lowering it where needed so the
+ * peak doesn't clip
+ * @param {Object} track - Library track
+ * @param {Array} library - Every library track (for album gain)
+ * @param {string} mode - 'off', 'track' or 'album'
+ * @returns {number} - Gain in dB (0 when off or unknown)
+ */
+export const resolveNormalizationDb = (track, library, mode) => {
+  if (!track || mode === 'off') return 0;
+  const info = (mode === 'album' && getAlbumGain(track, library)) || getTrackGain(track);
+  if (!info) return 0;
+
+  let gain = Math.min(info.gain, MAX_BOOST_DB);
+  if (info.peak > 0) {
+    gain = Math.min(gain, -20 * Math.log10(info.peak));
+  }
+  return gain;
+};
+
+/**
+ * Same as resolveNormalizationDb, as a linear factor for a GainNode
+ * @param {Object} track - Library track
+ * @param {Array} library - Every library track
+ * @param {string} mode - 'off', 'track' or 'album'
+ * @returns {number} - Linear gain
+ */
+export const resolveNormalizationGain = (track, library, mode) => {
+  return dbToGain(resolveNormalizationDb(track, library, mode));
+};
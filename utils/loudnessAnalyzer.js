@@ -0,0 +1,39 @@
+// Main-thread side of loudness analysis: decodes a track and hands the PCM to
+// the loudness worker.
+import { decodeAudioBlob, getChannelData, isAudioDecodingSupported } from './audioUtils';
+import { createWorkerJobs } from './workerJobs';
+
+// Decoded PCM is ~23 MB per stereo minute at 48 kHz; longer files are skipped
+export const MAX_ANALYSIS_DURATION = 20 * 60;
+const ANALYSIS_SAMPLE_RATE = 48000;
+
+const runJob = createWorkerJobs(
+  () => new Worker(new URL('../workers/loudness.worker.js', import.meta.url)),
+  'Loudness'
+);
+
+/**
+ * Whether loudness can be measured in this browser
+ * @returns {boolean} - true if workers and OfflineAudioContext are available
+ */
+export const isLoudnessAnalysisSupported = () => {
+  return isAudioDecodingSupported() && typeof Worker !== 'undefined';
+};
+
+/**
+ * Decodes an audio blob and measures its loudness in the worker
+ * @param {Blob} blob - Audio file
+ * @param {Object|null} [segment] - { start, end } to measure just part of
+ *   the file (a cue sheet track)
+ * @returns {Promise<Object>} - { integrated, peak } (see measureLoudness)
+ */
+export const analyzeLoudness = async (blob, segment = null) => {
+  const audioBuffer = await decodeAudioBlob(blob, ANALYSIS_SAMPLE_RATE);
+  const channels = getChannelData(audioBuffer, segment);
+
+  // Transfer rather than copy; the buffer isn't needed here afterwards
+  return runJob(
+    { channels, sampleRate: audioBuffer.sampleRate },
+    channels.map(channel => channel.buffer)
+  );
+};
@@ -0,0 +1,186 @@
+// Lyrics from tags (ID3 USLT/SYLT, Vorbis LYRICS, MP4 ©lyr) and .lrc
+// sidecar files. Every source ends up in one shape stored on the track:
+//   { synced, lines: [{ time, text }], source, language }
+// where time is in seconds for synced lyrics and null otherwise.
+
+export const LYRICS_FILE_EXTENSION = 'lrc';
+export const MAX_LYRICS_OFFSET = 10;
+export const LYRICS_OFFSET_STEP = 0.1;
+
+// [mm:ss], [mm:ss.xx] or [mm:ss:xx], and several in front of one line
+const LRC_TIMESTAMP = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const LRC_TAG = /^\[([a-z#]+):(.*)\]$/i;
+// Enhanced LRC word timings: <mm:ss.xx>
+const WORD_TIMESTAMP = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+const toSeconds = (minutes, seconds, fraction = '') => {
+  const fractionSeconds = fraction ? Number(fraction) / 10 ** fraction.length : 0;
+  return Number(minutes) * 60 + Number(seconds) + fractionSeconds;
+};
+
+/**
+ * Lyrics without timing, one line per line of text
+ * @param {string} text - Lyrics text
+ * @param {Object} [details] - { source, language }
+ * @returns {Object|null} - Lyrics, or null if there's no text
+ */
+export const createPlainLyrics = (text, { source = 'tag', language = null } = {}) => {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => ({ time: null, text: line.trim() }));
+  while (lines.length > 0 && !lines[lines.length - 1].text) lines.pop();
+  while (lines.length > 0 && !lines[0].text) lines.shift();
+  if (lines.length === 0) return null;
+  return { synced: false, lines, source, language };
+};
+
+/**
+ * Parses LRC text. Lines with several timestamps are repeated at each one,
+ * and the file's own [offset:] tag is applied.
+ * @param {string} text - Contents of an .lrc file
+ * @param {Object} [details] - { source, language }
+ * @returns {Object|null} - Lyrics (plain if nothing is timed), or null if empty
+ */
+export const parseLrc = (text, { source = 'lrc', language = null } = {}) => {
+  const lines = [];
+  let offset = 0;
+
+  String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    const tag = line.match(LRC_TAG);
+    if (tag && !/^\d/.test(tag[1])) {
+      // Positive offsets make lyrics appear sooner
+      if (tag[1].toLowerCase() === 'offset') offset = (parseFloat(tag[2]) || 0) / 1000;
+      return;
+    }
+
+    const times = [];
+    let rest = line;
+    LRC_TIMESTAMP.lastIndex = 0;
+    let match = LRC_TIMESTAMP.exec(rest);
+    while (match && match.index === 0) {
+      times.push(toSeconds(match[1], match[2], match[3]));
+      rest = rest.slice(match[0].length);
+      LRC_TIMESTAMP.lastIndex = 0;
+      match = LRC_TIMESTAMP.exec(rest);
+    }
+    const lyric = rest.replace(WORD_TIMESTAMP, '').trim();
+    times.forEach(time => lines.push({ time: Math.max(0, time - offset), text: lyric }));
+  });
+
+  if (lines.length === 0) return createPlainLyrics(text, { source, language });
+  lines.sort((a, b) => a.time - b.time);
+  return { synced: true, lines, source, language };
+};
+
+/**
+ * Whether some text is LRC rather than plain lyrics
+ * @param {string} text - Lyrics text
+ * @returns {boolean} - true if any line starts with a timestamp
+ */
+export const isLrcText = (text) => /^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(String(text || ''));
+
+/**
+ * Lyrics from a tag's text, which may itself be LRC
+ * @param {string} text - Tag value
+ * @param {Object} [details] - { source, language }
+ * @returns {Object|null} - Lyrics or null
+ */
+export const lyricsFromText = (text, details = {}) => {
+  return isLrcText(text) ? parseLrc(text, { source: 'tag', ...details }) : createPlainLyrics(text, details);
+};
+
+/**
+ * Builds lines from ID3 SYLT entries. Many taggers store one entry per
+ * syllable, with a line break at the start of each new line.
+ * @param {Array} entries - [{ text, time }] with time in milliseconds
+ * @param {Object} [details] - { language }
+ * @returns {Object|null} - Synced lyrics or null
+ */
+export const lyricsFromSyncedEntries = (entries, { language = null } = {}) => {
+  const lines = [];
+  entries.forEach(({ text, time }) => {
+    const startsLine = lines.length === 0 || /^[\r\n]/.test(text);
+    const clean = text.replace(/[\r\n]+/g, ' ');
+    if (startsLine) {
+      lines.push({ time: time / 1000, text: clean.trim() });
+    } else {
+      lines[lines.length - 1].text = `${lines[lines.length - 1].text}${clean}`.trim();
+    }
+  });
+  if (lines.length === 0) return null;
+  lines.sort((a, b) => a.time - b.time);
+  return { synced: true, lines, source: 'sylt', language };
+};
+
+/**
+ * Index of the line being sung at a time
+ * @param {Array} lines - Synced lines, in time order
+ * @param {number} time - Playback position in seconds, offset already applied
+ * @returns {number} - Line index, or -1 before the first line
+ */
+export const findLyricsLine = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * Keeps a lyrics offset within range and to one decimal place
+ * @param {number} offset - Seconds; positive shows lines later
+ * @returns {number} - Clamped offset
+ */
+export const clampLyricsOffset = (offset) => {
+  if (!Number.isFinite(offset)) return 0;
+  return Math.round(Math.min(Math.max(offset, -MAX_LYRICS_OFFSET), MAX_LYRICS_OFFSET) * 10) / 10;
+};
+
+const stripExtension = path => path.replace(/\.[^./\\]+$/, '').toLowerCase();
+const baseName = path => path.split(/[\\/]/).pop();
+
+/**
+ * Whether a file is an .lrc lyrics sidecar
+ * @param {File} file - Any file
+ * @returns {boolean} - true for .lrc files
+ */
+export const isLyricsFile = (file) => {
+  return (file.name.split('.').pop() || '').toLowerCase() === LYRICS_FILE_EXTENSION;
+};
+
+/**
+ * Finds the track an .lrc sidecar belongs to: the audio file next to it
+ * with the same name, or failing that the only track with that file name
+ * @param {string} path - The .lrc file's path as imported
+ * @param {Array} tracks - Library tracks
+ * @returns {Object|null} - The track, or null
+ */
+export const findSidecarTrack = (path, tracks) => {
+  const stem = stripExtension(path);
+  const samePath = tracks.find(track => stripExtension(track.relativePath || track.fileName || '') === stem);
+  if (samePath) return samePath;
+
+  const name = baseName(stem);
+  const sameName = tracks.filter(track => baseName(stripExtension(track.fileName || '')) === name);
+  return sameName.length === 1 ? sameName[0] : null;
+};
+
+/**
+ * Reads an .lrc (or plain text) lyrics file
+ * @param {File} file - Lyrics file
+ * @returns {Promise<Object|null>} - Lyrics, or null if the file is empty
+ */
+export const readLyricsFile = async (file) => {
+  const text = await file.text();
+  return parseLrc(text.replace(/^\uFEFF/, ''));
+};
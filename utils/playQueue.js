@@ -0,0 +1,334 @@
+// Pure play queue engine: up-next list, shuffle bag, repeat modes and history.
+// Every function takes a queue state and returns a new one.
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+const HISTORY_LIMIT = 200;
+
+/**
+ * Maps stored repeat values (including the old boolean flag) onto a mode
+ * @param {string|boolean} value - Stored value
+ * @returns {string} - 'off', 'all' or 'one'
+ */
+export const normalizeRepeatMode = (value) => {
+  if (value === true) return 'all';
+  return REPEAT_MODES.includes(value) ? value : 'off';
+};
+
+/**
+ * Cycles off -> all -> one -> off
+ * @param {string} mode - Current repeat mode
+ * @returns {string} - Next repeat mode
+ */
+export const nextRepeatMode = (mode) => {
+  const index = REPEAT_MODES.indexOf(normalizeRepeatMode(mode));
+  return REPEAT_MODES[(index + 1) % REPEAT_MODES.length];
+};
+
+/**
+ * Creates an empty queue
+ * @returns {Object} - Queue state
+ */
+export const createQueueState = () => ({
+  currentId: null,
+  // Id of the list playback was started from (library, smart list or playlist)
+  sourceListId: null,
+  // That list's track ids, kept in step as the list changes
+  source: [],
+  // Position in source of the last source track played in order
+  sourceIndex: -1,
+  // Tracks the user queued explicitly; these play before the source continues
+  upNext: [],
+  // Source tracks not yet played in the current shuffle cycle
+  shuffleBag: [],
+  // Previously played tracks, most recent last
+  history: [],
+  // Tracks stepped back over with "previous", replayed before anything else
+  future: []
+});
+
+const pushHistory = (history, id) => {
+  if (id === null || id === undefined) return history;
+  return [...history, id].slice(-HISTORY_LIMIT);
+};
+
+const withoutId = (ids, id) => ids.filter(item => item !== id);
+
+// The shuffle bag is kept in play order so the next track can be known (and
+// pre-buffered) before the queue actually moves
+const shuffleIds = (ids, random) => {
+  const shuffled = [...ids];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Order for a new shuffle cycle: every track once, but not starting with the
+// track just played
+const shuffleCycle = (source, currentId, random) => {
+  const shuffled = shuffleIds(source, random);
+  if (shuffled.length > 1 && shuffled[0] === currentId) {
+    const swap = 1 + Math.floor(random() * (shuffled.length - 1));
+    [shuffled[0], shuffled[swap]] = [shuffled[swap], shuffled[0]];
+  }
+  return shuffled;
+};
+
+const insertRandomly = (ids, additions, random) => {
+  return additions.reduce((result, id) => {
+    const index = Math.floor(random() * (result.length + 1));
+    return [...result.slice(0, index), id, ...result.slice(index)];
+  }, ids);
+};
+
+/**
+ * Starts playing a track from a source list, replacing the shuffle cycle
+ * @param {Object} state - Queue state
+ * @param {string} trackId - Track to play
+ * @param {Array<string>} sourceIds - The list the track was picked from
+ * @param {string} [sourceListId] - Id of that list
+ * @param {Function} [random] - Random source, injectable for predictability
+ * @returns {Object} - New queue state
+ */
+export const startFromSource = (state, trackId, sourceIds, sourceListId = null, random = Math.random) => ({
+  ...state,
+  currentId: trackId,
+  sourceListId,
+  source: [...sourceIds],
+  sourceIndex: sourceIds.indexOf(trackId),
+  shuffleBag: shuffleIds(withoutId(sourceIds, trackId), random),
+  history: state.currentId === trackId ? state.history : pushHistory(state.history, state.currentId),
+  future: [],
+  upNext: withoutId(state.upNext, trackId)
+});
+
+/**
+ * Queues a track to play straight after the current one
+ * @param {Object} state - Queue state
+ * @param {string} trackId - Track to queue
+ * @returns {Object} - New queue state
+ */
+export const playNext = (state, trackId) => ({
+  ...state,
+  upNext: [trackId, ...state.upNext]
+});
+
+/**
+ * Appends a track to the end of the up-next list
+ * @param {Object} state - Queue state
+ * @param {string} trackId - Track to queue
+ * @returns {Object} - New queue state
+ */
+export const addToQueue = (state, trackId) => ({
+  ...state,
+  upNext: [...state.upNext, trackId]
+});
+
+/**
+ * Removes one entry from the up-next list
+ * @param {Object} state - Queue state
+ * @param {number} index - Position in upNext
+ * @returns {Object} - New queue state
+ */
+export const removeFromQueue = (state, index) => ({
+  ...state,
+  upNext: state.upNext.filter((_, i) => i !== index)
+});
+
+/**
+ * Empties the up-next list (the source list keeps playing)
+ * @param {Object} state - Queue state
+ * @returns {Object} - New queue state
+ */
+export const clearQueue = (state) => ({
+  ...state,
+  upNext: [],
+  future: []
+});
+
+/**
+ * Refills the shuffle bag after shuffle is switched on
+ * @param {Object} state - Queue state
+ * @param {Function} [random] - Random source, injectable for predictability
+ * @returns {Object} - New queue state
+ */
+export const resetShuffle = (state, random = Math.random) => ({
+  ...state,
+  shuffleBag: shuffleIds(withoutId(state.source, state.currentId), random)
+});
+
+/**
+ * Whether a shuffle that repeats has run out of tracks for the current cycle
+ * and needs a new one before the next track can be known
+ * @param {Object} state - Queue state
+ * @param {Object} options - { shuffle, repeat }
+ * @returns {boolean} - true if refillShuffleBag would change the state
+ */
+export const needsShuffleRefill = (state, { shuffle = false, repeat = 'off' } = {}) => {
+  return shuffle && normalizeRepeatMode(repeat) !== 'off' && state.source.length > 0 &&
+    !state.shuffleBag.some(id => state.source.includes(id));
+};
+
+/**
+ * Starts the next shuffle cycle once the current one is used up, so the
+ * order is stored before anything peeks at it
+ * @param {Object} state - Queue state
+ * @param {Object} options - { shuffle, repeat }
+ * @param {Function} [random] - Random source, injectable for predictability
+ * @returns {Object} - New queue state (the same one if nothing needed doing)
+ */
+export const refillShuffleBag = (state, options, random = Math.random) => {
+  if (!needsShuffleRefill(state, options)) return state;
+  return { ...state, shuffleBag: shuffleCycle(state.source, state.currentId, random) };
+};
+
+/**
+ * Keeps the queue in step with the library: drops deleted tracks and lets
+ * newly added tracks join the source list and shuffle cycle
+ * @param {Object} state - Queue state
+ * @param {Array<string>} libraryIds - Ids of every track in the library
+ * @param {Array<string>} [sourceIds] - Updated source list, if it changed
+ * @param {Function} [random] - Random source, injectable for predictability
+ * @returns {Object} - New queue state
+ */
+export const syncQueue = (state, libraryIds, sourceIds = null, random = Math.random) => {
+  const exists = new Set(libraryIds);
+  const keep = ids => ids.filter(id => exists.has(id));
+  const source = keep(sourceIds || state.source);
+  const added = source.filter(id => !state.source.includes(id) && id !== state.currentId);
+  const anchorId = state.source[state.sourceIndex];
+
+  return {
+    ...state,
+    currentId: exists.has(state.currentId) ? state.currentId : null,
+    source,
+    sourceIndex: source.indexOf(anchorId),
+    upNext: keep(state.upNext),
+    shuffleBag: insertRandomly(keep(state.shuffleBag).filter(id => source.includes(id)), added, random),
+    history: keep(state.history),
+    future: keep(state.future)
+  };
+};
+
+/**
+ * Works out which track plays next and moves the queue forward
+ * @param {Object} state - Queue state
+ * @param {Object} options - { shuffle, repeat, auto } where auto is true when
+ *   the current track ended by itself (repeat-one only applies then)
+ * @param {Function} [random] - Random source, injectable for predictability
+ * @returns {Object} - { state, nextId } where nextId is null at the end of the queue
+ */
+export const advanceQueue = (state, { shuffle = false, repeat = 'off', auto = false } = {}, random = Math.random) => {
+  const repeatMode = normalizeRepeatMode(repeat);
+
+  if (auto && repeatMode === 'one' && state.currentId) {
+    return { state, nextId: state.currentId };
+  }
+
+  const moveTo = (nextId, changes = {}) => ({
+    nextId,
+    state: {
+      ...state,
+      ...changes,
+      currentId: nextId,
+      history: pushHistory(state.history, state.currentId)
+    }
+  });
+
+  if (state.future.length > 0) {
+    const [nextId, ...future] = state.future;
+    return moveTo(nextId, { future });
+  }
+
+  if (state.upNext.length > 0) {
+    const [nextId, ...upNext] = state.upNext;
+    return moveTo(nextId, { upNext });
+  }
+
+  if (state.source.length === 0) {
+    return { state, nextId: null };
+  }
+
+  // A manual skip with repeat-one still moves on, wrapping like repeat-all
+  const wraps = repeatMode === 'all' || (repeatMode === 'one' && !auto);
+
+  if (shuffle) {
+    let bag = state.shuffleBag.filter(id => state.source.includes(id));
+    if (bag.length === 0) {
+      if (!wraps) return { state: { ...state, shuffleBag: [] }, nextId: null };
+      bag = shuffleCycle(state.source, state.currentId, random);
+    }
+    const [nextId, ...shuffleBag] = bag;
+    // With repeat on, the next cycle is drawn now rather than when it's
+    // reached, so peekNextTrack and the real advance agree
+    const refill = shuffleBag.length === 0 && repeatMode !== 'off';
+    return moveTo(nextId, { shuffleBag: refill ? shuffleCycle(state.source, nextId, random) : shuffleBag });
+  }
+
+  // Continue from where the source left off, even if queued tracks played since
+  const index = state.sourceIndex >= 0 ? state.sourceIndex : state.source.indexOf(state.currentId);
+  if (index + 1 < state.source.length) {
+    return moveTo(state.source[index + 1], { sourceIndex: index + 1 });
+  }
+  return wraps ? moveTo(state.source[0], { sourceIndex: 0 }) : { state, nextId: null };
+};
+
+/**
+ * Looks up the track that would play next without moving the queue
+ * @param {Object} state - Queue state
+ * @param {Object} options - Same options as advanceQueue
+ * @returns {string|null} - Id of the upcoming track, or null if there's none
+ *   or a repeating shuffle still has to draw its next cycle (refillShuffleBag)
+ */
+export const peekNextTrack = (state, options) => {
+  const repeatsCurrent = options.auto && normalizeRepeatMode(options.repeat) === 'one' && state.currentId;
+  if (!repeatsCurrent && state.future.length === 0 && state.upNext.length === 0 &&
+    needsShuffleRefill(state, options)) {
+    return null;
+  }
+  return advanceQueue(state, options).nextId;
+};
+
+/**
+ * Lists the tracks still to play before the queue runs out, as if repeat
+ * were off
+ * @param {Object} state - Queue state
+ * @param {Object} options - { shuffle }
+ * @returns {Array<string>} - Track ids in play order, after the current one
+ */
+export const getRemainingQueueIds = (state, { shuffle = false } = {}) => {
+  const ids = [];
+  const limit = state.future.length + state.upNext.length + state.source.length;
+  let current = state;
+  while (ids.length < limit) {
+    const { state: nextState, nextId } = advanceQueue(current, { shuffle, repeat: 'off', auto: true });
+    if (!nextId) break;
+    ids.push(nextId);
+    current = nextState;
+  }
+  return ids;
+};
+
+/**
+ * Steps back to the previously played track
+ * @param {Object} state - Queue state
+ * @returns {Object} - { state, previousId } where previousId is null if there's no history
+ */
+export const rewindQueue = (state) => {
+  if (state.history.length === 0) {
+    return { state, previousId: null };
+  }
+
+  const previousId = state.history[state.history.length - 1];
+  return {
+    previousId,
+    state: {
+      ...state,
+      currentId: previousId,
+      history: state.history.slice(0, -1),
+      future: state.currentId ? [state.currentId, ...state.future] : state.future
+    }
+  };
+};
@@ -0,0 +1,343 @@
+// Reading and writing playlist files (M3U/M3U8, PLS and XSPF) so playlists
+// can move between this player and desktop players. Entries in a file point
+// at audio by path; matchPlaylistEntries maps them back onto library tracks.
+
+import { normalizeSearchText } from './librarySearch';
+
+export const PLAYLIST_FORMATS = [
+  { id: 'm3u8', label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  { id: 'm3u', label: 'M3U', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+  { id: 'pls', label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  { id: 'xspf', label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+];
+
+export const PLAYLIST_FILE_TYPES = PLAYLIST_FORMATS.map(format => `.${format.extension}`).join(',');
+
+// Seconds a tagged duration may differ from the file's for a tag match
+const DURATION_TOLERANCE = 3;
+
+/**
+ * Works out a playlist file's format from its name, or its contents
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string|null} - Format id, or null if it isn't a playlist
+ */
+export const detectPlaylistFormat = (fileName, text) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (PLAYLIST_FORMATS.some(format => format.id === extension)) return extension;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 200).toLowerCase();
+  if (start.startsWith('#extm3u')) return 'm3u8';
+  if (start.startsWith('[playlist]')) return 'pls';
+  if (start.startsWith('<?xml') || start.startsWith('<playlist')) return 'xspf';
+  return null;
+};
+
+const toDuration = (value) => {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+};
+
+// "Artist - Title" is what most players write as an entry's display name
+const splitDisplayName = (display) => {
+  const text = (display || '').trim();
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: text || null };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+const parseM3U = (text) => {
+  let name = null;
+  let info = {};
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        info = { ...info, duration: toDuration(extinf[1]), ...splitDisplayName(extinf[2]) };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        name = line.slice(10).trim() || null;
+      } else if (/^#EXTALB:/i.test(line)) {
+        info = { ...info, album: line.slice(8).trim() || null };
+      } else if (/^#EXTART:/i.test(line)) {
+        info = { ...info, artist: info.artist || line.slice(8).trim() || null };
+      }
+      return;
+    }
+
+    entries.push({ location: line, title: null, artist: null, album: null, duration: null, ...info });
+    info = {};
+  });
+
+  return { name, entries };
+};
+
+const parsePLS = (text) => {
+  const fields = new Map();
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.trim().match(/^(file|title|length)(\d+)\s*=(.*)$/i);
+    if (!match) return;
+    const number = Number(match[2]);
+    if (!fields.has(number)) fields.set(number, {});
+    fields.get(number)[match[1].toLowerCase()] = match[3].trim();
+  });
+
+  const entries = Array.from(fields.keys())
+    .sort((a, b) => a - b)
+    .map(number => fields.get(number))
+    .filter(field => field.file)
+    .map(field => ({
+      location: field.file,
+      album: null,
+      duration: toDuration(field.length),
+      ...splitDisplayName(field.title)
+    }));
+
+  return { name: null, entries };
+};
+
+const parseXSPF = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'playlist' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid XSPF playlist');
+  }
+
+  const childText = (element, name) => {
+    const child = Array.from(element.children).find(item => item.localName === name);
+    return child?.textContent.trim() || null;
+  };
+  const trackList = Array.from(root.children).find(item => item.localName === 'trackList');
+  const tracks = trackList ? Array.from(trackList.children).filter(item => item.localName === 'track') : [];
+
+  const entries = tracks.map((track) => {
+    // Segment by segment, as written by the exporter: decodeURI would leave
+    // escapes like %26 and %2C in file names
+    const location = (childText(track, 'location') || '').split('/').map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        // Not percent-encoded after all; keep it as written
+        return segment;
+      }
+    }).join('/');
+    const duration = parseFloat(childText(track, 'duration'));
+    return {
+      location,
+      title: childText(track, 'title'),
+      artist: childText(track, 'creator'),
+      album: childText(track, 'album'),
+      duration: Number.isFinite(duration) && duration > 0 ? duration / 1000 : null
+    };
+  });
+
+  return { name: childText(root, 'title'), entries };
+};
+
+const PARSERS = {
+  m3u: parseM3U,
+  m3u8: parseM3U,
+  pls: parsePLS,
+  xspf: parseXSPF
+};
+
+/**
+ * Parses a playlist file
+ * @param {string} fileName - File name (for the format and default name)
+ * @param {string} text - File contents
+ * @returns {Object} - { name, format, entries: [{ location, title, artist, album, duration }] }
+ */
+export const parsePlaylistFile = (fileName, text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const format = detectPlaylistFormat(fileName, source);
+  if (!format) throw new Error('Unsupported playlist format');
+
+  const { name, entries } = PARSERS[format](source);
+  return {
+    name: name || fileName.replace(/\.[^.]+$/, '') || 'Imported Playlist',
+    format,
+    entries
+  };
+};
+
+// Lower-cased path segments, whatever the separator or URL form
+const toPathSegments = (location) => {
+  let path = String(location || '').trim();
+  if (/^file:/i.test(path)) {
+    path = path.replace(/^file:(\/\/localhost)?\/*/i, '/');
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // Keep the raw path
+    }
+  }
+  return path
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.toLowerCase());
+};
+
+const countCommonTail = (a, b) => {
+  let count = 0;
+  while (count < a.length && count < b.length && a[a.length - 1 - count] === b[b.length - 1 - count]) {
+    count += 1;
+  }
+  return count;
+};
+
+const fingerprintOf = (artist, title) => {
+  const clean = value => normalizeSearchText(value).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return `${clean(artist)}\u0000${clean(title)}`;
+};
+
+const durationFits = (entry, track) => {
+  return !entry.duration || !track.duration || Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE;
+};
+
+const closestDuration = (entry, tracks) => {
+  if (!entry.duration) return tracks[0];
+  return tracks.reduce((best, track) => (
+    Math.abs((track.duration || 0) - entry.duration) < Math.abs((best.duration || 0) - entry.duration) ? track : best
+  ));
+};
+
+/**
+ * Matches playlist entries to library tracks: by path (the file and its
+ * folders), then by file name, then by artist and title tags
+ * @param {Array} entries - From parsePlaylistFile
+ * @param {Array} library - Library tracks
+ * @returns {Object} - { trackIds, matches: [{ index, trackId, method }], unmatched: [{ index, entry }] }
+ */
+export const matchPlaylistEntries = (entries, library) => {
+  const byFileName = new Map();
+  const byFingerprint = new Map();
+  const byTitle = new Map();
+  const paths = new Map();
+  const addTo = (map, key, track) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(track);
+  };
+
+  library.forEach((track) => {
+    const segments = toPathSegments(track.relativePath || track.fileName);
+    paths.set(track.id, segments);
+    if (segments.length > 0) addTo(byFileName, segments[segments.length - 1], track);
+    addTo(byFingerprint, fingerprintOf(track.artist, track.name), track);
+    addTo(byTitle, fingerprintOf(null, track.name), track);
+  });
+
+  const matches = [];
+  const unmatched = [];
+
+  entries.forEach((entry, index) => {
+    const segments = toPathSegments(entry.location);
+    const sameName = segments.length > 0 ? byFileName.get(segments[segments.length - 1]) || [] : [];
+
+    if (sameName.length > 0) {
+      const depth = track => countCommonTail(segments, paths.get(track.id));
+      const deepest = Math.max(...sameName.map(depth));
+      const closest = sameName.filter(item => depth(item) === deepest);
+      // Generic names ("01.mp3") can clash; let the tags break the tie
+      const fingerprint = entry.title ? fingerprintOf(entry.artist, entry.title) : null;
+      const tagged = closest.filter(item => fingerprintOf(item.artist, item.name) === fingerprint);
+      const track = closestDuration(entry, tagged.length > 0 ? tagged : closest);
+      matches.push({ index, trackId: track.id, method: deepest > 1 ? 'path' : 'fileName' });
+      return;
+    }
+
+    if (entry.title) {
+      const tagged = (byFingerprint.get(fingerprintOf(entry.artist, entry.title)) || [])
+        .filter(track => durationFits(entry, track));
+      // Without an artist, only trust a title that's unique in the library
+      const titled = entry.artist ? [] : (byTitle.get(fingerprintOf(null, entry.title)) || [])
+        .filter(track => durationFits(entry, track));
+      const candidates = tagged.length > 0 ? tagged : titled.length === 1 ? titled : [];
+      if (candidates.length > 0) {
+        matches.push({ index, trackId: closestDuration(entry, candidates).id, method: 'tags' });
+        return;
+      }
+    }
+
+    unmatched.push({ index, entry });
+  });
+
+  return { trackIds: matches.map(match => match.trackId), matches, unmatched };
+};
+
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const locationOf = track => (track.relativePath || track.fileName || track.name).replace(/\\/g, '/');
+const displayNameOf = track => (track.artist ? `${track.artist} - ${track.name}` : track.name);
+const secondsOf = track => (Number.isFinite(track.duration) && track.duration > 0 ? Math.round(track.duration) : -1);
+
+const SERIALIZERS = {
+  m3u8: (name, tracks) => [
+    '#EXTM3U',
+    `#PLAYLIST:${name}`,
+    ...tracks.flatMap(track => [`#EXTINF:${secondsOf(track)},${displayNameOf(track)}`, locationOf(track)])
+  ].join('\n') + '\n',
+
+  pls: (name, tracks) => [
+    '[playlist]',
+    ...tracks.flatMap((track, index) => [
+      `File${index + 1}=${locationOf(track)}`,
+      `Title${index + 1}=${displayNameOf(track)}`,
+      `Length${index + 1}=${secondsOf(track)}`
+    ]),
+    `NumberOfEntries=${tracks.length}`,
+    'Version=2'
+  ].join('\n') + '\n',
+
+  xspf: (name, tracks) => {
+    const field = (tag, value) => (value || value === 0 ? [`      <${tag}>${escapeXml(value)}</${tag}>`] : []);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(name)}</title>`,
+      '  <trackList>',
+      ...tracks.flatMap(track => [
+        '    <track>',
+        ...field('location', locationOf(track).split('/').map(encodeURIComponent).join('/')),
+        ...field('title', track.name),
+        ...field('creator', track.artist),
+        ...field('album', track.album),
+        ...field('trackNum', track.trackNumber),
+        ...field('duration', secondsOf(track) > 0 ? Math.round(track.duration * 1000) : null),
+        '    </track>'
+      ]),
+      '  </trackList>',
+      '</playlist>'
+    ].join('\n') + '\n';
+  }
+};
+SERIALIZERS.m3u = SERIALIZERS.m3u8;
+
+/**
+ * Writes a playlist file. Entries point at each track's path as imported,
+ * relative to the folder that was imported.
+ * @param {string} formatId - One of PLAYLIST_FORMATS
+ * @param {string} name - Playlist name
+ * @param {Array} tracks - Tracks in playlist order
+ * @returns {Object} - { text, extension, mimeType }
+ */
+export const serializePlaylist = (formatId, name, tracks) => {
+  const format = PLAYLIST_FORMATS.find(item => item.id === formatId);
+  if (!format) throw new Error(`Unknown playlist format: ${formatId}`);
+  return {
+    text: SERIALIZERS[format.id](name, tracks),
+    extension: format.extension,
+    mimeType: format.mimeType
+  };
+};
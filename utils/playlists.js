@@ -0,0 +1,194 @@
+// Pure helpers for user playlists. Playlists reference library tracks by id.
+// Every function takes the playlist array and returns a new one.
+
+export const LIBRARY_LIST_ID = 'library';
+export const RECENTLY_ADDED_ID = 'smart:recent';
+
+const RECENT_DAYS = 30;
+const RECENT_LIMIT = 50;
+
+/**
+ * Generates a unique id for a playlist
+ * @returns {string} - Playlist id
+ */
+const generatePlaylistId = () => {
+  return `pl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Picks a name that doesn't clash with existing playlists ("Mix", "Mix 2", ...)
+ * @param {Array} playlists - Existing playlists
+ * @param {string} name - Requested name
+ * @param {string} [ignoreId] - Playlist being renamed
+ * @returns {string} - Unique name
+ */
+export const uniquePlaylistName = (playlists, name, ignoreId = null) => {
+  const base = name.trim() || 'New Playlist';
+  const taken = new Set(
+    playlists.filter(playlist => playlist.id !== ignoreId).map(playlist => playlist.name.toLowerCase())
+  );
+  if (!taken.has(base.toLowerCase())) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base} ${suffix}`.toLowerCase())) suffix++;
+  return `${base} ${suffix}`;
+};
+
+/**
+ * Adds a new playlist
+ * @param {Array} playlists - Existing playlists
+ * @param {string} name - Playlist name
+ * @param {Array<string>} [trackIds] - Initial tracks
+ * @returns {Object} - { playlists, playlist }
+ */
+export const createPlaylist = (playlists, name, trackIds = []) => {
+  const now = Date.now();
+  const playlist = {
+    id: generatePlaylistId(),
+    name: uniquePlaylistName(playlists, name),
+    trackIds: [...trackIds],
+    createdAt: now,
+    updatedAt: now
+  };
+  return { playlists: [...playlists, playlist], playlist };
+};
+
+const updatePlaylist = (playlists, id, update) => {
+  return playlists.map(playlist => (
+    playlist.id === id ? { ...playlist, ...update(playlist), updatedAt: Date.now() } : playlist
+  ));
+};
+
+/**
+ * Renames a playlist, keeping names unique
+ * @param {Array} playlists - Existing playlists
+ * @param {string} id - Playlist id
+ * @param {string} name - New name
+ * @returns {Array} - Updated playlists
+ */
+export const renamePlaylist = (playlists, id, name) => {
+  return updatePlaylist(playlists, id, () => ({ name: uniquePlaylistName(playlists, name, id) }));
+};
+
+/**
+ * Removes a playlist
+ * @param {Array} playlists - Existing playlists
+ * @param {string} id - Playlist id
+ * @returns {Array} - Updated playlists
+ */
+export const deletePlaylist = (playlists, id) => {
+  return playlists.filter(playlist => playlist.id !== id);
+};
+
+/**
+ * Applies a new playlist order (from drag-and-drop in the sidebar)
+ * @param {Array} playlists - Existing playlists
+ * @param {Array<string>} orderedIds - Playlist ids in their new order
+ * @returns {Array} - Reordered playlists
+ */
+export const reorderPlaylists = (playlists, orderedIds) => {
+  const byId = new Map(playlists.map(playlist => [playlist.id, playlist]));
+  const ordered = orderedIds.map(id => byId.get(id)).filter(Boolean);
+  const missing = playlists.filter(playlist => !orderedIds.includes(playlist.id));
+  return [...ordered, ...missing];
+};
+
+/**
+ * Lists which of the given tracks are already in a playlist
+ * @param {Object} playlist - The playlist
+ * @param {Array<string>} trackIds - Tracks about to be added
+ * @returns {Array<string>} - Ids already present
+ */
+export const findDuplicateTracks = (playlist, trackIds) => {
+  if (!playlist) return [];
+  return trackIds.filter(id => playlist.trackIds.includes(id));
+};
+
+/**
+ * Appends tracks to a playlist
+ * @param {Array} playlists - Existing playlists
+ * @param {string} id - Playlist id
+ * @param {Array<string>} trackIds - Tracks to add
+ * @param {Object} [options] - { allowDuplicates } to keep tracks already present
+ * @returns {Array} - Updated playlists
+ */
+export const addTracksToPlaylist = (playlists, id, trackIds, { allowDuplicates = false } = {}) => {
+  return updatePlaylist(playlists, id, (playlist) => {
+    const toAdd = allowDuplicates
+      ? trackIds
+      : trackIds.filter((trackId, index) => !playlist.trackIds.includes(trackId) && trackIds.indexOf(trackId) === index);
+    return { trackIds: [...playlist.trackIds, ...toAdd] };
+  });
+};
+
+/**
+ * Removes one entry (by position, so duplicates can be removed individually)
+ * @param {Array} playlists - Existing playlists
+ * @param {string} id - Playlist id
+ * @param {number} index - Position in trackIds
+ * @returns {Array} - Updated playlists
+ */
+export const removeTrackAt = (playlists, id, index) => {
+  return updatePlaylist(playlists, id, playlist => ({
+    trackIds: playlist.trackIds.filter((_, i) => i !== index)
+  }));
+};
+
+/**
+ * Replaces a playlist's track order (from drag-and-drop)
+ * @param {Array} playlists - Existing playlists
+ * @param {string} id - Playlist id
+ * @param {Array<string>} trackIds - Tracks in their new order
+ * @returns {Array} - Updated playlists
+ */
+export const setPlaylistTracks = (playlists, id, trackIds) => {
+  return updatePlaylist(playlists, id, () => ({ trackIds: [...trackIds] }));
+};
+
+/**
+ * Drops tracks that are no longer in the library from every playlist
+ * @param {Array} playlists - Existing playlists
+ * @param {Array<string>} libraryIds - Ids of every track in the library
+ * @returns {Array} - Updated playlists (the same array if nothing changed)
+ */
+export const pruneMissingTracks = (playlists, libraryIds) => {
+  const exists = new Set(libraryIds);
+  let changed = false;
+  const pruned = playlists.map((playlist) => {
+    const trackIds = playlist.trackIds.filter(id => exists.has(id));
+    if (trackIds.length === playlist.trackIds.length) return playlist;
+    changed = true;
+    return { ...playlist, trackIds, updatedAt: Date.now() };
+  });
+  return changed ? pruned : playlists;
+};
+
+/**
+ * Builds the built-in "Recently Added" list
+ * @param {Array} library - Library tracks
+ * @param {number} [now] - Current time
+ * @returns {Array<string>} - Track ids, newest first
+ */
+export const getRecentlyAddedIds = (library, now = Date.now()) => {
+  const cutoff = now - RECENT_DAYS * 24 * 60 * 60 * 1000;
+  return library
+    .filter(track => (track.addedAt || 0) >= cutoff)
+    .sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0))
+    .slice(0, RECENT_LIMIT)
+    .map(track => track.id);
+};
+
+/**
+ * Resolves any list id (library, smart list or playlist) to its track ids
+ * @param {string} listId - List id
+ * @param {Array} library - Library tracks
+ * @param {Array} playlists - User playlists
+ * @returns {Array<string>} - Track ids in play order
+ */
+export const resolveListTrackIds = (listId, library, playlists) => {
+  if (listId === RECENTLY_ADDED_ID) return getRecentlyAddedIds(library);
+  const playlist = playlists.find(item => item.id === listId);
+  if (!playlist) return library.map(track => track.id);
+  const exists = new Set(library.map(track => track.id));
+  return playlist.trackIds.filter(id => exists.has(id));
+};
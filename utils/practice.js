@@ -0,0 +1,79 @@
+// Practice tools: playback speed, pitch shift and A-B loops. Speed and
+// pitch are player settings; loops belong to a track and saved ones are
+// kept on its record as loops: [{ id, name, start, end }].
+
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2;
+export const PLAYBACK_RATE_STEP = 0.05;
+export const MAX_PITCH_SHIFT = 12;
+// Shorter loops can't be timed reliably from media element events
+export const MIN_LOOP_LENGTH = 0.25;
+
+/**
+ * Keeps a playback speed within range, on the slider's steps
+ * @param {number} rate - Speed multiplier
+ * @returns {number} - Clamped speed (1 if invalid)
+ */
+export const clampPlaybackRate = (rate) => {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return 1;
+  const stepped = Math.round(value / PLAYBACK_RATE_STEP) * PLAYBACK_RATE_STEP;
+  return Math.round(Math.min(Math.max(stepped, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE) * 100) / 100;
+};
+
+/**
+ * Keeps a pitch shift within an octave either way, in whole semitones
+ * @param {number} semitones - Shift
+ * @returns {number} - Clamped shift (0 if invalid)
+ */
+export const clampPitchShift = (semitones) => {
+  const value = Math.round(Number(semitones));
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(Math.max(value, -MAX_PITCH_SHIFT), MAX_PITCH_SHIFT);
+};
+
+/**
+ * Frequency ratio for a pitch shift
+ * @param {number} semitones - Shift
+ * @returns {number} - Ratio (2 for an octave up)
+ */
+export const semitonesToRatio = semitones => 2 ** (semitones / 12);
+
+/**
+ * Label for a speed, e.g. "0.75x"
+ * @param {number} rate - Speed multiplier
+ * @returns {string} - Label
+ */
+export const formatPlaybackRate = rate => `${Number(rate.toFixed(2))}x`;
+
+/**
+ * Orders and validates loop markers
+ * @param {number} start - A marker in seconds
+ * @param {number} end - B marker in seconds
+ * @param {number} [duration] - Track length, to keep B inside it
+ * @returns {Object|null} - { start, end }, or null if the loop is too short
+ */
+export const normalizeLoop = (start, end, duration) => {
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  const limit = Number.isFinite(duration) && duration > 0 ? duration : Infinity;
+  const from = Math.max(Math.min(start, end), 0);
+  const to = Math.min(Math.max(start, end), limit);
+  return to - from >= MIN_LOOP_LENGTH ? { start: from, end: to } : null;
+};
+
+/**
+ * Adds a named loop to a track's saved loops, in time order
+ * @param {Array} loops - The track's saved loops
+ * @param {Object} loop - { start, end }
+ * @param {string} name - Name given to it
+ * @returns {Array} - New list
+ */
+export const addSavedLoop = (loops, { start, end }, name) => {
+  const loop = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: String(name || '').trim() || `Loop ${(loops?.length || 0) + 1}`,
+    start,
+    end
+  };
+  return [...(loops || []), loop].sort((a, b) => a.start - b.start || a.end - b.end);
+};
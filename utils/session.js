@@ -0,0 +1,58 @@
+// Playback session helpers: where to pick up after a reload, and per-track
+// "resume where I left off" positions for long recordings.
+
+export const SESSION_SAVE_INTERVAL = 5000;
+// Tracks at least this long (or tagged as spoken word) remember their position
+export const LONG_FORM_MIN_DURATION = 20 * 60;
+// Positions this close to either end aren't worth resuming from
+const RESUME_MIN_POSITION = 15;
+const RESUME_END_MARGIN = 30;
+
+const LONG_FORM_GENRES = /podcast|audiobook|audio book|spoken|speech|lecture/i;
+
+/**
+ * Whether a track gets its own resume position
+ * @param {Object} track - Library track
+ * @returns {boolean} - true for podcasts, audiobooks and other long files
+ */
+export const isLongFormTrack = (track) => {
+  if (!track) return false;
+  return track.duration >= LONG_FORM_MIN_DURATION || LONG_FORM_GENRES.test(track.genre || '');
+};
+
+/**
+ * The position worth saving for a track, or null if it should start over
+ * @param {number} position - Playback position in seconds
+ * @param {number} duration - Track duration in seconds
+ * @returns {number|null} - Position to save
+ */
+export const toResumePosition = (position, duration) => {
+  if (!Number.isFinite(position) || position < RESUME_MIN_POSITION) return null;
+  if (Number.isFinite(duration) && duration > 0 && position > duration - RESUME_END_MARGIN) return null;
+  return Math.floor(position);
+};
+
+/**
+ * Where a track should start when played
+ * @param {Object} track - Library track
+ * @returns {number} - Seconds (0 to start from the beginning)
+ */
+export const getResumePosition = (track) => {
+  if (!isLongFormTrack(track) || !Number.isFinite(track.resumePosition)) return 0;
+  return track.resumePosition;
+};
+
+/**
+ * Validates a stored session snapshot
+ * @param {Object} session - Stored { trackId, position, savedAt }
+ * @returns {Object|null} - The snapshot, or null if unusable
+ */
+export const normalizeSession = (session) => {
+  if (!session || typeof session.trackId !== 'string') return null;
+  const position = Number(session.position);
+  return {
+    trackId: session.trackId,
+    position: Number.isFinite(position) && position > 0 ? position : 0,
+    savedAt: session.savedAt || 0
+  };
+};
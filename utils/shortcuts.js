@@ -0,0 +1,184 @@
+// Keyboard shortcut model. A combo is a string such as "Space", "Shift+N" or
+// "Mod+K", where Mod is Ctrl, or Cmd on a Mac. Users can rebind actions; only
+// the overrides are stored, so new defaults reach existing users.
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / pause', group: 'Playback', keys: ['Space', 'K'] },
+  { id: 'next', label: 'Next track', group: 'Playback', keys: ['N', 'Shift+ArrowRight'] },
+  { id: 'previous', label: 'Previous track', group: 'Playback', keys: ['P', 'Shift+ArrowLeft'] },
+  { id: 'seekBack', label: 'Back 5 seconds', group: 'Seeking', keys: ['ArrowLeft'], repeatable: true },
+  { id: 'seekForward', label: 'Forward 5 seconds', group: 'Seeking', keys: ['ArrowRight'], repeatable: true },
+  { id: 'seekBackLong', label: 'Back 10 seconds', group: 'Seeking', keys: ['J'], repeatable: true },
+  { id: 'seekForwardLong', label: 'Forward 10 seconds', group: 'Seeking', keys: ['L'], repeatable: true },
+  { id: 'restart', label: 'Restart track', group: 'Seeking', keys: ['0', 'Home'] },
+  { id: 'previousChapter', label: 'Previous chapter', group: 'Chapters', keys: ['Shift+P'] },
+  { id: 'nextChapter', label: 'Next chapter', group: 'Chapters', keys: ['Shift+N'] },
+  { id: 'addBookmark', label: 'Bookmark this position', group: 'Chapters', keys: ['B'] },
+  { id: 'volumeUp', label: 'Volume up', group: 'Volume', keys: ['ArrowUp'], repeatable: true },
+  { id: 'volumeDown', label: 'Volume down', group: 'Volume', keys: ['ArrowDown'], repeatable: true },
+  { id: 'mute', label: 'Mute / unmute', group: 'Volume', keys: ['M'] },
+  { id: 'speedDown', label: 'Slower', group: 'Practice', keys: ['<'], repeatable: true },
+  { id: 'speedUp', label: 'Faster', group: 'Practice', keys: ['>'], repeatable: true },
+  { id: 'setLoopStart', label: 'Set loop start (A)', group: 'Practice', keys: ['['] },
+  { id: 'setLoopEnd', label: 'Set loop end (B)', group: 'Practice', keys: [']'] },
+  { id: 'clearLoop', label: 'Clear loop', group: 'Practice', keys: ['\\'] },
+  { id: 'shuffle', label: 'Toggle shuffle', group: 'Modes', keys: ['S'] },
+  { id: 'repeat', label: 'Cycle repeat', group: 'Modes', keys: ['R'] },
+  { id: 'sleepTimer', label: 'Start / cancel sleep timer', group: 'Modes', keys: ['Z'] },
+  { id: 'extendSleepTimer', label: 'Add 15 minutes to sleep timer', group: 'Modes', keys: ['Shift+Z'] },
+  { id: 'toggleVisualizer', label: 'Show / hide visualizer', group: 'View', keys: ['V'] },
+  { id: 'toggleQueue', label: 'Show / hide queue', group: 'View', keys: ['Q'] },
+  { id: 'toggleEqualizer', label: 'Show / hide equalizer', group: 'View', keys: ['E'] },
+  { id: 'toggleLyrics', label: 'Show / hide lyrics', group: 'View', keys: ['Y'] },
+  { id: 'toggleChapters', label: 'Show / hide chapters', group: 'View', keys: ['C'] },
+  { id: 'commandPalette', label: 'Command palette', group: 'View', keys: ['Mod+K'] },
+  { id: 'showShortcuts', label: 'Keyboard shortcuts', group: 'View', keys: ['?'] }
+];
+
+const ACTION_IDS = new Set(SHORTCUT_ACTIONS.map(action => action.id));
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'OS', 'CapsLock']);
+const KEY_NAMES = { ' ': 'Space', Spacebar: 'Space', Esc: 'Escape', Left: 'ArrowLeft', Right: 'ArrowRight', Up: 'ArrowUp', Down: 'ArrowDown' };
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+/**
+ * Whether shortcuts should show Mac modifier symbols
+ * @returns {boolean} - true on macOS/iOS
+ */
+export const isMacPlatform = () => {
+  return typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+};
+
+/**
+ * Converts a keydown event to a combo string
+ * @param {KeyboardEvent} event - Keyboard event
+ * @param {boolean} isMac - Treat Cmd (rather than Ctrl) as Mod
+ * @returns {string|null} - Combo, or null for a lone modifier
+ */
+export const eventToCombo = (event, isMac = isMacPlatform()) => {
+  let key = KEY_NAMES[event.key] || event.key;
+  if (!key || MODIFIER_KEYS.has(key) || key === 'Dead' || key === 'Unidentified') return null;
+
+  const isCharacter = key.length === 1;
+  if (isCharacter) key = key.toUpperCase();
+
+  const modifiers = [];
+  if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('Mod');
+  if (isMac && event.ctrlKey) modifiers.push('Ctrl');
+  if (!isMac && event.metaKey) modifiers.push('Meta');
+  if (event.altKey) modifiers.push('Alt');
+  // Shift already shows in the character for symbols ("?" not "Shift+/"),
+  // but letters are upper-cased either way so it has to be kept for them
+  if (event.shiftKey && (!isCharacter || /[A-Z]/.test(key))) modifiers.push('Shift');
+
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Human-readable form of a combo
+ * @param {string} combo - Combo string
+ * @param {boolean} isMac - Use Mac symbols
+ * @returns {Array<string>} - One label per key, e.g. ['⌘', 'K']
+ */
+export const formatCombo = (combo, isMac = isMacPlatform()) => {
+  const modifierLabels = isMac
+    ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' }
+    : { Mod: 'Ctrl', Meta: 'Win', Alt: 'Alt', Shift: 'Shift' };
+  return combo.split(/\+(?!$)/).map(part => modifierLabels[part] || KEY_LABELS[part] || part);
+};
+
+/**
+ * Drops overrides for unknown actions or with malformed keys
+ * @param {Object} overrides - Stored { actionId: [combo] }
+ * @returns {Object} - Valid overrides
+ */
+export const normalizeShortcutOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object') return {};
+  return Object.fromEntries(
+    Object.entries(overrides)
+      .filter(([id, keys]) => ACTION_IDS.has(id) && Array.isArray(keys))
+      .map(([id, keys]) => [id, keys.filter(key => typeof key === 'string' && key)])
+  );
+};
+
+/**
+ * Effective keys for every action
+ * @param {Object} overrides - User overrides
+ * @returns {Object} - { actionId: [combo] }
+ */
+export const resolveShortcuts = (overrides = {}) => {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, overrides[action.id] || action.keys]));
+};
+
+/**
+ * Finds the action bound to a combo
+ * @param {Object} bindings - From resolveShortcuts
+ * @param {string} combo - Pressed combo
+ * @returns {Object|null} - The action or null
+ */
+export const findShortcutAction = (bindings, combo) => {
+  return SHORTCUT_ACTIONS.find(action => bindings[action.id].includes(combo)) || null;
+};
+
+/**
+ * Binds a combo to an action in place of its current keys. The combo is
+ * taken away from any other action that had it.
+ * @param {Object} overrides - Current overrides
+ * @param {string} actionId - Action to rebind
+ * @param {string} combo - New combo
+ * @returns {Object} - { overrides, replacedAction } (action that lost the combo, or null)
+ */
+export const bindShortcut = (overrides, actionId, combo) => {
+  const bindings = resolveShortcuts(overrides);
+  const replacedAction = SHORTCUT_ACTIONS.find(action => (
+    action.id !== actionId && bindings[action.id].includes(combo)
+  )) || null;
+
+  const next = { ...overrides, [actionId]: [combo] };
+  if (replacedAction) {
+    next[replacedAction.id] = bindings[replacedAction.id].filter(key => key !== combo);
+  }
+  return { overrides: next, replacedAction };
+};
+
+/**
+ * Restores an action's default keys (or every action's, without an id)
+ * @param {Object} overrides - Current overrides
+ * @param {string} [actionId] - Action to reset
+ * @returns {Object} - Updated overrides
+ */
+export const resetShortcut = (overrides, actionId) => {
+  if (!actionId) return {};
+  const next = { ...overrides };
+  delete next[actionId];
+  return next;
+};
+
+/**
+ * Leaves an action without any keys
+ * @param {Object} overrides - Current overrides
+ * @param {string} actionId - Action to unbind
+ * @returns {Object} - Updated overrides
+ */
+export const clearShortcut = (overrides, actionId) => ({ ...overrides, [actionId]: [] });
+
+/**
+ * Whether a key press belongs to a text field or similar control
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} - true if shortcuts should leave the key alone
+ */
+export const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag !== 'input') return false;
+  // Buttons-like inputs don't take typing; everything else (text, range) does
+  return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'color'].includes(target.type);
+};
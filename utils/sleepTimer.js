@@ -0,0 +1,87 @@
+// Sleep timer: stops playback after a while, at the end of the current
+// track or at the end of the queue, fading out over the final minute.
+// A timer is { mode, endsAt } where endsAt (ms) is only set for 'duration'.
+
+export const SLEEP_TIMER_MODES = ['duration', 'track', 'queue'];
+export const SLEEP_TIMER_PRESETS = [15, 30, 45, 60, 90];
+export const MAX_SLEEP_TIMER_MINUTES = 12 * 60;
+export const SLEEP_TIMER_EXTEND_MINUTES = 15;
+export const SLEEP_FADE_SECONDS = 60;
+
+/**
+ * Keeps a timer length to whole minutes within range
+ * @param {number} minutes - Requested length
+ * @returns {number} - Clamped length (30 if invalid)
+ */
+export const clampSleepMinutes = (minutes) => {
+  const value = Math.round(Number(minutes));
+  if (!Number.isFinite(value)) return 30;
+  return Math.min(Math.max(value, 1), MAX_SLEEP_TIMER_MINUTES);
+};
+
+/**
+ * Creates a sleep timer
+ * @param {string} mode - 'duration', 'track' or 'queue'
+ * @param {number} [minutes] - Length, for 'duration'
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - Timer
+ */
+export const createSleepTimer = (mode, minutes, now = Date.now()) => {
+  if (mode !== 'duration') return { mode, endsAt: null };
+  return { mode, endsAt: now + clampSleepMinutes(minutes) * 60000 };
+};
+
+/**
+ * Adds time to a running timer. Track and queue timers become timed ones,
+ * counting from where they would have stopped.
+ * @param {number} minutes - Time to add
+ * @param {number|null} remaining - Seconds the timer has left, if known
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - New timer
+ */
+export const extendSleepTimer = (minutes, remaining, now = Date.now()) => {
+  const left = Number.isFinite(remaining) ? Math.max(remaining, 0) : 0;
+  return { mode: 'duration', endsAt: now + (left + minutes * 60) * 1000 };
+};
+
+/**
+ * Seconds until a timed sleep timer runs out
+ * @param {Object} timer - Timer with an endsAt
+ * @param {number} [now] - Current time in ms
+ * @returns {number} - Seconds left, never below 0
+ */
+export const getTimedRemaining = (timer, now = Date.now()) => {
+  return Math.max((timer.endsAt - now) / 1000, 0);
+};
+
+/**
+ * Output level while the timer winds down: full until the last minute, then
+ * falling linearly to silence
+ * @param {number|null} remaining - Seconds left, or null if unknown
+ * @returns {number} - Gain from 0 to 1
+ */
+export const getSleepFadeLevel = (remaining) => {
+  if (!Number.isFinite(remaining)) return 1;
+  return Math.min(Math.max(remaining / SLEEP_FADE_SECONDS, 0), 1);
+};
+
+const formatRemaining = (seconds) => {
+  const total = Math.ceil(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Short description of what the timer is waiting for
+ * @param {Object} timer - Timer
+ * @param {number|null} remaining - Seconds left, or null if unknown
+ * @returns {string} - E.g. "Stops in 12:05" or "Stops after this track"
+ */
+export const describeSleepTimer = (timer, remaining) => {
+  const time = Number.isFinite(remaining) ? formatRemaining(remaining) : null;
+  if (timer.mode === 'track') return `Stops after this track${time ? ` (${time})` : ''}`;
+  if (timer.mode === 'queue') return `Stops at the end of the queue${time ? ` (${time})` : ''}`;
+  return `Stops in ${time}`;
+};
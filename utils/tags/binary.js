@@ -0,0 +1,114 @@
+// Low-level helpers shared by the tag parsers
+
+const textDecoders = {};
+
+/**
+ * Decodes bytes to a string, caching one TextDecoder per encoding
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @param {string} encoding - TextDecoder label
+ * @returns {string} - Decoded text
+ */
+export const decodeString = (bytes, encoding = 'utf-8') => {
+  if (!textDecoders[encoding]) {
+    textDecoders[encoding] = new TextDecoder(encoding);
+  }
+  return textDecoders[encoding].decode(bytes);
+};
+
+/**
+ * Reads a fixed-length ASCII string
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} - The string
+ */
+export const readAscii = (bytes, offset, length) => {
+  let result = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    result += String.fromCharCode(bytes[i]);
+  }
+  return result;
+};
+
+/**
+ * Reads a big-endian unsigned integer of up to 4 bytes
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes (1-4)
+ * @returns {number} - The integer
+ */
+export const readUintBE = (bytes, offset, length = 4) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+/**
+ * Reads a little-endian unsigned integer of up to 4 bytes
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes (1-4)
+ * @returns {number} - The integer
+ */
+export const readUintLE = (bytes, offset, length = 4) => {
+  let value = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+/**
+ * Reads a 28-bit "syncsafe" integer (7 bits per byte) as used by ID3v2
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {number} - The integer
+ */
+export const readSyncsafeInt = (bytes, offset) => {
+  return (
+    (bytes[offset] & 0x7f) * 0x200000 +
+    (bytes[offset + 1] & 0x7f) * 0x4000 +
+    (bytes[offset + 2] & 0x7f) * 0x80 +
+    (bytes[offset + 3] & 0x7f)
+  );
+};
+
+/**
+ * Reads a byte range of a file
+ * @param {Blob} file - The file
+ * @param {number} start - Start offset (negative counts from the end)
+ * @param {number} [end] - End offset
+ * @returns {Promise<Uint8Array>} - The bytes
+ */
+export const readFileBytes = async (file, start, end) => {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+/**
+ * Splits a "3/12" style number pair
+ * @param {string} value - The raw value
+ * @returns {Array<number|null>} - [number, total]
+ */
+export const parseNumberPair = (value) => {
+  if (!value) return [null, null];
+  const [number, total] = String(value).split('/');
+  const parsedNumber = parseInt(number, 10);
+  const parsedTotal = parseInt(total, 10);
+  return [
+    Number.isNaN(parsedNumber) ? null : parsedNumber,
+    Number.isNaN(parsedTotal) ? null : parsedTotal
+  ];
+};
+
+/**
+ * Pulls a four-digit year out of a date string such as "2004-05-01"
+ * @param {string} value - The raw value
+ * @returns {number|null} - The year
+ */
+export const parseYear = (value) => {
+  const match = value && String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
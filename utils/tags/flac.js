@@ -0,0 +1,68 @@
+// Native FLAC metadata block reader
+
+import { readAscii, readUintBE, readSyncsafeInt, readFileBytes } from './binary';
+import { parseVorbisComment, parseFlacPicture, vorbisCommentsToTags } from './vorbis';
+
+const BLOCK_STREAMINFO = 0;
+const BLOCK_VORBIS_COMMENT = 4;
+const BLOCK_PICTURE = 6;
+
+/**
+ * Finds the "fLaC" marker, skipping a leading ID3v2 tag if one was added
+ * @param {Blob} file - The FLAC file
+ * @returns {Promise<number>} - Offset of the marker, or -1
+ */
+const findStreamStart = async (file) => {
+  const header = await readFileBytes(file, 0, 10);
+  let offset = 0;
+  if (readAscii(header, 0, 3) === 'ID3') {
+    offset = 10 + readSyncsafeInt(header, 6) + (header[5] & 0x10 ? 10 : 0);
+  }
+  const marker = await readFileBytes(file, offset, offset + 4);
+  return readAscii(marker, 0, 4) === 'fLaC' ? offset : -1;
+};
+
+/**
+ * Reads STREAMINFO, VORBIS_COMMENT and PICTURE blocks from a FLAC file
+ * @param {Blob} file - The FLAC file
+ * @returns {Promise<Object|null>} - Tag fields plus tagVersion and streamInfo
+ */
+export const readFlacTags = async (file) => {
+  const start = await findStreamStart(file);
+  if (start < 0) return null;
+
+  let offset = start + 4;
+  let comments = {};
+  let streamInfo = null;
+  const pictures = [];
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= file.size) {
+    const blockHeader = await readFileBytes(file, offset, offset + 4);
+    isLast = (blockHeader[0] & 0x80) !== 0;
+    const type = blockHeader[0] & 0x7f;
+    const length = readUintBE(blockHeader, 1, 3);
+    const bodyStart = offset + 4;
+    offset = bodyStart + length;
+
+    if (type === BLOCK_STREAMINFO) {
+      const body = await readFileBytes(file, bodyStart, offset);
+      // 20-bit sample rate, 3-bit channels, 5-bit depth, 36-bit sample count
+      const sampleRate = (body[10] << 12) | (body[11] << 4) | (body[12] >> 4);
+      const channels = ((body[12] >> 1) & 0x07) + 1;
+      const bitsPerSample = (((body[12] & 0x01) << 4) | (body[13] >> 4)) + 1;
+      const totalSamples = (body[13] & 0x0f) * 0x100000000 + readUintBE(body, 14, 4);
+      streamInfo = { sampleRate, channels, bitsPerSample, totalSamples };
+    } else if (type === BLOCK_VORBIS_COMMENT) {
+      comments = parseVorbisComment(await readFileBytes(file, bodyStart, offset)).comments;
+    } else if (type === BLOCK_PICTURE) {
+      pictures.push(parseFlacPicture(await readFileBytes(file, bodyStart, offset)));
+    }
+  }
+
+  return {
+    ...vorbisCommentsToTags(comments, pictures),
+    tagVersion: 'Vorbis comment',
+    streamInfo
+  };
+};
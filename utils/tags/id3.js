@@ -0,0 +1,491 @@
+// ID3v1 and ID3v2 (2.2, 2.3, 2.4) tag parser
+
+import {
+  decodeString,
+  readAscii,
+  readUintBE,
+  readSyncsafeInt,
+  readFileBytes,
+  parseNumberPair,
+  parseYear
+} from './binary';
+import { resolveGenre } from './genres';
+import { parseReplayGain } from './replayGain';
+import { lyricsFromSyncedEntries, lyricsFromText } from '../lyrics';
+import { normalizeChapters } from '../chapters';
+
+const ID3V2_HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+// ID3v2.2 used three-character frame ids
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  TXX: 'TXXX',
+  COM: 'COMM',
+  PIC: 'APIC',
+  ULT: 'USLT',
+  SLT: 'SYLT'
+};
+
+const PICTURE_FORMATS = {
+  JPG: 'image/jpeg',
+  PNG: 'image/png',
+  GIF: 'image/gif',
+  BMP: 'image/bmp'
+};
+
+const FRONT_COVER = 3;
+// SYLT: timestamps in milliseconds, content type 1 is lyrics
+const SYLT_MILLISECONDS = 2;
+const SYLT_LYRICS = 1;
+// CHAP: an end time of all ones means "not set"; CTOC flag bit 2 marks the root
+const CHAPTER_TIME_UNSET = 0xffffffff;
+const CTOC_TOP_LEVEL = 0x02;
+
+/**
+ * Decodes ID3 text using the frame's encoding byte
+ * @param {Uint8Array} bytes - Text bytes (no encoding byte)
+ * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string} - Decoded text without trailing terminators
+ */
+const decodeID3Text = (bytes, encoding) => {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let label = encoding === 2 ? 'utf-16be' : 'utf-16le';
+    let start = 0;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      label = 'utf-16be';
+      start = 2;
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      label = 'utf-16le';
+      start = 2;
+    }
+    text = decodeString(bytes.subarray(start), label);
+  } else {
+    text = decodeString(bytes, encoding === 3 ? 'utf-8' : 'iso-8859-1');
+  }
+  // Multi-value UTF-16 frames repeat the BOM before every value
+  return text.replace(/\uFEFF/g, '').replace(/\0+$/, '');
+};
+
+/**
+ * Finds the end of a null-terminated string, honouring two-byte terminators
+ * for UTF-16 encodings
+ * @param {Uint8Array} bytes - Frame bytes
+ * @param {number} offset - Where the string starts
+ * @param {number} encoding - ID3 text encoding
+ * @returns {number} - Offset of the terminator (or bytes.length)
+ */
+const findTerminator = (bytes, offset, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+    }
+    return bytes.length;
+  }
+  const index = bytes.indexOf(0, offset);
+  return index === -1 ? bytes.length : index;
+};
+
+/**
+ * Reads a null-terminated string and returns it with the offset after it
+ * @param {Uint8Array} bytes - Frame bytes
+ * @param {number} offset - Where the string starts
+ * @param {number} encoding - ID3 text encoding
+ * @returns {Array} - [text, nextOffset]
+ */
+const readTerminatedText = (bytes, offset, encoding) => {
+  const end = findTerminator(bytes, offset, encoding);
+  const terminatorLength = encoding === 1 || encoding === 2 ? 2 : 1;
+  return [decodeID3Text(bytes.subarray(offset, end), encoding), end + terminatorLength];
+};
+
+/**
+ * Reverses ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array} - Original bytes
+ */
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+};
+
+// Parsers for individual frame bodies, keyed by (v2.3+) frame id
+const FRAME_PARSERS = {
+  text: (data) => {
+    const encoding = data[0];
+    return decodeID3Text(data.subarray(1), encoding)
+      .split('\0')
+      .map(value => value.trim())
+      .filter(Boolean);
+  },
+
+  TXXX: (data) => {
+    const encoding = data[0];
+    const [description, offset] = readTerminatedText(data, 1, encoding);
+    return { description, value: decodeID3Text(data.subarray(offset), encoding).trim() };
+  },
+
+  COMM: (data) => {
+    const encoding = data[0];
+    const language = readAscii(data, 1, 3);
+    const [description, offset] = readTerminatedText(data, 4, encoding);
+    return { language, description, text: decodeID3Text(data.subarray(offset), encoding) };
+  },
+
+  USLT: (data) => {
+    const encoding = data[0];
+    const language = readAscii(data, 1, 3);
+    const [description, offset] = readTerminatedText(data, 4, encoding);
+    return { language, description, text: decodeID3Text(data.subarray(offset), encoding) };
+  },
+
+  SYLT: (data) => {
+    const encoding = data[0];
+    const language = readAscii(data, 1, 3);
+    const timestampFormat = data[4];
+    const contentType = data[5];
+    const [description, entriesOffset] = readTerminatedText(data, 6, encoding);
+    const entries = [];
+    let offset = entriesOffset;
+    while (offset < data.length) {
+      const [text, timeOffset] = readTerminatedText(data, offset, encoding);
+      if (timeOffset + 4 > data.length) break;
+      entries.push({ text, time: readUintBE(data, timeOffset, 4) });
+      offset = timeOffset + 4;
+    }
+    return { language, description, timestampFormat, contentType, entries };
+  },
+
+  // Chapter frames carry their own sub-frames (TIT2 for the title)
+  CHAP: (data, header) => {
+    const [elementId, offset] = readTerminatedText(data, 0, 0);
+    return {
+      elementId,
+      start: readUintBE(data, offset, 4),
+      end: readUintBE(data, offset + 4, 4),
+      frames: parseID3Frames(data, offset + 16, data.length, header)
+    };
+  },
+
+  CTOC: (data, header) => {
+    const [elementId, flagsOffset] = readTerminatedText(data, 0, 0);
+    const flags = data[flagsOffset];
+    const count = data[flagsOffset + 1];
+    const children = [];
+    let offset = flagsOffset + 2;
+    for (let i = 0; i < count && offset < data.length; i++) {
+      const [child, nextOffset] = readTerminatedText(data, offset, 0);
+      children.push(child);
+      offset = nextOffset;
+    }
+    return {
+      elementId,
+      topLevel: !!(flags & CTOC_TOP_LEVEL),
+      children,
+      frames: parseID3Frames(data, offset, data.length, header)
+    };
+  },
+
+  APIC: (data, { version }) => {
+    const encoding = data[0];
+    let mimeType;
+    let offset;
+
+    if (version === 2) {
+      const format = readAscii(data, 1, 3).toUpperCase();
+      mimeType = PICTURE_FORMATS[format] || `image/${format.toLowerCase()}`;
+      offset = 4;
+    } else {
+      const end = findTerminator(data, 1, 0);
+      mimeType = readAscii(data, 1, end - 1).toLowerCase() || 'image/jpeg';
+      if (!mimeType.includes('/')) mimeType = `image/${mimeType}`;
+      offset = end + 1;
+    }
+
+    const type = data[offset];
+    const [description, dataOffset] = readTerminatedText(data, offset + 1, encoding);
+    return { mimeType, type, description, data: data.slice(dataOffset) };
+  }
+};
+
+/**
+ * Picks the body parser for a frame id
+ * @param {string} id - Frame id (v2.3+ form)
+ * @returns {Function|null} - Parser or null if the frame is ignored
+ */
+const getFrameParser = (id) => {
+  if (FRAME_PARSERS[id]) return FRAME_PARSERS[id];
+  if (id[0] === 'T') return FRAME_PARSERS.text;
+  return null;
+};
+
+/**
+ * Walks the frames between two offsets
+ * @param {Uint8Array} bytes - Tag bytes
+ * @param {number} start - Offset of the first frame
+ * @param {number} end - Offset where frames stop
+ * @param {Object} header - Parsed tag header ({ version })
+ * @returns {Array} - [{ id, value }]
+ */
+export const parseID3Frames = (bytes, start, end, header) => {
+  const { version } = header;
+  const idLength = version === 2 ? 3 : 4;
+  const frameHeaderSize = version === 2 ? 6 : 10;
+  const frames = [];
+  let offset = start;
+
+  const readFrameSize = (at, syncsafe) => {
+    if (version === 2) return readUintBE(bytes, at + 3, 3);
+    return syncsafe ? readSyncsafeInt(bytes, at + 4) : readUintBE(bytes, at + 4, 4);
+  };
+  const isFrameIdAt = (at) => at + idLength <= end && /^[A-Z0-9]{3,4}$/.test(readAscii(bytes, at, idLength));
+
+  while (offset + frameHeaderSize <= end) {
+    const rawId = readAscii(bytes, offset, idLength);
+    // Padding or garbage ends the frame list
+    if (!/^[A-Z0-9]{3,4}$/.test(rawId)) break;
+
+    let size = readFrameSize(offset, version === 4);
+    // Some v2.4 writers store plain integers instead of syncsafe sizes
+    if (version === 4) {
+      const plainSize = readFrameSize(offset, false);
+      const syncsafeNext = offset + frameHeaderSize + size;
+      const plainNext = offset + frameHeaderSize + plainSize;
+      if (plainSize !== size && syncsafeNext < end && !isFrameIdAt(syncsafeNext) &&
+          (plainNext >= end || isFrameIdAt(plainNext))) {
+        size = plainSize;
+      }
+    }
+
+    const bodyStart = offset + frameHeaderSize;
+    const bodyEnd = bodyStart + size;
+    if (bodyEnd > end) break;
+    if (size === 0) {
+      offset = bodyEnd;
+      continue;
+    }
+
+    const id = version === 2 ? V22_FRAME_IDS[rawId] || rawId : rawId;
+    const formatFlags = version === 2 ? 0 : bytes[offset + 9];
+    let body = bytes.subarray(bodyStart, bodyEnd);
+
+    // Compressed and encrypted frames can't be read without extra codecs
+    const compressed = version === 4 ? formatFlags & 0x08 : formatFlags & 0x80;
+    const encrypted = version === 4 ? formatFlags & 0x04 : formatFlags & 0x40;
+
+    if (!compressed && !encrypted) {
+      if (version === 4) {
+        if (formatFlags & 0x40) body = body.subarray(1); // grouping identity
+        if (formatFlags & 0x01) body = body.subarray(4); // data length indicator
+        if (formatFlags & 0x02) body = removeUnsynchronisation(body);
+      } else if (version === 3 && formatFlags & 0x20) {
+        body = body.subarray(1);
+      }
+
+      const parser = getFrameParser(id);
+      if (parser && body.length > 0) {
+        try {
+          frames.push({ id, value: parser(body, header) });
+        } catch (error) {
+          console.warn(`Skipping unreadable ID3 frame ${id}:`, error);
+        }
+      }
+    }
+
+    offset = bodyEnd;
+  }
+
+  return frames;
+};
+
+/**
+ * Parses an ID3v2 tag from the start of a buffer
+ * @param {Uint8Array} bytes - Bytes starting at the "ID3" header
+ * @returns {Object|null} - { version, frames } or null if no tag
+ */
+export const parseID3v2 = (bytes) => {
+  if (bytes.length < ID3V2_HEADER_SIZE || readAscii(bytes, 0, 3) !== 'ID3') return null;
+
+  const version = bytes[3];
+  if (version < 2 || version > 4) return null;
+
+  const flags = bytes[5];
+  const tagSize = readSyncsafeInt(bytes, 6);
+  let tagBytes = bytes.subarray(0, Math.min(bytes.length, ID3V2_HEADER_SIZE + tagSize));
+
+  // v2.2/v2.3 unsynchronise the whole tag; v2.4 does it per frame
+  if (flags & 0x80 && version < 4) {
+    const body = removeUnsynchronisation(tagBytes.subarray(ID3V2_HEADER_SIZE));
+    const restored = new Uint8Array(ID3V2_HEADER_SIZE + body.length);
+    restored.set(tagBytes.subarray(0, ID3V2_HEADER_SIZE));
+    restored.set(body, ID3V2_HEADER_SIZE);
+    tagBytes = restored;
+  }
+
+  let offset = ID3V2_HEADER_SIZE;
+  if (flags & 0x40 && version > 2) {
+    offset += version === 4
+      ? readSyncsafeInt(tagBytes, offset)
+      : readUintBE(tagBytes, offset, 4) + 4;
+  }
+
+  const header = { version, flags };
+  return { version, frames: parseID3Frames(tagBytes, offset, tagBytes.length, header) };
+};
+
+/**
+ * Parses a 128-byte ID3v1 / v1.1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of the file
+ * @returns {Object|null} - Tag fields or null if no tag
+ */
+export const parseID3v1 = (bytes) => {
+  if (bytes.length < ID3V1_SIZE || readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+  const readField = (offset, length) =>
+    decodeString(bytes.subarray(offset, offset + length), 'iso-8859-1')
+      .replace(/\0.*$/, '')
+      .trim() || null;
+
+  // v1.1 steals the last comment byte for the track number
+  const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+
+  return {
+    title: readField(3, 30),
+    artist: readField(33, 30),
+    album: readField(63, 30),
+    year: parseYear(readField(93, 4)),
+    trackNumber: hasTrack ? bytes[126] : null,
+    genre: bytes[127] === 0xff ? null : resolveGenre(String(bytes[127]))
+  };
+};
+
+/**
+ * Builds the chapter list from CHAP frames. With a top-level CTOC only the
+ * chapters it lists (directly or through nested tables) are used.
+ * @param {Array} frames - [{ id, value }]
+ * @returns {Array} - [{ start, end, title }] in seconds
+ */
+const readChapters = (frames) => {
+  const chapterFrames = frames.filter(frame => frame.id === 'CHAP').map(frame => frame.value);
+  if (chapterFrames.length === 0) return [];
+
+  const chaptersById = new Map(chapterFrames.map(chapter => [chapter.elementId, chapter]));
+  const tables = new Map(frames.filter(frame => frame.id === 'CTOC').map(frame => [frame.value.elementId, frame.value]));
+  const root = [...tables.values()].find(table => table.topLevel);
+  let listed = chapterFrames;
+  if (root) {
+    const seen = new Set();
+    const expand = table => table.children.flatMap((id) => {
+      if (seen.has(id)) return [];
+      seen.add(id);
+      if (chaptersById.has(id)) return [chaptersById.get(id)];
+      return tables.has(id) ? expand(tables.get(id)) : [];
+    });
+    const fromTable = expand(root);
+    if (fromTable.length > 0) listed = fromTable;
+  }
+
+  return normalizeChapters(listed.map(chapter => ({
+    start: chapter.start / 1000,
+    end: chapter.end === CHAPTER_TIME_UNSET ? null : chapter.end / 1000,
+    title: chapter.frames.find(frame => frame.id === 'TIT2')?.value[0] || null
+  })));
+};
+
+/**
+ * Turns parsed ID3v2 frames into the common tag shape
+ * @param {Array} frames - [{ id, value }]
+ * @returns {Object} - Tag fields
+ */
+export const framesToTags = (frames) => {
+  const first = (id) => {
+    const frame = frames.find(item => item.id === id);
+    return frame ? frame.value : null;
+  };
+  const firstText = (...ids) => {
+    for (const id of ids) {
+      const value = first(id);
+      if (Array.isArray(value) && value.length > 0) return value[0];
+    }
+    return null;
+  };
+
+  const [trackNumber, trackTotal] = parseNumberPair(firstText('TRCK'));
+  const [discNumber, discTotal] = parseNumberPair(firstText('TPOS'));
+  const pictures = frames.filter(frame => frame.id === 'APIC').map(frame => frame.value);
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0] || null;
+  // User-defined text frames, keyed by description (ReplayGain lives here)
+  const userText = Object.fromEntries(
+    frames.filter(frame => frame.id === 'TXXX').map(frame => [frame.value.description, frame.value.value])
+  );
+  // Timed lyrics win over unsynchronised ones; MPEG-frame timestamps can't be used
+  const synced = frames.find(frame => frame.id === 'SYLT' && frame.value.timestampFormat === SYLT_MILLISECONDS &&
+    frame.value.contentType === SYLT_LYRICS && frame.value.entries.length > 0);
+  const unsynced = first('USLT');
+  const lyrics = (synced && lyricsFromSyncedEntries(synced.value.entries, { language: synced.value.language })) ||
+    (unsynced && lyricsFromText(unsynced.text, { language: unsynced.language })) || null;
+
+  return {
+    title: firstText('TIT2'),
+    artist: firstText('TPE1'),
+    albumArtist: firstText('TPE2'),
+    album: firstText('TALB'),
+    trackNumber,
+    trackTotal,
+    discNumber,
+    discTotal,
+    year: parseYear(firstText('TDRC', 'TYER', 'TDOR', 'TORY')),
+    genre: resolveGenre(firstText('TCON')),
+    picture,
+    replayGain: parseReplayGain(userText),
+    lyrics,
+    chapters: readChapters(frames)
+  };
+};
+
+/**
+ * Reads ID3v2 and ID3v1 tags from a file; ID3v2 values win where both exist
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Tag fields plus tagVersion, or null if untagged
+ */
+export const readID3Tags = async (file) => {
+  let tags = null;
+
+  const header = await readFileBytes(file, 0, ID3V2_HEADER_SIZE);
+  if (readAscii(header, 0, 3) === 'ID3') {
+    const tagSize = readSyncsafeInt(header, 6);
+    const bytes = await readFileBytes(file, 0, ID3V2_HEADER_SIZE + tagSize);
+    const parsed = parseID3v2(bytes);
+    if (parsed) {
+      tags = { ...framesToTags(parsed.frames), tagVersion: `ID3v2.${parsed.version}` };
+    }
+  }
+
+  if (file.size >= ID3V1_SIZE) {
+    const v1 = parseID3v1(await readFileBytes(file, file.size - ID3V1_SIZE));
+    if (v1) {
+      if (!tags) {
+        tags = { ...v1, picture: null, replayGain: null, lyrics: null, chapters: [], tagVersion: 'ID3v1' };
+      } else {
+        Object.entries(v1).forEach(([key, value]) => {
+          if (tags[key] === null || tags[key] === undefined) tags[key] = value;
+        });
+      }
+    }
+  }
+
+  return tags;
+};
@@ -0,0 +1,29 @@
+// Picks the right tag reader for each audio container
+
+import { readID3Tags } from './id3';
+import { readFlacTags } from './flac';
+import { readOggTags } from './ogg';
+import { readMP4Tags } from './mp4';
+import { readRiffTags } from './riff';
+
+const TAG_READERS = {
+  mp3: readID3Tags,
+  aac: readID3Tags,
+  flac: readFlacTags,
+  ogg: readOggTags,
+  opus: readOggTags,
+  m4a: readMP4Tags,
+  wav: readRiffTags
+};
+
+/**
+ * Reads embedded tags for a sniffed format. Ogg FLAC and WebM (Matroska) tags
+ * aren't read; those files fall back to their file name.
+ * @param {Blob} file - The audio file
+ * @param {Object} format - Entry from AUDIO_FORMATS
+ * @returns {Promise<Object|null>} - Tag fields or null
+ */
+export const readTags = async (file, format) => {
+  const reader = format && TAG_READERS[format.id];
+  return reader ? reader(file) : null;
+};
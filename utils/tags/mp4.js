@@ -0,0 +1,185 @@
+// MP4 / M4A metadata reader (moov > udta > meta > ilst)
+
+import { decodeString, readAscii, readUintBE, readFileBytes, parseYear } from './binary';
+import { ID3_GENRES, resolveGenre } from './genres';
+import { parseReplayGain } from './replayGain';
+import { lyricsFromText } from '../lyrics';
+
+const DATA_TYPE_UTF8 = 1;
+const DATA_TYPE_UTF16 = 2;
+const DATA_TYPE_JPEG = 13;
+const DATA_TYPE_PNG = 14;
+const DATA_TYPE_BMP = 27;
+
+// moov can be large for long files without "fast start" layout
+const MAX_MOOV_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Lists the child boxes inside a byte range
+ * @param {Uint8Array} bytes - Buffer holding the boxes
+ * @param {number} start - Offset of the first child
+ * @param {number} end - End of the parent box
+ * @returns {Array} - [{ type, start, end, bodyStart }]
+ */
+const listBoxes = (bytes, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUintBE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUintBE(bytes, offset + 8) * 0x100000000 + readUintBE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset, end: offset + size, bodyStart: offset + headerSize });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Follows a path of box types down from a parent
+ * @param {Uint8Array} bytes - Buffer holding the boxes
+ * @param {Object} parent - Box to start from
+ * @param {Array<string>} path - Child types to descend through
+ * @returns {Object|null} - The final box or null
+ */
+const findBox = (bytes, parent, path) => {
+  let box = parent;
+  for (const type of path) {
+    // meta is a full box: skip its version/flags before the children
+    const childStart = box.type === 'meta' ? box.bodyStart + 4 : box.bodyStart;
+    box = listBoxes(bytes, childStart, box.end).find(child => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+};
+
+/**
+ * Reads the top-level boxes by seeking through the file and returns moov's bytes
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<Uint8Array|null>} - moov box bytes
+ */
+const readMoov = async (file) => {
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const header = await readFileBytes(file, offset, offset + 16);
+    let size = readUintBE(header, 0);
+    const type = readAscii(header, 4, 4);
+
+    if (size === 1) {
+      size = readUintBE(header, 8) * 0x100000000 + readUintBE(header, 12);
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      if (size > MAX_MOOV_SIZE) return null;
+      return readFileBytes(file, offset, offset + size);
+    }
+    offset += size;
+  }
+  return null;
+};
+
+/**
+ * Parses the "data" payloads of one ilst item
+ * @param {Uint8Array} bytes - moov bytes
+ * @param {Object} item - The ilst item box
+ * @returns {Array} - [{ type, value }] where value is a string or Uint8Array
+ */
+const readItemData = (bytes, item) => {
+  return listBoxes(bytes, item.bodyStart, item.end)
+    .filter(box => box.type === 'data')
+    .map((box) => {
+      const type = readUintBE(bytes, box.bodyStart) & 0xffffff;
+      const payload = bytes.subarray(box.bodyStart + 8, box.end);
+      if (type === DATA_TYPE_UTF8) return { type, value: decodeString(payload) };
+      if (type === DATA_TYPE_UTF16) return { type, value: decodeString(payload, 'utf-16be') };
+      return { type, value: payload };
+    });
+};
+
+/**
+ * Reads iTunes-style ilst tags from an M4A/MP4 file
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<Object|null>} - Tag fields plus tagVersion and custom (freeform "----" items)
+ */
+export const readMP4Tags = async (file) => {
+  const moovBytes = await readMoov(file);
+  if (!moovBytes) return null;
+
+  const moov = listBoxes(moovBytes, 0, moovBytes.length)[0];
+  const ilst = findBox(moovBytes, moov, ['udta', 'meta', 'ilst']);
+  if (!ilst) return null;
+
+  const items = {};
+  const custom = {};
+  listBoxes(moovBytes, ilst.bodyStart, ilst.end).forEach((item) => {
+    if (item.type === '----') {
+      // Freeform items: mean (namespace), name, data
+      const children = listBoxes(moovBytes, item.bodyStart, item.end);
+      const nameBox = children.find(child => child.type === 'name');
+      const data = readItemData(moovBytes, item)[0];
+      if (nameBox && data && typeof data.value === 'string') {
+        const name = decodeString(moovBytes.subarray(nameBox.bodyStart + 4, nameBox.end));
+        custom[name.toUpperCase()] = data.value;
+      }
+      return;
+    }
+    items[item.type] = readItemData(moovBytes, item);
+  });
+
+  const text = (type) => {
+    const data = items[type] && items[type][0];
+    return data && typeof data.value === 'string' ? data.value.trim() || null : null;
+  };
+  const pair = (type) => {
+    const data = items[type] && items[type][0];
+    if (!data || typeof data.value === 'string' || data.value.length < 6) return [null, null];
+    return [readUintBE(data.value, 2, 2) || null, readUintBE(data.value, 4, 2) || null];
+  };
+
+  let genre = resolveGenre(text('©gen'));
+  const genreIndex = items.gnre && items.gnre[0];
+  if (!genre && genreIndex && genreIndex.value.length >= 2) {
+    // gnre stores the ID3v1 index plus one
+    genre = ID3_GENRES[readUintBE(genreIndex.value, 0, 2) - 1] || null;
+  }
+
+  const cover = (items.covr || []).find(data =>
+    [DATA_TYPE_JPEG, DATA_TYPE_PNG, DATA_TYPE_BMP].includes(data.type) || data.type === 0
+  );
+  const coverMime = cover && (cover.type === DATA_TYPE_PNG ? 'image/png'
+    : cover.type === DATA_TYPE_BMP ? 'image/bmp' : 'image/jpeg');
+
+  const [trackNumber, trackTotal] = pair('trkn');
+  const [discNumber, discTotal] = pair('disk');
+
+  return {
+    title: text('©nam'),
+    artist: text('©ART'),
+    albumArtist: text('aART'),
+    album: text('©alb'),
+    trackNumber,
+    trackTotal,
+    discNumber,
+    discTotal,
+    year: parseYear(text('©day')),
+    genre,
+    picture: cover ? { mimeType: coverMime, type: 3, description: '', data: cover.value.slice() } : null,
+    tagVersion: 'iTunes',
+    replayGain: parseReplayGain(custom),
+    lyrics: lyricsFromText(text('©lyr')),
+    custom
+  };
+};
@@ -0,0 +1,90 @@
+// Ogg Vorbis / Opus comment header reader
+
+import { readAscii, readFileBytes } from './binary';
+import { parseVorbisComment, vorbisCommentsToTags } from './vorbis';
+
+const INITIAL_READ = 64 * 1024;
+// Comment headers carrying large cover art can span many pages
+const MAX_READ = 16 * 1024 * 1024;
+
+/**
+ * Reassembles the first packets of the first logical stream
+ * @param {Uint8Array} bytes - Bytes from the start of the file
+ * @param {number} count - Number of packets wanted
+ * @returns {Array<Uint8Array>|null} - Packets, or null if the buffer ran out first
+ */
+const readPackets = (bytes, count) => {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+  let serial = null;
+
+  while (offset + 27 <= bytes.length && packets.length < count) {
+    if (readAscii(bytes, offset, 4) !== 'OggS') return null;
+
+    const pageSerial = bytes[offset + 14] | (bytes[offset + 15] << 8) |
+      (bytes[offset + 16] << 16) | (bytes[offset + 17] << 24);
+    const segmentCount = bytes[offset + 26];
+    const segmentTable = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+    const pageEnd = dataOffset + segmentTable.reduce((sum, size) => sum + size, 0);
+    if (pageEnd > bytes.length) return null;
+
+    if (serial === null) serial = pageSerial;
+    if (pageSerial === serial) {
+      for (const size of segmentTable) {
+        current.push(bytes.subarray(dataOffset, dataOffset + size));
+        dataOffset += size;
+        // A segment shorter than 255 bytes ends the packet
+        if (size < 255) {
+          const length = current.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(length);
+          let position = 0;
+          current.forEach((part) => {
+            packet.set(part, position);
+            position += part.length;
+          });
+          packets.push(packet);
+          current = [];
+          if (packets.length === count) break;
+        }
+      }
+    }
+
+    offset = pageEnd;
+  }
+
+  return packets.length === count ? packets : null;
+};
+
+/**
+ * Reads the comment header of an Ogg Vorbis or Opus file
+ * @param {Blob} file - The Ogg file
+ * @returns {Promise<Object|null>} - Tag fields plus tagVersion
+ */
+export const readOggTags = async (file) => {
+  let readLength = INITIAL_READ;
+  let packets = null;
+
+  while (!packets) {
+    const bytes = await readFileBytes(file, 0, Math.min(readLength, file.size));
+    packets = readPackets(bytes, 2);
+    if (packets || readLength >= file.size || readLength >= MAX_READ) break;
+    readLength *= 4;
+  }
+
+  if (!packets) return null;
+
+  const commentPacket = packets[1];
+  let commentStart;
+  if (readAscii(commentPacket, 0, 8) === 'OpusTags') {
+    commentStart = 8;
+  } else if (commentPacket[0] === 0x03 && readAscii(commentPacket, 1, 6) === 'vorbis') {
+    commentStart = 7;
+  } else {
+    return null;
+  }
+
+  const { comments } = parseVorbisComment(commentPacket.subarray(commentStart));
+  return { ...vorbisCommentsToTags(comments), tagVersion: 'Vorbis comment' };
+};
@@ -0,0 +1,63 @@
+// ReplayGain values from ID3 TXXX frames, Vorbis comments and MP4 freeform atoms
+
+// Opus R128 gains are relative to -23 LUFS; ReplayGain uses -18 LUFS
+const R128_TO_REPLAYGAIN_OFFSET = 5;
+
+/**
+ * Parses a gain such as "-6.52 dB"
+ * @param {string} value - Tag text
+ * @returns {number|null} - Gain in dB
+ */
+const parseGain = (value) => {
+  if (!value) return null;
+  const gain = parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(gain) ? gain : null;
+};
+
+/**
+ * Parses a linear peak such as "0.988647"
+ * @param {string} value - Tag text
+ * @returns {number|null} - Peak (1.0 is full scale)
+ */
+const parsePeak = (value) => {
+  const peak = parseGain(value);
+  return peak !== null && peak > 0 ? peak : null;
+};
+
+/**
+ * Parses an Opus R128 gain (Q7.8 fixed point, in 1/256 dB)
+ * @param {string} value - Tag text
+ * @returns {number|null} - Equivalent ReplayGain in dB
+ */
+const parseR128Gain = (value) => {
+  const raw = parseInt(value, 10);
+  return Number.isFinite(raw) ? raw / 256 + R128_TO_REPLAYGAIN_OFFSET : null;
+};
+
+/**
+ * Reads ReplayGain from a name -> value map (names matched case-insensitively)
+ * @param {Object} values - Tag names to text values
+ * @returns {Object|null} - { trackGain, trackPeak, albumGain, albumPeak }, or null if none
+ */
+export const parseReplayGain = (values) => {
+  const get = (name) => {
+    const key = Object.keys(values).find(item => item.toUpperCase() === name);
+    const value = key ? values[key] : null;
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const replayGain = {
+    trackGain: parseGain(get('REPLAYGAIN_TRACK_GAIN')),
+    trackPeak: parsePeak(get('REPLAYGAIN_TRACK_PEAK')),
+    albumGain: parseGain(get('REPLAYGAIN_ALBUM_GAIN')),
+    albumPeak: parsePeak(get('REPLAYGAIN_ALBUM_PEAK'))
+  };
+  if (replayGain.trackGain === null && get('R128_TRACK_GAIN')) {
+    replayGain.trackGain = parseR128Gain(get('R128_TRACK_GAIN'));
+  }
+  if (replayGain.albumGain === null && get('R128_ALBUM_GAIN')) {
+    replayGain.albumGain = parseR128Gain(get('R128_ALBUM_GAIN'));
+  }
+
+  return replayGain.trackGain === null && replayGain.albumGain === null ? null : replayGain;
+};
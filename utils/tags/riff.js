@@ -0,0 +1,89 @@
+// RIFF/WAVE metadata reader (LIST INFO chunks and embedded "id3 " chunks)
+
+import { decodeString, readAscii, readUintLE, readFileBytes, parseNumberPair, parseYear } from './binary';
+import { resolveGenre } from './genres';
+import { parseID3v2, framesToTags } from './id3';
+
+const INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ICRD: 'date',
+  IGNR: 'genre',
+  ITRK: 'track',
+  IPRT: 'track'
+};
+
+/**
+ * Parses the sub-chunks of a LIST INFO chunk
+ * @param {Uint8Array} bytes - LIST chunk body after the "INFO" type
+ * @returns {Object} - Raw values keyed by field name
+ */
+const parseInfoList = (bytes) => {
+  const values = {};
+  let offset = 0;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readAscii(bytes, offset, 4);
+    const size = readUintLE(bytes, offset + 4);
+    const body = bytes.subarray(offset + 8, offset + 8 + size);
+    const field = INFO_FIELDS[id];
+    if (field && !values[field]) {
+      // INFO strings are nominally ASCII but are usually written as UTF-8
+      values[field] = decodeString(body).replace(/\0+$/, '').trim() || null;
+    }
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+
+  return values;
+};
+
+/**
+ * Reads LIST INFO and ID3 chunks from a WAV file
+ * @param {Blob} file - The WAV file
+ * @returns {Promise<Object|null>} - Tag fields plus tagVersion
+ */
+export const readRiffTags = async (file) => {
+  const header = await readFileBytes(file, 0, 12);
+  if (readAscii(header, 0, 4) !== 'RIFF' || readAscii(header, 8, 4) !== 'WAVE') return null;
+
+  let info = null;
+  let id3 = null;
+  let offset = 12;
+
+  while (offset + 8 <= file.size) {
+    const chunkHeader = await readFileBytes(file, offset, offset + 12);
+    const id = readAscii(chunkHeader, 0, 4);
+    const size = readUintLE(chunkHeader, 4);
+    const bodyStart = offset + 8;
+
+    if (id === 'LIST' && readAscii(chunkHeader, 8, 4) === 'INFO') {
+      info = parseInfoList(await readFileBytes(file, bodyStart + 4, bodyStart + size));
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      const parsed = parseID3v2(await readFileBytes(file, bodyStart, bodyStart + size));
+      if (parsed) id3 = { ...framesToTags(parsed.frames), tagVersion: `ID3v2.${parsed.version}` };
+    }
+
+    offset = bodyStart + size + (size % 2);
+  }
+
+  if (id3) return id3;
+  if (!info) return null;
+
+  const [trackNumber, trackTotal] = parseNumberPair(info.track);
+  return {
+    title: info.title || null,
+    artist: info.artist || null,
+    albumArtist: null,
+    album: info.album || null,
+    trackNumber,
+    trackTotal,
+    discNumber: null,
+    discTotal: null,
+    year: parseYear(info.date),
+    genre: resolveGenre(info.genre),
+    picture: null,
+    tagVersion: 'RIFF INFO'
+  };
+};
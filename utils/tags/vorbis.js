@@ -0,0 +1,123 @@
+// Vorbis comment parsing, shared by FLAC and Ogg (Vorbis / Opus) files
+
+import { decodeString, readUintBE, readUintLE, parseNumberPair, parseYear } from './binary';
+import { resolveGenre } from './genres';
+import { parseReplayGain } from './replayGain';
+import { lyricsFromText } from '../lyrics';
+
+const FRONT_COVER = 3;
+
+/**
+ * Parses a Vorbis comment block (vendor string plus KEY=value list)
+ * @param {Uint8Array} bytes - The comment block, starting at the vendor length
+ * @returns {Object} - { vendor, comments } where comments maps UPPERCASE keys to value arrays
+ */
+export const parseVorbisComment = (bytes) => {
+  let offset = 0;
+  const vendorLength = readUintLE(bytes, offset);
+  offset += 4;
+  const vendor = decodeString(bytes.subarray(offset, offset + vendorLength));
+  offset += vendorLength;
+
+  const count = readUintLE(bytes, offset);
+  offset += 4;
+
+  const comments = {};
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUintLE(bytes, offset);
+    offset += 4;
+    const entry = decodeString(bytes.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+    const key = entry.slice(0, separator).toUpperCase();
+    (comments[key] = comments[key] || []).push(entry.slice(separator + 1));
+  }
+
+  return { vendor, comments };
+};
+
+/**
+ * Parses a FLAC PICTURE block (also used base64-encoded in Ogg comments)
+ * @param {Uint8Array} bytes - Picture block body
+ * @returns {Object} - { mimeType, type, description, data }
+ */
+export const parseFlacPicture = (bytes) => {
+  let offset = 0;
+  const type = readUintBE(bytes, offset);
+  offset += 4;
+  const mimeLength = readUintBE(bytes, offset);
+  offset += 4;
+  const mimeType = decodeString(bytes.subarray(offset, offset + mimeLength), 'iso-8859-1') || 'image/jpeg';
+  offset += mimeLength;
+  const descriptionLength = readUintBE(bytes, offset);
+  offset += 4;
+  const description = decodeString(bytes.subarray(offset, offset + descriptionLength));
+  offset += descriptionLength;
+  // Skip width, height, colour depth and palette size
+  offset += 16;
+  const dataLength = readUintBE(bytes, offset);
+  offset += 4;
+
+  return { mimeType, type, description, data: bytes.slice(offset, offset + dataLength) };
+};
+
+/**
+ * Decodes a base64 METADATA_BLOCK_PICTURE comment value
+ * @param {string} value - Base64 text
+ * @returns {Object|null} - Picture or null if malformed
+ */
+const decodePictureComment = (value) => {
+  try {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return parseFlacPicture(bytes);
+  } catch (error) {
+    console.warn('Skipping unreadable embedded picture:', error);
+    return null;
+  }
+};
+
+/**
+ * Maps Vorbis comments onto the common tag shape
+ * @param {Object} comments - Output of parseVorbisComment().comments
+ * @param {Array} pictures - Pictures found outside the comments (FLAC PICTURE blocks)
+ * @returns {Object} - Tag fields
+ */
+export const vorbisCommentsToTags = (comments, pictures = []) => {
+  const first = (...keys) => {
+    for (const key of keys) {
+      if (comments[key] && comments[key][0]) return comments[key][0].trim();
+    }
+    return null;
+  };
+
+  let [trackNumber, trackTotal] = parseNumberPair(first('TRACKNUMBER'));
+  let [discNumber, discTotal] = parseNumberPair(first('DISCNUMBER'));
+  trackTotal = trackTotal || parseNumberPair(first('TRACKTOTAL', 'TOTALTRACKS'))[0];
+  discTotal = discTotal || parseNumberPair(first('DISCTOTAL', 'TOTALDISCS'))[0];
+
+  const allPictures = [
+    ...pictures,
+    ...(comments.METADATA_BLOCK_PICTURE || []).map(decodePictureComment).filter(Boolean)
+  ];
+  const picture = allPictures.find(item => item.type === FRONT_COVER) || allPictures[0] || null;
+
+  return {
+    title: first('TITLE'),
+    artist: first('ARTIST'),
+    albumArtist: first('ALBUMARTIST', 'ALBUM ARTIST'),
+    album: first('ALBUM'),
+    trackNumber,
+    trackTotal,
+    discNumber,
+    discTotal,
+    year: parseYear(first('DATE', 'YEAR', 'ORIGINALDATE')),
+    genre: resolveGenre(first('GENRE')),
+    picture,
+    replayGain: parseReplayGain(comments),
+    lyrics: lyricsFromText(first('LYRICS', 'UNSYNCEDLYRICS'))
+  };
+};
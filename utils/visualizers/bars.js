@@ -0,0 +1,35 @@
+// Linear frequency bars (the original visualizer look)
+import { verticalGradient } from './palette';
+
+const BAR_COUNT = 64;
+
+export const barsVisualizer = {
+  id: 'bars',
+  label: 'Spectrum',
+  create: ({ ctx, canvas, analyser }) => {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    // The top half of the spectrum is mostly empty for music
+    const binsPerBar = Math.max(1, Math.floor(data.length / 2 / BAR_COUNT));
+    let gradient = null;
+
+    return {
+      resize: () => {
+        gradient = verticalGradient(ctx, canvas.height);
+      },
+      draw: () => {
+        analyser.getByteFrequencyData(data);
+        const { width, height } = canvas;
+        const barWidth = width / BAR_COUNT;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = gradient;
+
+        for (let bar = 0; bar < BAR_COUNT; bar++) {
+          let sum = 0;
+          for (let j = 0; j < binsPerBar; j++) sum += data[bar * binsPerBar + j];
+          const barHeight = (sum / binsPerBar / 255) * height * 0.9;
+          ctx.fillRect(bar * barWidth + 1, height - barHeight, Math.max(barWidth - 2, 1), barHeight);
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,68 @@
+// Visualizer registry. A mode is { id, label, needsChannels?, create } where
+// create({ ctx, canvas, analyser, channels }) returns a renderer with draw()
+// and an optional resize(), called after the canvas backing store changes.
+
+import { barsVisualizer } from './bars';
+import { logBarsVisualizer } from './logBars';
+import { oscilloscopeVisualizer } from './oscilloscope';
+import { radialVisualizer } from './radial';
+import { spectrogramVisualizer } from './spectrogram';
+import { vuMeterVisualizer } from './vuMeter';
+
+export const DEFAULT_VISUALIZER_MODE = 'bars';
+export const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+export const DEFAULT_FFT_SIZE = 2048;
+export const DEFAULT_SMOOTHING = 0.8;
+export const MAX_SMOOTHING = 0.95;
+
+const registry = new Map();
+
+/**
+ * Adds a visualizer mode (later registrations replace earlier ones)
+ * @param {Object} visualizer - { id, label, create }
+ */
+export const registerVisualizer = (visualizer) => {
+  registry.set(visualizer.id, visualizer);
+};
+
+[
+  barsVisualizer,
+  logBarsVisualizer,
+  oscilloscopeVisualizer,
+  radialVisualizer,
+  spectrogramVisualizer,
+  vuMeterVisualizer
+].forEach(registerVisualizer);
+
+/**
+ * Lists registered modes in registration order
+ * @returns {Array} - Visualizer modes
+ */
+export const getVisualizers = () => Array.from(registry.values());
+
+/**
+ * Looks up a mode, falling back to the default
+ * @param {string} id - Mode id
+ * @returns {Object} - Visualizer mode
+ */
+export const getVisualizer = (id) => registry.get(id) || registry.get(DEFAULT_VISUALIZER_MODE);
+
+/**
+ * Whether a mode id is registered
+ * @param {string} id - Mode id
+ * @returns {boolean} - true if known
+ */
+export const isVisualizerMode = (id) => registry.has(id);
+
+/**
+ * Clamps stored FFT size and smoothing to values the AnalyserNode accepts
+ * @param {Object} options - { fftSize, smoothing }
+ * @returns {Object} - Valid { fftSize, smoothing }
+ */
+export const normalizeAnalyserOptions = ({ fftSize, smoothing } = {}) => {
+  const value = Number(smoothing);
+  return {
+    fftSize: FFT_SIZES.includes(fftSize) ? fftSize : DEFAULT_FFT_SIZE,
+    smoothing: Number.isFinite(value) ? Math.min(Math.max(value, 0), MAX_SMOOTHING) : DEFAULT_SMOOTHING
+  };
+};
@@ -0,0 +1,56 @@
+// Log-frequency bars: equal width per octave, like a hardware analyser
+import { verticalGradient } from './palette';
+
+const BAR_COUNT = 48;
+const MIN_FREQUENCY = 20;
+
+/**
+ * Splits FFT bins into log-spaced bands
+ * @param {number} binCount - analyser.frequencyBinCount
+ * @param {number} sampleRate - Context sample rate
+ * @returns {Array} - [start, end) bin ranges, one per bar
+ */
+const logBands = (binCount, sampleRate) => {
+  const nyquist = sampleRate / 2;
+  const maxFrequency = Math.min(20000, nyquist);
+  const binWidth = nyquist / binCount;
+  const ratio = Math.pow(maxFrequency / MIN_FREQUENCY, 1 / BAR_COUNT);
+
+  return Array.from({ length: BAR_COUNT }, (_, i) => {
+    const low = MIN_FREQUENCY * Math.pow(ratio, i);
+    const high = low * ratio;
+    const start = Math.min(Math.floor(low / binWidth), binCount - 1);
+    return [start, Math.max(start + 1, Math.min(Math.ceil(high / binWidth), binCount))];
+  });
+};
+
+export const logBarsVisualizer = {
+  id: 'log-bars',
+  label: 'Log bars',
+  create: ({ ctx, canvas, analyser }) => {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    const bands = logBands(data.length, analyser.context.sampleRate);
+    let gradient = null;
+
+    return {
+      resize: () => {
+        gradient = verticalGradient(ctx, canvas.height);
+      },
+      draw: () => {
+        analyser.getByteFrequencyData(data);
+        const { width, height } = canvas;
+        const barWidth = width / BAR_COUNT;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = gradient;
+
+        bands.forEach(([start, end], bar) => {
+          // Peak of the band, so narrow low bands aren't averaged away
+          let value = 0;
+          for (let bin = start; bin < end; bin++) value = Math.max(value, data[bin]);
+          const barHeight = (value / 255) * height * 0.9;
+          ctx.fillRect(bar * barWidth + 1, height - barHeight, Math.max(barWidth - 2, 1), barHeight);
+        });
+      }
+    };
+  }
+};
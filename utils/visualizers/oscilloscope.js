@@ -0,0 +1,34 @@
+// Oscilloscope: the time-domain waveform
+import { horizontalGradient } from './palette';
+
+export const oscilloscopeVisualizer = {
+  id: 'oscilloscope',
+  label: 'Oscilloscope',
+  create: ({ ctx, canvas, analyser }) => {
+    const data = new Uint8Array(analyser.fftSize);
+    let gradient = null;
+
+    return {
+      resize: () => {
+        gradient = horizontalGradient(ctx, canvas.width);
+      },
+      draw: () => {
+        analyser.getByteTimeDomainData(data);
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = Math.max(2, (window.devicePixelRatio || 1) * 1.5);
+        ctx.strokeStyle = gradient;
+        ctx.beginPath();
+
+        // About one point per pixel, however large the FFT
+        const stride = Math.max(1, Math.floor(data.length / width));
+        const step = width / (data.length - 1);
+        ctx.moveTo(0, (data[0] / 255) * height);
+        for (let i = stride; i < data.length; i += stride) {
+          ctx.lineTo(i * step, (data[i] / 255) * height);
+        }
+        ctx.stroke();
+      }
+    };
+  }
+};
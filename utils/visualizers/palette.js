@@ -0,0 +1,57 @@
+// Colours shared by the visualizer modes (the player's purple/indigo/blue theme)
+
+export const THEME_STOPS = [
+  [0, 'rgba(147, 51, 234, 0.8)'],
+  [0.5, 'rgba(79, 70, 229, 0.6)'],
+  [1, 'rgba(59, 130, 246, 0.4)']
+];
+
+/**
+ * Top-to-bottom theme gradient
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} height - Canvas height in pixels
+ * @returns {CanvasGradient} - Gradient
+ */
+export const verticalGradient = (ctx, height) => {
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  THEME_STOPS.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+  return gradient;
+};
+
+/**
+ * Left-to-right theme gradient
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} width - Canvas width in pixels
+ * @returns {CanvasGradient} - Gradient
+ */
+export const horizontalGradient = (ctx, width) => {
+  const gradient = ctx.createLinearGradient(0, 0, width, 0);
+  THEME_STOPS.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+  return gradient;
+};
+
+/**
+ * 256-entry RGB lookup for heat-map style drawing (dark -> purple -> pink -> white)
+ * @returns {Uint8ClampedArray} - r, g, b triplets indexed by level * 3
+ */
+export const createHeatmap = () => {
+  const stops = [
+    [0, [10, 6, 30]],
+    [0.35, [88, 28, 135]],
+    [0.65, [168, 85, 247]],
+    [0.85, [236, 72, 153]],
+    [1, [255, 240, 250]]
+  ];
+  const table = new Uint8ClampedArray(256 * 3);
+  for (let level = 0; level < 256; level++) {
+    const t = level / 255;
+    const upper = stops.findIndex(([offset]) => offset >= t);
+    const [endOffset, endColor] = stops[Math.max(upper, 0)];
+    const [startOffset, startColor] = stops[Math.max(upper - 1, 0)];
+    const mix = endOffset === startOffset ? 0 : (t - startOffset) / (endOffset - startOffset);
+    for (let c = 0; c < 3; c++) {
+      table[level * 3 + c] = startColor[c] + (endColor[c] - startColor[c]) * mix;
+    }
+  }
+  return table;
+};
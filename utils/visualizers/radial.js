@@ -0,0 +1,42 @@
+// Radial bars around a circle
+const BAR_COUNT = 96;
+
+export const radialVisualizer = {
+  id: 'radial',
+  label: 'Radial',
+  create: ({ ctx, canvas, analyser }) => {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    const binsPerBar = Math.max(1, Math.floor(data.length / 2 / BAR_COUNT));
+
+    return {
+      draw: () => {
+        analyser.getByteFrequencyData(data);
+        const { width, height } = canvas;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) * 0.2;
+        const maxLength = Math.min(width, height) / 2 - radius;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = Math.max(2, (2 * Math.PI * radius) / BAR_COUNT - 2);
+        ctx.lineCap = 'round';
+
+        for (let bar = 0; bar < BAR_COUNT; bar++) {
+          let sum = 0;
+          for (let j = 0; j < binsPerBar; j++) sum += data[bar * binsPerBar + j];
+          const length = (sum / binsPerBar / 255) * maxLength;
+          const angle = (bar / BAR_COUNT) * Math.PI * 2 - Math.PI / 2;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+
+          // Purple at the top, sweeping through pink and blue
+          ctx.strokeStyle = `hsla(${270 + (bar / BAR_COUNT) * 120}, 80%, 65%, 0.85)`;
+          ctx.beginPath();
+          ctx.moveTo(centerX + cos * radius, centerY + sin * radius);
+          ctx.lineTo(centerX + cos * (radius + length), centerY + sin * (radius + length));
+          ctx.stroke();
+        }
+      }
+    };
+  }
+};
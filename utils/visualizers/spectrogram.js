@@ -0,0 +1,49 @@
+// Scrolling spectrogram (waterfall): time runs right to left, frequency
+// bottom to top on a log scale
+import { createHeatmap } from './palette';
+
+const MIN_FREQUENCY = 20;
+
+export const spectrogramVisualizer = {
+  id: 'spectrogram',
+  label: 'Spectrogram',
+  create: ({ ctx, canvas, analyser }) => {
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    const heatmap = createHeatmap();
+    const nyquist = analyser.context.sampleRate / 2;
+    let column = null;
+    let rowBins = [];
+
+    return {
+      resize: () => {
+        const { height } = canvas;
+        column = ctx.createImageData(1, height);
+        // Map each pixel row to an FFT bin once per size
+        const maxFrequency = Math.min(20000, nyquist);
+        rowBins = Array.from({ length: height }, (_, row) => {
+          const position = 1 - row / Math.max(height - 1, 1);
+          const frequency = MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, position);
+          return Math.min(Math.round((frequency / nyquist) * data.length), data.length - 1);
+        });
+        ctx.clearRect(0, 0, canvas.width, height);
+      },
+      draw: () => {
+        analyser.getByteFrequencyData(data);
+        const { width, height } = canvas;
+
+        // Scroll what's there one pixel left, then paint the newest column
+        ctx.drawImage(canvas, -1, 0);
+        const pixels = column.data;
+        for (let row = 0; row < height; row++) {
+          const level = data[rowBins[row]];
+          const offset = row * 4;
+          pixels[offset] = heatmap[level * 3];
+          pixels[offset + 1] = heatmap[level * 3 + 1];
+          pixels[offset + 2] = heatmap[level * 3 + 2];
+          pixels[offset + 3] = 255;
+        }
+        ctx.putImageData(column, width - 1, 0);
+      }
+    };
+  }
+};
@@ -0,0 +1,86 @@
+// Stereo VU meters: RMS bar, peak marker and a decaying peak hold per channel
+import { horizontalGradient } from './palette';
+
+const MIN_DB = -60;
+const PEAK_HOLD_MS = 1500;
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : MIN_DB);
+const dbToPosition = (db) => Math.min(Math.max((db - MIN_DB) / -MIN_DB, 0), 1);
+
+/**
+ * Peak and RMS of a block of samples
+ * @param {Float32Array} samples - Time-domain samples
+ * @returns {Object} - { peak, rms } in dBFS
+ */
+const measure = (samples) => {
+  let peak = 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    if (value > peak) peak = value;
+    sum += samples[i] * samples[i];
+  }
+  return { peak: toDb(peak), rms: toDb(Math.sqrt(sum / samples.length)) };
+};
+
+export const vuMeterVisualizer = {
+  id: 'vu',
+  label: 'VU meters',
+  // Needs the engine's per-channel analysers rather than the mono one
+  needsChannels: true,
+  create: ({ ctx, canvas, channels }) => {
+    const buffers = channels.map(channelAnalyser => new Float32Array(channelAnalyser.fftSize));
+    const holds = channels.map(() => ({ db: MIN_DB, at: 0 }));
+    let gradient = null;
+    let lastDrawAt = performance.now();
+
+    return {
+      resize: () => {
+        gradient = horizontalGradient(ctx, canvas.width);
+      },
+      draw: () => {
+        const now = performance.now();
+        const elapsed = (now - lastDrawAt) / 1000;
+        lastDrawAt = now;
+
+        const { width, height } = canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const meterHeight = height / (channels.length * 2 + 1);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = `${10 * ratio}px sans-serif`;
+        ctx.textBaseline = 'middle';
+
+        channels.forEach((channelAnalyser, index) => {
+          channelAnalyser.getFloatTimeDomainData(buffers[index]);
+          const { peak, rms } = measure(buffers[index]);
+          const hold = holds[index];
+          if (peak >= hold.db) {
+            hold.db = peak;
+            hold.at = now;
+          } else if (now - hold.at > PEAK_HOLD_MS) {
+            hold.db = Math.max(hold.db - PEAK_FALL_DB_PER_SECOND * elapsed, peak);
+          }
+
+          const y = meterHeight * (index * 2 + 1);
+          const labelWidth = 16 * ratio;
+          const meterWidth = width - labelWidth;
+
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+          ctx.fillText(index === 0 ? 'L' : 'R', 2 * ratio, y + meterHeight / 2);
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+          ctx.fillRect(labelWidth, y, meterWidth, meterHeight);
+
+          ctx.fillStyle = gradient;
+          ctx.fillRect(labelWidth, y, meterWidth * dbToPosition(rms), meterHeight);
+
+          // Instant peak as a thin bar, peak hold as a marker (red when clipping)
+          ctx.fillStyle = 'rgba(236, 72, 153, 0.9)';
+          ctx.fillRect(labelWidth + meterWidth * dbToPosition(peak) - ratio, y, 2 * ratio, meterHeight);
+          ctx.fillStyle = hold.db >= -0.1 ? 'rgb(248, 113, 113)' : 'rgba(255, 255, 255, 0.9)';
+          ctx.fillRect(labelWidth + meterWidth * dbToPosition(hold.db) - ratio, y, 2 * ratio, meterHeight);
+        });
+      }
+    };
+  }
+};
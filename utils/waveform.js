@@ -0,0 +1,62 @@
+// Waveform overviews for the seek bar: per-column min/max sample values,
+// quantized to signed bytes so they can live on the track record.
+
+export const WAVEFORM_COLUMNS = 600;
+const QUANT = 127;
+
+/**
+ * Reduces decoded audio to min/max peaks per column, across all channels
+ * @param {Array<Float32Array>} channels - Samples per channel
+ * @param {number} columns - Number of columns
+ * @returns {Object} - { min, max } Int8Arrays of length columns (-127..127)
+ */
+export const computePeaks = (channels, columns = WAVEFORM_COLUMNS) => {
+  const length = channels[0]?.length || 0;
+  const min = new Int8Array(columns);
+  const max = new Int8Array(columns);
+  if (length === 0) return { min, max };
+
+  for (let column = 0; column < columns; column++) {
+    const start = Math.floor((column * length) / columns);
+    const end = Math.max(start + 1, Math.floor(((column + 1) * length) / columns));
+    let low = 0;
+    let high = 0;
+    for (const samples of channels) {
+      for (let i = start; i < end && i < length; i++) {
+        const value = samples[i];
+        if (value < low) low = value;
+        if (value > high) high = value;
+      }
+    }
+    min[column] = Math.max(Math.round(low * QUANT), -QUANT);
+    max[column] = Math.min(Math.round(high * QUANT), QUANT);
+  }
+
+  return { min, max };
+};
+
+/**
+ * Turns stored peaks into filled-column SVG path data, one unit per column
+ * and 0-100 vertically with silence on the centre line
+ * @param {Object} peaks - { min, max } from computePeaks
+ * @returns {string} - Path data for a viewBox of "0 0 columns 100"
+ */
+export const peaksToPath = ({ min, max }) => {
+  const parts = [];
+  for (let column = 0; column < max.length; column++) {
+    // At least a hairline so silent passages still show the track
+    const top = Math.min(50 - (max[column] / QUANT) * 50, 49.5);
+    const bottom = Math.max(50 - (min[column] / QUANT) * 50, 50.5);
+    parts.push(`M${column + 0.15} ${top.toFixed(1)}h0.7V${bottom.toFixed(1)}h-0.7z`);
+  }
+  return parts.join('');
+};
+
+/**
+ * Whether a track record holds usable peaks
+ * @param {Object} track - Library track
+ * @returns {boolean} - true if the waveform was computed
+ */
+export const hasWaveform = (track) => {
+  return !!track?.waveform?.max?.length;
+};
@@ -0,0 +1,39 @@
+// Main-thread side of waveform analysis: decodes a track at a low sample rate
+// (plenty for drawing) and hands the PCM to the waveform worker.
+import { decodeAudioBlob, getChannelData, isAudioDecodingSupported } from './audioUtils';
+import { createWorkerJobs } from './workerJobs';
+import { WAVEFORM_COLUMNS } from './waveform';
+
+// ~3.8 MB of decoded PCM per stereo minute at 8 kHz
+export const MAX_WAVEFORM_DURATION = 60 * 60;
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+const runJob = createWorkerJobs(
+  () => new Worker(new URL('../workers/waveform.worker.js', import.meta.url)),
+  'Waveform'
+);
+
+/**
+ * Whether waveforms can be computed in this browser
+ * @returns {boolean} - true if workers and OfflineAudioContext are available
+ */
+export const isWaveformAnalysisSupported = () => {
+  return isAudioDecodingSupported() && typeof Worker !== 'undefined';
+};
+
+/**
+ * Decodes an audio blob and computes its peaks in the worker
+ * @param {Blob} blob - Audio file
+ * @param {Object|null} [segment] - { start, end } to draw just part of the
+ *   file (a cue sheet track)
+ * @returns {Promise<Object>} - { min, max } (see computePeaks)
+ */
+export const analyzeWaveform = async (blob, segment = null) => {
+  const audioBuffer = await decodeAudioBlob(blob, WAVEFORM_SAMPLE_RATE);
+  const channels = getChannelData(audioBuffer, segment);
+
+  return runJob(
+    { channels, columns: WAVEFORM_COLUMNS },
+    channels.map(channel => channel.buffer)
+  );
+};
@@ -0,0 +1,47 @@
+// Promise wrapper around a lazily started worker that answers
+// { id, result } or { id, error } for each { id, ...payload } it receives.
+
+/**
+ * Creates a job runner for a worker
+ * @param {Function} createWorker - Returns a new Worker. Keep the
+ *   `new Worker(new URL(..., import.meta.url))` call inside it so the bundler
+ *   can find the worker file.
+ * @param {string} name - Used in error messages
+ * @returns {Function} - run(payload, transfer) => Promise of the result
+ */
+export const createWorkerJobs = (createWorker, name) => {
+  let worker = null;
+  let nextJobId = 0;
+  const pendingJobs = new Map();
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        const job = pendingJobs.get(data.id);
+        if (!job) return;
+        pendingJobs.delete(data.id);
+        if (data.error) {
+          job.reject(new Error(data.error));
+        } else {
+          job.resolve(data.result);
+        }
+      };
+      worker.onerror = (event) => {
+        pendingJobs.forEach(job => job.reject(new Error(event.message || `${name} worker failed`)));
+        pendingJobs.clear();
+        worker.terminate();
+        worker = null;
+      };
+    }
+    return worker;
+  };
+
+  return (payload, transfer = []) => {
+    const id = nextJobId++;
+    return new Promise((resolve, reject) => {
+      pendingJobs.set(id, { resolve, reject });
+      getWorker().postMessage({ ...payload, id }, transfer);
+    });
+  };
+};
@@ -0,0 +1,195 @@
+// Minimal ZIP support for backups: entries are stored uncompressed (audio
+// and artwork are already compressed), so archives open in any unzip tool
+// and can be read back without loading the whole file into memory.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+// Without ZIP64 records, offsets and sizes must fit in 32 bits and the
+// entry count in 16
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * CRC-32 of some bytes, as used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned checksum
+ */
+export const crc32 = (bytes) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+const toBytes = async (data) => {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(await data.arrayBuffer());
+};
+
+/**
+ * Packs files into a ZIP archive
+ * @param {Array} entries - { name, data } where data is a Blob, Uint8Array or string
+ * @param {Object} [options] - { signal } to cancel, { onProgress } gets { done, total }
+ * @returns {Promise<Blob>} - The archive
+ */
+export const createZipArchive = async (entries, { signal, onProgress } = {}) => {
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`The backup would hold more than ${MAX_ZIP_ENTRIES} files`);
+  }
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (let index = 0; index < entries.length; index++) {
+    if (signal?.aborted) throw new DOMException('Backup cancelled', 'AbortError');
+    onProgress?.({ done: index, total: entries.length });
+
+    const { name, data } = entries[index];
+    const nameBytes = encoder.encode(name);
+    // Every entry is read once for its checksum, but blobs are added to the
+    // archive as they are so large audio files aren't held in memory
+    const bytes = await toBytes(data);
+    const size = bytes.length;
+    const checksum = crc32(bytes);
+    if (offset + LOCAL_HEADER_SIZE + nameBytes.length + size > MAX_ZIP_SIZE) {
+      throw new Error('The backup would be larger than 4 GB');
+    }
+
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(local.buffer, nameBytes, data instanceof Blob ? data : bytes);
+    centralHeaders.push(central.buffer, nameBytes);
+    offset += LOCAL_HEADER_SIZE + nameBytes.length + size;
+  }
+
+  const centralSize = centralHeaders.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  onProgress?.({ done: entries.length, total: entries.length });
+  return new Blob([...parts, ...centralHeaders, end.buffer], { type: 'application/zip' });
+};
+
+const readView = async (blob, start, length) => {
+  return new DataView(await blob.slice(start, start + length).arrayBuffer());
+};
+
+/**
+ * Lists the files in a ZIP archive without reading their contents
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Map>} - File name to { size, crc, blob } where blob is a
+ *   lazy slice of the archive
+ */
+export const readZipArchive = async (blob) => {
+  // The end record sits in the last 22 bytes, or before a comment of up to 64 KB
+  const tailLength = Math.min(blob.size, END_OF_CENTRAL_DIRECTORY_SIZE + 0xffff);
+  const tail = await readView(blob, blob.size - tailLength, tailLength);
+  let endOffset = -1;
+  for (let i = tailLength - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a ZIP archive');
+
+  const count = tail.getUint16(endOffset + 10, true);
+  const centralSize = tail.getUint32(endOffset + 12, true);
+  const centralOffset = tail.getUint32(endOffset + 16, true);
+  const central = await readView(blob, centralOffset, centralSize);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  let position = 0;
+  for (let index = 0; index < count; index++) {
+    if (central.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('The archive is damaged');
+    }
+    const method = central.getUint16(position + 10, true);
+    const crc = central.getUint32(position + 16, true);
+    const compressedSize = central.getUint32(position + 20, true);
+    const size = central.getUint32(position + 24, true);
+    const nameLength = central.getUint16(position + 28, true);
+    const extraLength = central.getUint16(position + 30, true);
+    const commentLength = central.getUint16(position + 32, true);
+    const localOffset = central.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(central.buffer, central.byteOffset + position + CENTRAL_HEADER_SIZE, nameLength));
+    position += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (method !== 0 || compressedSize !== size) {
+      throw new Error(`"${name}" is compressed; only archives made by this player can be restored`);
+    }
+
+    const local = await readView(blob, localOffset, LOCAL_HEADER_SIZE);
+    if (local.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) throw new Error('The archive is damaged');
+    const dataOffset = localOffset + LOCAL_HEADER_SIZE + local.getUint16(26, true) + local.getUint16(28, true);
+    files.set(name, { size, crc, blob: blob.slice(dataOffset, dataOffset + size) });
+  }
+
+  return files;
+};
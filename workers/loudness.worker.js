@@ -0,0 +1,12 @@
+// Measures integrated loudness off the main thread. Receives decoded PCM
+// (one Float32Array per channel) and replies with { id, result } or { id, error }.
+import { measureLoudness } from '../utils/loudness';
+
+self.onmessage = ({ data }) => {
+  const { id, channels, sampleRate } = data;
+  try {
+    self.postMessage({ id, result: measureLoudness(channels, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
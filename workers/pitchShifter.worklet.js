@@ -0,0 +1,66 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+
+// Pitch shifting without changing speed, for the practice tools. Two read
+// heads sweep a short delay line at the pitch ratio; each fades in and out
+// (sin² windows half a cycle apart, which always sum to one) so the jump
+// when a head wraps around is silent.
+
+const WINDOW_SECONDS = 0.05;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+    // Room for the longest delay plus interpolation
+    this.bufferSize = 2 ** Math.ceil(Math.log2(this.windowSize + 4));
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  readAt(buffer, delay) {
+    const position = this.writeIndex - delay;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const mask = this.bufferSize - 1;
+    const a = buffer[index & mask];
+    const b = buffer[(index + 1) & mask];
+    return a + (b - a) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    const mask = this.bufferSize - 1;
+    const phaseStep = (1 - ratio) / this.windowSize;
+
+    while (this.buffers.length < output.length) this.buffers.push(new Float32Array(this.bufferSize));
+
+    const frames = output[0].length;
+    for (let i = 0; i < frames; i++) {
+      const phaseA = this.phase;
+      const phaseB = (this.phase + 0.5) % 1;
+      const gainA = Math.sin(Math.PI * phaseA) ** 2;
+      const gainB = Math.sin(Math.PI * phaseB) ** 2;
+      const delayA = 1 + phaseA * this.windowSize;
+      const delayB = 1 + phaseB * this.windowSize;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const buffer = this.buffers[channel];
+        buffer[this.writeIndex] = input[channel] ? input[channel][i] : 0;
+        output[channel][i] = this.readAt(buffer, delayA) * gainA + this.readAt(buffer, delayB) * gainB;
+      }
+
+      this.writeIndex = (this.writeIndex + 1) & mask;
+      this.phase = (this.phase + phaseStep + 1) % 1;
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
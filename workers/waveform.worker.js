@@ -0,0 +1,13 @@
+// Computes seek bar peaks off the main thread. Receives decoded PCM (one
+// Float32Array per channel) and replies with { id, result } or { id, error }.
+import { computePeaks } from '../utils/waveform';
+
+self.onmessage = ({ data }) => {
+  const { id, channels, columns } = data;
+  try {
+    const result = computePeaks(channels, columns);
+    self.postMessage({ id, result }, [result.min.buffer, result.max.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};